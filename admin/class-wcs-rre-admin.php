@@ -28,6 +28,13 @@ class WCS_RRE_Admin {
 	 */
 	const PAGE_SLUG = 'wcs-retry-rules-editor';
 
+	/**
+	 * Hook suffix of the Network Admin page, which depends on the translated Settings menu title.
+	 *
+	 * @var string
+	 */
+	private $network_hook_suffix = '';
+
 
 	/**
 	 * Get singleton instance.
@@ -54,6 +61,7 @@ class WCS_RRE_Admin {
 		add_filter( 'plugin_row_meta', array( $this, 'add_plugin_row_meta' ), 10, 2 );
 		add_action( 'admin_footer-plugins.php', array( $this, 'render_plugin_details_modals' ) );
 		add_action( 'admin_menu', array( $this, 'register_admin_page' ), 99 );
+		add_action( 'network_admin_menu', array( $this, 'register_network_admin_page' ) );
 		add_action( 'woocommerce_settings_subscriptions', array( $this, 'render_section_nav' ), 5 );
 	}
 
@@ -63,8 +71,10 @@ class WCS_RRE_Admin {
 	 * @param string $hook_suffix The current admin page hook suffix.
 	 */
 	public function enqueue_scripts( $hook_suffix ) {
-		// Load CSS on Subscriptions tab (for nav) and on our standalone page.
-		if ( $this->is_subscriptions_tab( $hook_suffix ) || $this->is_retry_rules_page( $hook_suffix ) ) {
+		$network_page = $this->is_network_page( $hook_suffix );
+
+		// Load CSS on Subscriptions tab (for nav), on our standalone page and on the network page.
+		if ( $this->is_subscriptions_tab( $hook_suffix ) || $this->is_retry_rules_page( $hook_suffix ) || $network_page ) {
 			wp_enqueue_style(
 				'wcs-rre-admin',
 				WCS_RRE_PLUGIN_URL . 'admin/css/admin.css',
@@ -73,8 +83,8 @@ class WCS_RRE_Admin {
 			);
 		}
 
-		// Load JS only on our standalone Retry Rules page.
-		if ( $this->is_retry_rules_page( $hook_suffix ) ) {
+		// Load JS only on our standalone Retry Rules page and the network page.
+		if ( $this->is_retry_rules_page( $hook_suffix ) || $network_page ) {
 			wp_enqueue_script(
 				'wcs-rre-admin',
 				WCS_RRE_PLUGIN_URL . 'admin/js/admin.js',
@@ -90,19 +100,117 @@ class WCS_RRE_Admin {
 				array(
 					'apiNamespace' => 'wcs-rre/v1',
 					'nonce'        => wp_create_nonce( 'wp_rest' ),
+					'version'      => WCS_RRE_VERSION,
+					'userEmail'    => wp_get_current_user()->user_email,
+					'network'      => $network_page,
 					'strings'      => array(
-						'save'                => __( 'Save Rules', 'wcs-retry-rules-editor' ),
+						'save'                => __( 'Save Draft', 'wcs-retry-rules-editor' ),
+						'publish'             => __( 'Publish', 'wcs-retry-rules-editor' ),
+						'publishUnsaved'      => __( 'Save the draft before publishing.', 'wcs-retry-rules-editor' ),
+						'confirmPublish'      => __( 'Publish the draft? Failed payments will be retried with these rules from now on.', 'wcs-retry-rules-editor' ),
+						'discardDraft'        => __( 'Discard Draft', 'wcs-retry-rules-editor' ),
+						'confirmDiscardDraft' => __( 'Discard the draft and go back to the published rules? Unsaved changes are lost too.', 'wcs-retry-rules-editor' ),
+						'draftDiffers'        => __( 'Draft differs from live', 'wcs-retry-rules-editor' ),
+						'draftSaved'          => __( 'Draft saved', 'wcs-retry-rules-editor' ),
+						'draftPanel'          => __( 'Draft vs Live', 'wcs-retry-rules-editor' ),
+						'draftNone'           => __( 'There is no draft. Saved changes are kept as a draft until they are published.', 'wcs-retry-rules-editor' ),
+						'draftDiffDesc'       => __( 'Changes the saved draft makes to the published rules.', 'wcs-retry-rules-editor' ),
+						'draftSetAdded'       => __( 'New rule set.', 'wcs-retry-rules-editor' ),
+						'draftSetRemoved'     => __( 'Rule set removed.', 'wcs-retry-rules-editor' ),
+						'tabRules'            => __( 'Rules', 'wcs-retry-rules-editor' ),
+						'tabActivity'         => __( 'Activity', 'wcs-retry-rules-editor' ),
+						'activityLoading'     => __( 'Loading activity...', 'wcs-retry-rules-editor' ),
+						'activityEmpty'       => __( 'No rule changes match these filters.', 'wcs-retry-rules-editor' ),
+						'activityAllUsers'    => __( 'All users', 'wcs-retry-rules-editor' ),
+						'activityExport'      => __( 'Export CSV', 'wcs-retry-rules-editor' ),
+						'activityDate'        => __( 'Date', 'wcs-retry-rules-editor' ),
+						'activityUser'        => __( 'User', 'wcs-retry-rules-editor' ),
+						'activityUserId'      => __( 'User ID', 'wcs-retry-rules-editor' ),
+						'activityIp'          => __( 'IP address', 'wcs-retry-rules-editor' ),
+						'activityForwarded'   => __( 'Forwarded for', 'wcs-retry-rules-editor' ),
+						'activityAction'      => __( 'Action', 'wcs-retry-rules-editor' ),
+						'activityDetails'     => __( 'Details', 'wcs-retry-rules-editor' ),
+						'activityChanges'     => __( 'Changes', 'wcs-retry-rules-editor' ),
+						'auditSaveDraft'      => __( 'Saved draft', 'wcs-retry-rules-editor' ),
+						'auditPublish'        => __( 'Published', 'wcs-retry-rules-editor' ),
+						'auditDiscardDraft'   => __( 'Discarded draft', 'wcs-retry-rules-editor' ),
+						'auditReset'          => __( 'Reset to defaults', 'wcs-retry-rules-editor' ),
+						'auditImport'         => __( 'Imported file', 'wcs-retry-rules-editor' ),
+						'auditPromote'        => __( 'Promoted experiment variant', 'wcs-retry-rules-editor' ),
+						'auditInherit'        => __( 'Reverted to network rules', 'wcs-retry-rules-editor' ),
+						'auditPush'           => __( 'Pushed network rules to sites', 'wcs-retry-rules-editor' ),
+						'auditSchedCreate'    => __( 'Scheduled rules', 'wcs-retry-rules-editor' ),
+						'auditSchedCancel'    => __( 'Cancelled schedule', 'wcs-retry-rules-editor' ),
+						'auditSchedActivate'  => __( 'Activated scheduled rules', 'wcs-retry-rules-editor' ),
+						'auditSchedRevert'    => __( 'Reverted scheduled rules', 'wcs-retry-rules-editor' ),
+						'auditSchedSkip'      => __( 'Skipped scheduled change', 'wcs-retry-rules-editor' ),
+						'auditRuleSet'        => __( 'Rule set', 'wcs-retry-rules-editor' ),
+						'auditConditions'     => __( 'Conditions', 'wcs-retry-rules-editor' ),
+						'conflictTitle'       => __( 'The rules were changed by someone else', 'wcs-retry-rules-editor' ),
+						/* translators: 1: user name, 2: date and time */
+						'conflictDraft'       => __( '%1$s saved a draft on %2$s, after you loaded the rules.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: user name, 2: date and time */
+						'conflictLive'        => __( '%1$s changed the published rules on %2$s, after you loaded them.', 'wcs-retry-rules-editor' ),
+						'conflictReset'       => __( 'The rules were reset to the WooCommerce Subscriptions defaults after you loaded them.', 'wcs-retry-rules-editor' ),
+						'conflictChanges'     => __( 'Their changes', 'wcs-retry-rules-editor' ),
+						'conflictReload'      => __( 'Reload', 'wcs-retry-rules-editor' ),
+						'conflictReloadDesc'  => __( 'Load their version. Your changes stay available with Undo.', 'wcs-retry-rules-editor' ),
+						'conflictMerge'       => __( 'Merge', 'wcs-retry-rules-editor' ),
+						'conflictMergeDesc'   => __( 'Add your changes to their version and review the result before saving. Where you both changed the same rule, yours is kept.', 'wcs-retry-rules-editor' ),
+						'conflictOverwrite'   => __( 'Overwrite', 'wcs-retry-rules-editor' ),
+						'conflictForceDesc'   => __( 'Save your version as the draft, replacing theirs.', 'wcs-retry-rules-editor' ),
+						'conflictReloaded'    => __( 'Loaded the latest rules.', 'wcs-retry-rules-editor' ),
+						'conflictMerged'      => __( 'Changes merged. Review them and save the draft.', 'wcs-retry-rules-editor' ),
+						'conflictMergedBoth'  => __( 'Changes merged. You both changed these, and your version was kept. Review them and save the draft:', 'wcs-retry-rules-editor' ),
+						'draftSetSettings'    => __( 'Name, conditions or position changed.', 'wcs-retry-rules-editor' ),
 						'saving'              => __( 'Saving...', 'wcs-retry-rules-editor' ),
 						'reset'               => __( 'Reset to Defaults', 'wcs-retry-rules-editor' ),
+						'undo'                => __( 'Undo', 'wcs-retry-rules-editor' ),
+						'redo'                => __( 'Redo', 'wcs-retry-rules-editor' ),
+						'undoShortcut'        => __( 'Undo (Ctrl+Z)', 'wcs-retry-rules-editor' ),
+						'redoShortcut'        => __( 'Redo (Ctrl+Shift+Z)', 'wcs-retry-rules-editor' ),
+						'export'              => __( 'Export', 'wcs-retry-rules-editor' ),
+						'import'              => __( 'Import', 'wcs-retry-rules-editor' ),
+						'importSuccess'       => __( 'Rules imported. Review them, then save the draft and publish it to apply.', 'wcs-retry-rules-editor' ),
+						'importError'         => __( 'Error importing rules:', 'wcs-retry-rules-editor' ),
+						'importInvalidFile'   => __( 'The file does not contain retry rules.', 'wcs-retry-rules-editor' ),
+						'importInvalidRules'  => __( 'The imported file contains invalid rules. Nothing was changed.', 'wcs-retry-rules-editor' ),
+						'lastSaved'           => __( 'Last published', 'wcs-retry-rules-editor' ),
+						'savedBy'             => __( 'by', 'wcs-retry-rules-editor' ),
+						'unknownUser'         => __( 'Unknown user', 'wcs-retry-rules-editor' ),
+						'revisions'           => __( 'Revision History', 'wcs-retry-rules-editor' ),
+						'revisionsEmpty'      => __( 'No saved revisions yet.', 'wcs-retry-rules-editor' ),
+						'revisionDiffTitle'   => __( 'Changes since this revision', 'wcs-retry-rules-editor' ),
+						'revisionRestore'     => __( 'Restore this revision', 'wcs-retry-rules-editor' ),
+						'revisionRestored'    => __( 'Revision restored. Save the draft and publish it to apply it.', 'wcs-retry-rules-editor' ),
+						'diffNoChanges'       => __( 'No differences.', 'wcs-retry-rules-editor' ),
+						'diffAdded'           => __( 'Added', 'wcs-retry-rules-editor' ),
+						'diffRemoved'         => __( 'Removed', 'wcs-retry-rules-editor' ),
+						'diffChanged'         => __( 'Changed', 'wcs-retry-rules-editor' ),
+						'diffWas'             => __( 'was', 'wcs-retry-rules-editor' ),
+						'enabled'             => __( 'On', 'wcs-retry-rules-editor' ),
+						'disabled'            => __( 'Off', 'wcs-retry-rules-editor' ),
+						'emptyValue'          => __( '(empty)', 'wcs-retry-rules-editor' ),
 						'addRule'             => __( 'Add Rule', 'wcs-retry-rules-editor' ),
 						'deleteRule'          => __( 'Delete', 'wcs-retry-rules-editor' ),
 						'moveUp'              => __( 'Move Up', 'wcs-retry-rules-editor' ),
 						'moveDown'            => __( 'Move Down', 'wcs-retry-rules-editor' ),
-						'confirmReset'        => __( 'Are you sure you want to reset to WooCommerce Subscriptions defaults? This will remove all custom rules.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: rule number */
+						'dragHandle'          => __( 'Reorder rule %s', 'wcs-retry-rules-editor' ),
+						'dragInstructions'    => __( 'Press Space to pick up the rule, use the arrow keys to move it, then press Space again to drop it. Press Escape to cancel.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: rule number, 2: position, 3: number of rules */
+						'dragPickedUp'        => __( 'Picked up rule %1$s. Position %2$s of %3$s.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: position, 2: number of rules */
+						'dragMoved'           => __( 'Moved to position %1$s of %2$s.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: position, 2: number of rules */
+						'dragDropped'         => __( 'Rule dropped at position %1$s of %2$s.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: position */
+						'dragCancelled'       => __( 'Reorder cancelled. Rule returned to position %s.', 'wcs-retry-rules-editor' ),
+						'confirmReset'        => __( 'Are you sure you want to reset to WooCommerce Subscriptions defaults? This will remove all custom rules and the draft.', 'wcs-retry-rules-editor' ),
 						'confirmDelete'       => __( 'Are you sure you want to delete this rule?', 'wcs-retry-rules-editor' ),
 						'unsavedChanges'      => __( 'You have unsaved changes. Are you sure you want to leave?', 'wcs-retry-rules-editor' ),
-						'saveSuccess'         => __( 'Rules saved successfully!', 'wcs-retry-rules-editor' ),
-						'saveError'           => __( 'Error saving rules:', 'wcs-retry-rules-editor' ),
+						'saveSuccess'         => __( 'Draft saved. Publish it to use these rules for retries.', 'wcs-retry-rules-editor' ),
+						'saveError'           => __( 'Error saving draft:', 'wcs-retry-rules-editor' ),
 						'loadError'           => __( 'Error loading rules:', 'wcs-retry-rules-editor' ),
 						'retryAfter'          => __( 'Retry After', 'wcs-retry-rules-editor' ),
 						'customerEmail'       => __( 'Customer Email', 'wcs-retry-rules-editor' ),
@@ -115,11 +223,246 @@ class WCS_RRE_Admin {
 						'days'                => __( 'days', 'wcs-retry-rules-editor' ),
 						'usingDefaults'       => __( 'Using WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ),
 						'usingCustom'         => __( 'Using custom rules', 'wcs-retry-rules-editor' ),
+						'usingNetwork'        => __( 'Using network rules', 'wcs-retry-rules-editor' ),
+						'usingNetworkNone'    => __( 'Using network rules (WooCommerce Subscriptions defaults)', 'wcs-retry-rules-editor' ),
+						'networkOverride'     => __( 'Publishing here overrides them for this site.', 'wcs-retry-rules-editor' ),
+						'resetTitle'          => __( 'Reset rules', 'wcs-retry-rules-editor' ),
+						'resetNetwork'        => __( 'Revert to network rules', 'wcs-retry-rules-editor' ),
+						'resetNetworkDesc'    => __( 'Delete this site\'s rules and draft and use the network rules, including later changes to them.', 'wcs-retry-rules-editor' ),
+						'resetDefaults'       => __( 'Reset to WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ),
+						'resetDefaultsDesc'   => __( 'Delete this site\'s rules and draft and stop using the network rules.', 'wcs-retry-rules-editor' ),
+						'tabSites'            => __( 'Sites', 'wcs-retry-rules-editor' ),
+						'sitesDesc'           => __( 'Sites you push the network rules to use them, including later changes, until they publish rules of their own or reset to the defaults. Their own published rules are deleted; their revisions keep them.', 'wcs-retry-rules-editor' ),
+						'sitesLoading'        => __( 'Loading sites...', 'wcs-retry-rules-editor' ),
+						'sitesEmpty'          => __( 'No sites found.', 'wcs-retry-rules-editor' ),
+						'sitesSelectAll'      => __( 'Select all sites', 'wcs-retry-rules-editor' ),
+						'sitesSite'           => __( 'Site', 'wcs-retry-rules-editor' ),
+						'sitesRules'          => __( 'Rules', 'wcs-retry-rules-editor' ),
+						'sitesChanged'        => __( 'Last published', 'wcs-retry-rules-editor' ),
+						'sitesInherited'      => __( 'Network rules', 'wcs-retry-rules-editor' ),
+						'sitesCustom'         => __( 'Own rules', 'wcs-retry-rules-editor' ),
+						'sitesDefault'        => __( 'WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ),
+						'sitesPush'           => __( 'Push network rules to selected sites', 'wcs-retry-rules-editor' ),
+						'sitesPushing'        => __( 'Pushing...', 'wcs-retry-rules-editor' ),
+						/* translators: %s: number of sites */
+						'confirmPush'         => __( 'Push the network rules to the selected sites (%s)? Their own published rules are replaced.', 'wcs-retry-rules-editor' ),
 						'cumulativeTime'      => __( 'Cumulative time from payment failure:', 'wcs-retry-rules-editor' ),
 						'timeline'            => __( 'Timeline Preview', 'wcs-retry-rules-editor' ),
 						'paymentFails'        => __( 'Payment Fails', 'wcs-retry-rules-editor' ),
 						'retryAttempt'        => __( 'Retry Attempt', 'wcs-retry-rules-editor' ),
-						'afterAllRetries'     => __( 'After all retries: Order fails, invoice sent to customer', 'wcs-retry-rules-editor' ),
+						/* translators: %s: summary of the final outcome */
+						'afterAllRetries'     => __( 'After all retries: %s', 'wcs-retry-rules-editor' ),
+						'finalOutcome'        => __( 'Final outcome', 'wcs-retry-rules-editor' ),
+						'finalOutcomeDesc'    => __( 'What happens once the last retry has failed. Applies to the global rules and every rule set.', 'wcs-retry-rules-editor' ),
+						'finalChoice'         => __( 'When retries run out', 'wcs-retry-rules-editor' ),
+						'finalNone'           => __( 'Leave as is', 'wcs-retry-rules-editor' ),
+						'finalCancel'         => __( 'Cancel subscription', 'wcs-retry-rules-editor' ),
+						'finalHold'           => __( 'Keep on hold, then cancel', 'wcs-retry-rules-editor' ),
+						'finalHoldDays'       => __( 'Days on hold', 'wcs-retry-rules-editor' ),
+						'finalEmail'          => __( 'Final email', 'wcs-retry-rules-editor' ),
+						'finalEmailDesc'      => __( 'Named templates are sent through the retry email of their recipient, so its WooCommerce settings apply.', 'wcs-retry-rules-editor' ),
+						'finalEmailNone'      => __( 'None', 'wcs-retry-rules-editor' ),
+						'finalEmailCustomer'  => __( 'Customer templates', 'wcs-retry-rules-editor' ),
+						'finalEmailAdmin'     => __( 'Admin templates', 'wcs-retry-rules-editor' ),
+						'finalNote'           => __( 'Order note', 'wcs-retry-rules-editor' ),
+						'leaveUnchanged'      => __( 'Leave unchanged', 'wcs-retry-rules-editor' ),
+						/* translators: %s: maximum number of days */
+						'finalHoldInvalid'    => __( 'Keep on hold for between 1 and %s days.', 'wcs-retry-rules-editor' ),
+						'finalEmailMissing'   => __( 'The selected email template no longer exists.', 'wcs-retry-rules-editor' ),
+						'finalNoneSummary'    => __( 'Order fails, invoice sent to customer', 'wcs-retry-rules-editor' ),
+						/* translators: %s: number of days */
+						'finalHoldSummary'    => __( 'On hold for %s days, then cancelled', 'wcs-retry-rules-editor' ),
+						/* translators: %s: subscription status */
+						'finalSubSummary'     => __( 'Subscription: %s', 'wcs-retry-rules-editor' ),
+						/* translators: %s: order status */
+						'finalOrderSummary'   => __( 'Order: %s', 'wcs-retry-rules-editor' ),
+						/* translators: %s: email template name */
+						'finalEmailSummary'   => __( 'Email: %s', 'wcs-retry-rules-editor' ),
+						'finalNoteSummary'    => __( 'Order note added', 'wcs-retry-rules-editor' ),
+						'timing'              => __( 'Timing', 'wcs-retry-rules-editor' ),
+						'timingRelative'      => __( 'After a delay', 'wcs-retry-rules-editor' ),
+						'timingAnchored'      => __( 'At a set time', 'wcs-retry-rules-editor' ),
+						'anchorEarliest'      => __( 'Wait at least', 'wcs-retry-rules-editor' ),
+						'anchorType'          => __( 'Then retry on', 'wcs-retry-rules-editor' ),
+						'anchorWeekdays'      => __( 'Days of the week', 'wcs-retry-rules-editor' ),
+						'anchorMonthDays'     => __( 'Days of the month', 'wcs-retry-rules-editor' ),
+						'anchorDays'          => __( 'Days', 'wcs-retry-rules-editor' ),
+						'anchorTime'          => __( 'At (store time)', 'wcs-retry-rules-editor' ),
+						/* translators: 1: list of weekdays, 2: time of day */
+						'anchorWeekdaysDesc'  => __( 'next %1$s at %2$s', 'wcs-retry-rules-editor' ),
+						/* translators: 1: list of days of the month, 2: time of day */
+						'anchorMonthDesc'     => __( 'next day %1$s of the month at %2$s', 'wcs-retry-rules-editor' ),
+						/* translators: 1: minimum wait, 2: set time, 3: resolved date and time */
+						'anchorSummary'       => __( 'At least %1$s later, then %2$s: %3$s', 'wcs-retry-rules-editor' ),
+						/* translators: %s: date and time */
+						'anchorResolved'      => __( 'For the sample failure date: %s', 'wcs-retry-rules-editor' ),
+						'sampleFailure'       => __( 'Sample failure date', 'wcs-retry-rules-editor' ),
+						'declineTitle'        => __( 'Decline reasons', 'wcs-retry-rules-editor' ),
+						'declineDesc'         => __( 'Handle this retry differently when the card was declined for one of these reasons. The first matching condition applies.', 'wcs-retry-rules-editor' ),
+						'declineReasons'      => __( 'When declined for', 'wcs-retry-rules-editor' ),
+						'declineAction'       => __( 'Then', 'wcs-retry-rules-editor' ),
+						'declineSkip'         => __( 'Skip this rule', 'wcs-retry-rules-editor' ),
+						'declineFinal'        => __( 'Stop retrying and apply the final outcome', 'wcs-retry-rules-editor' ),
+						'declineEmail'        => __( 'Send a different customer email', 'wcs-retry-rules-editor' ),
+						'declineAdd'          => __( 'Add decline condition', 'wcs-retry-rules-editor' ),
+						'declineRemove'       => __( 'Remove', 'wcs-retry-rules-editor' ),
+						'cancel'              => __( 'Cancel', 'wcs-retry-rules-editor' ),
+						'presets'             => __( 'Presets', 'wcs-retry-rules-editor' ),
+						'presetStart'         => __( 'Start from preset', 'wcs-retry-rules-editor' ),
+						'presetBuiltIn'       => __( 'Built-in', 'wcs-retry-rules-editor' ),
+						'presetCustom'        => __( 'Custom', 'wcs-retry-rules-editor' ),
+						/* translators: %s: number of rules */
+						'presetRuleCount'     => __( '%s rules', 'wcs-retry-rules-editor' ),
+						'presetApply'         => __( 'Apply preset', 'wcs-retry-rules-editor' ),
+						'presetDelete'        => __( 'Delete preset', 'wcs-retry-rules-editor' ),
+						'presetSaveTitle'     => __( 'Save current rules as preset', 'wcs-retry-rules-editor' ),
+						'presetName'          => __( 'Preset name', 'wcs-retry-rules-editor' ),
+						'presetSave'          => __( 'Save preset', 'wcs-retry-rules-editor' ),
+						'presetNameRequired'  => __( 'Enter a name for the preset.', 'wcs-retry-rules-editor' ),
+						'presetSaved'         => __( 'Preset saved.', 'wcs-retry-rules-editor' ),
+						'presetError'         => __( 'Error saving preset:', 'wcs-retry-rules-editor' ),
+						/* translators: %s: preset name */
+						'presetConfirmTitle'  => __( 'Apply preset "%s"?', 'wcs-retry-rules-editor' ),
+						'presetConfirmDesc'   => __( 'The preset will replace the rules in the editor with these changes. Nothing is saved until you click Save Draft.', 'wcs-retry-rules-editor' ),
+						'presetApplied'       => __( 'Preset applied. Save the draft and publish it to apply it to retries.', 'wcs-retry-rules-editor' ),
+						'confirmDeletePreset' => __( 'Are you sure you want to delete this preset?', 'wcs-retry-rules-editor' ),
+						'validation'          => __( 'Validation', 'wcs-retry-rules-editor' ),
+						'validationOk'        => __( 'No problems found.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: number of errors */
+						'validationErrors'    => __( '%s errors', 'wcs-retry-rules-editor' ),
+						/* translators: %s: number of warnings */
+						'validationWarnings'  => __( '%s warnings', 'wcs-retry-rules-editor' ),
+						'saveBlocked'         => __( 'Fix these errors before saving:', 'wcs-retry-rules-editor' ),
+						'saveWarningsTitle'   => __( 'Save rules with warnings?', 'wcs-retry-rules-editor' ),
+						'saveWarningsDesc'    => __( 'The rules are valid, but check these warnings before saving:', 'wcs-retry-rules-editor' ),
+						'saveAnyway'          => __( 'Save anyway', 'wcs-retry-rules-editor' ),
+						'lintNoRules'         => __( 'There are no rules. WooCommerce Subscriptions defaults will be used.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: minimum interval, e.g. "5 minutes" */
+						'lintIntervalMin'     => __( 'Retry interval must be at least %s.', 'wcs-retry-rules-editor' ),
+						'lintCustomerEmail'   => __( 'Choose a valid customer email template.', 'wcs-retry-rules-editor' ),
+						'lintAdminEmail'      => __( 'Choose a valid admin email template.', 'wcs-retry-rules-editor' ),
+						'lintOrderStatus'     => __( 'Choose a valid order status.', 'wcs-retry-rules-editor' ),
+						'lintSubStatus'       => __( 'Choose a valid subscription status.', 'wcs-retry-rules-editor' ),
+						'lintActivePending'   => __( 'The subscription stays active while the order is pending, so the customer keeps access without paying.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: email label, e.g. "Customer email" */
+						'lintEmptyOverride'   => __( '%s override is enabled but every field is empty.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: total retry window, 2: billing period length */
+						'lintWindowTooLong'   => __( 'The retry window (%1$s) is longer than the billing period (%2$s), so the next renewal may be due before retries finish.', 'wcs-retry-rules-editor' ),
+						'lintAnchorDays'      => __( 'Choose at least one day for the set time.', 'wcs-retry-rules-editor' ),
+						'lintAnchorTime'      => __( 'Enter the set time as HH:MM, such as 09:00.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: decline condition number */
+						'lintDeclineReasons'  => __( 'Decline condition %s: choose at least one decline reason.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: decline condition number */
+						'lintDeclineEmail'    => __( 'Decline condition %s: choose the customer email to send.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: decline condition number, 2: decline reason */
+						'lintDeclineRepeat'   => __( 'Decline condition %1$s: %2$s is already handled by an earlier condition.', 'wcs-retry-rules-editor' ),
+						'lintNoCustomerEmail' => __( 'No rule sends a customer email, so customers are never told their payment failed.', 'wcs-retry-rules-editor' ),
+						'timelineEmpty'       => __( 'Add rules to see the timeline preview.', 'wcs-retry-rules-editor' ),
+						'simulator'           => __( 'Payment Journey Simulator', 'wcs-retry-rules-editor' ),
+						'simStart'            => __( 'Renewal payment fails at', 'wcs-retry-rules-editor' ),
+						'simSuccessAt'        => __( 'Payment succeeds at', 'wcs-retry-rules-editor' ),
+						'simNever'            => __( 'Never (all retries fail)', 'wcs-retry-rules-editor' ),
+						'insights'            => __( 'Retry Insights', 'wcs-retry-rules-editor' ),
+						'insightsLoading'     => __( 'Loading retry statistics...', 'wcs-retry-rules-editor' ),
+						'insightsFrom'        => __( 'From', 'wcs-retry-rules-editor' ),
+						'insightsTo'          => __( 'To', 'wcs-retry-rules-editor' ),
+						'insightsPeriod'      => __( 'Rules in effect', 'wcs-retry-rules-editor' ),
+						'insightsAllPeriods'  => __( 'All revisions', 'wcs-retry-rules-editor' ),
+						'insightsCompare'     => __( 'Compare with', 'wcs-retry-rules-editor' ),
+						'insightsNoCompare'   => __( 'No comparison', 'wcs-retry-rules-editor' ),
+						'insightsRefresh'     => __( 'Refresh', 'wcs-retry-rules-editor' ),
+						'insightsEmpty'       => __( 'No retries in this period.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: recovered retries, 2: retries, 3: recovery rate, 4: recovered revenue */
+						'insightsSummary'     => __( '%1$s of %2$s retries recovered the payment (%3$s), bringing in %4$s.', 'wcs-retry-rules-editor' ),
+						'insightsAttempt'     => __( 'Attempt', 'wcs-retry-rules-editor' ),
+						'insightsRetries'     => __( 'Retries', 'wcs-retry-rules-editor' ),
+						'insightsRecovered'   => __( 'Recovered', 'wcs-retry-rules-editor' ),
+						'insightsRate'        => __( 'Rate', 'wcs-retry-rules-editor' ),
+						'insightsRevenue'     => __( 'Revenue', 'wcs-retry-rules-editor' ),
+						'insightsHelp'        => __( 'Rate counts finished retries only. Each retry belongs to the revision whose rules scheduled it.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: change in percentage points */
+						'insightsChange'      => __( '(%s pts)', 'wcs-retry-rules-editor' ),
+						/* translators: %s: date of the oldest saved revision */
+						'insightsEarlier'     => __( 'Before %s', 'wcs-retry-rules-editor' ),
+						'insightsUntracked'   => __( 'Before saved revisions', 'wcs-retry-rules-editor' ),
+						/* translators: 1: start date, 2: end date, 3: user who saved the rules */
+						'insightsPeriodLabel' => __( '%1$s to %2$s (%3$s)', 'wcs-retry-rules-editor' ),
+						'insightsNow'         => __( 'now', 'wcs-retry-rules-editor' ),
+						'insightsNoData'      => __( 'No retries yet', 'wcs-retry-rules-editor' ),
+						/* translators: 1: recovery rate, 2: recovered retries, 3: retries, 4: recovered revenue */
+						'insightsAttemptStat' => __( '%1$s recovered (%2$s/%3$s), %4$s', 'wcs-retry-rules-editor' ),
+						'experiment'          => __( 'A/B Experiment', 'wcs-retry-rules-editor' ),
+						'experimentDesc'      => __( 'Test another schedule against the global rules. Each failing subscription is assigned to one arm on its first failure and keeps it.', 'wcs-retry-rules-editor' ),
+						'experimentVariant'   => __( 'Variant rules', 'wcs-retry-rules-editor' ),
+						'experimentEditor'    => __( 'Rules being edited', 'wcs-retry-rules-editor' ),
+						'experimentSplit'     => __( 'Share of failing subscriptions given the variant (%)', 'wcs-retry-rules-editor' ),
+						'experimentStart'     => __( 'Start experiment', 'wcs-retry-rules-editor' ),
+						/* translators: 1: date, 2: user who started the experiment */
+						'experimentRunning'   => __( 'Running since %1$s, started by %2$s.', 'wcs-retry-rules-editor' ),
+						'experimentScope'     => __( 'Subscriptions that match a rule set are not part of it.', 'wcs-retry-rules-editor' ),
+						'experimentControlArm' => __( 'Control', 'wcs-retry-rules-editor' ),
+						'experimentVariantArm' => __( 'Variant', 'wcs-retry-rules-editor' ),
+						'experimentPromote'   => __( 'Promote variant', 'wcs-retry-rules-editor' ),
+						'experimentKeep'      => __( 'Keep control', 'wcs-retry-rules-editor' ),
+						'experimentEnd'       => __( 'End experiment', 'wcs-retry-rules-editor' ),
+						'experimentInvalid'   => __( 'The variant rules have errors. Fix them before starting the experiment.', 'wcs-retry-rules-editor' ),
+						'experimentError'     => __( 'Experiment request failed:', 'wcs-retry-rules-editor' ),
+						/* translators: %s: share of failing subscriptions given the variant, e.g. 50% */
+						'confirmExperiment'   => __( 'Start the experiment? %s of failing subscriptions will get the variant rules.', 'wcs-retry-rules-editor' ),
+						'confirmEndExp'       => __( 'End the experiment? Every subscription goes back to the global rules.', 'wcs-retry-rules-editor' ),
+						'confirmPromote'      => __( 'Make the variant rules the global rules and end the experiment?', 'wcs-retry-rules-editor' ),
+						'confirmKeepControl'  => __( 'Keep the global rules and end the experiment?', 'wcs-retry-rules-editor' ),
+						'promoteUnsaved'      => __( 'Unsaved changes in the editor will be replaced.', 'wcs-retry-rules-editor' ),
+						'promoteDraft'        => __( 'The saved draft will be discarded, so publishing it cannot replace the promoted rules later.', 'wcs-retry-rules-editor' ),
+						'schedule'            => __( 'Schedule...', 'wcs-retry-rules-editor' ),
+						'scheduleTitle'       => __( 'Schedule rules', 'wcs-retry-rules-editor' ),
+						'scheduleDesc'        => __( 'The rules and rule sets in the editor, including unsaved changes, replace the published ones at the chosen time. Optionally, the current rules come back at a later time. Publishing other rules in the meantime cancels the schedule.', 'wcs-retry-rules-editor' ),
+						'scheduleReplaces'    => __( 'This replaces the rules that are already scheduled.', 'wcs-retry-rules-editor' ),
+						'scheduleActivate'    => __( 'Activate at', 'wcs-retry-rules-editor' ),
+						'scheduleRevert'      => __( 'Revert at (optional)', 'wcs-retry-rules-editor' ),
+						'scheduleSubmit'      => __( 'Schedule', 'wcs-retry-rules-editor' ),
+						'scheduleNoTime'      => __( 'Choose when the rules activate.', 'wcs-retry-rules-editor' ),
+						'scheduleRevertEarly' => __( 'The revert time must be after the activation time.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: activation date and time, 2: user who scheduled the rules */
+						'schedulePending'     => __( 'Scheduled rules activate on %1$s (by %2$s).', 'wcs-retry-rules-editor' ),
+						/* translators: %s: revert date and time */
+						'scheduleRevertAt'    => __( 'The current rules return on %s.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: revert date and time */
+						'scheduleReverting'   => __( 'Scheduled rules are active. The previous rules return on %s.', 'wcs-retry-rules-editor' ),
+						'scheduleCancel'      => __( 'Cancel schedule', 'wcs-retry-rules-editor' ),
+						'scheduleKeep'        => __( 'Keep these rules', 'wcs-retry-rules-editor' ),
+						'confirmCancelSched'  => __( 'Cancel the scheduled rules? The saved rules stay in place.', 'wcs-retry-rules-editor' ),
+						'confirmCancelRevert' => __( 'Cancel the revert and keep the scheduled rules?', 'wcs-retry-rules-editor' ),
+						'simTimezone'         => __( 'Store time zone:', 'wcs-retry-rules-editor' ),
+						/* translators: %s: retry attempt number */
+						'simAttemptFails'     => __( 'Retry attempt %s fails', 'wcs-retry-rules-editor' ),
+						/* translators: %s: retry attempt number */
+						'simAttemptSucceeds'  => __( 'Retry attempt %s succeeds', 'wcs-retry-rules-editor' ),
+						/* translators: %s: retry attempt number */
+						'simAttemptSkipped'   => __( 'Retry attempt %s not needed', 'wcs-retry-rules-editor' ),
+						'simEmails'           => __( 'Emails', 'wcs-retry-rules-editor' ),
+						'simNoEmails'         => __( 'None', 'wcs-retry-rules-editor' ),
+						'simNextRetry'        => __( 'Next retry:', 'wcs-retry-rules-editor' ),
+						'ruleSets'            => __( 'Rule set', 'wcs-retry-rules-editor' ),
+						'ruleSetGlobal'       => __( 'Global rules', 'wcs-retry-rules-editor' ),
+						'ruleSetGlobalDesc'   => __( 'Used for every subscription that no rule set matches.', 'wcs-retry-rules-editor' ),
+						'ruleSetAdd'          => __( 'New rule set', 'wcs-retry-rules-editor' ),
+						'ruleSetDelete'       => __( 'Delete rule set', 'wcs-retry-rules-editor' ),
+						'ruleSetName'         => __( 'Rule set name', 'wcs-retry-rules-editor' ),
+						'ruleSetNewName'      => __( 'Untitled rule set', 'wcs-retry-rules-editor' ),
+						'ruleSetMatchHelp'    => __( 'Applies to subscriptions that match every condition you fill in. Rule sets are checked in order and the first match wins.', 'wcs-retry-rules-editor' ),
+						'condProducts'        => __( 'Products', 'wcs-retry-rules-editor' ),
+						'condCategories'      => __( 'Product categories', 'wcs-retry-rules-editor' ),
+						'condPaymentMethods'  => __( 'Payment methods', 'wcs-retry-rules-editor' ),
+						'condBillingPeriods'  => __( 'Billing periods', 'wcs-retry-rules-editor' ),
+						'condNoOptions'       => __( 'None available.', 'wcs-retry-rules-editor' ),
+						'productSearch'       => __( 'Search subscription products...', 'wcs-retry-rules-editor' ),
+						'productSearchHelp'   => __( 'Search for subscription products by name.', 'wcs-retry-rules-editor' ),
+						'productNoMatch'      => __( 'No subscription products match.', 'wcs-retry-rules-editor' ),
+						'productSearchError'  => __( 'Error searching products:', 'wcs-retry-rules-editor' ),
+						'lintSetName'         => __( 'Rule set name is required.', 'wcs-retry-rules-editor' ),
+						'lintSetConditions'   => __( 'Add at least one condition, or this rule set will never be used.', 'wcs-retry-rules-editor' ),
+						'confirmDeleteSet'    => __( 'Delete this rule set? Subscriptions it matched will use the global rules.', 'wcs-retry-rules-editor' ),
 						'emailOverridesTitle' => __( 'Email Content Overrides', 'wcs-retry-rules-editor' ),
 						'emailOverridesDesc'  => __( 'Preview defaults or override per rule.', 'wcs-retry-rules-editor' ),
 						'emailCustomerLabel'  => __( 'Customer email', 'wcs-retry-rules-editor' ),
@@ -135,8 +478,66 @@ class WCS_RRE_Admin {
 						'emailPreviewError'   => __( 'Error loading preview:', 'wcs-retry-rules-editor' ),
 						'emailPlaceholders'   => __( 'Available placeholders:', 'wcs-retry-rules-editor' ),
 						'emailPreviewClose'   => __( 'Close', 'wcs-retry-rules-editor' ),
+						'emailSendTest'       => __( 'Send test', 'wcs-retry-rules-editor' ),
+						'testEmailTitle'      => __( 'Send test email', 'wcs-retry-rules-editor' ),
+						/* translators: 1: email label, 2: rule number */
+						'testEmailDesc'       => __( 'Sends the %1$s of rule %2$s with sample order data, including unsaved changes. The subject starts with [Test].', 'wcs-retry-rules-editor' ),
+						'testEmailTo'         => __( 'Send to', 'wcs-retry-rules-editor' ),
+						'testEmailSend'       => __( 'Send', 'wcs-retry-rules-editor' ),
+						'testEmailSending'    => __( 'Sending...', 'wcs-retry-rules-editor' ),
+						'testEmailInvalid'    => __( 'Enter a valid email address.', 'wcs-retry-rules-editor' ),
+						'testEmailError'      => __( 'Error sending test email:', 'wcs-retry-rules-editor' ),
 						'emailPreviewSubject' => __( 'Subject', 'wcs-retry-rules-editor' ),
 						'emailPreviewHeading' => __( 'Heading', 'wcs-retry-rules-editor' ),
+						'previewRecipient'    => __( 'Recipient', 'wcs-retry-rules-editor' ),
+						'previewDevice'       => __( 'Preview width', 'wcs-retry-rules-editor' ),
+						'previewDesktop'      => __( 'Desktop', 'wcs-retry-rules-editor' ),
+						'previewMobile'       => __( 'Mobile', 'wcs-retry-rules-editor' ),
+						'previewUpdating'     => __( 'Updating preview...', 'wcs-retry-rules-editor' ),
+						'previewPlaceholders' => __( 'Placeholders', 'wcs-retry-rules-editor' ),
+						'previewNotReplaced'  => __( 'not replaced', 'wcs-retry-rules-editor' ),
+						'previewFormat'       => __( 'Email format', 'wcs-retry-rules-editor' ),
+						'previewHtml'         => __( 'HTML', 'wcs-retry-rules-editor' ),
+						'previewPlain'        => __( 'Plain text', 'wcs-retry-rules-editor' ),
+						'richTextToolbar'     => __( 'Formatting', 'wcs-retry-rules-editor' ),
+						'richTextBold'        => __( 'Bold', 'wcs-retry-rules-editor' ),
+						'richTextLink'        => __( 'Link', 'wcs-retry-rules-editor' ),
+						'richTextBullets'     => __( 'Bulleted list', 'wcs-retry-rules-editor' ),
+						'richTextNumbers'     => __( 'Numbered list', 'wcs-retry-rules-editor' ),
+						'richTextMode'        => __( 'Editor mode', 'wcs-retry-rules-editor' ),
+						'richTextVisual'      => __( 'Visual', 'wcs-retry-rules-editor' ),
+						'richTextHtml'        => __( 'HTML', 'wcs-retry-rules-editor' ),
+						'richTextLinkPrompt'  => __( 'Link address (https://, mailto: or a placeholder such as {site_url}):', 'wcs-retry-rules-editor' ),
+						'localeSwitch'        => __( 'Language', 'wcs-retry-rules-editor' ),
+						/* translators: %s: language name */
+						'localeDefault'       => __( '%s (default)', 'wcs-retry-rules-editor' ),
+						/* translators: %s: language name */
+						'localeTranslated'    => __( '%s (translated)', 'wcs-retry-rules-editor' ),
+						/* translators: %s: language name */
+						'localeMissing'       => __( '%s (not translated)', 'wcs-retry-rules-editor' ),
+						'localeFallback'      => __( 'Empty fields use the default language text, then the email settings.', 'wcs-retry-rules-editor' ),
+						'localeVariants'      => __( 'Translations', 'wcs-retry-rules-editor' ),
+						'placeholderInsert'   => __( 'Insert placeholder...', 'wcs-retry-rules-editor' ),
+						'placeholderUnknown'  => __( 'is not a known placeholder.', 'wcs-retry-rules-editor' ),
+						'placeholderBraces'   => __( 'Unbalanced { or }.', 'wcs-retry-rules-editor' ),
+						/* translators: 1: field label, 2: placeholder */
+						'lintPlaceholder'     => __( '%1$s: unknown placeholder %2$s.', 'wcs-retry-rules-editor' ),
+						/* translators: %s: field label */
+						'lintUnbalanced'      => __( '%s: unbalanced { or }.', 'wcs-retry-rules-editor' ),
+						'templates'           => __( 'Email Templates', 'wcs-retry-rules-editor' ),
+						'templateSelect'      => __( 'Edit template', 'wcs-retry-rules-editor' ),
+						'templateNew'         => __( 'New template', 'wcs-retry-rules-editor' ),
+						'templateName'        => __( 'Template name', 'wcs-retry-rules-editor' ),
+						'templateRecipient'   => __( 'Recipient', 'wcs-retry-rules-editor' ),
+						'templateBody'        => __( 'Body', 'wcs-retry-rules-editor' ),
+						'templateHelp'        => __( 'Rules can choose this template in their email dropdowns. A blank subject or heading uses the email settings; basic HTML is allowed in the body.', 'wcs-retry-rules-editor' ),
+						'templateSave'        => __( 'Save template', 'wcs-retry-rules-editor' ),
+						'templateDelete'      => __( 'Delete template', 'wcs-retry-rules-editor' ),
+						'templateRequired'    => __( 'Enter a template name and body.', 'wcs-retry-rules-editor' ),
+						'templateSaved'       => __( 'Email template saved.', 'wcs-retry-rules-editor' ),
+						'templateError'       => __( 'Error saving email template:', 'wcs-retry-rules-editor' ),
+						'templateInUse'       => __( 'Rules in the editor still send this template. Choose another email for them first.', 'wcs-retry-rules-editor' ),
+						'confirmDeleteTpl'    => __( 'Are you sure you want to delete this email template?', 'wcs-retry-rules-editor' ),
 					),
 					'emailPlaceholders' => $this->get_email_placeholders(),
 				)
@@ -164,6 +565,47 @@ class WCS_RRE_Admin {
 		);
 	}
 
+	/**
+	 * Register the Retry Rules page under Network Admin > Settings.
+	 */
+	public function register_network_admin_page() {
+		$this->network_hook_suffix = (string) add_submenu_page(
+			'settings.php',
+			__( 'Network Retry Rules', 'wcs-retry-rules-editor' ),
+			__( 'Retry Rules', 'wcs-retry-rules-editor' ),
+			'manage_network_options',
+			self::PAGE_SLUG,
+			array( $this, 'render_network_page' )
+		);
+	}
+
+	/**
+	 * Render the Network Admin Retry Rules page.
+	 */
+	public function render_network_page() {
+		?>
+		<div class="wrap woocommerce">
+			<h1 class="wp-heading-inline"><?php esc_html_e( 'Network Retry Rules', 'wcs-retry-rules-editor' ); ?></h1>
+			<p><?php esc_html_e( 'Define retry rules for the whole network and push them to sites. Sites that inherit the network rules follow every change published here, until they publish rules of their own.', 'wcs-retry-rules-editor' ); ?></p>
+
+			<div class="wcs-rre-wrap">
+				<div id="wcs-rre-app">
+					<div class="wcs-rre-loading">
+						<span class="spinner is-active"></span>
+						<?php esc_html_e( 'Loading...', 'wcs-retry-rules-editor' ); ?>
+					</div>
+				</div>
+
+				<noscript>
+					<div class="notice notice-error">
+						<p><?php esc_html_e( 'JavaScript is required to use the Retry Rules Editor.', 'wcs-retry-rules-editor' ); ?></p>
+					</div>
+				</noscript>
+			</div>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Render the standalone Retry Rules admin page.
 	 */
@@ -305,6 +747,16 @@ class WCS_RRE_Admin {
 		return 'admin_page_' . self::PAGE_SLUG === $hook_suffix;
 	}
 
+	/**
+	 * Check if we are on the Network Admin Retry Rules page.
+	 *
+	 * @param string $hook_suffix Current admin hook suffix.
+	 * @return bool
+	 */
+	private function is_network_page( $hook_suffix ) {
+		return is_network_admin() && '' !== $this->network_hook_suffix && $this->network_hook_suffix === $hook_suffix;
+	}
+
 	/**
 	 * Check if we are on the WooCommerce Subscriptions settings tab.
 	 *
@@ -326,9 +778,6 @@ class WCS_RRE_Admin {
 	 * @return array
 	 */
 	private function get_email_placeholders() {
-		return array(
-			'customer' => array( '{order_number}', '{order_date}', '{retry_time}' ),
-			'admin'    => array( '{site_title}', '{order_number}', '{order_date}', '{retry_time}' ),
-		);
+		return WCS_RRE_Rules_Manager::instance()->get_email_placeholders();
 	}
 }
@@ -9,25 +9,198 @@
 ( function() {
 	'use strict';
 
+	// Whether the editor works on the network rules, on the Network Admin page.
+	const isNetwork = !! wcsRreData.network;
+
 	// State
 	let rules = [];
+	let globalRules = [];
+	let ruleSets = [];
+	let activeSet = '';
+	let finalAction = null;
 	let config = {};
 	let isDefault = true;
+	let inherits = false;
 	let hasChanges = false;
 	let isSaving = false;
-	let previewModal = {
+	let rulesMeta = {
+		modified_at: '',
+		modified_by: 0,
+		modified_by_name: '',
+	};
+	let liveState = {
+		rules: [],
+		rule_sets: [],
+		final_action: null,
+	};
+	let draft = null;
+	let rulesVersion = '';
+	let presets = [];
+	let selectedPreset = '';
+	let emailTemplates = [];
+	let templateDraft = getEmptyTemplate();
+	let revisions = [];
+	let selectedRevision = '';
+	let openPanels = {};
+	let simulator = {
+		start: '',
+		successAt: 0,
+	};
+	let insights = {
+		start: '',
+		end: '',
+		period: '',
+		compare: '',
+		data: null,
+		loading: false,
+		error: '',
+	};
+	let experiment = {
+		data: null,
+		stats: null,
+		source: 'editor',
+		split: 50,
+		busy: false,
+	};
+	let activeTab = 'rules';
+	let activity = {
+		user: 0,
+		start: '',
+		end: '',
+		entries: [],
+		users: [],
+		loading: false,
+		error: '',
+	};
+	let sites = {
+		list: [],
+		selected: [],
+		loading: false,
+		pushing: false,
+		error: '',
+	};
+	let schedule = null;
+	let scheduleModal = {
+		open: false,
+		activateAt: '',
+		revertAt: '',
+		saving: false,
+		error: '',
+	};
+	let dragState = null;
+	let keyboardDrag = null;
+	let savedState = '';
+	let currentSnapshot = null;
+	let history = {
+		undo: [],
+		redo: [],
+	};
+	let previewPane = {
 		open: false,
 		loading: false,
 		error: '',
 		html: '',
+		text: '',
+		textHtml: '',
 		subject: '',
 		heading: '',
+		subjectHtml: '',
+		headingHtml: '',
+		placeholders: [],
 		ruleIndex: null,
 		recipient: '',
+		device: 'desktop',
+		format: 'html',
+	};
+	let productSearch = {
+		term: '',
+		results: [],
+		labels: {},
+		request: 0,
+	};
+	let productSearchTimer = null;
+	let importedFile = null;
+	let previewTimer = null;
+	let previewRequest = 0;
+	let autocomplete = null;
+	let overrideCaret = null;
+	let richTextMode = 'visual';
+	let overrideLocale = '';
+	let validation = {
+		rules: [],
+		global: [],
+		errorCount: 0,
+		warningCount: 0,
+	};
+	let confirmModal = {
+		open: false,
+		title: '',
+		body: '',
+		confirmLabel: '',
+		onConfirm: null,
+	};
+	let conflictModal = {
+		open: false,
+		current: null,
+		busy: false,
+	};
+	let testEmailModal = {
+		open: false,
+		ruleIndex: 0,
+		recipient: 'customer',
+		to: wcsRreData.userEmail || '',
+		sending: false,
+		result: null,
+	};
+
+	// Maximum number of undo steps kept in memory.
+	const HISTORY_LIMIT = 100;
+
+	// Tags kept by the additional content editor, mapped to the tag stored.
+	const RICH_TEXT_TAGS = {
+		strong: 'strong',
+		b: 'strong',
+		em: 'em',
+		i: 'em',
+		a: 'a',
+		ul: 'ul',
+		ol: 'ol',
+		li: 'li',
+		p: 'p',
+		div: 'p',
+		br: 'br',
+	};
+
+	// Delay before the preview pane re-renders after an edit, in milliseconds.
+	const PREVIEW_DELAY = 400;
+
+	// Delay before searching products, in milliseconds.
+	const PRODUCT_SEARCH_DELAY = 300;
+
+	// Final actions once the last retry has failed, in the order they are offered.
+	const FINAL_ACTIONS = [ 'none', 'cancel', 'hold' ];
+
+	// Days searched for the next set time of an anchored rule, as on the server.
+	const ANCHOR_SEARCH_DAYS = 62;
+
+	// Set time of a new anchored rule: the next weekday at 09:00.
+	const DEFAULT_ANCHOR = {
+		type: 'weekdays',
+		days: [ 1, 2, 3, 4, 5 ],
+		time: '09:00',
+	};
+
+	// Approximate billing period lengths in seconds, keyed by WCS period.
+	const BILLING_PERIOD_LENGTHS = {
+		day: 86400,
+		week: 604800,
+		month: 2592000,
+		year: 31536000,
 	};
 
 	// DOM Elements
 	let app;
+	let liveRegion;
 
 	/**
 	 * Initialize the application.
@@ -38,9 +211,16 @@
 			return;
 		}
 
+		// Screen reader announcements live outside the re-rendered app.
+		liveRegion = document.createElement( 'div' );
+		liveRegion.className = 'screen-reader-text';
+		liveRegion.setAttribute( 'aria-live', 'assertive' );
+		app.parentNode.insertBefore( liveRegion, app.nextSibling );
+
 		// Set up beforeunload warning
 		window.addEventListener( 'beforeunload', handleBeforeUnload );
 		document.addEventListener( 'keydown', handleModalEscape );
+		document.addEventListener( 'keydown', handleHistoryShortcut );
 
 		// Load initial data
 		loadData();
@@ -67,11 +247,16 @@
 			const [ rulesResponse, configResponse ] = await Promise.all( [
 				apiFetch( '/rules' ),
 				apiFetch( '/config' ),
+				loadRevisions(),
+				loadPresets(),
+				// Templates, experiments and schedules belong to a site.
+				...( isNetwork ? [] : [ loadEmailTemplates(), loadExperiment(), loadSchedule() ] ),
 			] );
 
-			rules = rulesResponse.rules || [];
-			isDefault = rulesResponse.is_default || false;
 			config = configResponse;
+			applyRulesResponse( rulesResponse );
+			applyEditorState( draft || liveState, '' );
+			resetHistory();
 
 			render();
 		} catch ( error ) {
@@ -80,6 +265,202 @@
 		}
 	}
 
+	/**
+	 * Store the published rules, draft and version returned by GET /rules.
+	 *
+	 * @param {Object} response Rules response.
+	 */
+	function applyRulesResponse( response ) {
+		liveState = {
+			rules: response.rules || [],
+			rule_sets: response.rule_sets || [],
+			final_action: response.final_action || null,
+		};
+		draft = response.draft || null;
+		isDefault = response.is_default || false;
+		inherits = response.inherits || false;
+		rulesMeta = getRulesMeta( response );
+		rulesVersion = response.version || '';
+	}
+
+	/**
+	 * Load which rules each site of the network uses.
+	 */
+	async function loadSites() {
+		sites = { ...sites, loading: true, error: '' };
+		render();
+
+		try {
+			const response = await apiFetch( '/network/sites' );
+			applySitesResponse( response.sites || [] );
+		} catch ( error ) {
+			sites = { ...sites, list: [], selected: [], loading: false, error: error.message };
+		}
+
+		render();
+	}
+
+	/**
+	 * Store the sites overview, keeping the selection of sites that still exist.
+	 *
+	 * @param {Array} list Sites with id, name, url, admin_url, source and modified_at.
+	 */
+	function applySitesResponse( list ) {
+		sites = {
+			...sites,
+			list,
+			selected: sites.selected.filter( id => list.some( site => site.id === id ) ),
+			loading: false,
+		};
+	}
+
+	/**
+	 * Load audit log entries for the activity filters from the API.
+	 */
+	async function loadActivity() {
+		const query = new URLSearchParams();
+		if ( activity.user ) {
+			query.set( 'user', activity.user );
+		}
+		if ( activity.start ) {
+			query.set( 'start', activity.start );
+		}
+		if ( activity.end ) {
+			query.set( 'end', activity.end );
+		}
+
+		activity = { ...activity, loading: true, error: '' };
+		render();
+
+		try {
+			const response = await apiFetch( '/audit-log' + ( query.toString() ? '?' + query.toString() : '' ) );
+			activity = {
+				...activity,
+				entries: response.entries || [],
+				users: response.users || [],
+				loading: false,
+			};
+		} catch ( error ) {
+			activity = { ...activity, entries: [], loading: false, error: error.message };
+		}
+
+		render();
+	}
+
+	/**
+	 * Load saved revisions from the API.
+	 *
+	 * Failures leave the list empty rather than blocking the editor.
+	 */
+	async function loadRevisions() {
+		try {
+			const response = await apiFetch( '/revisions' );
+			revisions = response.revisions || [];
+		} catch ( error ) {
+			revisions = [];
+		}
+	}
+
+	/**
+	 * Load built-in and custom presets from the API.
+	 */
+	async function loadPresets() {
+		try {
+			const response = await apiFetch( '/presets' );
+			presets = response.presets || [];
+		} catch ( error ) {
+			presets = [];
+		}
+	}
+
+	/**
+	 * Load named email templates from the API.
+	 */
+	async function loadEmailTemplates() {
+		try {
+			const response = await apiFetch( '/email-templates' );
+			emailTemplates = response.templates || [];
+		} catch ( error ) {
+			emailTemplates = [];
+		}
+	}
+
+	/**
+	 * Load the scheduled rules activation from the API.
+	 */
+	async function loadSchedule() {
+		try {
+			const response = await apiFetch( '/schedule' );
+			schedule = response.schedule || null;
+		} catch ( error ) {
+			schedule = null;
+		}
+	}
+
+	/**
+	 * Load the running experiment and its per-arm statistics from the API.
+	 */
+	async function loadExperiment() {
+		try {
+			applyExperimentResponse( await apiFetch( '/experiment' ) );
+		} catch ( error ) {
+			applyExperimentResponse( {} );
+		}
+	}
+
+	/**
+	 * Store the experiment returned by an experiment endpoint.
+	 *
+	 * @param {Object} response Response with experiment and stats.
+	 */
+	function applyExperimentResponse( response ) {
+		experiment = {
+			...experiment,
+			data: response.experiment || null,
+			stats: response.stats || null,
+		};
+	}
+
+	/**
+	 * Load retry statistics for the insights date range from the API.
+	 *
+	 * @param {boolean} refresh Recalculate instead of using cached statistics.
+	 */
+	async function loadInsights( refresh = false ) {
+		const query = new URLSearchParams();
+		if ( insights.start ) {
+			query.set( 'start', insights.start );
+		}
+		if ( insights.end ) {
+			query.set( 'end', insights.end );
+		}
+		if ( refresh ) {
+			query.set( 'refresh', '1' );
+		}
+
+		insights = { ...insights, loading: true, error: '' };
+		render();
+
+		try {
+			const data = await apiFetch( '/insights' + ( query.toString() ? '?' + query.toString() : '' ) );
+			const periodIds = ( data.periods || [] ).map( period => period.id );
+
+			insights = {
+				...insights,
+				start: data.range.start,
+				end: data.range.end,
+				period: periodIds.includes( insights.period ) ? insights.period : '',
+				compare: periodIds.includes( insights.compare ) ? insights.compare : '',
+				data,
+				loading: false,
+			};
+		} catch ( error ) {
+			insights = { ...insights, data: null, loading: false, error: error.message };
+		}
+
+		render();
+	}
+
 	/**
 	 * Make an API request.
 	 *
@@ -88,7 +469,10 @@
 	 * @return {Promise} The fetch promise.
 	 */
 	async function apiFetch( endpoint, options = {} ) {
-		const url = '/wp-json/' + wcsRreData.apiNamespace + endpoint;
+		let url = '/wp-json/' + wcsRreData.apiNamespace + endpoint;
+		if ( isNetwork ) {
+			url += ( endpoint.includes( '?' ) ? '&' : '?' ) + 'network=1';
+		}
 
 		const fetchOptions = {
 			headers: {
@@ -103,7 +487,10 @@
 		const data = await response.json();
 
 		if ( ! response.ok ) {
-			throw new Error( data.message || 'API request failed' );
+			const error = new Error( data.message || 'API request failed' );
+			error.code = data.code || '';
+			error.data = data.data || {};
+			throw error;
 		}
 
 		return data;
@@ -113,782 +500,6827 @@
 	 * Render the entire application.
 	 */
 	function render() {
+		const activeRuleSet = getActiveRuleSet();
+
+		validation = validateRules( rules, getRuleSetPeriodLength( activeRuleSet ) );
+		if ( activeRuleSet ) {
+			validateRuleSet( activeRuleSet ).forEach( message => {
+				validation.global.unshift( { level: 'error', message } );
+				validation.errorCount++;
+			} );
+		}
+
 		app.innerHTML = `
 			<div class="wcs-rre-header">
 				<div class="wcs-rre-status ${isDefault ? 'is-default' : 'is-custom'}">
-					${isDefault ? wcsRreData.strings.usingDefaults : wcsRreData.strings.usingCustom}
+					${getStatusLabel()}
+					${inherits ? ` <span class="wcs-rre-network-note">${wcsRreData.strings.networkOverride}</span>` : ''}
+					${draftDiffersFromLive() ? ` <span class="wcs-rre-draft-badge">${wcsRreData.strings.draftDiffers}</span>` : ''}
 					${hasChanges ? ' <span class="wcs-rre-unsaved">(unsaved changes)</span>' : ''}
+					${renderLastSaved()}
+					${renderDraftSaved()}
+					${renderSchedule()}
 				</div>
 				<div class="wcs-rre-actions">
+					<button type="button" class="button" id="wcs-rre-undo" title="${wcsRreData.strings.undoShortcut}" ${isSaving || ! history.undo.length ? 'disabled' : ''}>
+						${wcsRreData.strings.undo}
+					</button>
+					<button type="button" class="button" id="wcs-rre-redo" title="${wcsRreData.strings.redoShortcut}" ${isSaving || ! history.redo.length ? 'disabled' : ''}>
+						${wcsRreData.strings.redo}
+					</button>
+					<button type="button" class="button" id="wcs-rre-export" ${isSaving ? 'disabled' : ''}>
+						${wcsRreData.strings.export}
+					</button>
+					<button type="button" class="button" id="wcs-rre-import" ${isSaving ? 'disabled' : ''}>
+						${wcsRreData.strings.import}
+					</button>
+					<input type="file" id="wcs-rre-import-file" accept="application/json,.json" hidden>
 					<button type="button" class="button" id="wcs-rre-reset" ${isSaving ? 'disabled' : ''}>
 						${wcsRreData.strings.reset}
 					</button>
-					<button type="button" class="button button-primary" id="wcs-rre-save" ${isSaving ? 'disabled' : ''}>
+					${isNetwork ? '' : `
+						<button type="button" class="button" id="wcs-rre-schedule" ${isSaving ? 'disabled' : ''}>
+							${wcsRreData.strings.schedule}
+						</button>
+					`}
+					${draft ? `
+						<button type="button" class="button" id="wcs-rre-discard-draft" ${isSaving ? 'disabled' : ''}>
+							${wcsRreData.strings.discardDraft}
+						</button>
+					` : ''}
+					<button type="button" class="button" id="wcs-rre-save" ${isSaving ? 'disabled' : ''}>
 						${isSaving ? wcsRreData.strings.saving : wcsRreData.strings.save}
 					</button>
+					<button type="button" class="button button-primary" id="wcs-rre-publish" title="${hasChanges ? escapeAttribute( wcsRreData.strings.publishUnsaved ) : ''}" ${isSaving || ! draft || hasChanges ? 'disabled' : ''}>
+						${wcsRreData.strings.publish}
+					</button>
 				</div>
 			</div>
 
-			<div class="wcs-rre-content">
+			<nav class="nav-tab-wrapper wcs-rre-tabs">
+				<a href="#" class="nav-tab ${activeTab === 'rules' ? 'nav-tab-active' : ''}" data-tab="rules">${wcsRreData.strings.tabRules}</a>
+				${isNetwork ? `<a href="#" class="nav-tab ${activeTab === 'sites' ? 'nav-tab-active' : ''}" data-tab="sites">${wcsRreData.strings.tabSites}</a>` : ''}
+				<a href="#" class="nav-tab ${activeTab === 'activity' ? 'nav-tab-active' : ''}" data-tab="activity">${wcsRreData.strings.tabActivity}</a>
+			</nav>
+
+			${renderTab()}
+			${renderConfirmModal()}
+			${renderTestEmailModal()}
+			${renderScheduleModal()}
+			${renderConflictModal()}
+		`;
+
+		attachEventListeners();
+	}
+
+	/**
+	 * Get the header label for the rules in use.
+	 *
+	 * @return {string} Label.
+	 */
+	function getStatusLabel() {
+		if ( inherits ) {
+			return isDefault ? wcsRreData.strings.usingNetworkNone : wcsRreData.strings.usingNetwork;
+		}
+
+		return isDefault ? wcsRreData.strings.usingDefaults : wcsRreData.strings.usingCustom;
+	}
+
+	/**
+	 * Render the active tab.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderTab() {
+		if ( activeTab === 'activity' ) {
+			return renderActivity();
+		}
+
+		if ( activeTab === 'sites' ) {
+			return renderSites();
+		}
+
+		return renderEditor();
+	}
+
+	/**
+	 * Render the rules editor tab.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderEditor() {
+		return `
+			<div class="wcs-rre-content ${previewPane.open ? 'has-preview' : ''}">
 				<div class="wcs-rre-rules">
+					${isNetwork ? '' : renderRuleSetBar()}
+					<p id="wcs-rre-drag-help" class="screen-reader-text">${wcsRreData.strings.dragInstructions}</p>
 					${renderRulesList()}
 					<button type="button" class="button wcs-rre-add-rule" id="wcs-rre-add">
 						+ ${wcsRreData.strings.addRule}
 					</button>
+					${renderFinalAction()}
 				</div>
 
 				<div class="wcs-rre-side">
+					${renderPreviewPane()}
+					${renderValidationSummary()}
+					${renderPanel( 'presets', wcsRreData.strings.presets, renderPresets )}
+					${isNetwork ? '' : renderPanel( 'templates', wcsRreData.strings.templates, renderEmailTemplates )}
+					${renderPanel( 'simulator', wcsRreData.strings.simulator, renderSimulator )}
+					${isNetwork ? '' : renderPanel( 'insights', wcsRreData.strings.insights, renderInsights )}
+					${isNetwork ? '' : renderPanel( 'experiment', wcsRreData.strings.experiment, renderExperiment )}
+					${renderPanel( 'draft', wcsRreData.strings.draftPanel, renderDraftDiff )}
+					${renderPanel( 'revisions', wcsRreData.strings.revisions, renderRevisions )}
 					<div class="wcs-rre-timeline">
 						<h3>${wcsRreData.strings.timeline}</h3>
-						${renderTimeline()}
+						${renderTimeline( rules, getTimelineInsights() )}
 					</div>
 				</div>
 			</div>
-			${renderPreviewModal()}
 		`;
-
-		attachEventListeners();
 	}
 
 	/**
-	 * Render the list of rules.
+	 * Render the activity tab with the audit log of rule changes.
 	 *
 	 * @return {string} HTML string.
 	 */
-	function renderRulesList() {
-		if ( rules.length === 0 ) {
-			return '<div class="notice notice-info"><p>No rules configured. Click "Add Rule" to create one.</p></div>';
+	function renderActivity() {
+		const strings = wcsRreData.strings;
+
+		let body;
+		if ( activity.loading ) {
+			body = `<p class="wcs-rre-panel-empty">${strings.activityLoading}</p>`;
+		} else if ( activity.error ) {
+			body = `<div class="notice notice-error inline"><p>${escapeHtml( activity.error )}</p></div>`;
+		} else if ( activity.entries.length === 0 ) {
+			body = `<p class="wcs-rre-panel-empty">${strings.activityEmpty}</p>`;
+		} else {
+			body = `
+				<table class="widefat striped wcs-rre-activity-table">
+					<thead>
+						<tr>
+							<th>${strings.activityDate}</th>
+							<th>${strings.activityUser}</th>
+							<th>${strings.activityIp}</th>
+							<th>${strings.activityAction}</th>
+							<th>${strings.activityChanges}</th>
+						</tr>
+					</thead>
+					<tbody>
+						${activity.entries.map( entry => `
+							<tr>
+								<td>${escapeHtml( formatDateTime( entry.timestamp ) )}</td>
+								<td>${escapeHtml( entry.user_name || strings.unknownUser )}</td>
+								<td>
+									${escapeHtml( entry.ip || '' )}
+									${entry.forwarded_for ? `<br><span class="description">${strings.activityForwarded}: ${escapeHtml( entry.forwarded_for )}</span>` : ''}
+								</td>
+								<td>
+									${escapeHtml( getAuditActionLabel( entry.action ) )}
+									${entry.details ? `<br><span class="description">${escapeHtml( entry.details )}</span>` : ''}
+								</td>
+								<td>
+									${entry.changes.length ? `
+										<ul class="wcs-rre-activity-changes">
+											${entry.changes.map( change => `<li>${escapeHtml( describeAuditChange( change ) )}</li>` ).join( '' )}
+										</ul>
+									` : `<span class="description">${strings.diffNoChanges}</span>`}
+								</td>
+							</tr>
+						` ).join( '' )}
+					</tbody>
+				</table>
+			`;
 		}
 
-		return rules.map( ( rule, index ) => renderRuleCard( rule, index ) ).join( '' );
+		return `
+			<div class="wcs-rre-activity">
+				<div class="wcs-rre-activity-filters">
+					<label class="wcs-rre-panel-field">
+						${strings.activityUser}
+						<select id="wcs-rre-activity-user" class="wcs-rre-activity-filter" data-filter="user" ${activity.loading ? 'disabled' : ''}>
+							<option value="0">${strings.activityAllUsers}</option>
+							${activity.users.map( user => `
+								<option value="${user.id}" ${user.id === activity.user ? 'selected' : ''}>${escapeHtml( user.name || strings.unknownUser )}</option>
+							` ).join( '' )}
+						</select>
+					</label>
+					<label class="wcs-rre-panel-field">
+						${strings.insightsFrom}
+						<input type="date" class="wcs-rre-activity-filter" data-filter="start" value="${escapeAttribute( activity.start )}" max="${escapeAttribute( activity.end )}" ${activity.loading ? 'disabled' : ''}>
+					</label>
+					<label class="wcs-rre-panel-field">
+						${strings.insightsTo}
+						<input type="date" class="wcs-rre-activity-filter" data-filter="end" value="${escapeAttribute( activity.end )}" min="${escapeAttribute( activity.start )}" ${activity.loading ? 'disabled' : ''}>
+					</label>
+					<button type="button" class="button" id="wcs-rre-activity-export" ${activity.loading || ! activity.entries.length ? 'disabled' : ''}>
+						${strings.activityExport}
+					</button>
+				</div>
+				${body}
+			</div>
+		`;
 	}
 
 	/**
-	 * Render a single rule card.
+	 * Render the sites tab of the Network Admin page, with the rules each site uses.
 	 *
-	 * @param {Object} rule  The rule object.
-	 * @param {number} index The rule index.
 	 * @return {string} HTML string.
 	 */
-	function renderRuleCard( rule, index ) {
-		const interval = formatInterval( rule.retry_after_interval );
-		const cumulative = formatInterval( getCumulativeTime( index ) );
-
-		return `
-			<div class="wcs-rre-rule-card" data-index="${index}">
-				<div class="wcs-rre-rule-header">
-					<span class="wcs-rre-rule-number">${wcsRreData.strings.rule} ${index + 1}</span>
-					<div class="wcs-rre-rule-actions">
-						${index > 0 ? `<button type="button" class="button-link wcs-rre-move-up" data-index="${index}" title="${wcsRreData.strings.moveUp}">&uarr;</button>` : ''}
-						${index < rules.length - 1 ? `<button type="button" class="button-link wcs-rre-move-down" data-index="${index}" title="${wcsRreData.strings.moveDown}">&darr;</button>` : ''}
-						<button type="button" class="button-link wcs-rre-delete" data-index="${index}">${wcsRreData.strings.deleteRule}</button>
-					</div>
-				</div>
-
-				<div class="wcs-rre-rule-body">
-					<div class="wcs-rre-field">
-						<label>${wcsRreData.strings.retryAfter}</label>
-						<div class="wcs-rre-interval-input">
-							<input type="number" class="wcs-rre-interval-value" data-index="${index}"
-								value="${getIntervalValue( rule.retry_after_interval )}" min="5" step="1">
-							<select class="wcs-rre-interval-unit" data-index="${index}">
-								<option value="60" ${getIntervalUnit( rule.retry_after_interval ) === 60 ? 'selected' : ''}>${wcsRreData.strings.minutes}</option>
-								<option value="3600" ${getIntervalUnit( rule.retry_after_interval ) === 3600 ? 'selected' : ''}>${wcsRreData.strings.hours}</option>
-								<option value="86400" ${getIntervalUnit( rule.retry_after_interval ) === 86400 ? 'selected' : ''}>${wcsRreData.strings.days}</option>
-							</select>
-						</div>
-						<span class="wcs-rre-cumulative">${wcsRreData.strings.cumulativeTime} ${cumulative}</span>
-					</div>
-
-					<div class="wcs-rre-field">
-						<label>${wcsRreData.strings.customerEmail}</label>
-						<select class="wcs-rre-customer-email" data-index="${index}">
-							${renderEmailOptions( 'customer', rule.email_template_customer )}
-						</select>
-					</div>
-
-					<div class="wcs-rre-field">
-						<label>${wcsRreData.strings.adminEmail}</label>
-						<select class="wcs-rre-admin-email" data-index="${index}">
-							${renderEmailOptions( 'admin', rule.email_template_admin )}
-						</select>
-					</div>
+	function renderSites() {
+		const strings = wcsRreData.strings;
+		const sourceLabels = {
+			inherited: strings.sitesInherited,
+			custom: strings.sitesCustom,
+			default: strings.sitesDefault,
+		};
+		const allSelected = sites.list.length > 0 && sites.selected.length === sites.list.length;
 
-					<div class="wcs-rre-field">
-						<label>${wcsRreData.strings.orderStatus}</label>
-						<select class="wcs-rre-order-status" data-index="${index}">
-							${renderStatusOptions( config.order_statuses, rule.status_to_apply_to_order )}
-						</select>
-					</div>
+		let body;
+		if ( sites.loading ) {
+			body = `<p class="wcs-rre-panel-empty">${strings.sitesLoading}</p>`;
+		} else if ( sites.error ) {
+			body = `<div class="notice notice-error inline"><p>${escapeHtml( sites.error )}</p></div>`;
+		} else if ( sites.list.length === 0 ) {
+			body = `<p class="wcs-rre-panel-empty">${strings.sitesEmpty}</p>`;
+		} else {
+			body = `
+				<table class="widefat striped wcs-rre-sites-table">
+					<thead>
+						<tr>
+							<td class="check-column">
+								<input type="checkbox" id="wcs-rre-sites-all" aria-label="${escapeAttribute( strings.sitesSelectAll )}" ${allSelected ? 'checked' : ''} ${sites.pushing ? 'disabled' : ''}>
+							</td>
+							<th>${strings.sitesSite}</th>
+							<th>${strings.sitesRules}</th>
+							<th>${strings.sitesChanged}</th>
+						</tr>
+					</thead>
+					<tbody>
+						${sites.list.map( site => `
+							<tr>
+								<th scope="row" class="check-column">
+									<input type="checkbox" class="wcs-rre-site-select" value="${site.id}" aria-label="${escapeAttribute( site.name )}" ${sites.selected.includes( site.id ) ? 'checked' : ''} ${sites.pushing ? 'disabled' : ''}>
+								</th>
+								<td>
+									<strong><a href="${escapeAttribute( site.admin_url )}">${escapeHtml( site.name || site.url )}</a></strong>
+									<br><span class="description">${escapeHtml( site.url )}</span>
+								</td>
+								<td><span class="wcs-rre-site-source is-${escapeAttribute( site.source )}">${escapeHtml( sourceLabels[ site.source ] || site.source )}</span></td>
+								<td>${site.modified_at ? escapeHtml( formatDateTime( site.modified_at ) ) : '&mdash;'}</td>
+							</tr>
+						` ).join( '' )}
+					</tbody>
+				</table>
+			`;
+		}
 
-					<div class="wcs-rre-field">
-						<label>${wcsRreData.strings.subscriptionStatus}</label>
-						<select class="wcs-rre-subscription-status" data-index="${index}">
-							${renderStatusOptions( config.subscription_statuses, rule.status_to_apply_to_subscription )}
-						</select>
-					</div>
+		return `
+			<div class="wcs-rre-sites">
+				<p class="description">${strings.sitesDesc}</p>
+				<div class="wcs-rre-sites-actions">
+					<button type="button" class="button button-primary" id="wcs-rre-sites-push" ${sites.pushing || ! sites.selected.length ? 'disabled' : ''}>
+						${sites.pushing ? strings.sitesPushing : strings.sitesPush}
+					</button>
 				</div>
-
-				${renderEmailOverrides( rule, index )}
+				${body}
 			</div>
 		`;
 	}
 
 	/**
-	 * Render email template options.
+	 * Get the label of an audit log action.
 	 *
-	 * @param {string} type     Email type (customer or admin).
-	 * @param {string} selected Currently selected value.
-	 * @return {string} HTML options string.
+	 * @param {string} action Action key.
+	 * @return {string} Label.
 	 */
-	function renderEmailOptions( type, selected ) {
-		const options = config.email_templates[ type ] || {};
-		return Object.entries( options ).map( ( [ value, label ] ) =>
-			`<option value="${escapeHtml( value )}" ${value === selected ? 'selected' : ''}>${escapeHtml( label )}</option>`
-		).join( '' );
+	function getAuditActionLabel( action ) {
+		const strings = wcsRreData.strings;
+		const labels = {
+			save_draft: strings.auditSaveDraft,
+			publish: strings.auditPublish,
+			discard_draft: strings.auditDiscardDraft,
+			reset: strings.auditReset,
+			import: strings.auditImport,
+			promote: strings.auditPromote,
+			inherit: strings.auditInherit,
+			push: strings.auditPush,
+			create_schedule: strings.auditSchedCreate,
+			cancel_schedule: strings.auditSchedCancel,
+			schedule_activate: strings.auditSchedActivate,
+			schedule_revert: strings.auditSchedRevert,
+			schedule_skip: strings.auditSchedSkip,
+		};
+
+		return labels[ action ] || action;
 	}
 
 	/**
-	 * Render status options.
+	 * Describe a field-level change from the audit log.
 	 *
-	 * @param {Object} statuses Available statuses.
-	 * @param {string} selected Currently selected value.
-	 * @return {string} HTML options string.
+	 * @param {Object} change Change with type, rule_set, rule, field, from and to.
+	 * @return {string} Description.
 	 */
-	function renderStatusOptions( statuses, selected ) {
-		return Object.entries( statuses || {} ).map( ( [ value, label ] ) =>
-			`<option value="${escapeHtml( value )}" ${value === selected ? 'selected' : ''}>${escapeHtml( label )}</option>`
-		).join( '' );
+	function describeAuditChange( change ) {
+		const strings = wcsRreData.strings;
+		const scope = change.rule_set || strings.ruleSetGlobal;
+		const typeLabels = {
+			added: strings.diffAdded,
+			removed: strings.diffRemoved,
+		};
+
+		if ( change.field && change.field.startsWith( 'final_action.' ) ) {
+			return `${strings.finalOutcome}, ${getFinalFieldLabel( change.field )}: ${formatFinalFieldValue( change.field, change.from )} -> ${formatFinalFieldValue( change.field, change.to )}`;
+		}
+
+		if ( change.rule === null ) {
+			if ( change.type !== 'changed' ) {
+				return `${strings.auditRuleSet} ${scope}: ${typeLabels[ change.type ]}`;
+			}
+
+			const label = change.field === 'name' ? strings.ruleSetName : strings.auditConditions;
+			return `${scope}, ${label}: ${formatFieldValue( change.field, change.from )} -> ${formatFieldValue( change.field, change.to )}`;
+		}
+
+		const prefix = `${scope}, ${strings.rule} ${change.rule}`;
+		if ( change.type !== 'changed' ) {
+			return `${prefix}: ${typeLabels[ change.type ]}`;
+		}
+
+		return `${prefix}, ${getFieldLabel( change.field )}: ${formatFieldValue( change.field, change.from )} -> ${formatFieldValue( change.field, change.to )}`;
 	}
 
 	/**
-	 * Render the timeline preview.
+	 * Get the label of a final action field from the audit log.
 	 *
-	 * @return {string} HTML string.
+	 * @param {string} field Dotted field, e.g. final_action.outcomes.cancel.note.
+	 * @return {string} Label.
 	 */
-	function renderTimeline() {
-		if ( rules.length === 0 ) {
-			return '<div class="wcs-rre-timeline-empty">Add rules to see the timeline preview.</div>';
+	function getFinalFieldLabel( field ) {
+		const strings = wcsRreData.strings;
+		const [ , key, choice, outcomeField ] = field.split( '.' );
+		const labels = {
+			action: strings.finalChoice,
+			hold_days: strings.finalHoldDays,
+			none: strings.finalNone,
+			cancel: strings.finalCancel,
+			hold: strings.finalHold,
+			order_status: strings.orderStatus,
+			subscription_status: strings.subscriptionStatus,
+			email: strings.finalEmail,
+			note: strings.finalNote,
+		};
+
+		if ( key !== 'outcomes' ) {
+			return labels[ key ] || key;
 		}
 
-		let html = '<div class="wcs-rre-timeline-list">';
-		html += `<div class="wcs-rre-timeline-item wcs-rre-timeline-start">
-			<span class="wcs-rre-timeline-marker"></span>
-			<span class="wcs-rre-timeline-label">${wcsRreData.strings.paymentFails}</span>
-		</div>`;
+		return `${labels[ choice ] || choice} - ${labels[ outcomeField ] || outcomeField}`;
+	}
 
-		rules.forEach( ( rule, index ) => {
-			const cumulative = formatInterval( getCumulativeTime( index ) );
-			const hasCustomerEmail = rule.email_template_customer !== '';
-			const hasAdminEmail = rule.email_template_admin !== '';
+	/**
+	 * Format a final action value from the audit log for display.
+	 *
+	 * @param {string} field Dotted field, e.g. final_action.outcomes.cancel.email.
+	 * @param {*}      value Field value.
+	 * @return {string} Display value.
+	 */
+	function formatFinalFieldValue( field, value ) {
+		const strings = wcsRreData.strings;
+		const key = field.split( '.' ).pop();
 
-			let emailInfo = '';
-			if ( hasCustomerEmail || hasAdminEmail ) {
-				const emails = [];
-				if ( hasCustomerEmail ) emails.push( 'Customer' );
-				if ( hasAdminEmail ) emails.push( 'Admin' );
-				emailInfo = ` (${emails.join( ' + ' )} notified)`;
-			}
+		if ( value === undefined || value === null || value === '' ) {
+			return strings.emptyValue;
+		}
 
-			html += `<div class="wcs-rre-timeline-item">
-				<span class="wcs-rre-timeline-marker"></span>
-				<span class="wcs-rre-timeline-time">+${cumulative}</span>
-				<span class="wcs-rre-timeline-label">${wcsRreData.strings.retryAttempt} ${index + 1}${emailInfo}</span>
-			</div>`;
-		} );
+		if ( key === 'action' ) {
+			return { none: strings.finalNone, cancel: strings.finalCancel, hold: strings.finalHold }[ value ] || value;
+		}
 
-		html += `<div class="wcs-rre-timeline-item wcs-rre-timeline-end">
-			<span class="wcs-rre-timeline-marker"></span>
-			<span class="wcs-rre-timeline-label">${wcsRreData.strings.afterAllRetries}</span>
-		</div>`;
+		if ( key === 'order_status' ) {
+			return formatFieldValue( 'status_to_apply_to_order', value );
+		}
 
-		html += '</div>';
-		return html;
+		if ( key === 'subscription_status' ) {
+			const statuses = Object.assign( {}, ...Object.values( config.final_action ? config.final_action.subscription_statuses : {} ) );
+			return statuses[ value ] || value;
+		}
+
+		return key === 'email' ? getFinalEmailName( value ) : String( value );
 	}
 
 	/**
-	 * Render email override fields.
+	 * Render the rule set switcher and the active set's settings.
 	 *
-	 * @param {Object} rule  The rule object.
-	 * @param {number} index Rule index.
 	 * @return {string} HTML string.
 	 */
-	function renderEmailOverrides( rule, index ) {
-		const customerGroup = renderEmailOverrideGroup( 'customer', rule, index );
-		const adminGroup = renderEmailOverrideGroup( 'admin', rule, index );
-
-		if ( ! customerGroup && ! adminGroup ) {
-			return '';
-		}
+	function renderRuleSetBar() {
+		const strings = wcsRreData.strings;
+		const activeRuleSet = getActiveRuleSet();
+		const options = ruleSets.map( set => `
+			<option value="${escapeAttribute( set.id )}" ${set.id === activeSet ? 'selected' : ''}>${escapeHtml( set.name || strings.ruleSetNewName )}</option>
+		` ).join( '' );
 
 		return `
-			<div class="wcs-rre-email-overrides">
-				<h4>${wcsRreData.strings.emailOverridesTitle}</h4>
-				<p class="description">${wcsRreData.strings.emailOverridesDesc}</p>
-				${customerGroup}
-				${adminGroup}
+			<div class="wcs-rre-rule-sets">
+				<div class="wcs-rre-rule-set-bar">
+					<label for="wcs-rre-set-select">${strings.ruleSets}</label>
+					<select id="wcs-rre-set-select">
+						<option value="" ${activeSet ? '' : 'selected'}>${strings.ruleSetGlobal}</option>
+						${options}
+					</select>
+					<button type="button" class="button" id="wcs-rre-set-add" ${isSaving ? 'disabled' : ''}>${strings.ruleSetAdd}</button>
+					${activeRuleSet ? `<button type="button" class="button-link wcs-rre-rule-set-delete" id="wcs-rre-set-delete" ${isSaving ? 'disabled' : ''}>${strings.ruleSetDelete}</button>` : ''}
+				</div>
+				${activeRuleSet ? renderRuleSetSettings( activeRuleSet ) : `<p class="description">${strings.ruleSetGlobalDesc}</p>`}
 			</div>
 		`;
 	}
 
 	/**
-	 * Render email override group.
+	 * Render the name and match conditions of a rule set.
 	 *
-	 * @param {string} recipient Recipient type.
-	 * @param {Object} rule      Rule data.
-	 * @param {number} index     Rule index.
+	 * @param {Object} set Rule set.
 	 * @return {string} HTML string.
 	 */
-	function renderEmailOverrideGroup( recipient, rule, index ) {
-		const isCustomer = recipient === 'customer';
-		const label = isCustomer ? wcsRreData.strings.emailCustomerLabel : wcsRreData.strings.emailAdminLabel;
-		const disabled = isCustomer ? ! rule.email_template_customer : ! rule.email_template_admin;
-		if ( disabled ) {
-			return '';
-		}
-		const disabledAttr = disabled ? 'disabled' : '';
-		const subjectKey = `email_subject_${recipient}`;
-		const headingKey = `email_heading_${recipient}`;
-		const additionalKey = `email_additional_content_${recipient}`;
-		const overrideKey = `email_override_${recipient}`;
-		const overrideEnabled = Boolean( rule[ overrideKey ] );
-		const defaults = config.email_preview && config.email_preview[ recipient ]
-			? config.email_preview[ recipient ]
-			: { default_subject: '', default_heading: '', default_additional: '' };
-		const placeholders = wcsRreData.emailPlaceholders && wcsRreData.emailPlaceholders[ recipient ]
-			? wcsRreData.emailPlaceholders[ recipient ]
-			: [];
-		const placeholderTip = placeholders.length
-			? `<span class="woocommerce-help-tip" data-tip="${escapeAttribute( `${wcsRreData.strings.emailPlaceholders} ${placeholders.join( ', ' )}` )}"></span>`
-			: '';
+	function renderRuleSetSettings( set ) {
+		const strings = wcsRreData.strings;
+		const options = config.condition_options || {};
+		const fields = [
+			[ 'products', strings.condProducts ],
+			[ 'categories', strings.condCategories ],
+			[ 'payment_methods', strings.condPaymentMethods ],
+			[ 'billing_periods', strings.condBillingPeriods ],
+		];
+
+		const conditions = fields.map( ( [ key, label ] ) => {
+			const selected = ( set.conditions[ key ] || [] ).map( String );
+			if ( 'products' === key ) {
+				return renderProductCondition( selected, label );
+			}
+
+			const choices = options[ key ] || [];
+
+			return `
+				<div class="wcs-rre-field">
+					<label for="wcs-rre-set-${key}">${label}</label>
+					${choices.length ? `
+						<select id="wcs-rre-set-${key}" class="wcs-rre-set-condition" data-condition="${key}" multiple size="4">
+							${choices.map( choice => `
+								<option value="${escapeAttribute( choice.value )}" ${selected.includes( String( choice.value ) ) ? 'selected' : ''}>${escapeHtml( choice.label )}</option>
+							` ).join( '' )}
+						</select>
+					` : `<p class="description">${strings.condNoOptions}</p>`}
+				</div>
+			`;
+		} ).join( '' );
 
 		return `
-			<div class="wcs-rre-email-group ${disabled ? 'is-disabled' : ''}">
-				<div class="wcs-rre-email-group-header">
-					<span>${label} ${placeholderTip}</span>
-					<button type="button" class="button wcs-rre-email-preview" data-index="${index}" data-recipient="${recipient}" ${disabledAttr}>
-						${wcsRreData.strings.emailPreview}
-					</button>
+			<div class="wcs-rre-rule-set-settings">
+				<div class="wcs-rre-field">
+					<label for="wcs-rre-set-name">${strings.ruleSetName}</label>
+					<input type="text" id="wcs-rre-set-name" class="regular-text" value="${escapeAttribute( set.name )}">
 				</div>
-				<label class="wcs-rre-email-toggle">
-					<input type="checkbox" class="wcs-rre-email-override-toggle" data-index="${index}" data-field="${overrideKey}" ${overrideEnabled ? 'checked' : ''}>
-					${wcsRreData.strings.emailOverrideToggle}
-				</label>
-				${overrideEnabled ? `
-					<div class="wcs-rre-email-fields">
-						<div class="wcs-rre-email-field">
-							<label>${wcsRreData.strings.emailSubject}</label>
-							<input type="text" class="wcs-rre-email-override-input" data-index="${index}" data-field="${subjectKey}"
-								value="${escapeHtml( rule[ subjectKey ] || '' )}" placeholder="${escapeHtml( defaults.default_subject || '' )}">
-						</div>
-						<div class="wcs-rre-email-field">
-							<label>${wcsRreData.strings.emailHeading}</label>
-							<input type="text" class="wcs-rre-email-override-input" data-index="${index}" data-field="${headingKey}"
-								value="${escapeHtml( rule[ headingKey ] || '' )}" placeholder="${escapeHtml( defaults.default_heading || '' )}">
-						</div>
-						<div class="wcs-rre-email-field wcs-rre-email-field--full">
-							<label>${wcsRreData.strings.emailAdditional}</label>
-							<textarea class="wcs-rre-email-override-input" data-index="${index}" data-field="${additionalKey}" rows="3"
-								placeholder="${escapeHtml( defaults.default_additional || '' )}">${escapeHtml( rule[ additionalKey ] || '' )}</textarea>
-						</div>
-					</div>
-				` : ''}
+				<div class="wcs-rre-rule-set-conditions">${conditions}</div>
+				<p class="description">${strings.ruleSetMatchHelp}</p>
 			</div>
 		`;
 	}
 
 	/**
-	 * Render preview modal.
+	 * Render the product condition of a rule set: a search box and a list of
+	 * the selected products followed by the search results.
 	 *
+	 * @param {Array}  selected Selected product IDs, as strings.
+	 * @param {string} label    Field label.
 	 * @return {string} HTML string.
 	 */
-	function renderPreviewModal() {
-		if ( ! previewModal.open ) {
-			return '';
-		}
-
-		const body = previewModal.loading
-			? `<div class="wcs-rre-modal-loading">${wcsRreData.strings.emailPreviewLoad}</div>`
-			: previewModal.error
-				? `<div class="wcs-rre-modal-error">${wcsRreData.strings.emailPreviewError} ${escapeHtml( previewModal.error )}</div>`
-				: `
-					<div class="wcs-rre-modal-meta">
-						<div><strong>${wcsRreData.strings.emailPreviewSubject}:</strong> ${escapeHtml( previewModal.subject || '' )}</div>
-						<div><strong>${wcsRreData.strings.emailPreviewHeading}:</strong> ${escapeHtml( previewModal.heading || '' )}</div>
-					</div>
-					<div class="wcs-rre-modal-frame">
-						<iframe title="${wcsRreData.strings.emailPreviewTitle}" srcdoc="${escapeAttribute( previewModal.html || '' )}"></iframe>
-					</div>
-				`;
+	function renderProductCondition( selected, label ) {
+		const strings = wcsRreData.strings;
+		const choices = [
+			...selected.map( id => ( { value: id, label: productSearch.labels[ id ] || `#${ id }` } ) ),
+			...productSearch.results.filter( choice => ! selected.includes( String( choice.value ) ) ),
+		];
 
 		return `
-			<div class="wcs-rre-modal-backdrop" data-modal-backdrop="true">
-				<div class="wcs-rre-modal" role="dialog" aria-modal="true" aria-label="${wcsRreData.strings.emailPreviewTitle}">
-					<div class="wcs-rre-modal-header">
-						<h3>${wcsRreData.strings.emailPreviewTitle}</h3>
-						<button type="button" class="button wcs-rre-modal-close" data-modal-close="true">
-							${wcsRreData.strings.emailPreviewClose}
-						</button>
-					</div>
-					${body}
-				</div>
+			<div class="wcs-rre-field">
+				<label for="wcs-rre-set-product-search">${label}</label>
+				<input type="search" id="wcs-rre-set-product-search" class="regular-text" placeholder="${escapeAttribute( strings.productSearch )}" value="${escapeAttribute( productSearch.term )}">
+				${choices.length ? `
+					<select id="wcs-rre-set-products" class="wcs-rre-set-condition" data-condition="products" multiple size="4" aria-label="${escapeAttribute( label )}">
+						${choices.map( choice => `
+							<option value="${escapeAttribute( choice.value )}" ${selected.includes( String( choice.value ) ) ? 'selected' : ''}>${escapeHtml( choice.label )}</option>
+						` ).join( '' )}
+					</select>
+				` : `<p class="description">${productSearch.term ? strings.productNoMatch : strings.productSearchHelp}</p>`}
 			</div>
 		`;
 	}
 
 	/**
-	 * Get cumulative time up to and including a rule index.
+	 * Render who last saved the rules and when.
 	 *
-	 * @param {number} index Rule index.
-	 * @return {number} Total seconds.
+	 * @return {string} HTML string.
 	 */
-	function getCumulativeTime( index ) {
-		let total = 0;
-		for ( let i = 0; i <= index; i++ ) {
-			total += rules[ i ].retry_after_interval;
+	function renderLastSaved() {
+		if ( isDefault || ! rulesMeta.modified_at ) {
+			return '';
 		}
-		return total;
+
+		const author = rulesMeta.modified_by_name
+			? ` ${wcsRreData.strings.savedBy} ${escapeHtml( rulesMeta.modified_by_name )}`
+			: '';
+
+		return `<span class="wcs-rre-last-saved">${wcsRreData.strings.lastSaved} ${escapeHtml( formatDateTime( rulesMeta.modified_at ) )}${author}</span>`;
 	}
 
 	/**
-	 * Format interval in seconds to human-readable string.
+	 * Render who saved the draft and when.
 	 *
-	 * @param {number} seconds Interval in seconds.
-	 * @return {string} Formatted string.
+	 * @return {string} HTML string.
 	 */
-	function formatInterval( seconds ) {
-		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
-			const days = seconds / 86400;
-			return days + ' ' + ( days === 1 ? 'day' : wcsRreData.strings.days );
-		}
-		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
-			const hours = seconds / 3600;
-			return hours + ' ' + ( hours === 1 ? 'hour' : wcsRreData.strings.hours );
+	function renderDraftSaved() {
+		if ( ! draft || ! draft.modified_at ) {
+			return '';
 		}
-		const minutes = Math.round( seconds / 60 );
-		return minutes + ' ' + ( minutes === 1 ? 'minute' : wcsRreData.strings.minutes );
+
+		const author = draft.modified_by_name
+			? ` ${wcsRreData.strings.savedBy} ${escapeHtml( draft.modified_by_name )}`
+			: '';
+
+		return `<span class="wcs-rre-last-saved">${wcsRreData.strings.draftSaved} ${escapeHtml( formatDateTime( draft.modified_at ) )}${author}</span>`;
 	}
 
 	/**
-	 * Get the numeric value for an interval (in the best unit).
+	 * Render the pending scheduled activation or revert.
 	 *
-	 * @param {number} seconds Interval in seconds.
-	 * @return {number} Value in the appropriate unit.
+	 * @return {string} HTML string.
 	 */
-	function getIntervalValue( seconds ) {
-		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
-			return seconds / 86400;
+	function renderSchedule() {
+		if ( ! schedule ) {
+			return '';
 		}
-		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
-			return seconds / 3600;
+
+		const strings = wcsRreData.strings;
+		let message;
+		if ( schedule.status === 'active' ) {
+			message = formatString( strings.scheduleReverting, formatDateTime( schedule.revert_at ) );
+		} else {
+			message = formatString( strings.schedulePending, formatDateTime( schedule.activate_at ), schedule.created_by_name || strings.unknownUser );
+			if ( schedule.revert_at ) {
+				message += ' ' + formatString( strings.scheduleRevertAt, formatDateTime( schedule.revert_at ) );
+			}
 		}
-		return Math.round( seconds / 60 );
+
+		return `
+			<span class="wcs-rre-schedule-status">
+				${escapeHtml( message )}
+				<button type="button" class="button-link" id="wcs-rre-schedule-cancel">
+					${schedule.status === 'active' ? strings.scheduleKeep : strings.scheduleCancel}
+				</button>
+			</span>
+		`;
 	}
 
 	/**
-	 * Get the unit multiplier for an interval.
+	 * Render the validation summary panel.
 	 *
-	 * @param {number} seconds Interval in seconds.
-	 * @return {number} Unit multiplier (60, 3600, or 86400).
+	 * @return {string} HTML string.
 	 */
-	function getIntervalUnit( seconds ) {
-		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
-			return 86400;
+	function renderValidationSummary() {
+		const items = [];
+
+		validation.global.forEach( issue => {
+			items.push( `<li class="is-${issue.level}">${escapeHtml( issue.message )}</li>` );
+		} );
+
+		validation.rules.forEach( ( issues, index ) => {
+			issues.forEach( issue => {
+				items.push( `
+					<li class="is-${issue.level}">
+						<button type="button" class="button-link wcs-rre-issue-link" data-index="${index}">${wcsRreData.strings.rule} ${index + 1}</button>:
+						${escapeHtml( issue.message )}
+					</li>
+				` );
+			} );
+		} );
+
+		const counts = [];
+		if ( validation.errorCount ) {
+			counts.push( formatString( wcsRreData.strings.validationErrors, validation.errorCount ) );
 		}
-		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
-			return 3600;
+		if ( validation.warningCount ) {
+			counts.push( formatString( wcsRreData.strings.validationWarnings, validation.warningCount ) );
 		}
-		return 60;
+
+		return `
+			<div class="wcs-rre-panel wcs-rre-validation ${validation.errorCount ? 'has-errors' : validation.warningCount ? 'has-warnings' : 'is-valid'}">
+				<h3 class="wcs-rre-panel-title">
+					${wcsRreData.strings.validation}
+					<span class="wcs-rre-validation-count">${counts.length ? counts.join( ', ' ) : ''}</span>
+				</h3>
+				<div class="wcs-rre-panel-body">
+					${items.length
+						? `<ul class="wcs-rre-issues">${items.join( '' )}</ul>`
+						: `<p class="wcs-rre-validation-ok">${wcsRreData.strings.validationOk}</p>`}
+				</div>
+			</div>
+		`;
 	}
 
 	/**
-	 * Attach event listeners to rendered elements.
+	 * Render a list of validation issues for a rule card.
+	 *
+	 * @param {Array} issues Issues as { level, message }.
+	 * @return {string} HTML string.
 	 */
-	function attachEventListeners() {
-		// Save button
-		const saveBtn = document.getElementById( 'wcs-rre-save' );
-		if ( saveBtn ) {
-			saveBtn.addEventListener( 'click', handleSave );
+	function renderIssues( issues ) {
+		if ( issues.length === 0 ) {
+			return '';
 		}
 
-		// Reset button
-		const resetBtn = document.getElementById( 'wcs-rre-reset' );
-		if ( resetBtn ) {
-			resetBtn.addEventListener( 'click', handleReset );
-		}
+		return `
+			<ul class="wcs-rre-issues wcs-rre-rule-issues">
+				${issues.map( issue => `<li class="is-${issue.level}">${escapeHtml( issue.message )}</li>` ).join( '' )}
+			</ul>
+		`;
+	}
 
-		// Add rule button
-		const addBtn = document.getElementById( 'wcs-rre-add' );
-		if ( addBtn ) {
-			addBtn.addEventListener( 'click', handleAddRule );
+	/**
+	 * Get the card class for a rule's most severe issue.
+	 *
+	 * @param {Array} issues Issues as { level, message }.
+	 * @return {string} Class name.
+	 */
+	function getIssueClass( issues ) {
+		if ( ! issues || issues.length === 0 ) {
+			return '';
 		}
 
-		// Delete buttons
-		document.querySelectorAll( '.wcs-rre-delete' ).forEach( btn => {
-			btn.addEventListener( 'click', handleDeleteRule );
-		} );
+		return issues.some( issue => issue.level === 'error' ) ? 'has-errors' : 'has-warnings';
+	}
 
-		// Move up buttons
-		document.querySelectorAll( '.wcs-rre-move-up' ).forEach( btn => {
-			btn.addEventListener( 'click', handleMoveUp );
-		} );
+	/**
+	 * Render a collapsible side panel.
+	 *
+	 * @param {string}   id            Panel ID.
+	 * @param {string}   title         Panel title.
+	 * @param {Function} renderContent Callback returning the body HTML, only called when open.
+	 * @return {string} HTML string.
+	 */
+	function renderPanel( id, title, renderContent ) {
+		const isOpen = Boolean( openPanels[ id ] );
 
-		// Move down buttons
-		document.querySelectorAll( '.wcs-rre-move-down' ).forEach( btn => {
-			btn.addEventListener( 'click', handleMoveDown );
-		} );
+		return `
+			<div class="wcs-rre-panel ${isOpen ? 'is-open' : ''}" data-panel="${id}">
+				<button type="button" class="wcs-rre-panel-toggle" data-panel="${id}" aria-expanded="${isOpen ? 'true' : 'false'}">
+					${title}
+				</button>
+				${isOpen ? `<div class="wcs-rre-panel-body">${renderContent()}</div>` : ''}
+			</div>
+		`;
+	}
 
-		// Field change listeners
-		document.querySelectorAll( '.wcs-rre-interval-value, .wcs-rre-interval-unit' ).forEach( el => {
-			el.addEventListener( 'change', handleIntervalChange );
-		} );
+	/**
+	 * Render the presets panel.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderPresets() {
+		const selected = getSelectedPreset();
 
-		document.querySelectorAll( '.wcs-rre-customer-email' ).forEach( el => {
-			el.addEventListener( 'change', handleFieldChange( 'email_template_customer' ) );
-		} );
+		const renderGroup = ( builtin, label ) => {
+			const items = presets.filter( preset => Boolean( preset.builtin ) === builtin );
+			if ( items.length === 0 ) {
+				return '';
+			}
 
-		document.querySelectorAll( '.wcs-rre-admin-email' ).forEach( el => {
+			return `<optgroup label="${escapeAttribute( label )}">${items.map( preset =>
+				`<option value="${escapeAttribute( preset.id )}" ${selected && preset.id === selected.id ? 'selected' : ''}>${escapeHtml( preset.name )}</option>`
+			).join( '' )}</optgroup>`;
+		};
+
+		return `
+			${selected ? `
+				<div class="wcs-rre-presets">
+					<label class="wcs-rre-panel-field">
+						${wcsRreData.strings.presetStart}
+						<select id="wcs-rre-preset-select">
+							${renderGroup( true, wcsRreData.strings.presetBuiltIn )}
+							${renderGroup( false, wcsRreData.strings.presetCustom )}
+						</select>
+					</label>
+					<p class="description">${escapeHtml( selected.description || formatString( wcsRreData.strings.presetRuleCount, ( selected.rules || [] ).length ) )}</p>
+					<div class="wcs-rre-panel-actions">
+						<button type="button" class="button" id="wcs-rre-preset-apply" ${isSaving ? 'disabled' : ''}>
+							${wcsRreData.strings.presetApply}
+						</button>
+						${selected.builtin ? '' : `<button type="button" class="button-link wcs-rre-preset-delete" id="wcs-rre-preset-delete">${wcsRreData.strings.presetDelete}</button>`}
+					</div>
+				</div>
+			` : ''}
+			<div class="wcs-rre-preset-save">
+				<label class="wcs-rre-panel-field">
+					${wcsRreData.strings.presetSaveTitle}
+					<input type="text" id="wcs-rre-preset-name" placeholder="${escapeAttribute( wcsRreData.strings.presetName )}">
+				</label>
+				<button type="button" class="button" id="wcs-rre-preset-save" ${isSaving || rules.length === 0 ? 'disabled' : ''}>
+					${wcsRreData.strings.presetSave}
+				</button>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the named email templates panel.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderEmailTemplates() {
+		const strings = wcsRreData.strings;
+		const options = emailTemplates.map( template => `
+			<option value="${escapeAttribute( template.id )}" ${template.id === templateDraft.id ? 'selected' : ''}>
+				${escapeHtml( template.name )} (${template.recipient === 'customer' ? strings.emailCustomerLabel : strings.emailAdminLabel})
+			</option>
+		` ).join( '' );
+		const field = ( label, input ) => `
+			<label class="wcs-rre-panel-field">
+				${label}
+				${input}
+			</label>
+		`;
+
+		return `
+			<div class="wcs-rre-templates">
+				${field( strings.templateSelect, `
+					<select id="wcs-rre-template-select">
+						<option value="">${strings.templateNew}</option>
+						${options}
+					</select>
+				` )}
+				${field( strings.templateName, `<input type="text" class="wcs-rre-template-field" data-field="name" value="${escapeAttribute( templateDraft.name )}">` )}
+				${field( strings.templateRecipient, `
+					<select class="wcs-rre-template-field" data-field="recipient">
+						<option value="customer" ${templateDraft.recipient === 'customer' ? 'selected' : ''}>${strings.emailCustomerLabel}</option>
+						<option value="admin" ${templateDraft.recipient === 'admin' ? 'selected' : ''}>${strings.emailAdminLabel}</option>
+					</select>
+				` )}
+				${field( strings.emailSubject, `<input type="text" class="wcs-rre-template-field" data-field="subject" value="${escapeAttribute( templateDraft.subject )}">` )}
+				${field( strings.emailHeading, `<input type="text" class="wcs-rre-template-field" data-field="heading" value="${escapeAttribute( templateDraft.heading )}">` )}
+				${field( strings.templateBody, `<textarea class="wcs-rre-template-field" data-field="body" rows="6">${escapeHtml( templateDraft.body )}</textarea>` )}
+				<p class="description">${strings.templateHelp}</p>
+				<div class="wcs-rre-panel-actions">
+					<button type="button" class="button" id="wcs-rre-template-save" ${isSaving ? 'disabled' : ''}>
+						${strings.templateSave}
+					</button>
+					${templateDraft.id ? `<button type="button" class="button-link wcs-rre-template-delete" id="wcs-rre-template-delete">${strings.templateDelete}</button>` : ''}
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Get the form values of a new email template.
+	 *
+	 * @return {Object} Template draft.
+	 */
+	function getEmptyTemplate() {
+		return {
+			id: '',
+			name: '',
+			recipient: 'customer',
+			subject: '',
+			heading: '',
+			body: '',
+		};
+	}
+
+	/**
+	 * Get the preset currently selected in the presets panel.
+	 *
+	 * @return {Object|undefined} Preset.
+	 */
+	function getSelectedPreset() {
+		return presets.find( preset => preset.id === selectedPreset ) || presets[ 0 ];
+	}
+
+	/**
+	 * Render the failed-payment journey simulator.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderSimulator() {
+		if ( rules.length === 0 ) {
+			return `<div class="wcs-rre-panel-empty">${wcsRreData.strings.timelineEmpty}</div>`;
+		}
+
+		const start = simulator.start || config.store_time || '';
+		const successAt = Math.min( simulator.successAt, rules.length );
+		const steps = simulateJourney( rules, parseStoreTime( start ), successAt );
+
+		const attemptOptions = rules.map( ( rule, index ) =>
+			`<option value="${index + 1}" ${successAt === index + 1 ? 'selected' : ''}>${wcsRreData.strings.retryAttempt} ${index + 1}</option>`
+		).join( '' );
+
+		return `
+			<div class="wcs-rre-sim-controls">
+				<label class="wcs-rre-panel-field">
+					${wcsRreData.strings.simStart}
+					<input type="datetime-local" id="wcs-rre-sim-start" value="${escapeAttribute( start )}">
+				</label>
+				<label class="wcs-rre-panel-field">
+					${wcsRreData.strings.simSuccessAt}
+					<select id="wcs-rre-sim-success">
+						<option value="0" ${successAt === 0 ? 'selected' : ''}>${wcsRreData.strings.simNever}</option>
+						${attemptOptions}
+					</select>
+				</label>
+				${config.timezone ? `<p class="description">${wcsRreData.strings.simTimezone} ${escapeHtml( config.timezone )}</p>` : ''}
+			</div>
+			<ol class="wcs-rre-sim-steps">
+				${steps.map( renderSimulatorStep ).join( '' )}
+			</ol>
+		`;
+	}
+
+	/**
+	 * Render one simulator step.
+	 *
+	 * @param {Object} step Step from simulateJourney().
+	 * @return {string} HTML string.
+	 */
+	function renderSimulatorStep( step ) {
+		const titles = {
+			failure: wcsRreData.strings.paymentFails,
+			'retry-failed': formatString( wcsRreData.strings.simAttemptFails, step.attempt ),
+			'retry-succeeded': formatString( wcsRreData.strings.simAttemptSucceeds, step.attempt ),
+			skipped: formatString( wcsRreData.strings.simAttemptSkipped, step.attempt ),
+		};
+
+		if ( step.type === 'skipped' ) {
+			return `
+				<li class="wcs-rre-sim-step is-skipped">
+					<span class="wcs-rre-sim-date">${escapeHtml( formatStoreTime( step.time ) )}</span>
+					<span class="wcs-rre-sim-title">${titles.skipped}</span>
+				</li>
+			`;
+		}
+
+		const emails = step.emails.length
+			? step.emails.map( recipient => recipient === 'customer' ? wcsRreData.strings.emailCustomerLabel : wcsRreData.strings.emailAdminLabel ).join( ', ' )
+			: wcsRreData.strings.simNoEmails;
+
+		return `
+			<li class="wcs-rre-sim-step is-${step.type}">
+				<span class="wcs-rre-sim-date">${escapeHtml( formatStoreTime( step.time ) )}</span>
+				<span class="wcs-rre-sim-title">${titles[ step.type ]}</span>
+				<dl>
+					<dt>${wcsRreData.strings.orderStatus}</dt>
+					<dd>${escapeHtml( formatFieldValue( 'status_to_apply_to_order', step.orderStatus ) )}</dd>
+					<dt>${wcsRreData.strings.subscriptionStatus}</dt>
+					<dd>${escapeHtml( formatFieldValue( 'status_to_apply_to_subscription', step.subscriptionStatus ) )}</dd>
+					<dt>${wcsRreData.strings.simEmails}</dt>
+					<dd>${escapeHtml( emails )}</dd>
+				</dl>
+				${step.nextRetry !== null ? `<span class="wcs-rre-sim-note">${wcsRreData.strings.simNextRetry} ${escapeHtml( formatStoreTime( step.nextRetry ) )}</span>` : ''}
+				${step.type === 'retry-failed' && step.nextRetry === null ? `<span class="wcs-rre-sim-note">${escapeHtml( formatString( wcsRreData.strings.afterAllRetries, summarizeFinalAction() ) )}</span>` : ''}
+			</li>
+		`;
+	}
+
+	/**
+	 * Simulate the failed-payment journey for a rule list.
+	 *
+	 * Mirrors how WooCommerce Subscriptions applies rules: when a payment
+	 * fails, the next rule's statuses and emails are applied straight away
+	 * and the retry is scheduled after its interval, or at its set time. When a retry fails and
+	 * no rule is left, the order fails and the subscription stays on hold.
+	 *
+	 * @param {Array}  list      Rules.
+	 * @param {number} start     Failure time in store-time milliseconds.
+	 * @param {number} successAt Attempt number that succeeds, or 0 for none.
+	 * @return {Array} Steps in chronological order.
+	 */
+	function simulateJourney( list, start, successAt ) {
+		const steps = [];
+		let time = start;
+
+		for ( let attempt = 0; attempt <= list.length; attempt++ ) {
+			const rule = list[ attempt ];
+			const type = attempt === 0 ? 'failure' : 'retry-failed';
+
+			if ( attempt > 0 && attempt === successAt ) {
+				steps.push( {
+					type: 'retry-succeeded',
+					attempt,
+					time,
+					orderStatus: 'processing',
+					subscriptionStatus: 'active',
+					emails: [],
+					nextRetry: null,
+				} );
+
+				// Show the remaining attempts that no longer happen.
+				for ( let skipped = attempt; skipped < list.length; skipped++ ) {
+					time = resolveRetryTime( list[ skipped ], time );
+					steps.push( { type: 'skipped', attempt: skipped + 1, time } );
+				}
+				break;
+			}
+
+			if ( ! rule ) {
+				steps.push( {
+					type,
+					attempt,
+					time,
+					orderStatus: 'failed',
+					subscriptionStatus: 'on-hold',
+					emails: [],
+					nextRetry: null,
+				} );
+				break;
+			}
+
+			const emails = [];
+			if ( rule.email_template_customer ) {
+				emails.push( 'customer' );
+			}
+			if ( rule.email_template_admin ) {
+				emails.push( 'admin' );
+			}
+
+			const nextRetry = resolveRetryTime( rule, time );
+
+			steps.push( {
+				type,
+				attempt,
+				time,
+				orderStatus: rule.status_to_apply_to_order,
+				subscriptionStatus: rule.status_to_apply_to_subscription,
+				emails,
+				nextRetry,
+			} );
+
+			time = nextRetry;
+		}
+
+		return steps;
+	}
+
+	/**
+	 * Parse a datetime-local value as store wall-clock time.
+	 *
+	 * Store times are handled as UTC timestamps so that the browser's own
+	 * time zone never shifts them.
+	 *
+	 * @param {string} value Value in YYYY-MM-DDTHH:MM format.
+	 * @return {number} Milliseconds.
+	 */
+	function parseStoreTime( value ) {
+		const time = Date.parse( ( value || '' ).slice( 0, 16 ) + ':00Z' );
+		return isNaN( time ) ? Date.now() : time;
+	}
+
+	/**
+	 * Format a store-time timestamp from parseStoreTime().
+	 *
+	 * @param {number} time Milliseconds.
+	 * @return {string} Formatted date and time.
+	 */
+	function formatStoreTime( time ) {
+		return new Date( time ).toLocaleString( undefined, {
+			timeZone: 'UTC',
+			weekday: 'short',
+			year: 'numeric',
+			month: 'short',
+			day: 'numeric',
+			hour: '2-digit',
+			minute: '2-digit',
+		} );
+	}
+
+	/**
+	 * Render the retry insights panel.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderInsights() {
+		const strings = wcsRreData.strings;
+		const periods = insights.data ? insights.data.periods || [] : [];
+		const periodOptions = ( selected, emptyLabel ) => `
+			<option value="">${emptyLabel}</option>
+			${periods.map( period => `
+				<option value="${escapeAttribute( period.id )}" ${period.id === selected ? 'selected' : ''}>${escapeHtml( formatPeriodLabel( period ) )}</option>
+			` ).join( '' )}
+		`;
+
+		let body = '';
+		if ( insights.loading ) {
+			body = `<div class="wcs-rre-panel-empty">${strings.insightsLoading}</div>`;
+		} else if ( insights.error ) {
+			body = `<div class="notice notice-error inline"><p>${escapeHtml( insights.error )}</p></div>`;
+		} else if ( insights.data ) {
+			body = renderInsightsTable( getInsightsPeriod( insights.period ), insights.compare ? getInsightsPeriod( insights.compare ) : null );
+		}
+
+		return `
+			<div class="wcs-rre-insights-controls">
+				<label class="wcs-rre-panel-field">
+					${strings.insightsFrom}
+					<input type="date" id="wcs-rre-insights-start" value="${escapeAttribute( insights.start )}" max="${escapeAttribute( insights.end )}" ${insights.loading ? 'disabled' : ''}>
+				</label>
+				<label class="wcs-rre-panel-field">
+					${strings.insightsTo}
+					<input type="date" id="wcs-rre-insights-end" value="${escapeAttribute( insights.end )}" min="${escapeAttribute( insights.start )}" ${insights.loading ? 'disabled' : ''}>
+				</label>
+				${periods.length ? `
+					<label class="wcs-rre-panel-field wcs-rre-insights-wide">
+						${strings.insightsPeriod}
+						<select id="wcs-rre-insights-period">${periodOptions( insights.period, strings.insightsAllPeriods )}</select>
+					</label>
+					<label class="wcs-rre-panel-field wcs-rre-insights-wide">
+						${strings.insightsCompare}
+						<select id="wcs-rre-insights-compare">${periodOptions( insights.compare, strings.insightsNoCompare )}</select>
+					</label>
+				` : ''}
+				<button type="button" class="button wcs-rre-insights-refresh" id="wcs-rre-insights-refresh" ${insights.loading ? 'disabled' : ''}>
+					${strings.insightsRefresh}
+				</button>
+			</div>
+			${body}
+		`;
+	}
+
+	/**
+	 * Render the experiment panel.
+	 *
+	 * Without a running experiment it offers to start one; otherwise it shows
+	 * both arms side by side.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderExperiment() {
+		const strings = wcsRreData.strings;
+		const data = experiment.data;
+
+		if ( ! data ) {
+			return `
+				<p class="description">${strings.experimentDesc}</p>
+				<label class="wcs-rre-panel-field">
+					${strings.experimentVariant}
+					<select id="wcs-rre-experiment-source">
+						<option value="editor" ${experiment.source === 'editor' ? 'selected' : ''}>${strings.experimentEditor}</option>
+						${presets.map( preset => `
+							<option value="${escapeAttribute( 'preset:' + preset.id )}" ${experiment.source === 'preset:' + preset.id ? 'selected' : ''}>${escapeHtml( preset.name )}</option>
+						` ).join( '' )}
+					</select>
+				</label>
+				<label class="wcs-rre-panel-field">
+					${strings.experimentSplit}
+					<input type="number" id="wcs-rre-experiment-split" min="1" max="99" value="${experiment.split}">
+				</label>
+				<button type="button" class="button" id="wcs-rre-experiment-start" ${experiment.busy ? 'disabled' : ''}>
+					${strings.experimentStart}
+				</button>
+			`;
+		}
+
+		return `
+			<p class="description">
+				${escapeHtml( formatString( strings.experimentRunning, formatDateTime( data.started_at ), data.started_by_name || strings.unknownUser ) )}
+				${strings.experimentScope}
+			</p>
+			<div class="wcs-rre-experiment-arms">
+				${renderExperimentArm( 'control' )}
+				${renderExperimentArm( 'variant' )}
+			</div>
+			<button type="button" class="button-link wcs-rre-experiment-end" id="wcs-rre-experiment-end" ${experiment.busy ? 'disabled' : ''}>
+				${strings.experimentEnd}
+			</button>
+		`;
+	}
+
+	/**
+	 * Render one arm of the running experiment.
+	 *
+	 * @param {string} arm Arm (control or variant).
+	 * @return {string} HTML string.
+	 */
+	function renderExperimentArm( arm ) {
+		const strings = wcsRreData.strings;
+		const data = experiment.data;
+		const armRules = ( arm === 'variant' ? data.variant_rules : data.control_rules ) || [];
+		const stats = experiment.stats ? experiment.stats.arms[ arm ] : null;
+		const share = arm === 'variant' ? data.split : 100 - data.split;
+
+		return `
+			<div class="wcs-rre-experiment-arm ${getExperimentLeader() === arm ? 'is-leading' : ''}">
+				<h4>${arm === 'variant' ? strings.experimentVariantArm : strings.experimentControlArm} <span class="wcs-rre-experiment-share">${share}%</span></h4>
+				${stats ? `
+					<p class="wcs-rre-experiment-stat">
+						${formatString( strings.insightsAttemptStat, formatRate( getRecoveryRate( stats.totals ) ), stats.totals.successes, stats.totals.attempts, escapeHtml( formatMoney( stats.totals.revenue ) ) )}
+					</p>
+				` : ''}
+				${renderTimeline( armRules.map( normalizeRule ), stats ? stats.positions : null )}
+				<button type="button" class="button wcs-rre-experiment-promote" data-arm="${arm}" ${experiment.busy ? 'disabled' : ''}>
+					${arm === 'variant' ? strings.experimentPromote : strings.experimentKeep}
+				</button>
+			</div>
+		`;
+	}
+
+	/**
+	 * Get the arm with the higher recovery rate so far.
+	 *
+	 * @return {string} Arm, or empty while either arm has no finished retries or they are tied.
+	 */
+	function getExperimentLeader() {
+		if ( ! experiment.stats ) {
+			return '';
+		}
+
+		const control = getRecoveryRate( experiment.stats.arms.control.totals );
+		const variant = getRecoveryRate( experiment.stats.arms.variant.totals );
+		if ( control === null || variant === null || control === variant ) {
+			return '';
+		}
+
+		return variant > control ? 'variant' : 'control';
+	}
+
+	/**
+	 * Render the per-attempt statistics table.
+	 *
+	 * @param {Object}      stats   Period or range stats with totals and positions.
+	 * @param {Object|null} compare Stats to compare against.
+	 * @return {string} HTML string.
+	 */
+	function renderInsightsTable( stats, compare ) {
+		const strings = wcsRreData.strings;
+		if ( ! stats || stats.totals.attempts === 0 ) {
+			return `<div class="wcs-rre-panel-empty">${strings.insightsEmpty}</div>`;
+		}
+
+		const rows = stats.positions.map( position => {
+			const other = compare ? compare.positions.find( item => item.position === position.position ) : null;
+
+			return `
+				<tr>
+					<th scope="row">${position.position}</th>
+					<td>${position.attempts}</td>
+					<td>${position.successes}</td>
+					<td>${formatRate( getRecoveryRate( position ) )}${compare ? renderRateChange( position, other ) : ''}</td>
+					<td>${escapeHtml( formatMoney( position.revenue ) )}</td>
+				</tr>
+			`;
+		} ).join( '' );
+
+		return `
+			<p class="wcs-rre-insights-summary">
+				${formatString( strings.insightsSummary, stats.totals.successes, stats.totals.attempts, formatRate( getRecoveryRate( stats.totals ) ), escapeHtml( formatMoney( stats.totals.revenue ) ) )}
+			</p>
+			<table class="widefat striped wcs-rre-insights-table">
+				<thead>
+					<tr>
+						<th scope="col">${strings.insightsAttempt}</th>
+						<th scope="col">${strings.insightsRetries}</th>
+						<th scope="col">${strings.insightsRecovered}</th>
+						<th scope="col">${strings.insightsRate}</th>
+						<th scope="col">${strings.insightsRevenue}</th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+			<p class="description">${strings.insightsHelp}</p>
+		`;
+	}
+
+	/**
+	 * Render the change in recovery rate against the compared period.
+	 *
+	 * @param {Object}      stats Position stats.
+	 * @param {Object|null} other Position stats of the compared period.
+	 * @return {string} HTML string.
+	 */
+	function renderRateChange( stats, other ) {
+		const rate = getRecoveryRate( stats );
+		const otherRate = other ? getRecoveryRate( other ) : null;
+		if ( rate === null || otherRate === null ) {
+			return '';
+		}
+
+		const change = Math.round( ( rate - otherRate ) * 100 );
+		const className = change > 0 ? 'is-up' : ( change < 0 ? 'is-down' : '' );
+
+		return ` <span class="wcs-rre-insights-change ${className}">${formatString( wcsRreData.strings.insightsChange, ( change > 0 ? '+' : '' ) + change )}</span>`;
+	}
+
+	/**
+	 * Get the stats of a revision period, or of the whole range.
+	 *
+	 * @param {string} id Period ID, or empty for the whole range.
+	 * @return {Object|null} Stats with totals and positions.
+	 */
+	function getInsightsPeriod( id ) {
+		if ( ! insights.data ) {
+			return null;
+		}
+
+		if ( ! id ) {
+			return insights.data;
+		}
+
+		return ( insights.data.periods || [] ).find( period => period.id === id ) || null;
+	}
+
+	/**
+	 * Get the per-attempt stats shown on the timeline.
+	 *
+	 * @return {Array|null} Position stats, or null when insights are not loaded.
+	 */
+	function getTimelineInsights() {
+		const stats = getInsightsPeriod( insights.period );
+		return stats && stats.totals.attempts > 0 ? stats.positions : null;
+	}
+
+	/**
+	 * Get the share of finished retries that recovered the payment.
+	 *
+	 * Pending and cancelled retries are left out.
+	 *
+	 * @param {Object} stats Stats with successes and failures.
+	 * @return {number|null} Rate from 0 to 1, or null without finished retries.
+	 */
+	function getRecoveryRate( stats ) {
+		const finished = stats.successes + stats.failures;
+		return finished > 0 ? stats.successes / finished : null;
+	}
+
+	/**
+	 * Format a recovery rate.
+	 *
+	 * @param {number|null} rate Rate from 0 to 1.
+	 * @return {string} Formatted rate.
+	 */
+	function formatRate( rate ) {
+		return rate === null ? '&ndash;' : `${Math.round( rate * 100 )}%`;
+	}
+
+	/**
+	 * Format recovered revenue in the store currency.
+	 *
+	 * @param {number} amount Amount.
+	 * @return {string} Formatted amount.
+	 */
+	function formatMoney( amount ) {
+		const currency = config.currency || '';
+		try {
+			return currency
+				? new Intl.NumberFormat( undefined, { style: 'currency', currency } ).format( amount )
+				: String( amount );
+		} catch ( error ) {
+			return `${amount} ${currency}`;
+		}
+	}
+
+	/**
+	 * Get the label of a revision period.
+	 *
+	 * @param {Object} period Period from the insights response.
+	 * @return {string} Label.
+	 */
+	function formatPeriodLabel( period ) {
+		const strings = wcsRreData.strings;
+		if ( period.id === 'earlier' ) {
+			return period.end ? formatString( strings.insightsEarlier, formatDate( period.end ) ) : strings.insightsUntracked;
+		}
+
+		return formatString(
+			strings.insightsPeriodLabel,
+			formatDate( period.start ),
+			period.end ? formatDate( period.end ) : strings.insightsNow,
+			period.modified_by_name || strings.unknownUser
+		);
+	}
+
+	/**
+	 * Format a date without its time.
+	 *
+	 * @param {string} value ISO date string.
+	 * @return {string} Formatted date.
+	 */
+	function formatDate( value ) {
+		const date = new Date( value );
+		return isNaN( date.getTime() ) ? String( value || '' ) : date.toLocaleDateString();
+	}
+
+	/**
+	 * Render the revision history panel.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderRevisions() {
+		if ( revisions.length === 0 ) {
+			return `<div class="wcs-rre-panel-empty">${wcsRreData.strings.revisionsEmpty}</div>`;
+		}
+
+		const list = revisions.map( revision => `
+			<li>
+				<button type="button" class="wcs-rre-revision ${revision.id === selectedRevision ? 'is-selected' : ''}" data-revision="${escapeAttribute( revision.id )}">
+					<span class="wcs-rre-revision-author">${escapeHtml( revision.modified_by_name || wcsRreData.strings.unknownUser )}</span>
+					<span class="wcs-rre-revision-date">${escapeHtml( formatDateTime( revision.modified_at ) )}</span>
+				</button>
+			</li>
+		` ).join( '' );
+
+		const selected = revisions.find( revision => revision.id === selectedRevision );
+
+		return `
+			<ul class="wcs-rre-revision-list">${list}</ul>
+			${selected ? `
+				<div class="wcs-rre-revision-detail">
+					<h4>${wcsRreData.strings.revisionDiffTitle}</h4>
+					${renderRulesDiff( diffRules( getRevisionRules( selected ), rules ) )}
+					<button type="button" class="button" id="wcs-rre-revision-restore" ${isSaving ? 'disabled' : ''}>
+						${wcsRreData.strings.revisionRestore}
+					</button>
+				</div>
+			` : ''}
+		`;
+	}
+
+	/**
+	 * Render the diff of the saved draft against the published rules.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderDraftDiff() {
+		if ( ! draft ) {
+			return `<div class="wcs-rre-panel-empty">${wcsRreData.strings.draftNone}</div>`;
+		}
+
+		return `
+			<p class="description">${wcsRreData.strings.draftDiffDesc}</p>
+			${renderStateDiff( liveState, draft )}
+		`;
+	}
+
+	/**
+	 * Render the differences between two sets of global rules, rule sets and final actions.
+	 *
+	 * @param {Object} from Original state as { rules, rule_sets, final_action }.
+	 * @param {Object} to   New state as { rules, rule_sets, final_action }.
+	 * @return {string} HTML string.
+	 */
+	function renderStateDiff( from, to ) {
+		const strings = wcsRreData.strings;
+		const sections = [ {
+			name: strings.ruleSetGlobal,
+			note: '',
+			diff: renderRulesDiff( diffRules( from.rules, to.rules ) ),
+		} ];
+
+		to.rule_sets.forEach( ( set, index ) => {
+			const fromIndex = from.rule_sets.findIndex( item => item.id === set.id );
+			const fromSet = from.rule_sets[ fromIndex ];
+			let note = strings.draftSetAdded;
+			if ( fromSet ) {
+				const settingsChanged = fromIndex !== index
+					|| fromSet.name !== set.name
+					|| JSON.stringify( normalizeRuleSet( fromSet ).conditions ) !== JSON.stringify( normalizeRuleSet( set ).conditions );
+				note = settingsChanged ? strings.draftSetSettings : '';
+			}
+
+			sections.push( {
+				name: set.name || strings.ruleSetNewName,
+				note,
+				diff: renderRulesDiff( diffRules( fromSet ? fromSet.rules : [], set.rules ) ),
+			} );
+		} );
+
+		from.rule_sets
+			.filter( set => ! to.rule_sets.some( item => item.id === set.id ) )
+			.forEach( set => sections.push( {
+				name: set.name || strings.ruleSetNewName,
+				note: strings.draftSetRemoved,
+				diff: '',
+			} ) );
+
+		const fromFinal = normalizeFinalAction( from.final_action );
+		const toFinal = normalizeFinalAction( to.final_action );
+		if ( JSON.stringify( fromFinal ) !== JSON.stringify( toFinal ) ) {
+			sections.push( {
+				name: strings.finalOutcome,
+				note: '',
+				diff: `
+					<ul class="wcs-rre-diff">
+						<li class="wcs-rre-diff-changed">
+							<del>${escapeHtml( summarizeFinalAction( fromFinal ) )}</del>
+							&rarr;
+							<ins>${escapeHtml( summarizeFinalAction( toFinal ) )}</ins>
+						</li>
+					</ul>
+				`,
+			} );
+		}
+
+		return sections.map( section => `
+			<div class="wcs-rre-draft-section">
+				<h4>${escapeHtml( section.name )}</h4>
+				${section.note ? `<p class="wcs-rre-draft-note">${section.note}</p>` : ''}
+				${section.diff}
+			</div>
+		` ).join( '' );
+	}
+
+	/**
+	 * Check whether the saved draft would change the published rules.
+	 *
+	 * @return {boolean} True if a draft exists and differs from the published rules.
+	 */
+	function draftDiffersFromLive() {
+		if ( ! draft ) {
+			return false;
+		}
+
+		return serializeState( draft ) !== serializeState( liveState );
+	}
+
+	/**
+	 * Render a rule-by-rule diff.
+	 *
+	 * @param {Array} diff Diff entries from diffRules().
+	 * @return {string} HTML string.
+	 */
+	function renderRulesDiff( diff ) {
+		const entries = diff.filter( entry => entry.type !== 'unchanged' );
+
+		if ( entries.length === 0 ) {
+			return `<p class="wcs-rre-diff-empty">${wcsRreData.strings.diffNoChanges}</p>`;
+		}
+
+		const items = entries.map( entry => {
+			if ( entry.type === 'added' ) {
+				return `<li class="wcs-rre-diff-added"><strong>${wcsRreData.strings.diffAdded}:</strong> ${wcsRreData.strings.rule} ${entry.toIndex + 1} (${escapeHtml( summarizeRule( entry.to ) )})</li>`;
+			}
+
+			if ( entry.type === 'removed' ) {
+				return `<li class="wcs-rre-diff-removed"><strong>${wcsRreData.strings.diffRemoved}:</strong> ${wcsRreData.strings.rule} ${entry.fromIndex + 1} (${escapeHtml( summarizeRule( entry.from ) )})</li>`;
+			}
+
+			const moved = entry.fromIndex !== entry.toIndex
+				? ` <span class="wcs-rre-diff-moved">(${wcsRreData.strings.diffWas} ${wcsRreData.strings.rule} ${entry.fromIndex + 1})</span>`
+				: '';
+			const changes = entry.changes.map( change => `
+				<li>
+					${escapeHtml( getFieldLabel( change.field ) )}:
+					<del>${escapeHtml( formatFieldValue( change.field, change.from ) )}</del>
+					&rarr;
+					<ins>${escapeHtml( formatFieldValue( change.field, change.to ) )}</ins>
+				</li>
+			` ).join( '' );
+
+			return `<li class="wcs-rre-diff-changed"><strong>${wcsRreData.strings.diffChanged}:</strong> ${wcsRreData.strings.rule} ${entry.toIndex + 1}${moved}<ul>${changes}</ul></li>`;
+		} ).join( '' );
+
+		return `<ul class="wcs-rre-diff">${items}</ul>`;
+	}
+
+	/**
+	 * Render the list of rules.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderRulesList() {
+		if ( rules.length === 0 ) {
+			return '<div class="notice notice-info"><p>No rules configured. Click "Add Rule" to create one.</p></div>';
+		}
+
+		return rules.map( ( rule, index ) => renderRuleCard( rule, index ) ).join( '' );
+	}
+
+	/**
+	 * Render a single rule card.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {number} index The rule index.
+	 * @return {string} HTML string.
+	 */
+	function renderRuleCard( rule, index ) {
+		const cumulative = formatElapsed( getCumulativeTime( index ) );
+		const isAnchored = rule.timing === 'anchored';
+
+		return `
+			<div class="wcs-rre-rule-card ${keyboardDrag && keyboardDrag.to === index ? 'is-grabbed' : ''} ${getIssueClass( validation.rules[ index ] )}" data-index="${index}">
+				<div class="wcs-rre-rule-header">
+					<span class="wcs-rre-rule-title">
+						<button type="button" class="wcs-rre-drag-handle" data-index="${index}" draggable="true"
+							aria-label="${escapeAttribute( formatString( wcsRreData.strings.dragHandle, index + 1 ) )}"
+							aria-describedby="wcs-rre-drag-help"
+							aria-pressed="${keyboardDrag && keyboardDrag.to === index ? 'true' : 'false'}">&#8942;&#8942;</button>
+						<span class="wcs-rre-rule-number">${wcsRreData.strings.rule} ${index + 1}</span>
+					</span>
+					<div class="wcs-rre-rule-actions">
+						${index > 0 ? `<button type="button" class="button-link wcs-rre-move-up" data-index="${index}" title="${wcsRreData.strings.moveUp}">&uarr;</button>` : ''}
+						${index < rules.length - 1 ? `<button type="button" class="button-link wcs-rre-move-down" data-index="${index}" title="${wcsRreData.strings.moveDown}">&darr;</button>` : ''}
+						<button type="button" class="button-link wcs-rre-delete" data-index="${index}">${wcsRreData.strings.deleteRule}</button>
+					</div>
+				</div>
+
+				${renderIssues( validation.rules[ index ] || [] )}
+
+				<div class="wcs-rre-rule-body">
+					<div class="wcs-rre-field">
+						<label for="wcs-rre-timing-${index}">${wcsRreData.strings.timing}</label>
+						<select id="wcs-rre-timing-${index}" class="wcs-rre-timing" data-index="${index}">
+							<option value="relative" ${isAnchored ? '' : 'selected'}>${wcsRreData.strings.timingRelative}</option>
+							<option value="anchored" ${isAnchored ? 'selected' : ''}>${wcsRreData.strings.timingAnchored}</option>
+						</select>
+					</div>
+
+					<div class="wcs-rre-field">
+						<label>${isAnchored ? wcsRreData.strings.anchorEarliest : wcsRreData.strings.retryAfter}</label>
+						<div class="wcs-rre-interval-input">
+							<input type="number" class="wcs-rre-interval-value" data-index="${index}"
+								value="${getIntervalValue( rule.retry_after_interval )}" min="5" step="1">
+							<select class="wcs-rre-interval-unit" data-index="${index}">
+								<option value="60" ${getIntervalUnit( rule.retry_after_interval ) === 60 ? 'selected' : ''}>${wcsRreData.strings.minutes}</option>
+								<option value="3600" ${getIntervalUnit( rule.retry_after_interval ) === 3600 ? 'selected' : ''}>${wcsRreData.strings.hours}</option>
+								<option value="86400" ${getIntervalUnit( rule.retry_after_interval ) === 86400 ? 'selected' : ''}>${wcsRreData.strings.days}</option>
+							</select>
+						</div>
+						<span class="wcs-rre-cumulative">${wcsRreData.strings.cumulativeTime} ${cumulative}</span>
+						${isAnchored ? `<span class="wcs-rre-cumulative">${escapeHtml( formatString( wcsRreData.strings.anchorResolved, formatStoreTime( getRetryTimes( rules )[ index ] ) ) )}</span>` : ''}
+					</div>
+
+					${isAnchored ? renderAnchorFields( rule, index ) : ''}
+
+					<div class="wcs-rre-field">
+						<label>${wcsRreData.strings.customerEmail}</label>
+						<select class="wcs-rre-customer-email" data-index="${index}">
+							${renderEmailOptions( 'customer', rule.email_template_customer )}
+						</select>
+					</div>
+
+					<div class="wcs-rre-field">
+						<label>${wcsRreData.strings.adminEmail}</label>
+						<select class="wcs-rre-admin-email" data-index="${index}">
+							${renderEmailOptions( 'admin', rule.email_template_admin )}
+						</select>
+					</div>
+
+					<div class="wcs-rre-field">
+						<label>${wcsRreData.strings.orderStatus}</label>
+						<select class="wcs-rre-order-status" data-index="${index}">
+							${renderStatusOptions( config.order_statuses, rule.status_to_apply_to_order )}
+						</select>
+					</div>
+
+					<div class="wcs-rre-field">
+						<label>${wcsRreData.strings.subscriptionStatus}</label>
+						<select class="wcs-rre-subscription-status" data-index="${index}">
+							${renderStatusOptions( config.subscription_statuses, rule.status_to_apply_to_subscription )}
+						</select>
+					</div>
+				</div>
+
+				${renderDeclineConditions( rule, index )}
+				${renderEmailOverrides( rule, index )}
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the set time fields of an anchored rule.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {number} index The rule index.
+	 * @return {string} HTML string.
+	 */
+	function renderAnchorFields( rule, index ) {
+		const strings = wcsRreData.strings;
+		const anchor = rule.anchor;
+		const last = anchor.type === 'weekdays' ? 7 : 31;
+		const days = Array.from( { length: last }, ( _, i ) => i + 1 );
+
+		return `
+			<div class="wcs-rre-field">
+				<label for="wcs-rre-anchor-type-${index}">${strings.anchorType}</label>
+				<select id="wcs-rre-anchor-type-${index}" class="wcs-rre-anchor-field" data-index="${index}" data-field="type">
+					<option value="weekdays" ${anchor.type === 'weekdays' ? 'selected' : ''}>${strings.anchorWeekdays}</option>
+					<option value="month_days" ${anchor.type === 'month_days' ? 'selected' : ''}>${strings.anchorMonthDays}</option>
+				</select>
+			</div>
+
+			<div class="wcs-rre-field">
+				<label for="wcs-rre-anchor-days-${index}">${strings.anchorDays}</label>
+				<select id="wcs-rre-anchor-days-${index}" class="wcs-rre-anchor-field" data-index="${index}" data-field="days" multiple size="4">
+					${days.map( day => `<option value="${day}" ${anchor.days.includes( day ) ? 'selected' : ''}>${escapeHtml( formatAnchorDay( anchor.type, day ) )}</option>` ).join( '' )}
+				</select>
+			</div>
+
+			<div class="wcs-rre-field">
+				<label for="wcs-rre-anchor-time-${index}">${strings.anchorTime}</label>
+				<input type="time" id="wcs-rre-anchor-time-${index}" class="wcs-rre-anchor-field" data-index="${index}" data-field="time"
+					value="${escapeAttribute( anchor.time )}" step="60">
+			</div>
+		`;
+	}
+
+	/**
+	 * Format a day of an anchored rule's set time.
+	 *
+	 * @param {string} type Anchor type (weekdays or month_days).
+	 * @param {number} day  ISO weekday (1 is Monday) or day of the month.
+	 * @return {string} Day name or number.
+	 */
+	function formatAnchorDay( type, day ) {
+		if ( type !== 'weekdays' ) {
+			return String( day );
+		}
+
+		// 1 January 2024 was a Monday.
+		return new Date( Date.UTC( 2024, 0, day ) ).toLocaleDateString( undefined, { timeZone: 'UTC', weekday: 'short' } );
+	}
+
+	/**
+	 * Describe the set time of an anchored rule.
+	 *
+	 * @param {Object} anchor Anchor with type, days and time.
+	 * @return {string} Description.
+	 */
+	function describeAnchor( anchor ) {
+		const days = anchor.days.map( day => formatAnchorDay( anchor.type, day ) ).join( ', ' );
+		const template = anchor.type === 'weekdays' ? wcsRreData.strings.anchorWeekdaysDesc : wcsRreData.strings.anchorMonthDesc;
+
+		return formatString( template, days, anchor.time );
+	}
+
+	/**
+	 * Render the decline conditions of a rule.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {number} index The rule index.
+	 * @return {string} HTML string.
+	 */
+	function renderDeclineConditions( rule, index ) {
+		const strings = wcsRreData.strings;
+		const categories = config.decline_categories || {};
+
+		const conditions = rule.decline_conditions.map( ( condition, position ) => {
+			const id = `wcs-rre-decline-${index}-${position}`;
+			const attributes = `class="wcs-rre-decline-field" data-index="${index}" data-condition="${position}"`;
+
+			return `
+				<div class="wcs-rre-decline-condition">
+					<div class="wcs-rre-field">
+						<label for="${id}-categories">${strings.declineReasons}</label>
+						<select id="${id}-categories" ${attributes} data-field="categories" multiple size="4">
+							${Object.entries( categories ).map( ( [ value, label ] ) => `
+								<option value="${escapeAttribute( value )}" ${condition.categories.includes( value ) ? 'selected' : ''}>${escapeHtml( label )}</option>
+							` ).join( '' )}
+						</select>
+					</div>
+
+					<div class="wcs-rre-field">
+						<label for="${id}-action">${strings.declineAction}</label>
+						<select id="${id}-action" ${attributes} data-field="action">
+							${renderStatusOptions( getDeclineActions(), condition.action )}
+						</select>
+					</div>
+
+					${condition.action === 'email' ? `
+						<div class="wcs-rre-field">
+							<label for="${id}-email">${strings.customerEmail}</label>
+							<select id="${id}-email" ${attributes} data-field="email_template_customer">
+								${renderEmailOptions( 'customer', condition.email_template_customer )}
+							</select>
+						</div>
+					` : ''}
+
+					<button type="button" class="button-link wcs-rre-decline-remove" data-index="${index}" data-condition="${position}">${strings.declineRemove}</button>
+				</div>
+			`;
+		} ).join( '' );
+
+		return `
+			<div class="wcs-rre-decline-conditions">
+				<h4>${strings.declineTitle}</h4>
+				<p class="description">${strings.declineDesc}</p>
+				${conditions}
+				<button type="button" class="button wcs-rre-decline-add" data-index="${index}">${strings.declineAdd}</button>
+			</div>
+		`;
+	}
+
+	/**
+	 * Get the actions a decline condition can take, with labels.
+	 *
+	 * @return {Object} Action => label.
+	 */
+	function getDeclineActions() {
+		const strings = wcsRreData.strings;
+
+		return {
+			skip: strings.declineSkip,
+			final: strings.declineFinal,
+			email: strings.declineEmail,
+		};
+	}
+
+	/**
+	 * Summarize a decline condition in one line.
+	 *
+	 * @param {Object} condition Decline condition.
+	 * @return {string} Summary.
+	 */
+	function summarizeDeclineCondition( condition ) {
+		const categories = config.decline_categories || {};
+		const reasons = condition.categories.map( category => categories[ category ] || category ).join( ', ' );
+		const action = getDeclineActions()[ condition.action ] || condition.action;
+
+		return condition.action === 'email'
+			? `${reasons}: ${action} (${formatFieldValue( 'email_template_customer', condition.email_template_customer )})`
+			: `${reasons}: ${action}`;
+	}
+
+	/**
+	 * Render the final outcome card shown after the rules.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderFinalAction() {
+		const strings = wcsRreData.strings;
+		const outcome = finalAction.outcomes[ finalAction.action ];
+		const statuses = config.final_action ? config.final_action.subscription_statuses[ finalAction.action ] : {};
+		const issues = validateFinalAction();
+		const labels = {
+			none: strings.finalNone,
+			cancel: strings.finalCancel,
+			hold: strings.finalHold,
+		};
+
+		return `
+			<div class="wcs-rre-final-action">
+				<h3>${strings.finalOutcome}</h3>
+				<p class="description">${strings.finalOutcomeDesc}</p>
+				<div class="wcs-rre-final-card ${getIssueClass( issues )}">
+					<div class="wcs-rre-rule-header">
+						<span class="wcs-rre-rule-number">${escapeHtml( summarizeFinalAction() )}</span>
+					</div>
+
+					${renderIssues( issues )}
+
+					<div class="wcs-rre-rule-body">
+						<div class="wcs-rre-field">
+							<label for="wcs-rre-final-action">${strings.finalChoice}</label>
+							<select id="wcs-rre-final-action" class="wcs-rre-final-field" data-field="action">
+								${FINAL_ACTIONS.map( choice => `<option value="${choice}" ${choice === finalAction.action ? 'selected' : ''}>${labels[ choice ]}</option>` ).join( '' )}
+							</select>
+						</div>
+
+						${finalAction.action === 'hold' ? `
+							<div class="wcs-rre-field">
+								<label for="wcs-rre-final-hold-days">${strings.finalHoldDays}</label>
+								<input type="number" id="wcs-rre-final-hold-days" class="wcs-rre-final-field" data-field="hold_days"
+									value="${escapeAttribute( finalAction.hold_days )}" min="1" max="${escapeAttribute( config.final_action ? config.final_action.max_hold_days : 365 )}" step="1">
+							</div>
+						` : ''}
+
+						<div class="wcs-rre-field">
+							<label for="wcs-rre-final-order-status">${strings.orderStatus}</label>
+							<select id="wcs-rre-final-order-status" class="wcs-rre-final-field" data-field="order_status">
+								${renderStatusOptions( { '': strings.leaveUnchanged, ...config.order_statuses }, outcome.order_status )}
+							</select>
+						</div>
+
+						<div class="wcs-rre-field">
+							<label for="wcs-rre-final-subscription-status">${strings.subscriptionStatus}</label>
+							<select id="wcs-rre-final-subscription-status" class="wcs-rre-final-field" data-field="subscription_status">
+								${renderStatusOptions( statuses, outcome.subscription_status )}
+							</select>
+						</div>
+
+						<div class="wcs-rre-field">
+							<label for="wcs-rre-final-email">${strings.finalEmail}</label>
+							<select id="wcs-rre-final-email" class="wcs-rre-final-field" data-field="email" aria-describedby="wcs-rre-final-email-desc">
+								${renderFinalEmailOptions( outcome.email )}
+							</select>
+							<span id="wcs-rre-final-email-desc" class="description">${strings.finalEmailDesc}</span>
+						</div>
+
+						<div class="wcs-rre-field wcs-rre-final-note">
+							<label for="wcs-rre-final-note">${strings.finalNote}</label>
+							<textarea id="wcs-rre-final-note" class="wcs-rre-final-field" data-field="note" rows="2">${escapeHtml( outcome.note )}</textarea>
+						</div>
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the final email options: none, then named templates grouped by recipient.
+	 *
+	 * @param {string} selected Currently selected value.
+	 * @return {string} HTML options string.
+	 */
+	function renderFinalEmailOptions( selected ) {
+		const strings = wcsRreData.strings;
+		const group = ( recipient, label ) => {
+			const options = emailTemplates
+				.filter( template => template.recipient === recipient )
+				.map( template => {
+					const value = 'rre_template:' + template.id;
+					return `<option value="${escapeAttribute( value )}" ${value === selected ? 'selected' : ''}>${escapeHtml( template.name )}</option>`;
+				} );
+
+			return options.length ? `<optgroup label="${escapeAttribute( label )}">${options.join( '' )}</optgroup>` : '';
+		};
+
+		return `
+			<option value="">${strings.finalEmailNone}</option>
+			${group( 'customer', strings.finalEmailCustomer )}
+			${group( 'admin', strings.finalEmailAdmin )}
+		`;
+	}
+
+	/**
+	 * Summarize a final action for the timeline, diffs and the card header.
+	 *
+	 * @param {Object} value Final action. Defaults to the editor's.
+	 * @return {string} Summary.
+	 */
+	function summarizeFinalAction( value = finalAction ) {
+		const strings = wcsRreData.strings;
+		const outcome = value.outcomes[ value.action ];
+		const statuses = config.final_action ? config.final_action.subscription_statuses[ value.action ] : {};
+		const parts = [];
+
+		if ( value.action === 'hold' ) {
+			parts.push( formatString( strings.finalHoldSummary, value.hold_days ) );
+		}
+		if ( outcome.subscription_status ) {
+			parts.push( formatString( strings.finalSubSummary, statuses[ outcome.subscription_status ] || outcome.subscription_status ) );
+		}
+		if ( outcome.order_status ) {
+			parts.push( formatString( strings.finalOrderSummary, formatFieldValue( 'status_to_apply_to_order', outcome.order_status ) ) );
+		}
+		if ( outcome.email ) {
+			parts.push( formatString( strings.finalEmailSummary, getFinalEmailName( outcome.email ) ) );
+		}
+		if ( outcome.note ) {
+			parts.push( strings.finalNoteSummary );
+		}
+
+		return parts.length ? parts.join( '; ' ) : strings.finalNoneSummary;
+	}
+
+	/**
+	 * Get the name of the named template a final email value refers to.
+	 *
+	 * @param {string} value Email value, e.g. "rre_template:tpl-...".
+	 * @return {string} Template name, or the value if the template no longer exists.
+	 */
+	function getFinalEmailName( value ) {
+		const template = emailTemplates.find( item => 'rre_template:' + item.id === value );
+		return template ? template.name : value;
+	}
+
+	/**
+	 * Check the editor's final action.
+	 *
+	 * @return {Array} Issues as { level, message }.
+	 */
+	function validateFinalAction() {
+		const strings = wcsRreData.strings;
+		const maxDays = config.final_action ? config.final_action.max_hold_days : 365;
+		const outcome = finalAction.outcomes[ finalAction.action ];
+		const issues = [];
+
+		if ( finalAction.action === 'hold' && ( finalAction.hold_days < 1 || finalAction.hold_days > maxDays ) ) {
+			issues.push( { level: 'error', message: formatString( strings.finalHoldInvalid, maxDays ) } );
+		}
+
+		if ( outcome.email && ! emailTemplates.some( template => 'rre_template:' + template.id === outcome.email ) ) {
+			issues.push( { level: 'error', message: strings.finalEmailMissing } );
+		}
+
+		return issues;
+	}
+
+	/**
+	 * Render email template options.
+	 *
+	 * @param {string} type     Email type (customer or admin).
+	 * @param {string} selected Currently selected value.
+	 * @return {string} HTML options string.
+	 */
+	function renderEmailOptions( type, selected ) {
+		const options = config.email_templates[ type ] || {};
+		return Object.entries( options ).map( ( [ value, label ] ) =>
+			`<option value="${escapeHtml( value )}" ${value === selected ? 'selected' : ''}>${escapeHtml( label )}</option>`
+		).join( '' );
+	}
+
+	/**
+	 * Render status options.
+	 *
+	 * @param {Object} statuses Available statuses.
+	 * @param {string} selected Currently selected value.
+	 * @return {string} HTML options string.
+	 */
+	function renderStatusOptions( statuses, selected ) {
+		return Object.entries( statuses || {} ).map( ( [ value, label ] ) =>
+			`<option value="${escapeHtml( value )}" ${value === selected ? 'selected' : ''}>${escapeHtml( label )}</option>`
+		).join( '' );
+	}
+
+	/**
+	 * Render the timeline preview.
+	 *
+	 * @param {Array}      list  Rules to show. Defaults to the editor rules.
+	 * @param {Array|null} stats Retry insights per attempt to show next to each retry.
+	 * @return {string} HTML string.
+	 */
+	function renderTimeline( list = rules, stats = null ) {
+		if ( list.length === 0 ) {
+			return `<div class="wcs-rre-timeline-empty">${wcsRreData.strings.timelineEmpty}</div>`;
+		}
+
+		const start = getSampleFailureTime();
+		const times = getRetryTimes( list );
+		const sample = list.some( rule => rule.timing === 'anchored' ) ? `
+			<label class="wcs-rre-timeline-sample">
+				${wcsRreData.strings.sampleFailure}
+				<input type="datetime-local" class="wcs-rre-sample-failure" value="${escapeAttribute( simulator.start || config.store_time || '' )}">
+			</label>
+		` : '';
+
+		let html = `${sample}<div class="wcs-rre-timeline-list">`;
+		html += `<div class="wcs-rre-timeline-item wcs-rre-timeline-start">
+			<span class="wcs-rre-timeline-marker"></span>
+			<span class="wcs-rre-timeline-label">${wcsRreData.strings.paymentFails}</span>
+		</div>`;
+
+		list.forEach( ( rule, index ) => {
+			const cumulative = formatElapsed( Math.round( ( times[ index ] - start ) / 1000 ) );
+			const anchorInfo = rule.timing === 'anchored'
+				? `<span class="wcs-rre-timeline-anchor">${escapeHtml( formatString( wcsRreData.strings.anchorSummary, formatInterval( rule.retry_after_interval ), describeAnchor( rule.anchor ), formatStoreTime( times[ index ] ) ) )}</span>`
+				: '';
+			const hasCustomerEmail = rule.email_template_customer !== '';
+			const hasAdminEmail = rule.email_template_admin !== '';
+
+			let emailInfo = '';
+			if ( hasCustomerEmail || hasAdminEmail ) {
+				const emails = [];
+				if ( hasCustomerEmail ) emails.push( 'Customer' );
+				if ( hasAdminEmail ) emails.push( 'Admin' );
+				emailInfo = ` (${emails.join( ' + ' )} notified)`;
+			}
+
+			html += `<div class="wcs-rre-timeline-item">
+				<span class="wcs-rre-timeline-marker"></span>
+				<span class="wcs-rre-timeline-time">+${cumulative}</span>
+				<span class="wcs-rre-timeline-label">
+					${wcsRreData.strings.retryAttempt} ${index + 1}${emailInfo}
+					${anchorInfo}
+					${stats ? renderTimelineInsights( stats.find( item => item.position === index + 1 ) ) : ''}
+				</span>
+			</div>`;
+		} );
+
+		html += `<div class="wcs-rre-timeline-item wcs-rre-timeline-end">
+			<span class="wcs-rre-timeline-marker"></span>
+			<span class="wcs-rre-timeline-label">${escapeHtml( formatString( wcsRreData.strings.afterAllRetries, summarizeFinalAction() ) )}</span>
+		</div>`;
+
+		html += '</div>';
+		return html;
+	}
+
+	/**
+	 * Render the insights of one retry attempt on the timeline.
+	 *
+	 * @param {Object|undefined} stats Position stats.
+	 * @return {string} HTML string.
+	 */
+	function renderTimelineInsights( stats ) {
+		if ( ! stats ) {
+			return `<span class="wcs-rre-timeline-insights">${wcsRreData.strings.insightsNoData}</span>`;
+		}
+
+		return `<span class="wcs-rre-timeline-insights">${formatString(
+			wcsRreData.strings.insightsAttemptStat,
+			formatRate( getRecoveryRate( stats ) ),
+			stats.successes,
+			stats.attempts,
+			escapeHtml( formatMoney( stats.revenue ) )
+		)}</span>`;
+	}
+
+	/**
+	 * Render email override fields.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {number} index Rule index.
+	 * @return {string} HTML string.
+	 */
+	function renderEmailOverrides( rule, index ) {
+		const customerGroup = renderEmailOverrideGroup( 'customer', rule, index );
+		const adminGroup = renderEmailOverrideGroup( 'admin', rule, index );
+
+		if ( ! customerGroup && ! adminGroup ) {
+			return '';
+		}
+
+		return `
+			<div class="wcs-rre-email-overrides">
+				<h4>${wcsRreData.strings.emailOverridesTitle}</h4>
+				<p class="description">${wcsRreData.strings.emailOverridesDesc}</p>
+				${customerGroup}
+				${adminGroup}
+			</div>
+		`;
+	}
+
+	/**
+	 * Render email override group.
+	 *
+	 * @param {string} recipient Recipient type.
+	 * @param {Object} rule      Rule data.
+	 * @param {number} index     Rule index.
+	 * @return {string} HTML string.
+	 */
+	function renderEmailOverrideGroup( recipient, rule, index ) {
+		const isCustomer = recipient === 'customer';
+		const label = isCustomer ? wcsRreData.strings.emailCustomerLabel : wcsRreData.strings.emailAdminLabel;
+		const disabled = isCustomer ? ! rule.email_template_customer : ! rule.email_template_admin;
+		if ( disabled ) {
+			return '';
+		}
+		const disabledAttr = disabled ? 'disabled' : '';
+		const subjectKey = `email_subject_${recipient}`;
+		const headingKey = `email_heading_${recipient}`;
+		const additionalKey = `email_additional_content_${recipient}`;
+		const overrideKey = `email_override_${recipient}`;
+		const overrideEnabled = Boolean( rule[ overrideKey ] );
+		const defaults = config.email_preview && config.email_preview[ recipient ]
+			? config.email_preview[ recipient ]
+			: { default_subject: '', default_heading: '', default_additional: '' };
+		const placeholders = getPlaceholders( recipient );
+		const placeholderTip = placeholders.length
+			? `<span class="woocommerce-help-tip" data-tip="${escapeAttribute( `${wcsRreData.strings.emailPlaceholders} ${placeholders.join( ', ' )}` )}"></span>`
+			: '';
+
+		return `
+			<div class="wcs-rre-email-group ${disabled ? 'is-disabled' : ''}">
+				<div class="wcs-rre-email-group-header">
+					<span>${label} ${placeholderTip}</span>
+					<span class="wcs-rre-email-group-actions">
+						<button type="button" class="button wcs-rre-email-preview" data-index="${index}" data-recipient="${recipient}" aria-pressed="${isPreviewing( index, recipient ) ? 'true' : 'false'}" ${disabledAttr}>
+							${wcsRreData.strings.emailPreview}
+						</button>
+						<button type="button" class="button wcs-rre-email-test" data-index="${index}" data-recipient="${recipient}" ${disabledAttr}>
+							${wcsRreData.strings.emailSendTest}
+						</button>
+					</span>
+				</div>
+				<label class="wcs-rre-email-toggle">
+					<input type="checkbox" class="wcs-rre-email-override-toggle" data-index="${index}" data-field="${overrideKey}" ${overrideEnabled ? 'checked' : ''}>
+					${wcsRreData.strings.emailOverrideToggle}
+				</label>
+				${overrideEnabled ? `
+					${renderLocaleSwitcher( rule, index, recipient )}
+					<div class="wcs-rre-email-fields">
+						${renderOverrideField( rule, index, recipient, subjectKey, wcsRreData.strings.emailSubject, getFallbackText( rule, subjectKey, defaults.default_subject ) )}
+						${renderOverrideField( rule, index, recipient, headingKey, wcsRreData.strings.emailHeading, getFallbackText( rule, headingKey, defaults.default_heading ) )}
+						${renderOverrideField( rule, index, recipient, additionalKey, wcsRreData.strings.emailAdditional, getFallbackText( rule, additionalKey, defaults.default_additional ), true )}
+					</div>
+					${placeholders.length ? `
+						<select class="wcs-rre-placeholder-insert" data-index="${index}" data-recipient="${recipient}" aria-label="${wcsRreData.strings.placeholderInsert}">
+							<option value="">${wcsRreData.strings.placeholderInsert}</option>
+							${placeholders.map( placeholder => `<option value="${escapeAttribute( placeholder )}">${escapeHtml( placeholder )}</option>` ).join( '' )}
+						</select>
+					` : ''}
+				` : ''}
+			</div>
+		`;
+	}
+
+	/**
+	 * Render an email override input with its placeholder checks.
+	 *
+	 * @param {Object}  rule        Rule data.
+	 * @param {number}  index       Rule index.
+	 * @param {string}  recipient   Recipient type.
+	 * @param {string}  field       Rule field.
+	 * @param {string}  label       Field label.
+	 * @param {string}  placeholder Default text shown when empty.
+	 * @param {boolean} multiline   Whether to render a textarea.
+	 * @return {string} HTML string.
+	 */
+	function renderOverrideField( rule, index, recipient, field, label, placeholder, multiline = false ) {
+		const id = `wcs-rre-${field}-${index}`;
+		const value = getOverrideText( rule, field );
+		const hasIssues = getPlaceholderIssues( value, recipient ).length > 0;
+		const attributes = `id="${id}" class="wcs-rre-email-override-input ${hasIssues ? 'has-placeholder-issues' : ''}"
+			data-index="${index}" data-field="${field}" data-recipient="${recipient}"
+			placeholder="${escapeHtml( placeholder || '' )}" aria-invalid="${hasIssues ? 'true' : 'false'}"
+			aria-describedby="${id}-issues" aria-autocomplete="list" autocomplete="off"`;
+
+		return `
+			<div class="wcs-rre-email-field ${multiline ? 'wcs-rre-email-field--full' : ''}">
+				<label for="${id}">${label}</label>
+				${multiline
+					? renderRichTextField( id, label, attributes, rule, index, recipient, field, placeholder )
+					: `<input type="text" ${attributes} value="${escapeHtml( value )}">`}
+				<div class="wcs-rre-placeholder-issues" id="${id}-issues">${renderPlaceholderIssues( value, recipient )}</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the language switcher of an override group.
+	 *
+	 * Only shown when the site has more than one language. The choice
+	 * applies to every override group and the preview pane.
+	 *
+	 * @param {Object} rule      The rule object.
+	 * @param {number} index     Rule index.
+	 * @param {string} recipient Recipient type.
+	 * @return {string} HTML string.
+	 */
+	function renderLocaleSwitcher( rule, index, recipient ) {
+		const strings = wcsRreData.strings;
+		const locales = getEmailLocales();
+		if ( Object.keys( locales ).length < 2 ) {
+			return '';
+		}
+
+		const defaultLocale = getDefaultLocale();
+		const variants = rule[ `email_locales_${recipient}` ] || {};
+		const options = Object.entries( locales ).map( ( [ locale, label ] ) => {
+			const isDefault = locale === defaultLocale;
+			const text = isDefault
+				? formatString( strings.localeDefault, label )
+				: formatString( variants[ locale ] ? strings.localeTranslated : strings.localeMissing, label );
+
+			return `<option value="${escapeAttribute( isDefault ? '' : locale )}" ${( isDefault ? '' : locale ) === overrideLocale ? 'selected' : ''}>${escapeHtml( text )}</option>`;
+		} ).join( '' );
+
+		return `
+			<label class="wcs-rre-locale-switcher">
+				${strings.localeSwitch}
+				<select class="wcs-rre-locale-select" data-index="${index}" data-recipient="${recipient}">${options}</select>
+			</label>
+			${overrideLocale ? `<p class="description wcs-rre-locale-help">${strings.localeFallback}</p>` : ''}
+		`;
+	}
+
+	/**
+	 * Get the locales overrides can have variants for.
+	 *
+	 * @return {Object} Labels keyed by locale.
+	 */
+	function getEmailLocales() {
+		return ( config.email_locales && config.email_locales.locales ) || {};
+	}
+
+	/**
+	 * Get the site locale, whose text is stored in the main override fields.
+	 *
+	 * @return {string} Locale.
+	 */
+	function getDefaultLocale() {
+		return ( config.email_locales && config.email_locales.default ) || '';
+	}
+
+	/**
+	 * Split an override field name into its field and recipient.
+	 *
+	 * @param {string} field Rule field, e.g. email_subject_customer.
+	 * @return {Object} Field name (subject, heading, additional_content) and recipient.
+	 */
+	function parseOverrideField( field ) {
+		const match = field.match( /^email_(subject|heading|additional_content)_(customer|admin)$/ );
+		return match ? { name: match[ 1 ], recipient: match[ 2 ] } : null;
+	}
+
+	/**
+	 * Get the override text being edited, in the selected language.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {string} field Rule field.
+	 * @return {string} Text.
+	 */
+	function getOverrideText( rule, field ) {
+		const parsed = parseOverrideField( field );
+		if ( ! overrideLocale || ! parsed ) {
+			return rule[ field ] || '';
+		}
+
+		const variant = ( rule[ `email_locales_${parsed.recipient}` ] || {} )[ overrideLocale ] || {};
+		return variant[ parsed.name ] || '';
+	}
+
+	/**
+	 * Set the override text being edited, in the selected language.
+	 *
+	 * Variants are copied rather than mutated so history snapshots stay intact.
+	 *
+	 * @param {Object} rule  The rule object.
+	 * @param {string} field Rule field.
+	 * @param {string} value Text.
+	 */
+	function setOverrideText( rule, field, value ) {
+		const parsed = parseOverrideField( field );
+		if ( ! overrideLocale || ! parsed ) {
+			rule[ field ] = value;
+			return;
+		}
+
+		const key = `email_locales_${parsed.recipient}`;
+		const variants = { ...( rule[ key ] || {} ) };
+		const variant = {
+			subject: '',
+			heading: '',
+			additional_content: '',
+			...( variants[ overrideLocale ] || {} ),
+			[ parsed.name ]: value,
+		};
+
+		if ( Object.values( variant ).some( text => text !== '' ) ) {
+			variants[ overrideLocale ] = variant;
+		} else {
+			delete variants[ overrideLocale ];
+		}
+
+		rule[ key ] = variants;
+	}
+
+	/**
+	 * Get the text sent when the field is left empty in the selected language.
+	 *
+	 * @param {Object} rule        The rule object.
+	 * @param {string} field       Rule field.
+	 * @param {string} defaultText Text from the email settings.
+	 * @return {string} Fallback text.
+	 */
+	function getFallbackText( rule, field, defaultText ) {
+		return overrideLocale && rule[ field ] ? rule[ field ] : defaultText;
+	}
+
+	/**
+	 * Drop malformed and empty locale variants.
+	 *
+	 * @param {*} variants Variants keyed by locale.
+	 * @return {Object} Variants.
+	 */
+	function normalizeEmailLocales( variants ) {
+		if ( ! variants || typeof variants !== 'object' || Array.isArray( variants ) ) {
+			return {};
+		}
+
+		const normalized = {};
+		Object.keys( variants ).sort().forEach( locale => {
+			const variant = variants[ locale ] || {};
+			const fields = {
+				subject: String( variant.subject || '' ),
+				heading: String( variant.heading || '' ),
+				additional_content: String( variant.additional_content || '' ),
+			};
+
+			if ( Object.values( fields ).some( text => text !== '' ) ) {
+				normalized[ locale ] = fields;
+			}
+		} );
+
+		return normalized;
+	}
+
+	/**
+	 * Render the additional content editor with its formatting toolbar.
+	 *
+	 * The visual mode edits formatted text; the HTML mode is the plain
+	 * textarea with placeholder suggestions.
+	 *
+	 * @param {string} id          Field ID.
+	 * @param {string} label       Field label.
+	 * @param {string} attributes  Attributes of the HTML mode textarea.
+	 * @param {Object} rule        The rule object.
+	 * @param {number} index       Rule index.
+	 * @param {string} recipient   Recipient type.
+	 * @param {string} field       Rule field.
+	 * @param {string} placeholder Text shown while the field is empty.
+	 * @return {string} HTML string.
+	 */
+	function renderRichTextField( id, label, attributes, rule, index, recipient, field, placeholder ) {
+		const strings = wcsRreData.strings;
+		const value = getOverrideText( rule, field );
+		const visual = richTextMode === 'visual';
+		const hasIssues = getPlaceholderIssues( value, recipient ).length > 0;
+		const commands = [
+			[ 'bold', strings.richTextBold, 'editor-bold' ],
+			[ 'createLink', strings.richTextLink, 'admin-links' ],
+			[ 'insertUnorderedList', strings.richTextBullets, 'editor-ul' ],
+			[ 'insertOrderedList', strings.richTextNumbers, 'editor-ol' ],
+		];
+		const mode = ( value, modeLabel ) => `
+			<button type="button" class="button wcs-rre-rich-text-mode ${richTextMode === value ? 'is-pressed' : ''}" data-mode="${value}" data-target="${id}" aria-pressed="${richTextMode === value ? 'true' : 'false'}">
+				${modeLabel}
+			</button>
+		`;
+
+		return `
+			<div class="wcs-rre-rich-text">
+				<div class="wcs-rre-rich-text-toolbar" role="toolbar" aria-label="${escapeAttribute( strings.richTextToolbar )}" aria-controls="${id}">
+					${commands.map( ( [ command, commandLabel, icon ] ) => `
+						<button type="button" class="button wcs-rre-rich-text-command" data-command="${command}" data-target="${id}" aria-label="${escapeAttribute( commandLabel )}" title="${escapeAttribute( commandLabel )}" ${visual ? '' : 'disabled'}>
+							<span class="dashicons dashicons-${icon}" aria-hidden="true"></span>
+						</button>
+					` ).join( '' )}
+					<div class="wcs-rre-button-group" role="group" aria-label="${escapeAttribute( strings.richTextMode )}">
+						${mode( 'visual', strings.richTextVisual )}
+						${mode( 'html', strings.richTextHtml )}
+					</div>
+				</div>
+				${visual ? `
+					<div id="${id}" class="wcs-rre-rich-text-editor ${hasIssues ? 'has-placeholder-issues' : ''}" contenteditable="true"
+						role="textbox" aria-multiline="true" aria-label="${escapeAttribute( label )}" aria-describedby="${id}-issues"
+						aria-invalid="${hasIssues ? 'true' : 'false'}" data-index="${index}" data-field="${field}" data-recipient="${recipient}"
+						data-placeholder="${escapeAttribute( placeholder || '' )}">${toRichTextHtml( value )}</div>
+				` : `<textarea ${attributes} rows="5">${escapeHtml( value )}</textarea>`}
+			</div>
+		`;
+	}
+
+	/**
+	 * Convert stored additional content into markup for the visual editor.
+	 *
+	 * Text without block markup is split into paragraphs and line breaks,
+	 * the way WooCommerce formats it in the email.
+	 *
+	 * @param {string} value Stored content.
+	 * @return {string} Sanitized HTML.
+	 */
+	function toRichTextHtml( value ) {
+		let html = String( value || '' );
+
+		if ( html && ! /<(p|ul|ol|li|br)\b/i.test( html ) ) {
+			html = html.trim().split( /\n\s*\n/ ).map( paragraph => `<p>${paragraph.replace( /\n/g, '<br>' )}</p>` ).join( '' );
+		}
+
+		return sanitizeRichText( html );
+	}
+
+	/**
+	 * Keep only the formatting the visual editor offers.
+	 *
+	 * Other elements are unwrapped, scripts and styles are dropped, and links
+	 * keep only web, mailto or placeholder addresses.
+	 *
+	 * @param {string} html Editor markup.
+	 * @return {string} Sanitized HTML, or an empty string if there is no text.
+	 */
+	function sanitizeRichText( html ) {
+		const template = document.createElement( 'template' );
+		template.innerHTML = html;
+
+		const clean = parent => {
+			Array.from( parent.childNodes ).forEach( node => {
+				if ( node.nodeType === Node.TEXT_NODE ) {
+					return;
+				}
+
+				if ( node.nodeType !== Node.ELEMENT_NODE || [ 'script', 'style' ].includes( node.localName ) ) {
+					node.remove();
+					return;
+				}
+
+				clean( node );
+
+				const tag = RICH_TEXT_TAGS[ node.localName ];
+				if ( ! tag ) {
+					node.replaceWith( ...node.childNodes );
+					return;
+				}
+
+				const replacement = document.createElement( tag );
+				const href = ( node.getAttribute( 'href' ) || '' ).trim();
+				if ( tag === 'a' && /^(https?:|mailto:|\{)/i.test( href ) ) {
+					replacement.setAttribute( 'href', href );
+				}
+
+				replacement.append( ...node.childNodes );
+				node.replaceWith( replacement );
+			} );
+		};
+
+		clean( template.content );
+
+		return template.content.textContent.trim() === '' ? '' : template.innerHTML;
+	}
+
+	/**
+	 * Get the text offset of a boundary point inside the visual editor.
+	 *
+	 * Offsets survive a re-render, unlike DOM ranges.
+	 *
+	 * @param {Element} editor    Visual editor.
+	 * @param {Node}    container Boundary container.
+	 * @param {number}  offset    Boundary offset.
+	 * @return {number} Offset in the editor text.
+	 */
+	function getRichTextOffset( editor, container, offset ) {
+		const range = document.createRange();
+		range.selectNodeContents( editor );
+		range.setEnd( container, offset );
+		return range.toString().length;
+	}
+
+	/**
+	 * Select a text range in the visual editor.
+	 *
+	 * @param {Element} editor Visual editor.
+	 * @param {number}  start  Start offset in the editor text.
+	 * @param {number}  end    End offset in the editor text.
+	 */
+	function setRichTextSelection( editor, start, end ) {
+		const range = document.createRange();
+		const walker = document.createTreeWalker( editor, NodeFilter.SHOW_TEXT );
+		let position = 0;
+		let node;
+
+		range.selectNodeContents( editor );
+		range.collapse( false );
+
+		while ( ( node = walker.nextNode() ) ) {
+			const length = node.textContent.length;
+			if ( start >= position && start <= position + length ) {
+				range.setStart( node, start - position );
+			}
+			if ( end >= position && end <= position + length ) {
+				range.setEnd( node, end - position );
+				break;
+			}
+			position += length;
+		}
+
+		const selection = window.getSelection();
+		selection.removeAllRanges();
+		selection.addRange( range );
+	}
+
+	/**
+	 * Render the unknown and unbalanced placeholders in a field value.
+	 *
+	 * @param {string} value     Field value.
+	 * @param {string} recipient Recipient type.
+	 * @return {string} HTML string.
+	 */
+	function renderPlaceholderIssues( value, recipient ) {
+		return getPlaceholderIssues( value, recipient ).map( issue => issue.type === 'unknown'
+			? `<span><mark>${escapeHtml( issue.token )}</mark> ${wcsRreData.strings.placeholderUnknown}</span>`
+			: `<span>${wcsRreData.strings.placeholderBraces}</span>`
+		).join( '' );
+	}
+
+	/**
+	 * Get the placeholders available to a recipient's email.
+	 *
+	 * @param {string} recipient Recipient type.
+	 * @return {Array} Placeholders such as {order_number}.
+	 */
+	function getPlaceholders( recipient ) {
+		return wcsRreData.emailPlaceholders && wcsRreData.emailPlaceholders[ recipient ]
+			? wcsRreData.emailPlaceholders[ recipient ]
+			: [];
+	}
+
+	/**
+	 * Find unknown or unbalanced placeholders in override text.
+	 *
+	 * Mirrors WCS_RRE_Rules_Manager::validate_rule_placeholders().
+	 *
+	 * @param {string} value     Text to check.
+	 * @param {string} recipient Recipient type.
+	 * @return {Array} Issues as { type: 'unknown'|'unbalanced', token }.
+	 */
+	function getPlaceholderIssues( value, recipient ) {
+		const text = String( value || '' );
+		const allowed = getPlaceholders( recipient );
+		const issues = [];
+
+		( text.match( /\{[^{}]*\}/g ) || [] ).forEach( token => {
+			if ( ! allowed.includes( token ) && ! issues.some( issue => issue.token === token ) ) {
+				issues.push( { type: 'unknown', token } );
+			}
+		} );
+
+		if ( /[{}]/.test( text.replace( /\{[^{}]*\}/g, '' ) ) ) {
+			issues.push( { type: 'unbalanced', token: '' } );
+		}
+
+		return issues;
+	}
+
+	/**
+	 * Render the docked email preview pane.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderPreviewPane() {
+		const rule = rules[ previewPane.ruleIndex ];
+		if ( ! previewPane.open || ! rule ) {
+			return '';
+		}
+
+		const strings = wcsRreData.strings;
+		const toggle = ( group, value, label, disabled = false ) => {
+			const pressed = previewPane[ group ] === value;
+			return `
+				<button type="button" class="button wcs-rre-preview-toggle ${pressed ? 'is-pressed' : ''}" data-${group}="${value}" aria-pressed="${pressed ? 'true' : 'false'}" ${disabled ? 'disabled' : ''}>
+					${label}
+				</button>
+			`;
+		};
+
+		return `
+			<div class="wcs-rre-preview-pane is-${previewPane.device}" role="region" aria-label="${strings.emailPreviewTitle}">
+				<div class="wcs-rre-preview-header">
+					<h3>${strings.emailPreviewTitle} <span class="wcs-rre-preview-rule">${strings.rule} ${previewPane.ruleIndex + 1}${overrideLocale ? ` &middot; ${escapeHtml( overrideLocale )}` : ''}</span></h3>
+					<button type="button" class="button-link wcs-rre-preview-close">${strings.emailPreviewClose}</button>
+				</div>
+				<div class="wcs-rre-preview-controls">
+					<div class="wcs-rre-button-group" role="group" aria-label="${strings.previewRecipient}">
+						${toggle( 'recipient', 'customer', strings.emailCustomerLabel, ! rule.email_template_customer )}
+						${toggle( 'recipient', 'admin', strings.emailAdminLabel, ! rule.email_template_admin )}
+					</div>
+					<div class="wcs-rre-button-group" role="group" aria-label="${strings.previewFormat}">
+						${toggle( 'format', 'html', strings.previewHtml )}
+						${toggle( 'format', 'plain', strings.previewPlain )}
+					</div>
+					<div class="wcs-rre-button-group" role="group" aria-label="${strings.previewDevice}">
+						${toggle( 'device', 'desktop', strings.previewDesktop, previewPane.format === 'plain' )}
+						${toggle( 'device', 'mobile', strings.previewMobile, previewPane.format === 'plain' )}
+					</div>
+				</div>
+				<div class="wcs-rre-preview-body" id="wcs-rre-preview-body">${renderPreviewBody()}</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the preview pane contents.
+	 *
+	 * Kept separate from the controls so a refresh can replace it without
+	 * re-rendering the editor and moving focus out of the field being typed in.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderPreviewBody() {
+		const strings = wcsRreData.strings;
+
+		if ( previewPane.error ) {
+			return `<div class="wcs-rre-preview-error">${strings.emailPreviewError} ${escapeHtml( previewPane.error )}</div>`;
+		}
+
+		const plain = previewPane.format === 'plain';
+		if ( ! ( plain ? previewPane.text : previewPane.html ) ) {
+			return `<div class="wcs-rre-preview-loading">${strings.emailPreviewLoad}</div>`;
+		}
+
+		const placeholders = previewPane.placeholders.map( item => `
+			<li class="${item.substituted ? '' : 'is-unknown'}">
+				<code>${escapeHtml( item.placeholder )}</code>
+				${item.substituted ? `&rarr; ${escapeHtml( item.value )}` : strings.previewNotReplaced}
+			</li>
+		` ).join( '' );
+
+		return `
+			<div class="wcs-rre-preview-meta">
+				<div><strong>${strings.emailPreviewSubject}:</strong> ${previewPane.subjectHtml || escapeHtml( previewPane.subject )}</div>
+				<div><strong>${strings.emailPreviewHeading}:</strong> ${previewPane.headingHtml || escapeHtml( previewPane.heading )}</div>
+				<span class="wcs-rre-preview-status" aria-live="polite">${previewPane.loading ? strings.previewUpdating : ''}</span>
+			</div>
+			${placeholders ? `
+				<div class="wcs-rre-preview-placeholders">
+					<strong>${strings.previewPlaceholders}</strong>
+					<ul>${placeholders}</ul>
+				</div>
+			` : ''}
+			<div class="wcs-rre-preview-frame ${previewPane.loading ? 'is-loading' : ''}">
+				${plain
+					? `<pre class="wcs-rre-preview-text" tabindex="0" aria-label="${strings.previewPlain}">${previewPane.textHtml || escapeHtml( previewPane.text )}</pre>`
+					: `<iframe title="${strings.emailPreviewTitle}" srcdoc="${escapeAttribute( previewPane.html )}"></iframe>`}
+			</div>
+		`;
+	}
+
+	/**
+	 * Check rules for errors that would fail on save and for risky settings.
+	 *
+	 * Errors mirror the server-side checks in WCS_RRE_Rules_Manager::validate_rule()
+	 * and block saving. Warnings flag valid but likely unintended schedules
+	 * and need confirmation before saving.
+	 *
+	 * @param {Array}  list         Rules.
+	 * @param {number} periodLength Billing period length in seconds to compare the retry window against.
+	 * @return {Object} Issues per rule, global issues and counts.
+	 */
+	function validateRules( list, periodLength = config.billing_period_length ) {
+		const strings = wcsRreData.strings;
+		const result = {
+			rules: list.map( () => [] ),
+			global: [],
+			errorCount: 0,
+			warningCount: 0,
+		};
+
+		const add = ( level, message, index ) => {
+			const target = index === undefined ? result.global : result.rules[ index ];
+			target.push( { level, message } );
+			if ( level === 'error' ) {
+				result.errorCount++;
+			} else {
+				result.warningCount++;
+			}
+		};
+
+		if ( list.length === 0 ) {
+			add( 'warning', strings.lintNoRules );
+			return result;
+		}
+
+		const minInterval = config.min_interval || 300;
+		const emailTemplates = config.email_templates || {};
+
+		list.forEach( ( rule, index ) => {
+			const interval = Number( rule.retry_after_interval );
+			if ( ! Number.isFinite( interval ) || interval < minInterval ) {
+				add( 'error', formatString( strings.lintIntervalMin, formatInterval( minInterval ) ), index );
+			}
+
+			[ 'customer', 'admin' ].forEach( recipient => {
+				const value = rule[ `email_template_${recipient}` ];
+				if ( emailTemplates[ recipient ] && ! Object.prototype.hasOwnProperty.call( emailTemplates[ recipient ], value ) ) {
+					add( 'error', recipient === 'customer' ? strings.lintCustomerEmail : strings.lintAdminEmail, index );
+				}
+			} );
+
+			if ( config.order_statuses && ! config.order_statuses[ rule.status_to_apply_to_order ] ) {
+				add( 'error', strings.lintOrderStatus, index );
+			}
+
+			if ( config.subscription_statuses && ! config.subscription_statuses[ rule.status_to_apply_to_subscription ] ) {
+				add( 'error', strings.lintSubStatus, index );
+			}
+
+			if ( rule.status_to_apply_to_subscription === 'active' && rule.status_to_apply_to_order === 'pending' ) {
+				add( 'warning', strings.lintActivePending, index );
+			}
+
+			if ( rule.timing === 'anchored' ) {
+				if ( ! rule.anchor.days.length ) {
+					add( 'error', strings.lintAnchorDays, index );
+				}
+
+				if ( ! /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test( rule.anchor.time ) ) {
+					add( 'error', strings.lintAnchorTime, index );
+				}
+			}
+
+			const handled = [];
+			( rule.decline_conditions || [] ).forEach( ( condition, position ) => {
+				const value = condition.email_template_customer;
+
+				if ( ! condition.categories.length ) {
+					add( 'error', formatString( strings.lintDeclineReasons, position + 1 ), index );
+				}
+
+				if ( condition.action === 'email' && ( ! value || ( emailTemplates.customer && ! Object.prototype.hasOwnProperty.call( emailTemplates.customer, value ) ) ) ) {
+					add( 'error', formatString( strings.lintDeclineEmail, position + 1 ), index );
+				}
+
+				condition.categories.filter( category => handled.includes( category ) ).forEach( category => {
+					const label = ( config.decline_categories || {} )[ category ] || category;
+					add( 'warning', formatString( strings.lintDeclineRepeat, position + 1, label ), index );
+				} );
+
+				handled.push( ...condition.categories );
+			} );
+
+			[ 'customer', 'admin' ].forEach( recipient => {
+				if ( ! rule[ `email_template_${recipient}` ] || ! rule[ `email_override_${recipient}` ] ) {
+					return;
+				}
+
+				const isEmpty = [ 'subject', 'heading', 'additional_content' ].every( field =>
+					! String( rule[ `email_${field}_${recipient}` ] || '' ).trim()
+				);
+				const label = recipient === 'customer' ? strings.emailCustomerLabel : strings.emailAdminLabel;
+				if ( isEmpty ) {
+					add( 'warning', formatString( strings.lintEmptyOverride, label ), index );
+				}
+
+				const variants = Object.entries( rule[ `email_locales_${recipient}` ] || {} );
+				[ 'subject', 'heading', 'additional_content' ].forEach( field => {
+					const fieldLabel = getFieldLabel( `email_${field}_${recipient}` );
+					const texts = [
+						[ fieldLabel, rule[ `email_${field}_${recipient}` ] ],
+						...variants.map( ( [ locale, variant ] ) => [ `${fieldLabel} (${locale})`, variant[ field ] ] ),
+					];
+
+					texts.forEach( ( [ textLabel, text ] ) => {
+						getPlaceholderIssues( text, recipient ).forEach( issue => {
+							add(
+								'error',
+								issue.type === 'unknown'
+									? formatString( strings.lintPlaceholder, textLabel, issue.token )
+									: formatString( strings.lintUnbalanced, textLabel ),
+								index
+							);
+						} );
+					} );
+				} );
+			} );
+		} );
+
+		const windowLength = getCumulativeTime( list.length - 1, list );
+		if ( periodLength && windowLength > periodLength ) {
+			add( 'warning', formatString( strings.lintWindowTooLong, formatElapsed( windowLength ), formatInterval( periodLength ) ) );
+		}
+
+		if ( ! list.some( rule => rule.email_template_customer ) ) {
+			add( 'warning', strings.lintNoCustomerEmail );
+		}
+
+		return result;
+	}
+
+	/**
+	 * Check a rule set's own settings, mirroring WCS_RRE_Rules_Manager::validate_rule_set().
+	 *
+	 * @param {Object} set Rule set.
+	 * @return {Array} Error messages.
+	 */
+	function validateRuleSet( set ) {
+		const errors = [];
+
+		if ( ! String( set.name || '' ).trim() ) {
+			errors.push( wcsRreData.strings.lintSetName );
+		}
+
+		if ( ! Object.values( set.conditions || {} ).some( values => values.length > 0 ) ) {
+			errors.push( wcsRreData.strings.lintSetConditions );
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Get the billing period length a rule set's retry window is compared against.
+	 *
+	 * A rule set limited to billing periods uses the shortest of them.
+	 *
+	 * @param {Object|null} set Rule set, or null for the global rules.
+	 * @return {number} Length in seconds.
+	 */
+	function getRuleSetPeriodLength( set ) {
+		const periods = set ? set.conditions.billing_periods || [] : [];
+		const lengths = periods.map( period => BILLING_PERIOD_LENGTHS[ period ] ).filter( Boolean );
+
+		return lengths.length ? Math.min( ...lengths ) : config.billing_period_length;
+	}
+
+	/**
+	 * Compare two rule lists rule by rule.
+	 *
+	 * Identical rules are matched with a longest common subsequence so that
+	 * inserting or deleting a rule does not mark every later rule as changed.
+	 * Unmatched rules between two matches are paired up as changes; any
+	 * leftovers are reported as added or removed.
+	 *
+	 * @param {Array} fromRules Original rules.
+	 * @param {Array} toRules   New rules.
+	 * @return {Array} Diff entries with type, indexes and field changes.
+	 */
+	function diffRules( fromRules, toRules ) {
+		const from = fromRules.map( normalizeRule );
+		const to = toRules.map( normalizeRule );
+		const fromKeys = from.map( rule => JSON.stringify( rule ) );
+		const toKeys = to.map( rule => JSON.stringify( rule ) );
+
+		// LCS lengths, filled from the end.
+		const lengths = [];
+		for ( let i = from.length; i >= 0; i-- ) {
+			lengths[ i ] = [];
+			for ( let j = to.length; j >= 0; j-- ) {
+				if ( i === from.length || j === to.length ) {
+					lengths[ i ][ j ] = 0;
+				} else if ( fromKeys[ i ] === toKeys[ j ] ) {
+					lengths[ i ][ j ] = lengths[ i + 1 ][ j + 1 ] + 1;
+				} else {
+					lengths[ i ][ j ] = Math.max( lengths[ i + 1 ][ j ], lengths[ i ][ j + 1 ] );
+				}
+			}
+		}
+
+		const diff = [];
+		let removed = [];
+		let added = [];
+
+		const flush = () => {
+			const paired = Math.min( removed.length, added.length );
+
+			for ( let k = 0; k < paired; k++ ) {
+				diff.push( {
+					type: 'changed',
+					fromIndex: removed[ k ],
+					toIndex: added[ k ],
+					from: from[ removed[ k ] ],
+					to: to[ added[ k ] ],
+					changes: getRuleChanges( from[ removed[ k ] ], to[ added[ k ] ] ),
+				} );
+			}
+
+			removed.slice( paired ).forEach( index => {
+				diff.push( { type: 'removed', fromIndex: index, from: from[ index ] } );
+			} );
+
+			added.slice( paired ).forEach( index => {
+				diff.push( { type: 'added', toIndex: index, to: to[ index ] } );
+			} );
+
+			removed = [];
+			added = [];
+		};
+
+		let i = 0;
+		let j = 0;
+		while ( i < from.length || j < to.length ) {
+			if ( i < from.length && j < to.length && fromKeys[ i ] === toKeys[ j ] ) {
+				flush();
+				diff.push( { type: 'unchanged', fromIndex: i, toIndex: j, from: from[ i ], to: to[ j ] } );
+				i++;
+				j++;
+			} else if ( j >= to.length || ( i < from.length && lengths[ i + 1 ][ j ] >= lengths[ i ][ j + 1 ] ) ) {
+				removed.push( i++ );
+			} else {
+				added.push( j++ );
+			}
+		}
+		flush();
+
+		return diff;
+	}
+
+	/**
+	 * List the fields that differ between two rules.
+	 *
+	 * @param {Object} from Original rule.
+	 * @param {Object} to   New rule.
+	 * @return {Array} Changes as { field, from, to }.
+	 */
+	function getRuleChanges( from, to ) {
+		const fields = Array.from( new Set( [ ...Object.keys( from ), ...Object.keys( to ) ] ) );
+
+		return fields
+			.filter( field => JSON.stringify( from[ field ] ) !== JSON.stringify( to[ field ] ) )
+			.map( field => ( { field, from: from[ field ], to: to[ field ] } ) );
+	}
+
+	/**
+	 * Summarize a rule in one line.
+	 *
+	 * @param {Object} rule Rule object.
+	 * @return {string} Summary.
+	 */
+	function summarizeRule( rule ) {
+		return [
+			'+' + formatInterval( rule.retry_after_interval ),
+			formatFieldValue( 'status_to_apply_to_order', rule.status_to_apply_to_order ),
+			formatFieldValue( 'status_to_apply_to_subscription', rule.status_to_apply_to_subscription ),
+		].join( ', ' );
+	}
+
+	/**
+	 * Get a human-readable label for a rule field.
+	 *
+	 * @param {string} field Field name.
+	 * @return {string} Label.
+	 */
+	function getFieldLabel( field ) {
+		const strings = wcsRreData.strings;
+		const labels = {
+			retry_after_interval: strings.retryAfter,
+			email_template_customer: strings.customerEmail,
+			email_template_admin: strings.adminEmail,
+			status_to_apply_to_order: strings.orderStatus,
+			status_to_apply_to_subscription: strings.subscriptionStatus,
+			email_override_customer: `${strings.emailCustomerLabel}: ${strings.emailOverrideToggle}`,
+			email_override_admin: `${strings.emailAdminLabel}: ${strings.emailOverrideToggle}`,
+			email_subject_customer: `${strings.emailCustomerLabel}: ${strings.emailSubject}`,
+			email_heading_customer: `${strings.emailCustomerLabel}: ${strings.emailHeading}`,
+			email_additional_content_customer: `${strings.emailCustomerLabel}: ${strings.emailAdditional}`,
+			email_subject_admin: `${strings.emailAdminLabel}: ${strings.emailSubject}`,
+			email_heading_admin: `${strings.emailAdminLabel}: ${strings.emailHeading}`,
+			email_additional_content_admin: `${strings.emailAdminLabel}: ${strings.emailAdditional}`,
+			email_locales_customer: `${strings.emailCustomerLabel}: ${strings.localeVariants}`,
+			email_locales_admin: `${strings.emailAdminLabel}: ${strings.localeVariants}`,
+			decline_conditions: strings.declineTitle,
+			timing: strings.timing,
+			anchor: strings.anchorType,
+		};
+
+		return labels[ field ] || field;
+	}
+
+	/**
+	 * Format a rule field value for display.
+	 *
+	 * @param {string} field Field name.
+	 * @param {*}      value Field value.
+	 * @return {string} Display value.
+	 */
+	function formatFieldValue( field, value ) {
+		if ( field === 'retry_after_interval' ) {
+			return formatInterval( parseInt( value, 10 ) || 0 );
+		}
+
+		if ( field === 'email_template_customer' || field === 'email_template_admin' ) {
+			const type = field === 'email_template_customer' ? 'customer' : 'admin';
+			const templates = config.email_templates && config.email_templates[ type ] ? config.email_templates[ type ] : {};
+			return templates[ value ] || value;
+		}
+
+		if ( field === 'status_to_apply_to_order' ) {
+			return ( config.order_statuses && config.order_statuses[ value ] ) || value;
+		}
+
+		if ( field === 'email_locales_customer' || field === 'email_locales_admin' ) {
+			const locales = Object.keys( value || {} );
+			return locales.length ? locales.join( ', ' ) : wcsRreData.strings.emptyValue;
+		}
+
+		if ( field === 'status_to_apply_to_subscription' ) {
+			return ( config.subscription_statuses && config.subscription_statuses[ value ] ) || value;
+		}
+
+		if ( field === 'timing' ) {
+			return value === 'anchored' ? wcsRreData.strings.timingAnchored : wcsRreData.strings.timingRelative;
+		}
+
+		if ( field === 'anchor' ) {
+			return value && typeof value === 'object' ? describeAnchor( normalizeAnchor( value ) ) : wcsRreData.strings.emptyValue;
+		}
+
+		if ( field === 'decline_conditions' ) {
+			const conditions = normalizeDeclineConditions( value );
+			return conditions.length ? conditions.map( summarizeDeclineCondition ).join( '; ' ) : wcsRreData.strings.emptyValue;
+		}
+
+		if ( typeof value === 'boolean' ) {
+			return value ? wcsRreData.strings.enabled : wcsRreData.strings.disabled;
+		}
+
+		if ( value === undefined || value === null || value === '' ) {
+			return wcsRreData.strings.emptyValue;
+		}
+
+		const text = typeof value === 'object' ? JSON.stringify( value ) : String( value );
+		return text.length > 60 ? text.slice( 0, 57 ) + '...' : text;
+	}
+
+	/**
+	 * Format a stored date for display in the browser locale.
+	 *
+	 * @param {string} value ISO 8601 date string.
+	 * @return {string} Formatted date.
+	 */
+	function formatDateTime( value ) {
+		if ( ! value ) {
+			return '';
+		}
+
+		const date = new Date( value );
+		return isNaN( date.getTime() ) ? value : date.toLocaleString();
+	}
+
+	/**
+	 * Render the confirmation modal.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderConfirmModal() {
+		if ( ! confirmModal.open ) {
+			return '';
+		}
+
+		return `
+			<div class="wcs-rre-modal-backdrop" data-modal-backdrop="true">
+				<div class="wcs-rre-modal wcs-rre-modal--confirm" role="dialog" aria-modal="true" aria-label="${escapeAttribute( confirmModal.title )}">
+					<div class="wcs-rre-modal-header">
+						<h3>${escapeHtml( confirmModal.title )}</h3>
+					</div>
+					<div class="wcs-rre-modal-body">
+						${confirmModal.body}
+					</div>
+					<div class="wcs-rre-modal-footer">
+						<button type="button" class="button wcs-rre-modal-close" data-modal-close="true">
+							${wcsRreData.strings.cancel}
+						</button>
+						<button type="button" class="button button-primary" id="wcs-rre-confirm-accept">
+							${escapeHtml( confirmModal.confirmLabel )}
+						</button>
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the send test email modal.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderTestEmailModal() {
+		if ( ! testEmailModal.open ) {
+			return '';
+		}
+
+		const strings = wcsRreData.strings;
+		const result = testEmailModal.result;
+
+		return `
+			<div class="wcs-rre-modal-backdrop" data-modal-backdrop="true">
+				<div class="wcs-rre-modal wcs-rre-modal--confirm" role="dialog" aria-modal="true" aria-label="${escapeAttribute( strings.testEmailTitle )}">
+					<div class="wcs-rre-modal-header">
+						<h3>${strings.testEmailTitle}</h3>
+					</div>
+					<div class="wcs-rre-modal-body">
+						<p>${formatString( strings.testEmailDesc, testEmailModal.recipient === 'customer' ? strings.emailCustomerLabel : strings.emailAdminLabel, testEmailModal.ruleIndex + 1 )}</p>
+						<label class="wcs-rre-panel-field">
+							${strings.testEmailTo}
+							<input type="email" id="wcs-rre-test-email-to" value="${escapeAttribute( testEmailModal.to )}" ${testEmailModal.sending ? 'disabled' : ''}>
+						</label>
+						${result ? `
+							<div class="notice notice-${result.type === 'success' ? 'success' : 'error'} inline wcs-rre-test-email-result" role="status">
+								<p>${escapeHtml( result.message )}</p>
+							</div>
+						` : ''}
+					</div>
+					<div class="wcs-rre-modal-footer">
+						<button type="button" class="button wcs-rre-modal-close" data-modal-close="true">
+							${strings.emailPreviewClose}
+						</button>
+						<button type="button" class="button button-primary" id="wcs-rre-test-email-send" ${testEmailModal.sending ? 'disabled' : ''}>
+							${testEmailModal.sending ? strings.testEmailSending : strings.testEmailSend}
+						</button>
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the schedule rules modal.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderScheduleModal() {
+		if ( ! scheduleModal.open ) {
+			return '';
+		}
+
+		const strings = wcsRreData.strings;
+
+		return `
+			<div class="wcs-rre-modal-backdrop" data-modal-backdrop="true">
+				<div class="wcs-rre-modal wcs-rre-modal--confirm" role="dialog" aria-modal="true" aria-label="${escapeAttribute( strings.scheduleTitle )}">
+					<div class="wcs-rre-modal-header">
+						<h3>${strings.scheduleTitle}</h3>
+					</div>
+					<div class="wcs-rre-modal-body">
+						<p>${strings.scheduleDesc}</p>
+						${schedule && schedule.status === 'pending' ? `<p class="description">${strings.scheduleReplaces}</p>` : ''}
+						<label class="wcs-rre-panel-field">
+							${strings.scheduleActivate}
+							<input type="datetime-local" id="wcs-rre-schedule-activate" class="wcs-rre-schedule-input" data-field="activateAt" min="${escapeAttribute( config.store_time || '' )}" value="${escapeAttribute( scheduleModal.activateAt )}" ${scheduleModal.saving ? 'disabled' : ''}>
+						</label>
+						<label class="wcs-rre-panel-field">
+							${strings.scheduleRevert}
+							<input type="datetime-local" id="wcs-rre-schedule-revert" class="wcs-rre-schedule-input" data-field="revertAt" min="${escapeAttribute( scheduleModal.activateAt || config.store_time || '' )}" value="${escapeAttribute( scheduleModal.revertAt )}" ${scheduleModal.saving ? 'disabled' : ''}>
+						</label>
+						${config.timezone ? `<p class="description">${strings.simTimezone} ${escapeHtml( config.timezone )}</p>` : ''}
+						${scheduleModal.error ? `
+							<div class="notice notice-error inline" role="alert">
+								<p>${escapeHtml( scheduleModal.error )}</p>
+							</div>
+						` : ''}
+					</div>
+					<div class="wcs-rre-modal-footer">
+						<button type="button" class="button wcs-rre-modal-close" data-modal-close="true">
+							${strings.cancel}
+						</button>
+						<button type="button" class="button button-primary" id="wcs-rre-schedule-submit" ${scheduleModal.saving ? 'disabled' : ''}>
+							${scheduleModal.saving ? strings.saving : strings.scheduleSubmit}
+						</button>
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Render the modal shown when someone else saved the rules first.
+	 *
+	 * @return {string} HTML string.
+	 */
+	function renderConflictModal() {
+		if ( ! conflictModal.open ) {
+			return '';
+		}
+
+		const strings = wcsRreData.strings;
+		const current = conflictModal.current;
+		const changedBy = formatString(
+			current.source === 'draft' ? strings.conflictDraft : strings.conflictLive,
+			current.modified_by_name || strings.unknownUser,
+			formatDateTime( current.modified_at )
+		);
+
+		return `
+			<div class="wcs-rre-modal-backdrop" data-modal-backdrop="true">
+				<div class="wcs-rre-modal wcs-rre-modal--confirm" role="dialog" aria-modal="true" aria-label="${escapeAttribute( strings.conflictTitle )}">
+					<div class="wcs-rre-modal-header">
+						<h3>${strings.conflictTitle}</h3>
+					</div>
+					<div class="wcs-rre-modal-body">
+						<p>${escapeHtml( current.modified_at ? changedBy : strings.conflictReset )}</p>
+						<h4 class="wcs-rre-conflict-heading">${strings.conflictChanges}</h4>
+						${renderStateDiff( JSON.parse( savedState ), current )}
+						<ul class="wcs-rre-conflict-options">
+							<li><strong>${strings.conflictReload}:</strong> ${strings.conflictReloadDesc}</li>
+							<li><strong>${strings.conflictMerge}:</strong> ${strings.conflictMergeDesc}</li>
+							<li><strong>${strings.conflictOverwrite}:</strong> ${strings.conflictForceDesc}</li>
+						</ul>
+					</div>
+					<div class="wcs-rre-modal-footer">
+						<button type="button" class="button wcs-rre-modal-close" data-modal-close="true">
+							${strings.cancel}
+						</button>
+						<button type="button" class="button" id="wcs-rre-conflict-reload" ${conflictModal.busy ? 'disabled' : ''}>
+							${strings.conflictReload}
+						</button>
+						<button type="button" class="button" id="wcs-rre-conflict-merge" ${conflictModal.busy ? 'disabled' : ''}>
+							${strings.conflictMerge}
+						</button>
+						<button type="button" class="button button-primary" id="wcs-rre-conflict-overwrite" ${conflictModal.busy ? 'disabled' : ''}>
+							${strings.conflictOverwrite}
+						</button>
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Open the confirmation modal.
+	 *
+	 * @param {Object}   options              Modal options.
+	 * @param {string}   options.title        Modal title.
+	 * @param {string}   options.body         Body HTML (already escaped).
+	 * @param {string}   options.confirmLabel Label for the confirm button.
+	 * @param {Function} options.onConfirm    Callback run when confirmed.
+	 */
+	function openConfirmModal( options ) {
+		confirmModal = {
+			open: true,
+			...options,
+		};
+		render();
+	}
+
+	/**
+	 * Get cumulative time up to and including a rule index.
+	 *
+	 * @param {number} index Rule index.
+	 * @param {Array}  list  Rules to sum. Defaults to the editor rules.
+	 * @return {number} Total seconds.
+	 */
+	function getCumulativeTime( index, list = rules ) {
+		return Math.round( ( getRetryTimes( list )[ index ] - getSampleFailureTime() ) / 1000 );
+	}
+
+	/**
+	 * Get when each rule retries, for a payment that fails at the sample time.
+	 *
+	 * @param {Array} list Rules.
+	 * @return {Array} Store-time milliseconds per rule.
+	 */
+	function getRetryTimes( list ) {
+		let time = getSampleFailureTime();
+		return list.map( rule => {
+			time = resolveRetryTime( rule, time );
+			return time;
+		} );
+	}
+
+	/**
+	 * Get the sample failure time the timeline and simulator start from.
+	 *
+	 * @return {number} Store-time milliseconds.
+	 */
+	function getSampleFailureTime() {
+		return parseStoreTime( simulator.start || config.store_time || '' );
+	}
+
+	/**
+	 * Get when a rule retries a payment that failed at a given time.
+	 *
+	 * Mirrors WCS_RRE_Rules_Manager::get_retry_time(): anchored rules wait at
+	 * least their interval, then retry at the next set time. A day of the
+	 * month past the end of a short month falls on its last day.
+	 *
+	 * @param {Object} rule Rule object.
+	 * @param {number} time Failure time in store-time milliseconds.
+	 * @return {number} Retry time in store-time milliseconds.
+	 */
+	function resolveRetryTime( rule, time ) {
+		const earliest = time + rule.retry_after_interval * 1000;
+		if ( rule.timing !== 'anchored' ) {
+			return earliest;
+		}
+
+		const anchor = rule.anchor;
+		const [ hours, minutes ] = String( anchor.time ).split( ':' ).map( Number );
+		const from = new Date( earliest );
+		if ( ! Number.isFinite( hours ) || ! Number.isFinite( minutes ) ) {
+			return earliest;
+		}
+
+		for ( let offset = 0; offset <= ANCHOR_SEARCH_DAYS; offset++ ) {
+			const candidate = new Date( Date.UTC( from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() + offset, hours, minutes ) );
+			if ( candidate.getTime() < earliest ) {
+				continue;
+			}
+
+			const date = candidate.getUTCDate();
+			const last = new Date( Date.UTC( candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, 0 ) ).getUTCDate();
+			const matches = anchor.type === 'weekdays'
+				? anchor.days.includes( candidate.getUTCDay() || 7 )
+				: anchor.days.includes( date ) || ( date === last && anchor.days.some( day => day > last ) );
+
+			if ( matches ) {
+				return candidate.getTime();
+			}
+		}
+
+		return earliest;
+	}
+
+	/**
+	 * Format an elapsed time, splitting times that are not whole hours into days, hours and minutes.
+	 *
+	 * @param {number} seconds Elapsed seconds.
+	 * @return {string} Formatted string.
+	 */
+	function formatElapsed( seconds ) {
+		if ( seconds % 3600 === 0 || seconds < 3600 ) {
+			return formatInterval( seconds );
+		}
+
+		const minutes = Math.round( seconds / 60 );
+		return [ Math.floor( minutes / 1440 ) * 86400, Math.floor( ( minutes % 1440 ) / 60 ) * 3600, ( minutes % 60 ) * 60 ]
+			.filter( Boolean )
+			.map( formatInterval )
+			.join( ' ' );
+	}
+
+	/**
+	 * Return a copy of a rule list with one rule moved.
+	 *
+	 * @param {Array}  list     Rules.
+	 * @param {number} from     Index of the rule to move.
+	 * @param {number} insertAt Insertion point in the original list (0 to list.length).
+	 * @return {Array} Reordered rules.
+	 */
+	function moveRule( list, from, insertAt ) {
+		const reordered = list.slice();
+		const [ rule ] = reordered.splice( from, 1 );
+		reordered.splice( insertAt > from ? insertAt - 1 : insertAt, 0, rule );
+		return reordered;
+	}
+
+	/**
+	 * Format interval in seconds to human-readable string.
+	 *
+	 * @param {number} seconds Interval in seconds.
+	 * @return {string} Formatted string.
+	 */
+	function formatInterval( seconds ) {
+		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
+			const days = seconds / 86400;
+			return days + ' ' + ( days === 1 ? 'day' : wcsRreData.strings.days );
+		}
+		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
+			const hours = seconds / 3600;
+			return hours + ' ' + ( hours === 1 ? 'hour' : wcsRreData.strings.hours );
+		}
+		const minutes = Math.round( seconds / 60 );
+		return minutes + ' ' + ( minutes === 1 ? 'minute' : wcsRreData.strings.minutes );
+	}
+
+	/**
+	 * Get the numeric value for an interval (in the best unit).
+	 *
+	 * @param {number} seconds Interval in seconds.
+	 * @return {number} Value in the appropriate unit.
+	 */
+	function getIntervalValue( seconds ) {
+		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
+			return seconds / 86400;
+		}
+		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
+			return seconds / 3600;
+		}
+		return Math.round( seconds / 60 );
+	}
+
+	/**
+	 * Get the unit multiplier for an interval.
+	 *
+	 * @param {number} seconds Interval in seconds.
+	 * @return {number} Unit multiplier (60, 3600, or 86400).
+	 */
+	function getIntervalUnit( seconds ) {
+		if ( seconds >= 86400 && seconds % 86400 === 0 ) {
+			return 86400;
+		}
+		if ( seconds >= 3600 && seconds % 3600 === 0 ) {
+			return 3600;
+		}
+		return 60;
+	}
+
+	/**
+	 * Attach event listeners to rendered elements.
+	 */
+	function attachEventListeners() {
+		// Save button
+		const saveBtn = document.getElementById( 'wcs-rre-save' );
+		if ( saveBtn ) {
+			saveBtn.addEventListener( 'click', handleSave );
+		}
+
+		// Undo/redo buttons
+		const undoBtn = document.getElementById( 'wcs-rre-undo' );
+		if ( undoBtn ) {
+			undoBtn.addEventListener( 'click', undo );
+		}
+
+		const redoBtn = document.getElementById( 'wcs-rre-redo' );
+		if ( redoBtn ) {
+			redoBtn.addEventListener( 'click', redo );
+		}
+
+		// Export/import buttons
+		const exportBtn = document.getElementById( 'wcs-rre-export' );
+		if ( exportBtn ) {
+			exportBtn.addEventListener( 'click', handleExport );
+		}
+
+		const importBtn = document.getElementById( 'wcs-rre-import' );
+		const importInput = document.getElementById( 'wcs-rre-import-file' );
+		if ( importBtn && importInput ) {
+			importBtn.addEventListener( 'click', () => importInput.click() );
+			importInput.addEventListener( 'change', handleImportFile );
+		}
+
+		// Reset button
+		const resetBtn = document.getElementById( 'wcs-rre-reset' );
+		if ( resetBtn ) {
+			resetBtn.addEventListener( 'click', handleReset );
+		}
+
+		// Tabs
+		document.querySelectorAll( '.wcs-rre-tabs .nav-tab' ).forEach( tab => {
+			tab.addEventListener( 'click', handleTabClick );
+		} );
+
+		// Activity
+		document.querySelectorAll( '.wcs-rre-activity-filter' ).forEach( el => {
+			el.addEventListener( 'change', handleActivityFilterChange );
+		} );
+
+		const activityExport = document.getElementById( 'wcs-rre-activity-export' );
+		if ( activityExport ) {
+			activityExport.addEventListener( 'click', handleActivityExport );
+		}
+
+		// Network sites
+		document.querySelectorAll( '.wcs-rre-site-select' ).forEach( el => {
+			el.addEventListener( 'change', handleSiteSelect );
+		} );
+
+		const sitesAll = document.getElementById( 'wcs-rre-sites-all' );
+		if ( sitesAll ) {
+			sitesAll.addEventListener( 'change', handleSiteSelectAll );
+		}
+
+		const sitesPush = document.getElementById( 'wcs-rre-sites-push' );
+		if ( sitesPush ) {
+			sitesPush.addEventListener( 'click', handleSitesPush );
+		}
+
+		// Conflict resolution
+		const conflictReload = document.getElementById( 'wcs-rre-conflict-reload' );
+		if ( conflictReload ) {
+			conflictReload.addEventListener( 'click', handleConflictReload );
+		}
+
+		const conflictMerge = document.getElementById( 'wcs-rre-conflict-merge' );
+		if ( conflictMerge ) {
+			conflictMerge.addEventListener( 'click', handleConflictMerge );
+		}
+
+		const conflictOverwrite = document.getElementById( 'wcs-rre-conflict-overwrite' );
+		if ( conflictOverwrite ) {
+			conflictOverwrite.addEventListener( 'click', handleConflictOverwrite );
+		}
+
+		// Draft publishing
+		const publishBtn = document.getElementById( 'wcs-rre-publish' );
+		if ( publishBtn ) {
+			publishBtn.addEventListener( 'click', handlePublish );
+		}
+
+		const discardBtn = document.getElementById( 'wcs-rre-discard-draft' );
+		if ( discardBtn ) {
+			discardBtn.addEventListener( 'click', handleDiscardDraft );
+		}
+
+		// Scheduled activation
+		const scheduleBtn = document.getElementById( 'wcs-rre-schedule' );
+		if ( scheduleBtn ) {
+			scheduleBtn.addEventListener( 'click', handleScheduleOpen );
+		}
+
+		const scheduleCancel = document.getElementById( 'wcs-rre-schedule-cancel' );
+		if ( scheduleCancel ) {
+			scheduleCancel.addEventListener( 'click', handleScheduleCancel );
+		}
+
+		document.querySelectorAll( '.wcs-rre-schedule-input' ).forEach( el => {
+			el.addEventListener( 'change', handleScheduleInput );
+		} );
+
+		const scheduleSubmit = document.getElementById( 'wcs-rre-schedule-submit' );
+		if ( scheduleSubmit ) {
+			scheduleSubmit.addEventListener( 'click', handleScheduleSubmit );
+		}
+
+		// Rule sets
+		const setSelect = document.getElementById( 'wcs-rre-set-select' );
+		if ( setSelect ) {
+			setSelect.addEventListener( 'change', handleRuleSetSelect );
+		}
+
+		const setAdd = document.getElementById( 'wcs-rre-set-add' );
+		if ( setAdd ) {
+			setAdd.addEventListener( 'click', handleRuleSetAdd );
+		}
+
+		const setDelete = document.getElementById( 'wcs-rre-set-delete' );
+		if ( setDelete ) {
+			setDelete.addEventListener( 'click', handleRuleSetDelete );
+		}
+
+		const setName = document.getElementById( 'wcs-rre-set-name' );
+		if ( setName ) {
+			setName.addEventListener( 'change', handleRuleSetNameChange );
+		}
+
+		document.querySelectorAll( '.wcs-rre-set-condition' ).forEach( el => {
+			el.addEventListener( 'change', handleRuleSetConditionChange );
+		} );
+
+		const productSearchInput = document.getElementById( 'wcs-rre-set-product-search' );
+		if ( productSearchInput ) {
+			productSearchInput.addEventListener( 'input', handleProductSearchInput );
+		}
+
+		// Add rule button
+		const addBtn = document.getElementById( 'wcs-rre-add' );
+		if ( addBtn ) {
+			addBtn.addEventListener( 'click', handleAddRule );
+		}
+
+		// Side panels
+		document.querySelectorAll( '.wcs-rre-panel-toggle' ).forEach( btn => {
+			btn.addEventListener( 'click', handlePanelToggle );
+		} );
+
+		// Presets
+		const presetSelect = document.getElementById( 'wcs-rre-preset-select' );
+		if ( presetSelect ) {
+			presetSelect.addEventListener( 'change', handlePresetSelect );
+		}
+
+		const presetApply = document.getElementById( 'wcs-rre-preset-apply' );
+		if ( presetApply ) {
+			presetApply.addEventListener( 'click', handlePresetApply );
+		}
+
+		const presetDelete = document.getElementById( 'wcs-rre-preset-delete' );
+		if ( presetDelete ) {
+			presetDelete.addEventListener( 'click', handlePresetDelete );
+		}
+
+		const presetSave = document.getElementById( 'wcs-rre-preset-save' );
+		if ( presetSave ) {
+			presetSave.addEventListener( 'click', handlePresetSave );
+		}
+
+		// Email templates
+		const templateSelect = document.getElementById( 'wcs-rre-template-select' );
+		if ( templateSelect ) {
+			templateSelect.addEventListener( 'change', handleTemplateSelect );
+		}
+
+		document.querySelectorAll( '.wcs-rre-template-field' ).forEach( el => {
+			el.addEventListener( 'input', handleTemplateFieldInput );
+		} );
+
+		const templateSave = document.getElementById( 'wcs-rre-template-save' );
+		if ( templateSave ) {
+			templateSave.addEventListener( 'click', handleTemplateSave );
+		}
+
+		const templateDelete = document.getElementById( 'wcs-rre-template-delete' );
+		if ( templateDelete ) {
+			templateDelete.addEventListener( 'click', handleTemplateDelete );
+		}
+
+		// Validation summary links
+		document.querySelectorAll( '.wcs-rre-issue-link' ).forEach( btn => {
+			btn.addEventListener( 'click', handleIssueLinkClick );
+		} );
+
+		// Confirmation modal
+		const confirmAccept = document.getElementById( 'wcs-rre-confirm-accept' );
+		if ( confirmAccept ) {
+			confirmAccept.addEventListener( 'click', handleConfirmAccept );
+		}
+
+		// Simulator
+		const simStart = document.getElementById( 'wcs-rre-sim-start' );
+		if ( simStart ) {
+			simStart.addEventListener( 'change', handleSimulatorChange );
+		}
+
+		const simSuccess = document.getElementById( 'wcs-rre-sim-success' );
+		if ( simSuccess ) {
+			simSuccess.addEventListener( 'change', handleSimulatorChange );
+		}
+
+		// Insights
+		[ 'wcs-rre-insights-start', 'wcs-rre-insights-end' ].forEach( id => {
+			const input = document.getElementById( id );
+			if ( input ) {
+				input.addEventListener( 'change', handleInsightsRangeChange );
+			}
+		} );
+
+		[ 'wcs-rre-insights-period', 'wcs-rre-insights-compare' ].forEach( id => {
+			const select = document.getElementById( id );
+			if ( select ) {
+				select.addEventListener( 'change', handleInsightsPeriodChange );
+			}
+		} );
+
+		const insightsRefresh = document.getElementById( 'wcs-rre-insights-refresh' );
+		if ( insightsRefresh ) {
+			insightsRefresh.addEventListener( 'click', () => loadInsights( true ) );
+		}
+
+		// Experiment
+		const experimentSource = document.getElementById( 'wcs-rre-experiment-source' );
+		if ( experimentSource ) {
+			experimentSource.addEventListener( 'change', handleExperimentFieldChange );
+		}
+
+		const experimentSplit = document.getElementById( 'wcs-rre-experiment-split' );
+		if ( experimentSplit ) {
+			experimentSplit.addEventListener( 'change', handleExperimentFieldChange );
+		}
+
+		const experimentStart = document.getElementById( 'wcs-rre-experiment-start' );
+		if ( experimentStart ) {
+			experimentStart.addEventListener( 'click', handleExperimentStart );
+		}
+
+		const experimentEnd = document.getElementById( 'wcs-rre-experiment-end' );
+		if ( experimentEnd ) {
+			experimentEnd.addEventListener( 'click', handleExperimentEnd );
+		}
+
+		document.querySelectorAll( '.wcs-rre-experiment-promote' ).forEach( btn => {
+			btn.addEventListener( 'click', handleExperimentPromote );
+		} );
+
+		// Revision history
+		document.querySelectorAll( '.wcs-rre-revision' ).forEach( btn => {
+			btn.addEventListener( 'click', handleRevisionSelect );
+		} );
+
+		const restoreBtn = document.getElementById( 'wcs-rre-revision-restore' );
+		if ( restoreBtn ) {
+			restoreBtn.addEventListener( 'click', handleRevisionRestore );
+		}
+
+		// Delete buttons
+		document.querySelectorAll( '.wcs-rre-delete' ).forEach( btn => {
+			btn.addEventListener( 'click', handleDeleteRule );
+		} );
+
+		// Drag and drop reordering
+		document.querySelectorAll( '.wcs-rre-drag-handle' ).forEach( handle => {
+			handle.addEventListener( 'dragstart', handleDragStart );
+			handle.addEventListener( 'dragend', handleDragEnd );
+			handle.addEventListener( 'keydown', handleDragHandleKeydown );
+		} );
+
+		const rulesList = document.querySelector( '.wcs-rre-rules' );
+		if ( rulesList ) {
+			rulesList.addEventListener( 'dragover', handleDragOver );
+			rulesList.addEventListener( 'drop', handleDrop );
+		}
+
+		// Move up buttons
+		document.querySelectorAll( '.wcs-rre-move-up' ).forEach( btn => {
+			btn.addEventListener( 'click', handleMoveUp );
+		} );
+
+		// Move down buttons
+		document.querySelectorAll( '.wcs-rre-move-down' ).forEach( btn => {
+			btn.addEventListener( 'click', handleMoveDown );
+		} );
+
+		// Field change listeners
+		document.querySelectorAll( '.wcs-rre-interval-value, .wcs-rre-interval-unit' ).forEach( el => {
+			el.addEventListener( 'change', handleIntervalChange );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-timing' ).forEach( el => {
+			el.addEventListener( 'change', handleFieldChange( 'timing' ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-anchor-field' ).forEach( el => {
+			el.addEventListener( 'change', handleAnchorChange );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-sample-failure' ).forEach( el => {
+			el.addEventListener( 'change', handleSampleFailureChange );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-customer-email' ).forEach( el => {
+			el.addEventListener( 'change', handleFieldChange( 'email_template_customer' ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-admin-email' ).forEach( el => {
 			el.addEventListener( 'change', handleFieldChange( 'email_template_admin' ) );
 		} );
 
-		document.querySelectorAll( '.wcs-rre-order-status' ).forEach( el => {
-			el.addEventListener( 'change', handleFieldChange( 'status_to_apply_to_order' ) );
-		} );
+		document.querySelectorAll( '.wcs-rre-order-status' ).forEach( el => {
+			el.addEventListener( 'change', handleFieldChange( 'status_to_apply_to_order' ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-subscription-status' ).forEach( el => {
+			el.addEventListener( 'change', handleFieldChange( 'status_to_apply_to_subscription' ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-final-field' ).forEach( el => {
+			el.addEventListener( 'change', handleFinalActionChange );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-decline-field' ).forEach( el => {
+			el.addEventListener( 'change', handleDeclineConditionChange );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-decline-add' ).forEach( btn => {
+			btn.addEventListener( 'click', handleDeclineConditionAdd );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-decline-remove' ).forEach( btn => {
+			btn.addEventListener( 'click', handleDeclineConditionRemove );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-email-override-input' ).forEach( el => {
+			el.addEventListener( 'input', handleEmailOverrideInput );
+			el.addEventListener( 'change', handleEmailOverrideChange );
+			el.addEventListener( 'keydown', handleAutocompleteKeydown );
+			el.addEventListener( 'blur', closeAutocomplete );
+			[ 'focus', 'click', 'keyup', 'select' ].forEach( type => el.addEventListener( type, rememberOverrideCaret ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-placeholder-insert' ).forEach( el => {
+			el.addEventListener( 'change', handlePlaceholderInsert );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-locale-select' ).forEach( el => {
+			el.addEventListener( 'change', handleLocaleChange );
+		} );
+
+		// Additional content editor
+		document.querySelectorAll( '.wcs-rre-rich-text-editor' ).forEach( el => {
+			el.addEventListener( 'focus', handleRichTextFocus );
+			el.addEventListener( 'input', handleRichTextInput );
+			el.addEventListener( 'blur', handleRichTextBlur );
+			el.addEventListener( 'paste', handleRichTextPaste );
+			[ 'keyup', 'mouseup' ].forEach( type => el.addEventListener( type, rememberRichTextCaret ) );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-rich-text-command, .wcs-rre-rich-text-mode' ).forEach( el => {
+			// Keep the editor focused and its selection intact.
+			el.addEventListener( 'mousedown', e => e.preventDefault() );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-rich-text-command' ).forEach( el => {
+			el.addEventListener( 'click', handleRichTextCommand );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-rich-text-mode' ).forEach( el => {
+			el.addEventListener( 'click', handleRichTextMode );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-email-override-toggle' ).forEach( el => {
+			el.addEventListener( 'change', handleEmailOverrideToggle );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-email-preview' ).forEach( el => {
+			el.addEventListener( 'click', handleEmailPreview );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-email-test' ).forEach( el => {
+			el.addEventListener( 'click', handleTestEmailOpen );
+		} );
+
+		// Test email modal
+		const testEmailTo = document.getElementById( 'wcs-rre-test-email-to' );
+		if ( testEmailTo ) {
+			testEmailTo.addEventListener( 'input', handleTestEmailInput );
+			testEmailTo.addEventListener( 'keydown', handleTestEmailKeydown );
+		}
+
+		const testEmailSend = document.getElementById( 'wcs-rre-test-email-send' );
+		if ( testEmailSend ) {
+			testEmailSend.addEventListener( 'click', handleTestEmailSend );
+		}
+
+		// Preview pane
+		document.querySelectorAll( '.wcs-rre-preview-toggle' ).forEach( el => {
+			el.addEventListener( 'click', handlePreviewToggle );
+		} );
+
+		const previewClose = document.querySelector( '.wcs-rre-preview-close' );
+		if ( previewClose ) {
+			previewClose.addEventListener( 'click', closePreviewPane );
+		}
+
+		document.querySelectorAll( '.wcs-rre-modal-close' ).forEach( el => {
+			el.addEventListener( 'click', handleModalClose );
+		} );
+
+		document.querySelectorAll( '.wcs-rre-modal-backdrop' ).forEach( el => {
+			el.addEventListener( 'click', handleModalBackdropClick );
+		} );
+	}
+
+	/**
+	 * Handle interval field changes.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleIntervalChange( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		const card = e.target.closest( '.wcs-rre-rule-card' );
+		const valueInput = card.querySelector( '.wcs-rre-interval-value' );
+		const unitSelect = card.querySelector( '.wcs-rre-interval-unit' );
+
+		const value = parseInt( valueInput.value, 10 ) || 5;
+		const unit = parseInt( unitSelect.value, 10 );
+		const seconds = value * unit;
+
+		// Enforce minimum
+		if ( seconds < config.min_interval ) {
+			valueInput.value = Math.ceil( config.min_interval / unit );
+			rules[ index ].retry_after_interval = config.min_interval;
+		} else {
+			rules[ index ].retry_after_interval = seconds;
+		}
+
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Create a field change handler.
+	 *
+	 * @param {string} field The field name.
+	 * @return {Function} Event handler.
+	 */
+	function handleFieldChange( field ) {
+		return function( e ) {
+			const index = parseInt( e.target.dataset.index, 10 );
+			rules[ index ][ field ] = e.target.value;
+			markChanged();
+			render();
+		};
+	}
+
+	/**
+	 * Handle a change to a final outcome field.
+	 *
+	 * The choice and hold days apply to the final action; other fields to the
+	 * outcome of the chosen action.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleFinalActionChange( e ) {
+		const field = e.target.dataset.field;
+
+		if ( field === 'action' ) {
+			finalAction.action = e.target.value;
+		} else if ( field === 'hold_days' ) {
+			finalAction.hold_days = parseInt( e.target.value, 10 ) || 0;
+		} else {
+			finalAction.outcomes[ finalAction.action ][ field ] = e.target.value;
+		}
+
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle a change to the set time of an anchored rule.
+	 *
+	 * Switching between weekdays and days of the month starts from that
+	 * type's default days.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleAnchorChange( e ) {
+		const anchor = rules[ parseInt( e.target.dataset.index, 10 ) ].anchor;
+		const field = e.target.dataset.field;
+
+		if ( field === 'type' ) {
+			anchor.type = e.target.value;
+			anchor.days = e.target.value === 'weekdays' ? DEFAULT_ANCHOR.days.slice() : [ 1, 15 ];
+		} else if ( field === 'days' ) {
+			anchor.days = Array.from( e.target.selectedOptions, option => parseInt( option.value, 10 ) );
+		} else {
+			anchor.time = e.target.value;
+		}
+
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle a change to the timeline's sample failure date.
+	 *
+	 * The simulator starts from the same date.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleSampleFailureChange( e ) {
+		simulator.start = e.target.value;
+		render();
+	}
+
+	/**
+	 * Handle a change to a decline condition field.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleDeclineConditionChange( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		const condition = rules[ index ].decline_conditions[ parseInt( e.target.dataset.condition, 10 ) ];
+		const field = e.target.dataset.field;
+
+		if ( field === 'categories' ) {
+			condition.categories = Array.from( e.target.selectedOptions, option => option.value );
+		} else {
+			condition[ field ] = e.target.value;
+		}
+
+		if ( field === 'action' && condition.action !== 'email' ) {
+			condition.email_template_customer = '';
+		}
+
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Add an empty decline condition to a rule.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleDeclineConditionAdd( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		rules[ index ].decline_conditions.push( { categories: [], action: 'skip', email_template_customer: '' } );
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Remove a decline condition from a rule.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleDeclineConditionRemove( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		rules[ index ].decline_conditions.splice( parseInt( e.target.dataset.condition, 10 ), 1 );
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle save button click.
+	 */
+	async function handleSave() {
+		if ( isSaving ) return;
+
+		const results = validateEditorState();
+		const messages = level => results.flatMap( ( { label, result } ) => [
+			...result.global.filter( issue => issue.level === level ).map( issue => label + issue.message ),
+			...result.rules.flatMap( ( issues, index ) => issues
+				.filter( issue => issue.level === level )
+				.map( issue => `${label}${wcsRreData.strings.rule} ${index + 1}: ${issue.message}` ) ),
+		] );
+		const count = key => results.reduce( ( total, { result } ) => total + result[ key ], 0 );
+
+		if ( count( 'errorCount' ) ) {
+			showNotice( wcsRreData.strings.saveBlocked, 'error', messages( 'error' ) );
+			return;
+		}
+
+		if ( count( 'warningCount' ) ) {
+			openConfirmModal( {
+				title: wcsRreData.strings.saveWarningsTitle,
+				body: `
+					<p>${wcsRreData.strings.saveWarningsDesc}</p>
+					<ul class="wcs-rre-issues">${messages( 'warning' ).map( message => `<li class="is-warning">${escapeHtml( message )}</li>` ).join( '' )}</ul>
+				`,
+				confirmLabel: wcsRreData.strings.saveAnyway,
+				onConfirm: saveRules,
+			} );
+			return;
+		}
+
+		await saveRules();
+	}
+
+	/**
+	 * Save the editor rules to the server as a draft.
+	 */
+	async function saveRules() {
+		if ( isSaving ) return;
+
+		isSaving = true;
+		render();
+
+		// An import counts until it is undone.
+		const importFile = importedFile && ( currentSnapshot === importedFile.snapshot || history.undo.includes( importedFile.snapshot ) )
+			? importedFile.name
+			: '';
+
+		try {
+			const response = await apiFetch( '/rules', {
+				method: 'POST',
+				body: JSON.stringify( {
+					...getEditorState(),
+					version: rulesVersion,
+					...( importFile ? { import_file: importFile } : {} ),
+				} ),
+			} );
+
+			importedFile = null;
+			draft = response.draft || null;
+			rulesVersion = response.version || '';
+			markSaved();
+			showNotice( wcsRreData.strings.saveSuccess, 'success' );
+		} catch ( error ) {
+			if ( ! openConflictModal( error ) ) {
+				showNotice( wcsRreData.strings.saveError + ' ' + error.message, 'error' );
+			}
+		} finally {
+			isSaving = false;
+			render();
+		}
+	}
+
+	/**
+	 * Publish the saved draft, making it the rules used for retries.
+	 */
+	async function handlePublish() {
+		if ( isSaving || ! draft || hasChanges || ! confirm( wcsRreData.strings.confirmPublish ) ) {
+			return;
+		}
+
+		isSaving = true;
+		render();
+
+		try {
+			const response = await apiFetch( '/rules/publish', {
+				method: 'POST',
+				body: JSON.stringify( { version: rulesVersion } ),
+			} );
+
+			liveState = {
+				rules: response.rules || [],
+				rule_sets: response.rule_sets || [],
+				final_action: response.final_action || null,
+			};
+			draft = null;
+			isDefault = false;
+			inherits = false;
+			rulesMeta = getRulesMeta( response );
+			rulesVersion = response.version || '';
+			await loadRevisions();
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			if ( ! openConflictModal( error ) ) {
+				showNotice( error.message, 'error' );
+			}
+		} finally {
+			isSaving = false;
+			render();
+		}
+	}
+
+	/**
+	 * Discard the saved draft and load the published rules into the editor.
+	 */
+	async function handleDiscardDraft() {
+		if ( isSaving || ! draft || ! confirm( wcsRreData.strings.confirmDiscardDraft ) ) {
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/rules/draft', {
+				method: 'DELETE',
+				body: JSON.stringify( { version: rulesVersion } ),
+			} );
+
+			draft = null;
+			rulesVersion = response.version || '';
+			applyEditorState( liveState, '' );
+			commitSnapshot();
+			markSaved();
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			if ( ! openConflictModal( error ) ) {
+				showNotice( error.message, 'error' );
+			}
+		}
+
+		render();
+	}
+
+	/**
+	 * Show the conflict modal if a write was rejected because the rules changed on the server.
+	 *
+	 * @param {Error} error Error thrown by apiFetch().
+	 * @return {boolean} True if the error was a conflict.
+	 */
+	function openConflictModal( error ) {
+		if ( error.code !== 'rules_conflict' || ! error.data.current ) {
+			return false;
+		}
+
+		conflictModal = {
+			open: true,
+			current: error.data.current,
+			busy: false,
+		};
+		render();
+
+		return true;
+	}
+
+	/**
+	 * Close the conflict modal.
+	 */
+	function closeConflictModal() {
+		conflictModal = {
+			...conflictModal,
+			open: false,
+			current: null,
+			busy: false,
+		};
+	}
+
+	/**
+	 * Fetch the stored rules, draft and version.
+	 *
+	 * @return {Promise<boolean>} True on success; failures are shown in the conflict modal's place.
+	 */
+	async function refreshRules() {
+		conflictModal = { ...conflictModal, busy: true };
+		render();
+
+		try {
+			applyRulesResponse( await apiFetch( '/rules' ) );
+			await loadRevisions();
+			return true;
+		} catch ( error ) {
+			closeConflictModal();
+			showNotice( wcsRreData.strings.loadError + ' ' + error.message, 'error' );
+			render();
+			return false;
+		}
+	}
+
+	/**
+	 * Replace the editor with the rules saved by the other user.
+	 *
+	 * The local version stays on the undo stack.
+	 */
+	async function handleConflictReload() {
+		if ( ! await refreshRules() ) {
+			return;
+		}
+
+		applyEditorState( draft || liveState, activeSet );
+		commitSnapshot();
+		markSaved();
+		closeConflictModal();
+		render();
+		showNotice( wcsRreData.strings.conflictReloaded, 'success' );
+	}
+
+	/**
+	 * Merge the local changes into the rules saved by the other user.
+	 *
+	 * The result is left in the editor as unsaved changes for review.
+	 */
+	async function handleConflictMerge() {
+		const base = JSON.parse( savedState );
+		const mine = getEditorState();
+
+		if ( ! await refreshRules() ) {
+			return;
+		}
+
+		const theirs = draft || liveState;
+		const { state, conflicts } = mergeEditorStates( base, mine, theirs );
+
+		applyEditorState( theirs, activeSet );
+		markSaved();
+		applyEditorState( state, activeSet );
+		commitSnapshot();
+		closeConflictModal();
+		render();
+
+		if ( conflicts.length ) {
+			showNotice( wcsRreData.strings.conflictMergedBoth, 'warning', conflicts );
+		} else {
+			showNotice( wcsRreData.strings.conflictMerged, 'success' );
+		}
+	}
+
+	/**
+	 * Save the local version over the rules saved by the other user.
+	 */
+	async function handleConflictOverwrite() {
+		rulesVersion = conflictModal.current.version || '';
+		closeConflictModal();
+		await saveRules();
+	}
+
+	/**
+	 * Three-way merge of the editor state.
+	 *
+	 * Whatever only one side changed since the base is taken from that side.
+	 * Rule lists that both sides changed are merged rule by rule when their
+	 * lengths match; anything both sides changed differently keeps the local
+	 * version and is reported.
+	 *
+	 * @param {Object} base   State both sides started from.
+	 * @param {Object} mine   Local state.
+	 * @param {Object} theirs State saved by the other user.
+	 * @return {Object} Merged state and labels of conflicting parts, as { state, conflicts }.
+	 */
+	function mergeEditorStates( base, mine, theirs ) {
+		const strings = wcsRreData.strings;
+		const conflicts = [];
+		const same = ( a, b ) => JSON.stringify( a ) === JSON.stringify( b );
+		const pick = ( baseValue, mineValue, theirValue, label ) => {
+			if ( same( mineValue, baseValue ) ) {
+				return theirValue;
+			}
+			if ( ! same( theirValue, baseValue ) && ! same( mineValue, theirValue ) && label ) {
+				conflicts.push( label );
+			}
+			return mineValue;
+		};
+		const mergeRules = ( baseRules, mineRules, theirRules, label ) => {
+			if ( baseRules.length !== mineRules.length || baseRules.length !== theirRules.length ) {
+				return pick( baseRules, mineRules, theirRules, label );
+			}
+
+			return baseRules.map( ( rule, index ) => pick( rule, mineRules[ index ], theirRules[ index ], `${label}: ${strings.rule} ${index + 1}` ) );
+		};
+
+		const baseState = normalizeState( base );
+		const mineState = normalizeState( mine );
+		const theirState = normalizeState( theirs );
+		const find = ( state, id ) => state.rule_sets.find( set => set.id === id );
+		const setLabel = set => set.name || strings.ruleSetNewName;
+
+		const ruleSets = [];
+		theirState.rule_sets.forEach( theirSet => {
+			const baseSet = find( baseState, theirSet.id );
+			const mineSet = find( mineState, theirSet.id );
+
+			if ( ! baseSet ) {
+				ruleSets.push( theirSet );
+			} else if ( ! mineSet ) {
+				// Removed locally; keep it only if the other user changed it.
+				if ( ! same( theirSet, baseSet ) ) {
+					conflicts.push( setLabel( theirSet ) );
+					ruleSets.push( theirSet );
+				}
+			} else {
+				ruleSets.push( {
+					...pick(
+						{ name: baseSet.name, conditions: baseSet.conditions },
+						{ name: mineSet.name, conditions: mineSet.conditions },
+						{ name: theirSet.name, conditions: theirSet.conditions },
+						setLabel( mineSet )
+					),
+					id: theirSet.id,
+					rules: mergeRules( baseSet.rules, mineSet.rules, theirSet.rules, setLabel( mineSet ) ),
+				} );
+			}
+		} );
+
+		mineState.rule_sets.forEach( mineSet => {
+			if ( find( theirState, mineSet.id ) ) {
+				return;
+			}
+
+			const baseSet = find( baseState, mineSet.id );
+			if ( ! baseSet ) {
+				ruleSets.push( mineSet );
+			} else if ( ! same( mineSet, baseSet ) ) {
+				// Removed by the other user after local changes; keep the local set.
+				conflicts.push( setLabel( mineSet ) );
+				ruleSets.push( mineSet );
+			}
+		} );
+
+		return {
+			state: {
+				rules: mergeRules( baseState.rules, mineState.rules, theirState.rules, strings.ruleSetGlobal ),
+				rule_sets: ruleSets,
+				final_action: pick( baseState.final_action, mineState.final_action, theirState.final_action, strings.finalOutcome ),
+			},
+			conflicts,
+		};
+	}
+
+	/**
+	 * Validate the global rules, every rule set and the final action.
+	 *
+	 * @return {Array} Results as { label, result }, where label prefixes messages with the set name.
+	 */
+	function validateEditorState() {
+		const state = getEditorState();
+		const results = [ { label: '', result: validateRules( state.rules ) } ];
+
+		state.rule_sets.forEach( set => {
+			const result = validateRules( set.rules, getRuleSetPeriodLength( set ) );
+			validateRuleSet( set ).forEach( message => {
+				result.global.unshift( { level: 'error', message } );
+				result.errorCount++;
+			} );
+			results.push( { label: `${set.name || wcsRreData.strings.ruleSetNewName}: `, result } );
+		} );
+
+		const finalIssues = validateFinalAction();
+		results.push( {
+			label: `${wcsRreData.strings.finalOutcome}: `,
+			result: {
+				rules: [],
+				global: finalIssues,
+				errorCount: finalIssues.filter( issue => issue.level === 'error' ).length,
+				warningCount: finalIssues.filter( issue => issue.level !== 'error' ).length,
+			},
+		} );
+
+		return results;
+	}
+
+	/**
+	 * Toggle a side panel open or closed.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handlePanelToggle( e ) {
+		const id = e.currentTarget.dataset.panel;
+		openPanels = {
+			...openPanels,
+			[ id ]: ! openPanels[ id ],
+		};
+
+		if ( id === 'insights' && openPanels[ id ] && ! insights.data && ! insights.loading ) {
+			loadInsights();
+			return;
+		}
+
+		render();
+	}
+
+	/**
+	 * Scroll to the rule card referenced by a validation issue.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleIssueLinkClick( e ) {
+		const card = document.querySelector( `.wcs-rre-rule-card[data-index="${e.currentTarget.dataset.index}"]` );
+		if ( card ) {
+			card.scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		}
+	}
+
+	/**
+	 * Handle preset selection.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handlePresetSelect( e ) {
+		selectedPreset = e.target.value;
+		render();
+	}
+
+	/**
+	 * Ask for confirmation, then replace the editor rules with a preset.
+	 */
+	function handlePresetApply() {
+		const preset = getSelectedPreset();
+		if ( ! preset || isSaving ) {
+			return;
+		}
+
+		openConfirmModal( {
+			title: formatString( wcsRreData.strings.presetConfirmTitle, preset.name ),
+			body: `<p>${wcsRreData.strings.presetConfirmDesc}</p>${renderRulesDiff( diffRules( rules, preset.rules || [] ) )}`,
+			confirmLabel: wcsRreData.strings.presetApply,
+			onConfirm: () => {
+				rules = ( preset.rules || [] ).map( normalizeRule );
+				markChanged();
+				render();
+				showNotice( wcsRreData.strings.presetApplied, 'success' );
+			},
+		} );
+	}
+
+	/**
+	 * Save the current editor rules as a custom preset.
+	 */
+	async function handlePresetSave() {
+		const input = document.getElementById( 'wcs-rre-preset-name' );
+		const name = input ? input.value.trim() : '';
+
+		if ( ! name ) {
+			showNotice( wcsRreData.strings.presetNameRequired, 'error' );
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/presets', {
+				method: 'POST',
+				body: JSON.stringify( { name, rules } ),
+			} );
+
+			presets = response.presets || presets;
+			selectedPreset = response.preset ? response.preset.id : selectedPreset;
+			render();
+			showNotice( wcsRreData.strings.presetSaved, 'success' );
+		} catch ( error ) {
+			showNotice( wcsRreData.strings.presetError + ' ' + error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Delete the selected custom preset.
+	 */
+	async function handlePresetDelete() {
+		const preset = getSelectedPreset();
+		if ( ! preset || preset.builtin || ! confirm( wcsRreData.strings.confirmDeletePreset ) ) {
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/presets/' + encodeURIComponent( preset.id ), {
+				method: 'DELETE',
+			} );
+
+			presets = response.presets || [];
+			selectedPreset = '';
+			render();
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Load a template into the email template form, or clear it for a new one.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleTemplateSelect( e ) {
+		const template = emailTemplates.find( item => item.id === e.target.value );
+		templateDraft = template ? { ...getEmptyTemplate(), ...template } : getEmptyTemplate();
+		render();
+	}
+
+	/**
+	 * Keep the email template form values across re-renders.
+	 *
+	 * @param {Event} e The input event.
+	 */
+	function handleTemplateFieldInput( e ) {
+		templateDraft = {
+			...templateDraft,
+			[ e.target.dataset.field ]: e.target.value,
+		};
+	}
+
+	/**
+	 * Create or update the named email template in the form.
+	 */
+	async function handleTemplateSave() {
+		if ( ! templateDraft.name.trim() || ! templateDraft.body.trim() ) {
+			showNotice( wcsRreData.strings.templateRequired, 'error' );
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/email-templates', {
+				method: 'POST',
+				body: JSON.stringify( templateDraft ),
+			} );
+
+			applyEmailTemplatesResponse( response );
+			templateDraft = { ...getEmptyTemplate(), ...response.template };
+			render();
+			schedulePreviewRefresh();
+			showNotice( wcsRreData.strings.templateSaved, 'success' );
+		} catch ( error ) {
+			showNotice( wcsRreData.strings.templateError + ' ' + error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Delete the named email template in the form.
+	 *
+	 * The server refuses templates that saved rules or presets use; rules
+	 * still being edited are checked here.
+	 */
+	async function handleTemplateDelete() {
+		if ( ! templateDraft.id ) {
+			return;
+		}
+
+		const value = 'rre_template:' + templateDraft.id;
+		const state = getEditorState();
+		const lists = [ state.rules, ...state.rule_sets.map( set => set.rules ) ];
+		const inUse = lists.some( list => list.some( rule =>
+			rule.email_template_customer === value || rule.email_template_admin === value
+			|| rule.decline_conditions.some( condition => condition.email_template_customer === value )
+		) ) || Object.values( state.final_action.outcomes ).some( outcome => outcome.email === value );
+
+		if ( inUse ) {
+			showNotice( wcsRreData.strings.templateInUse, 'error' );
+			return;
+		}
+
+		if ( ! confirm( wcsRreData.strings.confirmDeleteTpl ) ) {
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/email-templates/' + encodeURIComponent( templateDraft.id ), {
+				method: 'DELETE',
+			} );
+
+			applyEmailTemplatesResponse( response );
+			templateDraft = getEmptyTemplate();
+			render();
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			showNotice( error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Update the template list and email dropdown choices from an API response.
+	 *
+	 * @param {Object} response Email templates response.
+	 */
+	function applyEmailTemplatesResponse( response ) {
+		emailTemplates = response.templates || [];
+		if ( response.email_templates ) {
+			config = {
+				...config,
+				email_templates: response.email_templates,
+			};
+		}
+	}
+
+	/**
+	 * Run the confirmed action and close the confirmation modal.
+	 */
+	function handleConfirmAccept() {
+		const action = confirmModal.onConfirm;
+
+		confirmModal = {
+			...confirmModal,
+			open: false,
+			onConfirm: null,
+		};
+
+		if ( action ) {
+			action();
+		} else {
+			render();
+		}
+	}
+
+	/**
+	 * Handle simulator input changes.
+	 */
+	function handleSimulatorChange() {
+		const start = document.getElementById( 'wcs-rre-sim-start' );
+		const success = document.getElementById( 'wcs-rre-sim-success' );
+
+		simulator = {
+			start: start ? start.value : simulator.start,
+			successAt: success ? parseInt( success.value, 10 ) || 0 : simulator.successAt,
+		};
+		render();
+	}
+
+	/**
+	 * Switch between the rules editor and the activity tab.
+	 *
+	 * The activity log is reloaded every time its tab is opened.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleTabClick( e ) {
+		e.preventDefault();
+		activeTab = e.currentTarget.dataset.tab;
+
+		if ( activeTab === 'activity' ) {
+			loadActivity();
+			return;
+		}
+
+		if ( activeTab === 'sites' ) {
+			loadSites();
+			return;
+		}
+
+		render();
+	}
+
+	/**
+	 * Select or deselect a site for pushing the network rules.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleSiteSelect( e ) {
+		const id = parseInt( e.target.value, 10 );
+		const selected = sites.selected.filter( item => item !== id );
+
+		sites = {
+			...sites,
+			selected: e.target.checked ? [ ...selected, id ] : selected,
+		};
+		render();
+	}
+
+	/**
+	 * Select or deselect all sites.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleSiteSelectAll( e ) {
+		sites = {
+			...sites,
+			selected: e.target.checked ? sites.list.map( site => site.id ) : [],
+		};
+		render();
+	}
+
+	/**
+	 * Confirm and push the network rules to the selected sites.
+	 */
+	function handleSitesPush() {
+		if ( ! sites.selected.length || sites.pushing ) {
+			return;
+		}
+
+		openConfirmModal( {
+			title: wcsRreData.strings.sitesPush,
+			body: `<p>${escapeHtml( formatString( wcsRreData.strings.confirmPush, sites.selected.length ) )}</p>`,
+			confirmLabel: wcsRreData.strings.sitesPush,
+			onConfirm: pushToSites,
+		} );
+	}
+
+	/**
+	 * Make the selected sites inherit the network rules.
+	 */
+	async function pushToSites() {
+		sites = { ...sites, pushing: true };
+		render();
+
+		try {
+			const response = await apiFetch( '/network/push', {
+				method: 'POST',
+				body: JSON.stringify( { sites: sites.selected } ),
+			} );
+
+			sites = { ...sites, selected: [], pushing: false };
+			applySitesResponse( response.sites || [] );
+			showNotice( response.message, 'success' );
+		} catch ( error ) {
+			sites = { ...sites, pushing: false };
+			showNotice( error.message, 'error' );
+		}
+
+		render();
+	}
+
+	/**
+	 * Reload the activity log for a changed user or date filter.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleActivityFilterChange( e ) {
+		const filter = e.target.dataset.filter;
+
+		activity = {
+			...activity,
+			[ filter ]: filter === 'user' ? parseInt( e.target.value, 10 ) || 0 : e.target.value,
+		};
+		loadActivity();
+	}
+
+	/**
+	 * Download the filtered activity log as CSV, one row per changed field.
+	 */
+	function handleActivityExport() {
+		const strings = wcsRreData.strings;
+		const rows = [ [ strings.activityDate, strings.activityUser, strings.activityUserId, strings.activityIp, strings.activityForwarded, strings.activityAction, strings.activityDetails, strings.activityChanges ] ];
+
+		activity.entries.forEach( entry => {
+			const base = [ entry.timestamp, entry.user_name, entry.user_id, entry.ip, entry.forwarded_for || '', getAuditActionLabel( entry.action ), entry.details ];
+			const changes = entry.changes.length ? entry.changes.map( describeAuditChange ) : [ '' ];
+
+			changes.forEach( change => rows.push( [ ...base, change ] ) );
+		} );
+
+		downloadFile(
+			'wcs-retry-rules-activity-' + new Date().toISOString().slice( 0, 10 ) + '.csv',
+			'\ufeff' + rows.map( row => row.map( formatCsvCell ).join( ',' ) ).join( '\r\n' ),
+			'text/csv'
+		);
+	}
+
+	/**
+	 * Quote a CSV cell.
+	 *
+	 * Text starting with a formula character is prefixed with a quote so
+	 * spreadsheets do not evaluate it.
+	 *
+	 * @param {*} value Cell value.
+	 * @return {string} Quoted cell.
+	 */
+	function formatCsvCell( value ) {
+		let text = value === undefined || value === null ? '' : String( value );
+		if ( /^[=+\-@\t\r]/.test( text ) ) {
+			text = '\'' + text;
+		}
+
+		return '"' + text.replace( /"/g, '""' ) + '"';
+	}
+
+	/**
+	 * Reload insights for a new date range.
+	 */
+	function handleInsightsRangeChange() {
+		const start = document.getElementById( 'wcs-rre-insights-start' );
+		const end = document.getElementById( 'wcs-rre-insights-end' );
+
+		if ( ! start.value || ! end.value || start.value > end.value ) {
+			return;
+		}
+
+		insights = { ...insights, start: start.value, end: end.value };
+		loadInsights();
+	}
+
+	/**
+	 * Switch the shown or compared revision period.
+	 */
+	function handleInsightsPeriodChange() {
+		const period = document.getElementById( 'wcs-rre-insights-period' );
+		const compare = document.getElementById( 'wcs-rre-insights-compare' );
+
+		insights = {
+			...insights,
+			period: period ? period.value : '',
+			compare: compare ? compare.value : '',
+		};
+		render();
+	}
+
+	/**
+	 * Remember the variant source and split of a new experiment.
+	 */
+	function handleExperimentFieldChange() {
+		const source = document.getElementById( 'wcs-rre-experiment-source' );
+		const split = document.getElementById( 'wcs-rre-experiment-split' );
+
+		experiment = {
+			...experiment,
+			source: source.value,
+			split: Math.min( 99, Math.max( 1, parseInt( split.value, 10 ) || 50 ) ),
+		};
+		render();
+	}
+
+	/**
+	 * Start an experiment with the chosen variant rules.
+	 */
+	async function handleExperimentStart() {
+		const strings = wcsRreData.strings;
+		const preset = experiment.source.startsWith( 'preset:' )
+			? presets.find( item => 'preset:' + item.id === experiment.source )
+			: null;
+		const variantRules = preset ? preset.rules.map( normalizeRule ) : JSON.parse( JSON.stringify( rules ) );
+
+		if ( variantRules.length === 0 || validateRules( variantRules ).errorCount ) {
+			showNotice( strings.experimentInvalid, 'error' );
+			return;
+		}
+
+		if ( ! confirm( formatString( strings.confirmExperiment, `${experiment.split}%` ) ) ) {
+			return;
+		}
+
+		await runExperimentRequest( '/experiment', {
+			method: 'POST',
+			body: JSON.stringify( {
+				rules: variantRules,
+				split: experiment.split,
+			} ),
+		} );
+	}
+
+	/**
+	 * End the experiment without changing the global rules.
+	 */
+	async function handleExperimentEnd() {
+		if ( ! confirm( wcsRreData.strings.confirmEndExp ) ) {
+			return;
+		}
+
+		await runExperimentRequest( '/experiment', { method: 'DELETE' } );
+	}
+
+	/**
+	 * End the experiment, making the chosen arm's rules the global rules.
+	 *
+	 * Promoting the variant replaces the global rules in the editor, so
+	 * unsaved changes to them are lost, and discards a saved draft so it
+	 * cannot replace the promoted rules when published.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	async function handleExperimentPromote( e ) {
+		const strings = wcsRreData.strings;
+		const arm = e.currentTarget.dataset.arm;
+		const variant = arm === 'variant';
+		const message = [
+			variant ? strings.confirmPromote : strings.confirmKeepControl,
+			variant && hasChanges ? strings.promoteUnsaved : '',
+			variant && draft ? strings.promoteDraft : '',
+		].filter( Boolean ).join( ' ' );
+
+		if ( ! confirm( message ) ) {
+			return;
+		}
+
+		const response = await runExperimentRequest( '/experiment/promote', {
+			method: 'POST',
+			body: JSON.stringify( variant ? { arm, version: rulesVersion, discard_draft: !! draft } : { arm } ),
+		} );
+
+		if ( response && variant ) {
+			liveState = {
+				rules: response.rules || [],
+				rule_sets: response.rule_sets || [],
+				final_action: response.final_action || null,
+			};
+			draft = response.draft || null;
+			isDefault = false;
+			inherits = false;
+			rulesMeta = getRulesMeta( response );
+			rulesVersion = response.version || '';
+
+			applyEditorState( liveState, activeSet );
+			commitSnapshot();
+			markSaved();
+			await loadRevisions();
+			render();
+		}
+	}
+
+	/**
+	 * Send an experiment request and show the result.
+	 *
+	 * @param {string} endpoint API endpoint.
+	 * @param {Object} options  Fetch options.
+	 * @return {Promise<Object|null>} Response, or null on failure.
+	 */
+	async function runExperimentRequest( endpoint, options ) {
+		if ( experiment.busy ) {
+			return null;
+		}
+
+		experiment = { ...experiment, busy: true };
+		render();
+
+		try {
+			const response = await apiFetch( endpoint, options );
+			applyExperimentResponse( response );
+			showNotice( response.message, 'success' );
+			return response;
+		} catch ( error ) {
+			if ( ! openConflictModal( error ) ) {
+				showNotice( wcsRreData.strings.experimentError + ' ' + error.message, 'error' );
+			}
+			return null;
+		} finally {
+			experiment = { ...experiment, busy: false };
+			render();
+		}
+	}
+
+	/**
+	 * Select a revision to show its diff.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleRevisionSelect( e ) {
+		const id = e.currentTarget.dataset.revision;
+		selectedRevision = selectedRevision === id ? '' : id;
+		render();
+	}
+
+	/**
+	 * Load the selected revision into the editor as unsaved changes.
+	 */
+	function handleRevisionRestore() {
+		const revision = revisions.find( item => item.id === selectedRevision );
+		if ( ! revision || isSaving ) {
+			return;
+		}
+
+		applyEditorState( {
+			rules: revision.rules || [],
+			rule_sets: revision.rule_sets || [],
+			final_action: revision.final_action || finalAction,
+		}, activeSet );
+		markChanged();
+		render();
+		showNotice( wcsRreData.strings.revisionRestored, 'success' );
+	}
+
+	/**
+	 * Handle reset button click.
+	 *
+	 * Sites of a network with published network rules can revert to them
+	 * instead of the WooCommerce Subscriptions defaults.
+	 */
+	function handleReset() {
+		const strings = wcsRreData.strings;
+
+		if ( ! config.network || ! config.network.available ) {
+			if ( confirm( strings.confirmReset ) ) {
+				resetRules( 'defaults' );
+			}
+			return;
+		}
+
+		openConfirmModal( {
+			title: strings.resetTitle,
+			body: `
+				<fieldset class="wcs-rre-reset-targets">
+					<label>
+						<input type="radio" name="wcs-rre-reset-target" value="network" checked>
+						<strong>${strings.resetNetwork}</strong>
+						<span class="description">${strings.resetNetworkDesc}</span>
+					</label>
+					<label>
+						<input type="radio" name="wcs-rre-reset-target" value="defaults">
+						<strong>${strings.resetDefaults}</strong>
+						<span class="description">${strings.resetDefaultsDesc}</span>
+					</label>
+				</fieldset>
+			`,
+			confirmLabel: strings.reset,
+			onConfirm: () => {
+				const target = document.querySelector( 'input[name="wcs-rre-reset-target"]:checked' );
+				resetRules( target ? target.value : 'network' );
+			},
+		} );
+	}
+
+	/**
+	 * Delete the custom rules and the draft.
+	 *
+	 * @param {string} target Rules to go back to: defaults, or network for the network rules.
+	 */
+	async function resetRules( target ) {
+		try {
+			const response = await apiFetch( '/reset', {
+				method: 'POST',
+				body: JSON.stringify( { target } ),
+			} );
+
+			liveState = {
+				rules: response.rules || [],
+				rule_sets: [],
+				final_action: response.final_action || null,
+			};
+			draft = null;
+			rulesVersion = response.version || '';
+			applyEditorState( liveState, '' );
+			isDefault = response.is_default !== false;
+			inherits = response.inherits || false;
+			rulesMeta = getRulesMeta( response );
+			commitSnapshot();
+			markSaved();
+			showNotice( response.message, 'success' );
+			render();
+		} catch ( error ) {
+			showNotice( error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Get the rule set being edited.
+	 *
+	 * @return {Object|null} Rule set, or null when editing the global rules.
+	 */
+	function getActiveRuleSet() {
+		return ruleSets.find( set => set.id === activeSet ) || null;
+	}
+
+	/**
+	 * Get the global rules and rule sets, including the rules being edited.
+	 *
+	 * @return {Object} State as { rules, rule_sets }, shaped like the /rules payload.
+	 */
+	function getEditorState() {
+		return {
+			rules: activeSet ? globalRules : rules,
+			rule_sets: ruleSets.map( set => ( set.id === activeSet ? { ...set, rules } : set ) ),
+			final_action: finalAction,
+		};
+	}
+
+	/**
+	 * Load global rules, rule sets and the final action into the editor.
+	 *
+	 * @param {Object} state State as { rules, rule_sets, final_action }.
+	 * @param {string} setId Rule set to edit; falls back to the global rules if it no longer exists.
+	 */
+	function applyEditorState( state, setId ) {
+		globalRules = ( state.rules || [] ).map( normalizeRule );
+		ruleSets = ( state.rule_sets || [] ).map( normalizeRuleSet );
+		finalAction = normalizeFinalAction( state.final_action );
+		activeSet = ruleSets.some( set => set.id === setId ) ? setId : '';
+
+		const activeRuleSet = getActiveRuleSet();
+		rules = activeRuleSet ? activeRuleSet.rules : globalRules;
+
+		loadProductLabels();
+	}
+
+	/**
+	 * Look up the names of products used by rule set conditions that are not known yet.
+	 */
+	async function loadProductLabels() {
+		const ids = [ ...new Set( ruleSets.flatMap( set => set.conditions.products || [] ).map( String ) ) ]
+			.filter( id => ! productSearch.labels[ id ] );
+		if ( ! ids.length ) {
+			return;
+		}
+
+		try {
+			const response = await apiFetch( '/products?' + ids.map( id => 'include[]=' + encodeURIComponent( id ) ).join( '&' ) );
+			storeProductLabels( response.products || [] );
+			render();
+		} catch ( error ) {
+			// Unknown products are shown by ID.
+		}
+	}
+
+	/**
+	 * Remember the names of products returned by the products endpoint.
+	 *
+	 * @param {Array} products Products as { value, label }.
+	 */
+	function storeProductLabels( products ) {
+		const labels = { ...productSearch.labels };
+		products.forEach( product => {
+			labels[ String( product.value ) ] = product.label;
+		} );
+		productSearch = { ...productSearch, labels };
+	}
+
+	/**
+	 * Search products once typing pauses.
+	 *
+	 * @param {Event} e The input event.
+	 */
+	function handleProductSearchInput( e ) {
+		productSearch = { ...productSearch, term: e.target.value };
+		clearTimeout( productSearchTimer );
+		productSearchTimer = setTimeout( searchProducts, PRODUCT_SEARCH_DELAY );
+	}
+
+	/**
+	 * Search subscription products for the product condition.
+	 *
+	 * Responses to superseded searches are ignored.
+	 */
+	async function searchProducts() {
+		const term = productSearch.term.trim();
+		const request = ++productSearch.request;
+		let results = [];
+
+		if ( term ) {
+			try {
+				const response = await apiFetch( '/products?search=' + encodeURIComponent( term ) );
+				results = response.products || [];
+			} catch ( error ) {
+				showNotice( wcsRreData.strings.productSearchError + ' ' + error.message, 'error' );
+			}
+		}
+
+		if ( request !== productSearch.request ) {
+			return;
+		}
+
+		storeProductLabels( results );
+		productSearch = { ...productSearch, results };
+		render();
+
+		const input = document.getElementById( 'wcs-rre-set-product-search' );
+		if ( input ) {
+			input.focus();
+			input.setSelectionRange( input.value.length, input.value.length );
+		}
+	}
+
+	/**
+	 * Switch the editor to another rule set.
+	 *
+	 * @param {string} setId Rule set ID, or '' for the global rules.
+	 */
+	function switchRuleSet( setId ) {
+		applyEditorState( getEditorState(), setId );
+		currentSnapshot = {
+			...currentSnapshot,
+			activeSet,
+		};
+		selectedRevision = '';
+		render();
+		schedulePreviewRefresh();
+	}
+
+	/**
+	 * Fill in missing fields of a rule set.
+	 *
+	 * @param {Object} set Rule set.
+	 * @return {Object} Normalized rule set.
+	 */
+	function normalizeRuleSet( set ) {
+		const conditions = set.conditions || {};
+
+		return {
+			id: String( set.id || '' ),
+			name: String( set.name || '' ),
+			conditions: {
+				products: ( conditions.products || [] ).map( Number ),
+				categories: ( conditions.categories || [] ).map( Number ),
+				payment_methods: ( conditions.payment_methods || [] ).map( String ),
+				billing_periods: ( conditions.billing_periods || [] ).map( String ),
+			},
+			rules: ( set.rules || [] ).map( normalizeRule ),
+		};
+	}
+
+	/**
+	 * Fill in missing parts of a final action from the defaults.
+	 *
+	 * @param {Object|null} value Final action, or null for the defaults.
+	 * @return {Object} Final action as { action, hold_days, outcomes }.
+	 */
+	function normalizeFinalAction( value ) {
+		const defaults = ( config.final_action && config.final_action.default ) || { action: 'none', hold_days: 7, outcomes: {} };
+		const source = value || {};
+		const outcomes = {};
+
+		FINAL_ACTIONS.forEach( choice => {
+			const outcome = ( source.outcomes || {} )[ choice ] || {};
+			const fallback = defaults.outcomes[ choice ] || {};
+			const field = key => String( outcome[ key ] !== undefined ? outcome[ key ] : ( fallback[ key ] || '' ) );
+
+			outcomes[ choice ] = {
+				order_status: field( 'order_status' ),
+				subscription_status: field( 'subscription_status' ),
+				email: field( 'email' ),
+				note: field( 'note' ),
+			};
+		} );
+
+		return {
+			action: FINAL_ACTIONS.includes( source.action ) ? source.action : defaults.action,
+			hold_days: parseInt( source.hold_days, 10 ) || defaults.hold_days,
+			outcomes,
+		};
+	}
+
+	/**
+	 * Normalize global rules, rule sets and the final action for comparison.
+	 *
+	 * @param {Object} state State as { rules, rule_sets, final_action }.
+	 * @return {Object} Normalized state.
+	 */
+	function normalizeState( state ) {
+		return {
+			rules: ( state.rules || [] ).map( normalizeRule ),
+			rule_sets: ( state.rule_sets || [] ).map( normalizeRuleSet ),
+			final_action: normalizeFinalAction( state.final_action ),
+		};
+	}
+
+	/**
+	 * Serialize global rules, rule sets and the final action for comparison.
+	 *
+	 * @param {Object} state State as { rules, rule_sets, final_action }.
+	 * @return {string} JSON string.
+	 */
+	function serializeState( state ) {
+		return JSON.stringify( normalizeState( state ) );
+	}
+
+	/**
+	 * Get the rules a revision stored for the set being edited.
+	 *
+	 * @param {Object} revision Revision.
+	 * @return {Array} Rules, empty if the set did not exist in that revision.
+	 */
+	function getRevisionRules( revision ) {
+		if ( ! activeSet ) {
+			return revision.rules || [];
+		}
+
+		const set = ( revision.rule_sets || [] ).find( item => item.id === activeSet );
+		return set ? set.rules : [];
+	}
+
+	/**
+	 * Handle rule set selection.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleRuleSetSelect( e ) {
+		switchRuleSet( e.target.value );
+	}
+
+	/**
+	 * Add a rule set starting from the rules being edited.
+	 */
+	function handleRuleSetAdd() {
+		const id = 'set-' + Date.now().toString( 36 ) + Math.random().toString( 36 ).slice( 2, 8 );
+		const state = getEditorState();
+
+		state.rule_sets.push( {
+			id,
+			name: wcsRreData.strings.ruleSetNewName,
+			conditions: {},
+			rules: JSON.parse( JSON.stringify( rules ) ),
+		} );
+
+		applyEditorState( state, id );
+		markChanged();
+		render();
+
+		const name = document.getElementById( 'wcs-rre-set-name' );
+		if ( name ) {
+			name.select();
+		}
+	}
+
+	/**
+	 * Delete the rule set being edited.
+	 */
+	function handleRuleSetDelete() {
+		if ( ! activeSet || ! confirm( wcsRreData.strings.confirmDeleteSet ) ) {
+			return;
+		}
+
+		const state = getEditorState();
+		state.rule_sets = state.rule_sets.filter( set => set.id !== activeSet );
+		applyEditorState( state, '' );
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle rule set name changes.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleRuleSetNameChange( e ) {
+		const activeRuleSet = getActiveRuleSet();
+		if ( ! activeRuleSet ) {
+			return;
+		}
+
+		activeRuleSet.name = e.target.value.trim();
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle rule set condition changes.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleRuleSetConditionChange( e ) {
+		const activeRuleSet = getActiveRuleSet();
+		if ( ! activeRuleSet ) {
+			return;
+		}
+
+		const key = e.target.dataset.condition;
+		const values = Array.from( e.target.selectedOptions, option => option.value );
+		activeRuleSet.conditions[ key ] = [ 'products', 'categories' ].includes( key ) ? values.map( Number ) : values;
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle add rule button click.
+	 */
+	function handleAddRule() {
+		rules.push( getEmptyRule() );
+		markChanged();
+		render();
+
+		// Scroll to new rule
+		const cards = document.querySelectorAll( '.wcs-rre-rule-card' );
+		if ( cards.length > 0 ) {
+			cards[ cards.length - 1 ].scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		}
+	}
+
+	/**
+	 * Create a new rule with sensible defaults.
+	 *
+	 * @return {Object} Rule object.
+	 */
+	function getEmptyRule() {
+		return {
+			retry_after_interval: 12 * 3600, // 12 hours
+			email_template_customer: '',
+			email_template_admin: 'WCS_Email_Payment_Retry',
+			status_to_apply_to_order: 'pending',
+			status_to_apply_to_subscription: 'on-hold',
+			email_override_customer: false,
+			email_override_admin: false,
+			email_subject_customer: '',
+			email_heading_customer: '',
+			email_additional_content_customer: '',
+			email_subject_admin: '',
+			email_heading_admin: '',
+			email_additional_content_admin: '',
+			email_locales_customer: {},
+			email_locales_admin: {},
+			decline_conditions: [],
+			timing: 'relative',
+			anchor: normalizeAnchor( DEFAULT_ANCHOR ),
+		};
+	}
+
+	/**
+	 * Fill in optional fields missing from an imported rule.
+	 *
+	 * @param {Object} rule Rule object.
+	 * @return {Object} Normalized rule.
+	 */
+	function normalizeRule( rule ) {
+		return {
+			...getEmptyRule(),
+			...rule,
+			retry_after_interval: parseInt( rule.retry_after_interval, 10 ),
+			email_locales_customer: normalizeEmailLocales( rule.email_locales_customer ),
+			email_locales_admin: normalizeEmailLocales( rule.email_locales_admin ),
+			decline_conditions: normalizeDeclineConditions( rule.decline_conditions ),
+			timing: rule.timing === 'anchored' ? 'anchored' : 'relative',
+			anchor: normalizeAnchor( rule.anchor ),
+		};
+	}
+
+	/**
+	 * Fill in the set time of a rule, sorting its days.
+	 *
+	 * @param {Object} anchor Anchor with type, days and time.
+	 * @return {Object} Normalized anchor.
+	 */
+	function normalizeAnchor( anchor ) {
+		const value = anchor && typeof anchor === 'object' ? anchor : DEFAULT_ANCHOR;
+
+		return {
+			type: value.type === 'month_days' ? 'month_days' : 'weekdays',
+			days: Array.isArray( value.days ) ? value.days.map( Number ).sort( ( a, b ) => a - b ) : [],
+			time: String( value.time || '' ),
+		};
+	}
+
+	/**
+	 * Fill in missing fields of a rule's decline conditions.
+	 *
+	 * @param {Array} conditions Decline conditions.
+	 * @return {Array} Normalized conditions.
+	 */
+	function normalizeDeclineConditions( conditions ) {
+		if ( ! Array.isArray( conditions ) ) {
+			return [];
+		}
+
+		return conditions.filter( condition => condition && typeof condition === 'object' ).map( condition => ( {
+			categories: Array.isArray( condition.categories ) ? condition.categories.map( String ) : [],
+			action: String( condition.action || 'skip' ),
+			email_template_customer: String( condition.email_template_customer || '' ),
+		} ) );
+	}
+
+	/**
+	 * Extract save metadata from a rules response.
+	 *
+	 * @param {Object} response API response.
+	 * @return {Object} Metadata.
+	 */
+	function getRulesMeta( response ) {
+		return {
+			modified_at: response.modified_at || '',
+			modified_by: response.modified_by || 0,
+			modified_by_name: response.modified_by_name || '',
+		};
+	}
+
+	/**
+	 * Handle export button click.
+	 *
+	 * Downloads the current editor rules, including unsaved changes.
+	 */
+	function handleExport() {
+		const data = {
+			plugin: 'wcs-retry-rules-editor',
+			version: wcsRreData.version,
+			exported_at: new Date().toISOString(),
+			...rulesMeta,
+			...getEditorState(),
+		};
+
+		downloadFile(
+			'wcs-retry-rules-' + new Date().toISOString().slice( 0, 10 ) + '.json',
+			JSON.stringify( data, null, 2 ),
+			'application/json'
+		);
+	}
+
+	/**
+	 * Handle import file selection.
+	 *
+	 * Imported rules are validated on the server and loaded into the editor
+	 * as unsaved changes. The file name goes with the next save, which the
+	 * audit log records as the import.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	async function handleImportFile( e ) {
+		const file = e.target.files && e.target.files[ 0 ];
+		e.target.value = '';
+
+		if ( ! file ) {
+			return;
+		}
+
+		try {
+			const imported = parseRulesFile( await file.text() );
+			const response = await apiFetch( '/validate', {
+				method: 'POST',
+				body: JSON.stringify( imported ),
+			} );
+
+			if ( ! response.valid ) {
+				showNotice(
+					wcsRreData.strings.importInvalidRules,
+					'error',
+					( response.errors || [] ).map( error => error.message )
+				);
+				return;
+			}
+
+			applyEditorState( {
+				rules: imported.rules,
+				rule_sets: imported.rule_sets || getEditorState().rule_sets,
+				final_action: imported.final_action || finalAction,
+			}, '' );
+			markChanged();
+			importedFile = { name: file.name, snapshot: currentSnapshot };
+			render();
+			showNotice( wcsRreData.strings.importSuccess, 'success' );
+		} catch ( error ) {
+			showNotice( wcsRreData.strings.importError + ' ' + error.message, 'error' );
+		}
+	}
+
+	/**
+	 * Parse an exported rules file.
+	 *
+	 * Accepts either an export object with a `rules` key and optional
+	 * `rule_sets` and `final_action`, or a bare array of rules.
+	 *
+	 * @param {string} text File contents.
+	 * @return {Object} Rules, plus rule_sets and final_action when the file has them.
+	 */
+	function parseRulesFile( text ) {
+		let data;
+		try {
+			data = JSON.parse( text );
+		} catch ( error ) {
+			throw new Error( wcsRreData.strings.importInvalidFile );
+		}
+
+		const imported = Array.isArray( data ) ? data : data && data.rules;
+		if ( ! Array.isArray( imported ) || imported.length === 0 ) {
+			throw new Error( wcsRreData.strings.importInvalidFile );
+		}
+
+		if ( data.rule_sets !== undefined && ! Array.isArray( data.rule_sets ) ) {
+			throw new Error( wcsRreData.strings.importInvalidFile );
+		}
+
+		if ( data.final_action !== undefined && ( ! data.final_action || typeof data.final_action !== 'object' ) ) {
+			throw new Error( wcsRreData.strings.importInvalidFile );
+		}
+
+		return {
+			rules: imported,
+			...( Array.isArray( data.rule_sets ) ? { rule_sets: data.rule_sets } : {} ),
+			...( data.final_action ? { final_action: data.final_action } : {} ),
+		};
+	}
+
+	/**
+	 * Trigger a browser download for generated content.
+	 *
+	 * @param {string} filename File name.
+	 * @param {string} content  File contents.
+	 * @param {string} type     MIME type.
+	 */
+	function downloadFile( filename, content, type ) {
+		const url = URL.createObjectURL( new Blob( [ content ], { type } ) );
+		const link = document.createElement( 'a' );
+
+		link.href = url;
+		link.download = filename;
+		document.body.appendChild( link );
+		link.click();
+		link.remove();
+
+		// Some browsers start the download after the click returns.
+		setTimeout( () => URL.revokeObjectURL( url ), 0 );
+	}
+
+	/**
+	 * Handle delete rule button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleDeleteRule( e ) {
+		if ( ! confirm( wcsRreData.strings.confirmDelete ) ) {
+			return;
+		}
+
+		const index = parseInt( e.target.dataset.index, 10 );
+		rules.splice( index, 1 );
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle move up button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleMoveUp( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		if ( index > 0 ) {
+			[ rules[ index - 1 ], rules[ index ] ] = [ rules[ index ], rules[ index - 1 ] ];
+			markChanged();
+			render();
+		}
+	}
+
+	/**
+	 * Handle move down button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleMoveDown( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		if ( index < rules.length - 1 ) {
+			[ rules[ index ], rules[ index + 1 ] ] = [ rules[ index + 1 ], rules[ index ] ];
+			markChanged();
+			render();
+		}
+	}
+
+	/**
+	 * Start dragging a rule card by its handle.
+	 *
+	 * @param {DragEvent} e The dragstart event.
+	 */
+	function handleDragStart( e ) {
+		const index = parseInt( e.currentTarget.dataset.index, 10 );
+		const card = e.currentTarget.closest( '.wcs-rre-rule-card' );
+
+		dragState = {
+			from: index,
+			dropIndex: null,
+		};
+
+		e.dataTransfer.effectAllowed = 'move';
+		e.dataTransfer.setData( 'text/plain', String( index ) );
+
+		if ( card ) {
+			e.dataTransfer.setDragImage( card, 20, 20 );
+			card.classList.add( 'is-dragging' );
+		}
+	}
+
+	/**
+	 * Track the drop position while dragging over the rules list.
+	 *
+	 * Updates the drop indicator and previews the timeline with the new order.
+	 *
+	 * @param {DragEvent} e The dragover event.
+	 */
+	function handleDragOver( e ) {
+		if ( ! dragState ) {
+			return;
+		}
+
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'move';
+
+		const card = e.target.closest( '.wcs-rre-rule-card' );
+		if ( ! card ) {
+			return;
+		}
+
+		const index = parseInt( card.dataset.index, 10 );
+		const rect = card.getBoundingClientRect();
+		const after = e.clientY > rect.top + rect.height / 2;
+		const dropIndex = after ? index + 1 : index;
+
+		if ( dropIndex === dragState.dropIndex ) {
+			return;
+		}
+
+		dragState.dropIndex = dropIndex;
+
+		document.querySelectorAll( '.wcs-rre-rule-card' ).forEach( el => {
+			el.classList.remove( 'is-drop-before', 'is-drop-after' );
+		} );
+		card.classList.add( after ? 'is-drop-after' : 'is-drop-before' );
+
+		const timeline = document.querySelector( '.wcs-rre-timeline-list' );
+		if ( timeline ) {
+			timeline.outerHTML = renderTimeline( moveRule( rules, dragState.from, dropIndex ) );
+		}
+	}
+
+	/**
+	 * Drop a dragged rule at the indicated position.
+	 *
+	 * @param {DragEvent} e The drop event.
+	 */
+	function handleDrop( e ) {
+		if ( ! dragState ) {
+			return;
+		}
+
+		e.preventDefault();
+
+		const { from, dropIndex } = dragState;
+		dragState = null;
+
+		if ( dropIndex !== null ) {
+			rules = moveRule( rules, from, dropIndex );
+			markChanged();
+
+			const position = dropIndex > from ? dropIndex : dropIndex + 1;
+			announce( formatString( wcsRreData.strings.dragDropped, position, rules.length ) );
+		}
+
+		render();
+	}
+
+	/**
+	 * Clean up when a drag ends without a drop.
+	 */
+	function handleDragEnd() {
+		if ( ! dragState ) {
+			return;
+		}
+
+		dragState = null;
+		render();
+	}
+
+	/**
+	 * Keyboard reordering: Space picks up, arrows move, Space drops, Escape cancels.
+	 *
+	 * The rule moves in the editor while it is held, but only the final drop
+	 * is recorded as a change.
+	 *
+	 * @param {KeyboardEvent} e The keydown event.
+	 */
+	function handleDragHandleKeydown( e ) {
+		const index = parseInt( e.currentTarget.dataset.index, 10 );
+		const isToggleKey = e.key === ' ' || e.key === 'Enter';
+
+		if ( ! keyboardDrag ) {
+			if ( isToggleKey ) {
+				e.preventDefault();
+				keyboardDrag = {
+					from: index,
+					to: index,
+					original: rules.slice(),
+				};
+				render();
+				focusDragHandle( index );
+				announce( formatString( wcsRreData.strings.dragPickedUp, index + 1, index + 1, rules.length ) );
+			}
+			return;
+		}
+
+		if ( e.key === 'ArrowUp' || e.key === 'ArrowDown' ) {
+			e.preventDefault();
+
+			const current = keyboardDrag.to;
+			const target = e.key === 'ArrowUp' ? current - 1 : current + 1;
+			if ( target < 0 || target >= rules.length ) {
+				return;
+			}
+
+			rules = moveRule( rules, current, target > current ? target + 1 : target );
+			keyboardDrag.to = target;
+			render();
+			focusDragHandle( target );
+			announce( formatString( wcsRreData.strings.dragMoved, target + 1, rules.length ) );
+		} else if ( isToggleKey ) {
+			e.preventDefault();
+
+			const target = keyboardDrag.to;
+			keyboardDrag = null;
+			markChanged();
+			render();
+			focusDragHandle( target );
+			announce( formatString( wcsRreData.strings.dragDropped, target + 1, rules.length ) );
+		} else if ( e.key === 'Escape' ) {
+			e.preventDefault();
+
+			const from = keyboardDrag.from;
+			rules = keyboardDrag.original;
+			keyboardDrag = null;
+			render();
+			focusDragHandle( from );
+			announce( formatString( wcsRreData.strings.dragCancelled, from + 1 ) );
+		}
+	}
+
+	/**
+	 * Move focus to a rule's drag handle after a re-render.
+	 *
+	 * @param {number} index Rule index.
+	 */
+	function focusDragHandle( index ) {
+		const handle = document.querySelector( `.wcs-rre-drag-handle[data-index="${index}"]` );
+		if ( handle ) {
+			handle.focus();
+		}
+	}
+
+	/**
+	 * Announce a message to screen readers.
+	 *
+	 * @param {string} message Message text.
+	 */
+	function announce( message ) {
+		if ( ! liveRegion ) {
+			return;
+		}
+
+		liveRegion.textContent = '';
+		setTimeout( () => {
+			liveRegion.textContent = message;
+		}, 50 );
+	}
+
+	/**
+	 * Handle email override field changes.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleEmailOverrideChange( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		const field = e.target.dataset.field;
+
+		if ( ! rules[ index ] ) {
+			return;
+		}
+
+		setOverrideText( rules[ index ], field, e.target.value );
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Handle email override toggle.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleEmailOverrideToggle( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		const field = e.target.dataset.field;
+
+		if ( ! rules[ index ] ) {
+			return;
+		}
+
+		rules[ index ][ field ] = e.target.checked;
+		markChanged();
+		render();
+	}
+
+	/**
+	 * Update an email override as it is typed, for the live preview.
+	 *
+	 * The edit is committed to undo history by the change event.
+	 *
+	 * @param {Event} e The input event.
+	 */
+	function handleEmailOverrideInput( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+
+		if ( ! rules[ index ] ) {
+			return;
+		}
+
+		setOverrideText( rules[ index ], e.target.dataset.field, e.target.value );
+		updatePlaceholderIssues( e.target );
+		updateAutocomplete( e.target );
+		if ( index === previewPane.ruleIndex ) {
+			schedulePreviewRefresh();
+		}
+	}
+
+	/**
+	 * Refresh the inline placeholder issues of an override field.
+	 *
+	 * @param {Element} input Override input, textarea or visual editor.
+	 * @param {string}  value Field value. Defaults to the input value.
+	 */
+	function updatePlaceholderIssues( input, value = input.value ) {
+		const recipient = input.dataset.recipient;
+		const hasIssues = getPlaceholderIssues( value, recipient ).length > 0;
+		const issues = document.getElementById( input.id + '-issues' );
+
+		input.classList.toggle( 'has-placeholder-issues', hasIssues );
+		input.setAttribute( 'aria-invalid', hasIssues ? 'true' : 'false' );
+		if ( issues ) {
+			issues.innerHTML = renderPlaceholderIssues( value, recipient );
+		}
+	}
+
+	/**
+	 * Switch the language of the override fields and the preview.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handleLocaleChange( e ) {
+		overrideLocale = e.target.value;
+		overrideCaret = null;
+		render();
+		schedulePreviewRefresh();
+	}
+
+	/**
+	 * Remember the content of the visual editor when it gains focus.
+	 *
+	 * @param {Event} e The focus event.
+	 */
+	function handleRichTextFocus( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+
+		e.target.dataset.initial = rules[ index ] ? getOverrideText( rules[ index ], e.target.dataset.field ) : '';
+		document.execCommand( 'defaultParagraphSeparator', false, 'p' );
+		rememberRichTextCaret( e );
+	}
+
+	/**
+	 * Update the rule while typing in the visual editor.
+	 *
+	 * Like the other override fields, the edit is only recorded for undo
+	 * once the editor loses focus.
+	 *
+	 * @param {Event} e The input event.
+	 */
+	function handleRichTextInput( e ) {
+		const index = parseInt( e.target.dataset.index, 10 );
+		if ( ! rules[ index ] ) {
+			return;
+		}
+
+		const value = sanitizeRichText( e.target.innerHTML );
+		setOverrideText( rules[ index ], e.target.dataset.field, value );
+		updatePlaceholderIssues( e.target, value );
+		rememberRichTextCaret( e );
+		if ( index === previewPane.ruleIndex ) {
+			schedulePreviewRefresh();
+		}
+	}
+
+	/**
+	 * Record visual editor changes when it loses focus.
+	 *
+	 * @param {Event} e The blur event.
+	 */
+	function handleRichTextBlur( e ) {
+		if ( commitRichText( e.target ) ) {
+			render();
+		}
+	}
+
+	/**
+	 * Record the visual editor content as a change if it differs from when it was focused.
+	 *
+	 * @param {Element} editor Visual editor.
+	 * @return {boolean} True if a change was recorded.
+	 */
+	function commitRichText( editor ) {
+		const index = parseInt( editor.dataset.index, 10 );
+		if ( ! rules[ index ] || getOverrideText( rules[ index ], editor.dataset.field ) === ( editor.dataset.initial || '' ) ) {
+			return false;
+		}
+
+		editor.dataset.initial = getOverrideText( rules[ index ], editor.dataset.field );
+		markChanged();
+		return true;
+	}
+
+	/**
+	 * Paste into the visual editor as plain text.
+	 *
+	 * @param {ClipboardEvent} e The paste event.
+	 */
+	function handleRichTextPaste( e ) {
+		e.preventDefault();
+		document.execCommand( 'insertText', false, e.clipboardData.getData( 'text/plain' ) );
+	}
+
+	/**
+	 * Remember the selection in the visual editor as text offsets.
+	 *
+	 * @param {Event} e The event.
+	 */
+	function rememberRichTextCaret( e ) {
+		const editor = e.currentTarget;
+		const selection = window.getSelection();
+
+		if ( ! selection.rangeCount || ! editor.contains( selection.anchorNode ) ) {
+			return;
+		}
+
+		const range = selection.getRangeAt( 0 );
+		overrideCaret = {
+			index: parseInt( editor.dataset.index, 10 ),
+			field: editor.dataset.field,
+			start: getRichTextOffset( editor, range.startContainer, range.startOffset ),
+			end: getRichTextOffset( editor, range.endContainer, range.endOffset ),
+		};
+	}
+
+	/**
+	 * Apply a formatting command from the toolbar to the visual editor.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleRichTextCommand( e ) {
+		const id = e.currentTarget.dataset.target;
+		const command = e.currentTarget.dataset.command;
+		let editor = document.getElementById( id );
+
+		if ( ! editor || ! editor.isContentEditable ) {
+			return;
+		}
+
+		editor.focus();
 
-		document.querySelectorAll( '.wcs-rre-subscription-status' ).forEach( el => {
-			el.addEventListener( 'change', handleFieldChange( 'status_to_apply_to_subscription' ) );
-		} );
+		if ( command !== 'createLink' ) {
+			document.execCommand( command, false, null );
+			return;
+		}
 
-		document.querySelectorAll( '.wcs-rre-email-override-input' ).forEach( el => {
-			el.addEventListener( 'change', handleEmailOverrideChange );
-		} );
+		const caret = overrideCaret;
+		const url = ( window.prompt( wcsRreData.strings.richTextLinkPrompt, 'https://' ) || '' ).trim();
+		if ( ! /^(https?:|mailto:|\{)/i.test( url ) ) {
+			return;
+		}
 
-		document.querySelectorAll( '.wcs-rre-email-override-toggle' ).forEach( el => {
-			el.addEventListener( 'change', handleEmailOverrideToggle );
-		} );
+		// The prompt can blur the editor, which re-renders it.
+		editor = document.getElementById( id );
+		if ( ! editor ) {
+			return;
+		}
 
-		document.querySelectorAll( '.wcs-rre-email-preview' ).forEach( el => {
-			el.addEventListener( 'click', handleEmailPreview );
+		editor.focus();
+		if ( caret && caret.field === editor.dataset.field && caret.index === parseInt( editor.dataset.index, 10 ) ) {
+			setRichTextSelection( editor, caret.start, caret.end );
+		}
+		document.execCommand( 'createLink', false, url );
+	}
+
+	/**
+	 * Switch the additional content editors between visual and HTML mode.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleRichTextMode( e ) {
+		const editor = document.getElementById( e.currentTarget.dataset.target );
+
+		if ( editor && editor.isContentEditable ) {
+			commitRichText( editor );
+		}
+
+		richTextMode = e.currentTarget.dataset.mode;
+		render();
+	}
+
+	/**
+	 * Remember where the caret was in the last focused override field.
+	 *
+	 * The insert-placeholder dropdown takes focus, so it inserts at this position.
+	 *
+	 * @param {Event} e The event.
+	 */
+	function rememberOverrideCaret( e ) {
+		overrideCaret = {
+			index: parseInt( e.target.dataset.index, 10 ),
+			field: e.target.dataset.field,
+			start: e.target.selectionStart,
+			end: e.target.selectionEnd,
+		};
+	}
+
+	/**
+	 * Show placeholder suggestions while a placeholder is being typed after `{`.
+	 *
+	 * @param {Element} input Override input or textarea.
+	 */
+	function updateAutocomplete( input ) {
+		const before = input.value.slice( 0, input.selectionStart );
+		const match = before.match( /\{([a-z0-9_]*)$/i );
+		const query = match ? match[ 1 ].toLowerCase() : '';
+		const items = match
+			? getPlaceholders( input.dataset.recipient ).filter( placeholder => placeholder.slice( 1, -1 ).toLowerCase().includes( query ) )
+			: [];
+
+		if ( items.length === 0 ) {
+			closeAutocomplete();
+			return;
+		}
+
+		autocomplete = {
+			input,
+			start: input.selectionStart - match[ 0 ].length,
+			items,
+			active: 0,
+		};
+		renderAutocomplete();
+	}
+
+	/**
+	 * Render the suggestion list below the field being typed in.
+	 */
+	function renderAutocomplete() {
+		const existing = document.getElementById( 'wcs-rre-autocomplete' );
+		if ( existing ) {
+			existing.remove();
+		}
+
+		if ( ! autocomplete ) {
+			return;
+		}
+
+		const { input, items, active } = autocomplete;
+		const list = document.createElement( 'ul' );
+		list.id = 'wcs-rre-autocomplete';
+		list.className = 'wcs-rre-autocomplete';
+		list.setAttribute( 'role', 'listbox' );
+		list.innerHTML = items.map( ( placeholder, i ) => `
+			<li id="wcs-rre-autocomplete-${i}" role="option" class="${i === active ? 'is-active' : ''}" aria-selected="${i === active ? 'true' : 'false'}" data-placeholder="${escapeAttribute( placeholder )}">${escapeHtml( placeholder )}</li>
+		` ).join( '' );
+
+		// Mousedown keeps focus in the field, so blur does not close the list first.
+		list.addEventListener( 'mousedown', e => {
+			const item = e.target.closest( 'li' );
+			e.preventDefault();
+			if ( item ) {
+				insertAutocomplete( item.dataset.placeholder );
+			}
 		} );
 
-		document.querySelectorAll( '.wcs-rre-modal-close' ).forEach( el => {
-			el.addEventListener( 'click', handleModalClose );
-		} );
+		input.parentNode.insertBefore( list, input.nextSibling );
+		input.setAttribute( 'aria-controls', list.id );
+		input.setAttribute( 'aria-expanded', 'true' );
+		input.setAttribute( 'aria-activedescendant', `wcs-rre-autocomplete-${active}` );
+	}
+
+	/**
+	 * Close the suggestion list.
+	 */
+	function closeAutocomplete() {
+		if ( ! autocomplete ) {
+			return;
+		}
+
+		const { input } = autocomplete;
+		autocomplete = null;
+		input.setAttribute( 'aria-expanded', 'false' );
+		input.removeAttribute( 'aria-activedescendant' );
+		renderAutocomplete();
+	}
+
+	/**
+	 * Handle arrow keys, Enter, Tab and Escape while suggestions are shown.
+	 *
+	 * @param {KeyboardEvent} e The event.
+	 */
+	function handleAutocompleteKeydown( e ) {
+		if ( ! autocomplete || autocomplete.input !== e.target ) {
+			return;
+		}
+
+		const count = autocomplete.items.length;
+
+		if ( e.key === 'ArrowDown' || e.key === 'ArrowUp' ) {
+			e.preventDefault();
+			autocomplete.active = ( autocomplete.active + ( e.key === 'ArrowDown' ? 1 : count - 1 ) ) % count;
+			renderAutocomplete();
+		} else if ( e.key === 'Enter' || e.key === 'Tab' ) {
+			e.preventDefault();
+			insertAutocomplete( autocomplete.items[ autocomplete.active ] );
+		} else if ( e.key === 'Escape' ) {
+			e.preventDefault();
+			closeAutocomplete();
+		}
+	}
+
+	/**
+	 * Replace the partly typed placeholder with a suggestion.
+	 *
+	 * @param {string} placeholder Placeholder to insert.
+	 */
+	function insertAutocomplete( placeholder ) {
+		const { input, start } = autocomplete;
+		let end = input.selectionStart;
+
+		// Swallow a closing brace that was already typed.
+		if ( input.value.charAt( end ) === '}' ) {
+			end++;
+		}
+
+		closeAutocomplete();
+		commitOverrideText(
+			parseInt( input.dataset.index, 10 ),
+			input.dataset.field,
+			input.value.slice( 0, start ) + placeholder + input.value.slice( end ),
+			start + placeholder.length
+		);
+	}
+
+	/**
+	 * Insert the placeholder chosen in a group's dropdown at the last caret position.
+	 *
+	 * Falls back to the end of the subject when no field of the group was focused.
+	 *
+	 * @param {Event} e The change event.
+	 */
+	function handlePlaceholderInsert( e ) {
+		const placeholder = e.target.value;
+		const index = parseInt( e.target.dataset.index, 10 );
+		const recipient = e.target.dataset.recipient;
+
+		if ( ! placeholder || ! rules[ index ] ) {
+			return;
+		}
+
+		const caret = overrideCaret && overrideCaret.index === index && overrideCaret.field.endsWith( `_${recipient}` )
+			? overrideCaret
+			: null;
+		const field = caret ? caret.field : `email_subject_${recipient}`;
+		const value = getOverrideText( rules[ index ], field );
+		const editor = app.querySelector( `.wcs-rre-rich-text-editor[data-index="${index}"][data-field="${field}"]` );
+
+		if ( editor ) {
+			editor.focus();
+			setRichTextSelection( editor, caret ? caret.start : Infinity, caret ? caret.end : Infinity );
+			document.execCommand( 'insertText', false, placeholder );
+			commitRichText( editor );
+			render();
+			return;
+		}
+
+		const start = caret && caret.start !== null ? caret.start : value.length;
+		const end = caret && caret.end !== null ? caret.end : value.length;
+
+		commitOverrideText( index, field, value.slice( 0, start ) + placeholder + value.slice( end ), start + placeholder.length );
+	}
+
+	/**
+	 * Save new override text, re-render and put the caret back in the field.
+	 *
+	 * @param {number} index Rule index.
+	 * @param {string} field Rule field.
+	 * @param {string} value New text.
+	 * @param {number} caret Caret position after the update.
+	 */
+	function commitOverrideText( index, field, value, caret ) {
+		setOverrideText( rules[ index ], field, value );
+		markChanged();
+		render();
+
+		const input = app.querySelector( `.wcs-rre-email-override-input[data-index="${index}"][data-field="${field}"]` );
+		if ( input ) {
+			input.focus();
+			input.setSelectionRange( caret, caret );
+			overrideCaret = {
+				index,
+				field,
+				start: caret,
+				end: caret,
+			};
+		}
+	}
+
+	/**
+	 * Handle email preview click.
+	 *
+	 * Opens the preview pane for the rule and recipient, or closes it if it
+	 * is already showing them.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleEmailPreview( e ) {
+		const index = parseInt( e.currentTarget.dataset.index, 10 );
+		const recipient = e.currentTarget.dataset.recipient;
+
+		if ( ! rules[ index ] || ! config.email_preview || ! config.email_preview[ recipient ] ) {
+			return;
+		}
+
+		if ( isPreviewing( index, recipient ) ) {
+			closePreviewPane();
+			return;
+		}
+
+		previewPane = {
+			...previewPane,
+			open: true,
+			error: '',
+			html: '',
+			text: '',
+			placeholders: [],
+			ruleIndex: index,
+			recipient,
+		};
+		render();
+		refreshPreview();
+	}
+
+	/**
+	 * Handle the preview pane recipient and width toggles.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handlePreviewToggle( e ) {
+		const { recipient, device, format } = e.currentTarget.dataset;
+
+		if ( device ) {
+			previewPane = {
+				...previewPane,
+				device,
+			};
+			render();
+			return;
+		}
+
+		if ( ( recipient && recipient !== previewPane.recipient ) || ( format && format !== previewPane.format ) ) {
+			previewPane = {
+				...previewPane,
+				recipient: recipient || previewPane.recipient,
+				format: format || previewPane.format,
+				html: '',
+				text: '',
+				placeholders: [],
+			};
+			render();
+			refreshPreview();
+		}
+	}
+
+	/**
+	 * Check whether the preview pane is showing a rule's email.
+	 *
+	 * @param {number} index     Rule index.
+	 * @param {string} recipient Recipient type.
+	 * @return {boolean} True if previewing.
+	 */
+	function isPreviewing( index, recipient ) {
+		return previewPane.open && previewPane.ruleIndex === index && previewPane.recipient === recipient;
+	}
+
+	/**
+	 * Close the preview pane and drop any pending refresh.
+	 */
+	function closePreviewPane() {
+		clearTimeout( previewTimer );
+		previewRequest++;
+		previewPane = {
+			...previewPane,
+			open: false,
+			loading: false,
+		};
+		render();
+	}
+
+	/**
+	 * Refresh the preview pane once edits pause.
+	 */
+	function schedulePreviewRefresh() {
+		if ( ! previewPane.open ) {
+			return;
+		}
+
+		clearTimeout( previewTimer );
+		previewTimer = setTimeout( refreshPreview, PREVIEW_DELAY );
+	}
+
+	/**
+	 * Render the previewed rule's email on the server.
+	 *
+	 * Responses to superseded requests are ignored.
+	 */
+	async function refreshPreview() {
+		clearTimeout( previewTimer );
+
+		if ( ! previewPane.open ) {
+			return;
+		}
+
+		const rule = rules[ previewPane.ruleIndex ];
+		if ( ! rule ) {
+			closePreviewPane();
+			return;
+		}
+
+		const request = ++previewRequest;
+		previewPane = {
+			...previewPane,
+			loading: true,
+		};
+		updatePreviewBody();
+
+		try {
+			const response = await apiFetch( '/email-preview', {
+				method: 'POST',
+				body: JSON.stringify( {
+					recipient: previewPane.recipient,
+					rule,
+					highlight: true,
+					format: previewPane.format,
+					locale: overrideLocale,
+				} ),
+			} );
+
+			if ( request !== previewRequest ) {
+				return;
+			}
+
+			previewPane = {
+				...previewPane,
+				loading: false,
+				error: '',
+				html: response.html || '',
+				text: response.text || '',
+				textHtml: response.text_html || '',
+				subject: response.subject || '',
+				heading: response.heading || '',
+				subjectHtml: response.subject_html || '',
+				headingHtml: response.heading_html || '',
+				placeholders: response.placeholders || [],
+			};
+		} catch ( error ) {
+			if ( request !== previewRequest ) {
+				return;
+			}
+
+			previewPane = {
+				...previewPane,
+				loading: false,
+				error: error.message || 'Preview failed',
+			};
+		}
+
+		updatePreviewBody();
+	}
+
+	/**
+	 * Replace the preview pane contents without re-rendering the editor.
+	 */
+	function updatePreviewBody() {
+		const body = document.getElementById( 'wcs-rre-preview-body' );
+		if ( body ) {
+			body.innerHTML = renderPreviewBody();
+		}
+	}
+
+	/**
+	 * Open the send test email modal for a rule's email.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleTestEmailOpen( e ) {
+		const index = parseInt( e.currentTarget.dataset.index, 10 );
+		if ( ! rules[ index ] ) {
+			return;
+		}
+
+		testEmailModal = {
+			...testEmailModal,
+			open: true,
+			ruleIndex: index,
+			recipient: e.currentTarget.dataset.recipient,
+			sending: false,
+			result: null,
+		};
+		render();
+
+		const input = document.getElementById( 'wcs-rre-test-email-to' );
+		if ( input ) {
+			input.focus();
+		}
+	}
+
+	/**
+	 * Keep the test email address across re-renders.
+	 *
+	 * @param {Event} e The input event.
+	 */
+	function handleTestEmailInput( e ) {
+		testEmailModal = {
+			...testEmailModal,
+			to: e.target.value,
+		};
+	}
+
+	/**
+	 * Send the test email when Enter is pressed in the address field.
+	 *
+	 * @param {KeyboardEvent} e The keydown event.
+	 */
+	function handleTestEmailKeydown( e ) {
+		if ( e.key === 'Enter' ) {
+			e.preventDefault();
+			handleTestEmailSend();
+		}
+	}
+
+	/**
+	 * Send the rule's email, with unsaved changes, to the address in the modal.
+	 */
+	async function handleTestEmailSend() {
+		const rule = rules[ testEmailModal.ruleIndex ];
+		const to = testEmailModal.to.trim();
+
+		if ( ! rule || testEmailModal.sending ) {
+			return;
+		}
+
+		if ( ! /^[^\s@]+@[^\s@]+$/.test( to ) ) {
+			testEmailModal = {
+				...testEmailModal,
+				result: { type: 'error', message: wcsRreData.strings.testEmailInvalid },
+			};
+			render();
+			return;
+		}
+
+		testEmailModal = {
+			...testEmailModal,
+			sending: true,
+			result: null,
+		};
+		render();
+
+		let result;
+		try {
+			const response = await apiFetch( '/email-test', {
+				method: 'POST',
+				body: JSON.stringify( {
+					recipient: testEmailModal.recipient,
+					rule,
+					to,
+					locale: overrideLocale,
+				} ),
+			} );
+			result = { type: 'success', message: response.message };
+		} catch ( error ) {
+			result = { type: 'error', message: wcsRreData.strings.testEmailError + ' ' + error.message };
+		}
 
-		document.querySelectorAll( '.wcs-rre-modal-backdrop' ).forEach( el => {
-			el.addEventListener( 'click', handleModalBackdropClick );
-		} );
+		testEmailModal = {
+			...testEmailModal,
+			sending: false,
+			result,
+		};
+		announce( result.message );
+		render();
 	}
 
 	/**
-	 * Handle interval field changes.
-	 *
-	 * @param {Event} e The change event.
+	 * Open the schedule rules modal.
 	 */
-	function handleIntervalChange( e ) {
-		const index = parseInt( e.target.dataset.index, 10 );
-		const card = e.target.closest( '.wcs-rre-rule-card' );
-		const valueInput = card.querySelector( '.wcs-rre-interval-value' );
-		const unitSelect = card.querySelector( '.wcs-rre-interval-unit' );
-
-		const value = parseInt( valueInput.value, 10 ) || 5;
-		const unit = parseInt( unitSelect.value, 10 );
-		const seconds = value * unit;
+	function handleScheduleOpen() {
+		scheduleModal = {
+			...scheduleModal,
+			open: true,
+			saving: false,
+			error: '',
+		};
+		render();
 
-		// Enforce minimum
-		if ( seconds < config.min_interval ) {
-			valueInput.value = Math.ceil( config.min_interval / unit );
-			rules[ index ].retry_after_interval = config.min_interval;
-		} else {
-			rules[ index ].retry_after_interval = seconds;
+		const input = document.getElementById( 'wcs-rre-schedule-activate' );
+		if ( input ) {
+			input.focus();
 		}
-
-		markChanged();
-		render();
 	}
 
 	/**
-	 * Create a field change handler.
+	 * Keep the schedule times across re-renders.
 	 *
-	 * @param {string} field The field name.
-	 * @return {Function} Event handler.
+	 * @param {Event} e The change event.
 	 */
-	function handleFieldChange( field ) {
-		return function( e ) {
-			const index = parseInt( e.target.dataset.index, 10 );
-			rules[ index ][ field ] = e.target.value;
-			markChanged();
-			render();
+	function handleScheduleInput( e ) {
+		scheduleModal = {
+			...scheduleModal,
+			[ e.target.dataset.field ]: e.target.value,
 		};
 	}
 
 	/**
-	 * Handle save button click.
+	 * Schedule the editor rules and rule sets, including unsaved changes.
 	 */
-	async function handleSave() {
-		if ( isSaving ) return;
+	async function handleScheduleSubmit() {
+		const strings = wcsRreData.strings;
+		if ( scheduleModal.saving ) {
+			return;
+		}
 
-		isSaving = true;
+		let error = '';
+		if ( ! scheduleModal.activateAt ) {
+			error = strings.scheduleNoTime;
+		} else if ( scheduleModal.revertAt && scheduleModal.revertAt <= scheduleModal.activateAt ) {
+			error = strings.scheduleRevertEarly;
+		} else if ( validateEditorState().some( ( { result } ) => result.errorCount ) ) {
+			error = strings.saveBlocked;
+		}
+
+		if ( error ) {
+			scheduleModal = { ...scheduleModal, error };
+			render();
+			return;
+		}
+
+		scheduleModal = { ...scheduleModal, saving: true, error: '' };
 		render();
 
 		try {
-			await apiFetch( '/rules', {
+			const response = await apiFetch( '/schedule', {
 				method: 'POST',
-				body: JSON.stringify( { rules } ),
+				body: JSON.stringify( {
+					...getEditorState(),
+					activate_at: scheduleModal.activateAt,
+					revert_at: scheduleModal.revertAt,
+				} ),
 			} );
 
-			hasChanges = false;
-			isDefault = false;
-			showNotice( wcsRreData.strings.saveSuccess, 'success' );
-		} catch ( error ) {
-			showNotice( wcsRreData.strings.saveError + ' ' + error.message, 'error' );
-		} finally {
-			isSaving = false;
-			render();
+			schedule = response.schedule || null;
+			scheduleModal = { ...scheduleModal, open: false, saving: false };
+			showNotice( response.message, 'success' );
+		} catch ( err ) {
+			scheduleModal = { ...scheduleModal, saving: false, error: err.message };
 		}
+
+		render();
 	}
 
 	/**
-	 * Handle reset button click.
+	 * Cancel the scheduled activation, or the revert of activated rules.
 	 */
-	async function handleReset() {
-		if ( ! confirm( wcsRreData.strings.confirmReset ) ) {
+	async function handleScheduleCancel() {
+		const strings = wcsRreData.strings;
+		if ( ! schedule || ! confirm( schedule.status === 'active' ? strings.confirmCancelRevert : strings.confirmCancelSched ) ) {
 			return;
 		}
 
 		try {
-			const response = await apiFetch( '/reset', {
-				method: 'POST',
-			} );
-
-			rules = response.rules || [];
-			isDefault = true;
-			hasChanges = false;
+			const response = await apiFetch( '/schedule', { method: 'DELETE' } );
+			schedule = null;
 			showNotice( response.message, 'success' );
-			render();
 		} catch ( error ) {
 			showNotice( error.message, 'error' );
 		}
+
+		render();
 	}
 
 	/**
-	 * Handle add rule button click.
+	 * Handle modal close.
+	 *
+	 * @param {Event} e The click event.
 	 */
-	function handleAddRule() {
-		// Create new rule with sensible defaults
-		const newRule = {
-			retry_after_interval: 12 * 3600, // 12 hours
-			email_template_customer: '',
-			email_template_admin: 'WCS_Email_Payment_Retry',
-			status_to_apply_to_order: 'pending',
-			status_to_apply_to_subscription: 'on-hold',
-			email_override_customer: false,
-			email_override_admin: false,
-			email_subject_customer: '',
-			email_heading_customer: '',
-			email_additional_content_customer: '',
-			email_subject_admin: '',
-			email_heading_admin: '',
-			email_additional_content_admin: '',
-		};
+	function handleModalClose() {
+		if ( conflictModal.open ) {
+			if ( ! conflictModal.busy ) {
+				closeConflictModal();
+				render();
+			}
+			return;
+		}
 
-		rules.push( newRule );
-		markChanged();
-		render();
+		if ( scheduleModal.open ) {
+			scheduleModal = {
+				...scheduleModal,
+				open: false,
+			};
+			render();
+			return;
+		}
 
-		// Scroll to new rule
-		const cards = document.querySelectorAll( '.wcs-rre-rule-card' );
-		if ( cards.length > 0 ) {
-			cards[ cards.length - 1 ].scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		if ( testEmailModal.open ) {
+			testEmailModal = {
+				...testEmailModal,
+				open: false,
+			};
+			render();
+			return;
 		}
+
+		if ( ! confirmModal.open ) {
+			return;
+		}
+
+		confirmModal = {
+			...confirmModal,
+			open: false,
+			onConfirm: null,
+		};
+		render();
 	}
 
 	/**
-	 * Handle delete rule button click.
+	 * Close modal on backdrop click.
 	 *
 	 * @param {Event} e The click event.
 	 */
-	function handleDeleteRule( e ) {
-		if ( ! confirm( wcsRreData.strings.confirmDelete ) ) {
+	function handleModalBackdropClick( e ) {
+		if ( e.target !== e.currentTarget ) {
 			return;
 		}
 
-		const index = parseInt( e.target.dataset.index, 10 );
-		rules.splice( index, 1 );
-		markChanged();
-		render();
+		handleModalClose();
 	}
 
 	/**
-	 * Handle move up button click.
+	 * Close modal on escape.
 	 *
-	 * @param {Event} e The click event.
+	 * @param {KeyboardEvent} e The event.
 	 */
-	function handleMoveUp( e ) {
-		const index = parseInt( e.target.dataset.index, 10 );
-		if ( index > 0 ) {
-			[ rules[ index - 1 ], rules[ index ] ] = [ rules[ index ], rules[ index - 1 ] ];
-			markChanged();
-			render();
+	function handleModalEscape( e ) {
+		if ( e.key !== 'Escape' || ( ! confirmModal.open && ! testEmailModal.open && ! scheduleModal.open && ! conflictModal.open ) ) {
+			return;
 		}
+
+		handleModalClose();
 	}
 
 	/**
-	 * Handle move down button click.
+	 * Mark that there are unsaved changes.
 	 *
-	 * @param {Event} e The click event.
+	 * Records the previous editor state on the undo stack, so every
+	 * mutation that calls this can be undone.
 	 */
-	function handleMoveDown( e ) {
-		const index = parseInt( e.target.dataset.index, 10 );
-		if ( index < rules.length - 1 ) {
-			[ rules[ index ], rules[ index + 1 ] ] = [ rules[ index + 1 ], rules[ index ] ];
-			markChanged();
-			render();
-		}
+	function markChanged() {
+		commitSnapshot();
+		schedulePreviewRefresh();
 	}
 
 	/**
-	 * Handle email override field changes.
+	 * Capture the editable state.
 	 *
-	 * @param {Event} e The change event.
+	 * @return {Object} Snapshot with serialized rules and rule sets and the edited set.
 	 */
-	function handleEmailOverrideChange( e ) {
-		const index = parseInt( e.target.dataset.index, 10 );
-		const field = e.target.dataset.field;
-
-		if ( ! rules[ index ] ) {
-			return;
-		}
-
-		rules[ index ][ field ] = e.target.value;
-		markChanged();
-		render();
+	function createSnapshot() {
+		return {
+			state: JSON.stringify( getEditorState() ),
+			activeSet,
+		};
 	}
 
 	/**
-	 * Handle email override toggle.
-	 *
-	 * @param {Event} e The change event.
+	 * Push the last committed state onto the undo stack if the rules changed.
 	 */
-	function handleEmailOverrideToggle( e ) {
-		const index = parseInt( e.target.dataset.index, 10 );
-		const field = e.target.dataset.field;
+	function commitSnapshot() {
+		const snapshot = createSnapshot();
 
-		if ( ! rules[ index ] ) {
-			return;
+		if ( currentSnapshot && currentSnapshot.state !== snapshot.state ) {
+			history.undo.push( currentSnapshot );
+			if ( history.undo.length > HISTORY_LIMIT ) {
+				history.undo.shift();
+			}
+			history.redo = [];
 		}
 
-		rules[ index ][ field ] = e.target.checked;
-		markChanged();
-		render();
+		currentSnapshot = snapshot;
+		updateChangeState();
 	}
 
 	/**
-	 * Handle email preview click.
+	 * Restore a snapshot into the editor.
 	 *
-	 * @param {Event} e The click event.
+	 * @param {Object} snapshot Snapshot from createSnapshot().
 	 */
-	function handleEmailPreview( e ) {
-		const index = parseInt( e.currentTarget.dataset.index, 10 );
-		const recipient = e.currentTarget.dataset.recipient;
-
-		if ( ! rules[ index ] || ! config.email_preview || ! config.email_preview[ recipient ] ) {
-			return;
-		}
+	function restoreSnapshot( snapshot ) {
+		applyEditorState( JSON.parse( snapshot.state ), snapshot.activeSet );
+		schedulePreviewRefresh();
+		currentSnapshot = snapshot;
+		updateChangeState();
+	}
 
-		previewModal = {
-			open: true,
-			loading: true,
-			error: '',
-			html: '',
-			subject: '',
-			heading: '',
-			ruleIndex: index,
-			recipient,
+	/**
+	 * Clear undo/redo history and treat the current rules as saved.
+	 */
+	function resetHistory() {
+		history = {
+			undo: [],
+			redo: [],
 		};
-		render();
+		currentSnapshot = createSnapshot();
+		markSaved();
+	}
 
-		apiFetch( '/email-preview', {
-			method: 'POST',
-			body: JSON.stringify( {
-				recipient,
-				rule: rules[ index ],
-			} ),
-		} )
-			.then( response => {
-				previewModal = {
-					...previewModal,
-					loading: false,
-					error: '',
-					html: response.html || '',
-					subject: response.subject || '',
-					heading: response.heading || '',
-				};
-				render();
-			} )
-			.catch( error => {
-				previewModal = {
-					...previewModal,
-					loading: false,
-					error: error.message || 'Preview failed',
-				};
-				render();
-			} );
+	/**
+	 * Treat the current rules as the saved state.
+	 */
+	function markSaved() {
+		savedState = JSON.stringify( getEditorState() );
+		currentSnapshot = createSnapshot();
+		updateChangeState();
 	}
 
 	/**
-	 * Handle modal close.
-	 *
-	 * @param {Event} e The click event.
+	 * Sync the unsaved changes flag with the saved state.
 	 */
-	function handleModalClose() {
-		if ( ! previewModal.open ) {
+	function updateChangeState() {
+		hasChanges = JSON.stringify( getEditorState() ) !== savedState;
+	}
+
+	/**
+	 * Undo the last change.
+	 */
+	function undo() {
+		if ( isSaving || keyboardDrag || ! history.undo.length ) {
 			return;
 		}
 
-		previewModal = {
-			...previewModal,
-			open: false,
-		};
+		history.redo.push( currentSnapshot );
+		restoreSnapshot( history.undo.pop() );
 		render();
 	}
 
 	/**
-	 * Close modal on backdrop click.
-	 *
-	 * @param {Event} e The click event.
+	 * Redo the last undone change.
 	 */
-	function handleModalBackdropClick( e ) {
-		if ( e.target !== e.currentTarget ) {
+	function redo() {
+		if ( isSaving || keyboardDrag || ! history.redo.length ) {
 			return;
 		}
 
-		handleModalClose();
+		history.undo.push( currentSnapshot );
+		restoreSnapshot( history.redo.pop() );
+		render();
 	}
 
 	/**
-	 * Close modal on escape.
+	 * Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) for undo and redo.
+	 *
+	 * Text fields keep their native undo behaviour while focused.
 	 *
 	 * @param {KeyboardEvent} e The event.
 	 */
-	function handleModalEscape( e ) {
-		if ( e.key !== 'Escape' || ! previewModal.open ) {
+	function handleHistoryShortcut( e ) {
+		if ( ! ( e.ctrlKey || e.metaKey ) || e.altKey || confirmModal.open || testEmailModal.open || scheduleModal.open || conflictModal.open ) {
 			return;
 		}
 
-		previewModal = {
-			...previewModal,
-			open: false,
-		};
-		render();
+		if ( isTextEntry( e.target ) ) {
+			return;
+		}
+
+		const key = e.key.toLowerCase();
+
+		if ( key === 'z' && ! e.shiftKey ) {
+			e.preventDefault();
+			undo();
+		} else if ( ( key === 'z' && e.shiftKey ) || key === 'y' ) {
+			e.preventDefault();
+			redo();
+		}
 	}
 
 	/**
-	 * Mark that there are unsaved changes.
+	 * Check whether an element accepts typed text.
+	 *
+	 * @param {Element} el The element.
+	 * @return {boolean} True for text inputs, textareas and editable content.
 	 */
-	function markChanged() {
-		hasChanges = true;
-		isDefault = false;
+	function isTextEntry( el ) {
+		if ( ! el || ! el.tagName ) {
+			return false;
+		}
+
+		if ( el.isContentEditable || el.tagName === 'TEXTAREA' ) {
+			return true;
+		}
+
+		return el.tagName === 'INPUT' && ! [ 'checkbox', 'radio', 'button', 'submit' ].includes( el.type );
 	}
 
 	/**
@@ -896,14 +7328,15 @@
 	 *
 	 * @param {string} message The message to show.
 	 * @param {string} type    Notice type (success, error, warning).
+	 * @param {Array}  details Optional list of detail lines.
 	 */
-	function showNotice( message, type = 'success' ) {
+	function showNotice( message, type = 'success', details = [] ) {
 		// Remove existing notices
 		document.querySelectorAll( '.wcs-rre-notice' ).forEach( el => el.remove() );
 
 		const notice = document.createElement( 'div' );
 		notice.className = `notice notice-${type} is-dismissible wcs-rre-notice`;
-		notice.innerHTML = `<p>${escapeHtml( message )}</p><button type="button" class="notice-dismiss"></button>`;
+		notice.innerHTML = `<p>${escapeHtml( message )}</p>${details.length ? `<ul class="wcs-rre-notice-details">${details.map( line => `<li>${escapeHtml( line )}</li>` ).join( '' )}</ul>` : ''}<button type="button" class="notice-dismiss"></button>`;
 
 		const wrap = document.querySelector( '.wcs-rre-wrap' );
 		if ( wrap ) {
@@ -921,6 +7354,21 @@
 		}
 	}
 
+	/**
+	 * Replace numbered placeholders (%1$s, %2$s, ...) or %s in a translated string.
+	 *
+	 * @param {string} template Translated string.
+	 * @param {...*}   values   Replacement values.
+	 * @return {string} Formatted string.
+	 */
+	function formatString( template, ...values ) {
+		let position = 0;
+		return String( template ).replace( /%(?:(\d+)\$)?s/g, ( match, number ) => {
+			const value = number ? values[ number - 1 ] : values[ position++ ];
+			return value === undefined ? '' : String( value );
+		} );
+	}
+
 	/**
 	 * Escape HTML entities.
 	 *
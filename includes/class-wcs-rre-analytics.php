@@ -0,0 +1,454 @@
+<?php
+/**
+ * Analytics Class
+ *
+ * Aggregates WooCommerce Subscriptions retry records by rule position so the
+ * editor can show how often each retry attempt recovers a payment. Reading
+ * the records takes a query per order, so results are cached in transients
+ * until they expire, the rules are published or a refresh is requested.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Builds retry statistics per rule position and revision period.
+ */
+class WCS_RRE_Analytics {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Analytics
+	 */
+	private static $instance = null;
+
+	/**
+	 * Default number of days covered by the statistics.
+	 */
+	const DEFAULT_DAYS = 90;
+
+	/**
+	 * Seconds statistics are cached for.
+	 */
+	const CACHE_TTL = 15 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Analytics
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {}
+
+	/**
+	 * Check whether WooCommerce Subscriptions retry records can be read.
+	 *
+	 * @return bool
+	 */
+	public function is_available() {
+		return class_exists( 'WCS_Retry_Manager' ) && method_exists( 'WCS_Retry_Manager', 'store' );
+	}
+
+	/**
+	 * Get retry statistics for a date range.
+	 *
+	 * Retries are counted in the range when they are scheduled to run, and
+	 * attributed to the revision period in which their rule was applied,
+	 * i.e. the scheduled time minus the rule's retry interval. The position
+	 * is the retry's number among all retries of its order.
+	 *
+	 * @param string $start   First day of the range (Y-m-d, store time).
+	 * @param string $end     Last day of the range (Y-m-d, store time).
+	 * @param bool   $refresh Recalculate instead of reading cached statistics.
+	 * @return array|WP_Error Range, totals, per position stats and revision periods, or error.
+	 */
+	public function get_stats( $start, $end, $refresh = false ) {
+		if ( ! $this->is_available() ) {
+			return new WP_Error(
+				'retries_unavailable',
+				__( 'WooCommerce Subscriptions retry records are not available.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$timezone = wp_timezone();
+		$from     = date_create_immutable( $start . ' 00:00:00', $timezone );
+		$to       = date_create_immutable( $end . ' 23:59:59', $timezone );
+
+		if ( ! $from || ! $to || $from > $to ) {
+			return new WP_Error(
+				'invalid_date_range',
+				__( 'The start date must be on or before the end date.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		// Revision IDs are part of the key, so publishing starts a new cache.
+		$periods   = $this->get_revision_periods();
+		$cache_key = $this->get_cache_key( 'stats', array( $start, $end, array_keys( $periods ) ) );
+		$cached    = $refresh ? false : get_transient( $cache_key );
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$totals = $this->get_empty_stats();
+		$stats  = array();
+
+		foreach ( $this->get_retries( $from->getTimestamp(), $to->getTimestamp() ) as $retry ) {
+			$period = $this->find_period( $periods, $retry['applied_at'] );
+
+			$this->add_retry( $totals, $retry );
+			$this->add_retry( $stats, $retry, $retry['position'] );
+			$this->add_retry( $periods[ $period ]['totals'], $retry );
+			$this->add_retry( $periods[ $period ]['positions'], $retry, $retry['position'] );
+		}
+
+		$periods = array_filter(
+			$periods,
+			function ( $period ) use ( $from, $to ) {
+				return $period['totals']['attempts'] > 0
+					|| ( ( null === $period['end_ts'] || $period['end_ts'] > $from->getTimestamp() )
+						&& ( null === $period['start_ts'] || $period['start_ts'] <= $to->getTimestamp() ) );
+			}
+		);
+
+		$result = array(
+			'range'     => array(
+				'start' => $from->format( 'Y-m-d' ),
+				'end'   => $to->format( 'Y-m-d' ),
+			),
+			'currency'  => function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : '',
+			'totals'    => $this->round_revenue( $totals ),
+			'positions' => $this->list_positions( $stats ),
+			'periods'   => array_values(
+				array_map(
+					function ( $period ) {
+						unset( $period['start_ts'], $period['end_ts'] );
+						$period['totals']    = $this->round_revenue( $period['totals'] );
+						$period['positions'] = $this->list_positions( $period['positions'] );
+						return $period;
+					},
+					array_reverse( $periods )
+				)
+			),
+		);
+
+		set_transient( $cache_key, $result, self::CACHE_TTL );
+
+		return $result;
+	}
+
+	/**
+	 * Get retry statistics per arm of an experiment.
+	 *
+	 * Only retries of renewal orders served in the experiment are counted.
+	 *
+	 * @param array $experiment Experiment from WCS_RRE_Experiments_Manager.
+	 * @return array|WP_Error Currency and stats with totals and positions keyed by arm, or error.
+	 */
+	public function get_experiment_stats( $experiment ) {
+		if ( ! $this->is_available() ) {
+			return new WP_Error(
+				'retries_unavailable',
+				__( 'WooCommerce Subscriptions retry records are not available.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$cache_key = $this->get_cache_key( 'experiment', array( $experiment['id'], $experiment['started_at'] ) );
+		$cached    = get_transient( $cache_key );
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$experiments_manager = WCS_RRE_Experiments_Manager::instance();
+		$arms                = array();
+		$order_arms          = array();
+
+		foreach ( array( WCS_RRE_Experiments_Manager::ARM_CONTROL, WCS_RRE_Experiments_Manager::ARM_VARIANT ) as $arm ) {
+			$arms[ $arm ] = array(
+				'totals'    => $this->get_empty_stats(),
+				'positions' => array(),
+			);
+		}
+
+		// Pending retries are scheduled ahead, so look past today.
+		foreach ( $this->get_retries( strtotime( $experiment['started_at'] ), time() + YEAR_IN_SECONDS ) as $retry ) {
+			$order_id = $retry['order_id'];
+			if ( ! array_key_exists( $order_id, $order_arms ) ) {
+				$order                   = wc_get_order( $order_id );
+				$order_arms[ $order_id ] = $order ? $experiments_manager->read_arm( $order, $experiment ) : '';
+			}
+
+			$arm = $order_arms[ $order_id ];
+			if ( ! isset( $arms[ $arm ] ) ) {
+				continue;
+			}
+
+			$this->add_retry( $arms[ $arm ]['totals'], $retry );
+			$this->add_retry( $arms[ $arm ]['positions'], $retry, $retry['position'] );
+		}
+
+		$result = array(
+			'currency' => function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : '',
+			'arms'     => array_map(
+				function ( $stats ) {
+					return array(
+						'totals'    => $this->round_revenue( $stats['totals'] ),
+						'positions' => $this->list_positions( $stats['positions'] ),
+					);
+				},
+				$arms
+			),
+		);
+
+		set_transient( $cache_key, $result, self::CACHE_TTL );
+
+		return $result;
+	}
+
+	/**
+	 * Build the transient key of cached statistics.
+	 *
+	 * @param string $type  Kind of statistics, stats or experiment.
+	 * @param array  $parts Values the statistics depend on, such as the range and revisions.
+	 * @return string
+	 */
+	private function get_cache_key( $type, $parts ) {
+		$parts[] = get_current_blog_id();
+
+		return 'wcs_rre_' . $type . '_' . md5( wp_json_encode( $parts ) );
+	}
+
+	/**
+	 * Get the default date range of the statistics.
+	 *
+	 * @return array Start and end dates (Y-m-d, store time).
+	 */
+	public function get_default_range() {
+		$today = current_datetime();
+
+		return array(
+			'start' => $today->modify( '-' . ( self::DEFAULT_DAYS - 1 ) . ' days' )->format( 'Y-m-d' ),
+			'end'   => $today->format( 'Y-m-d' ),
+		);
+	}
+
+	/**
+	 * Get the retries scheduled in a time range with their position and outcome.
+	 *
+	 * @param int $from Range start timestamp.
+	 * @param int $to   Range end timestamp.
+	 * @return array List of retries: order_id, position, status, applied_at and revenue.
+	 */
+	private function get_retries( $from, $to ) {
+		$store = WCS_Retry_Manager::store();
+
+		// Widen the query by a day: stores disagree on whether it compares local or GMT dates.
+		$in_range = $store->get_retries(
+			array(
+				'status'     => 'any',
+				'date_query' => array(
+					array(
+						'after'     => gmdate( 'Y-m-d H:i:s', $from - DAY_IN_SECONDS ),
+						'before'    => gmdate( 'Y-m-d H:i:s', $to + DAY_IN_SECONDS ),
+						'inclusive' => true,
+					),
+				),
+				'limit'      => -1,
+			)
+		);
+
+		$order_ids = array();
+		foreach ( $in_range as $retry ) {
+			if ( $retry->get_time() >= $from && $retry->get_time() <= $to ) {
+				$order_ids[ $retry->get_order_id() ] = true;
+			}
+		}
+
+		$retries = array();
+		foreach ( array_keys( $order_ids ) as $order_id ) {
+			$order_retries = array_values( $store->get_retries_for_order( $order_id ) );
+			usort(
+				$order_retries,
+				function ( $a, $b ) {
+					return $a->get_time() === $b->get_time() ? $a->get_id() - $b->get_id() : $a->get_time() - $b->get_time();
+				}
+			);
+
+			$order = null;
+			foreach ( $order_retries as $index => $retry ) {
+				if ( $retry->get_time() < $from || $retry->get_time() > $to ) {
+					continue;
+				}
+
+				$revenue = 0.0;
+				if ( 'complete' === $retry->get_status() ) {
+					$order   = $order ? $order : wc_get_order( $order_id );
+					$revenue = $order ? (float) $order->get_total() : 0.0;
+				}
+
+				$rule      = $retry->get_rule();
+				$retries[] = array(
+					'order_id'   => $order_id,
+					'position'   => $index + 1,
+					'status'     => $retry->get_status(),
+					'applied_at' => $retry->get_time() - ( $rule ? (int) $rule->get_retry_interval() : 0 ),
+					'revenue'    => $revenue,
+				);
+			}
+		}
+
+		return $retries;
+	}
+
+	/**
+	 * Get the periods between saved revisions, oldest first.
+	 *
+	 * Retries applied before the oldest kept revision are grouped into a
+	 * period with the ID "earlier".
+	 *
+	 * @return array Periods keyed by ID, each with start, end, author, rule count and empty stats.
+	 */
+	private function get_revision_periods() {
+		$revisions = array_reverse( WCS_RRE_Rules_Manager::instance()->get_revisions() );
+		$periods   = array(
+			'earlier' => $this->get_empty_period( 'earlier', null ),
+		);
+		$previous  = 'earlier';
+
+		foreach ( $revisions as $revision ) {
+			$start = strtotime( $revision['modified_at'] );
+			if ( false === $start ) {
+				continue;
+			}
+
+			$periods[ $previous ]['end']    = $revision['modified_at'];
+			$periods[ $previous ]['end_ts'] = $start;
+
+			$periods[ $revision['id'] ] = $this->get_empty_period( $revision['id'], $start, $revision );
+			$previous                   = $revision['id'];
+		}
+
+		return $periods;
+	}
+
+	/**
+	 * Build a revision period without stats.
+	 *
+	 * @param string     $id       Period ID.
+	 * @param int|null   $start    Start timestamp, or null if open-ended.
+	 * @param array|null $revision Revision that started the period.
+	 * @return array
+	 */
+	private function get_empty_period( $id, $start, $revision = null ) {
+		return array(
+			'id'               => $id,
+			'start'            => $revision ? $revision['modified_at'] : null,
+			'end'              => null,
+			'start_ts'         => $start,
+			'end_ts'           => null,
+			'modified_by_name' => $revision ? $revision['modified_by_name'] : '',
+			'rules'            => $revision ? $revision['rules'] : array(),
+			'rule_set_count'   => $revision && isset( $revision['rule_sets'] ) ? count( $revision['rule_sets'] ) : 0,
+			'totals'           => $this->get_empty_stats(),
+			'positions'        => array(),
+		);
+	}
+
+	/**
+	 * Find the period a rule was applied in.
+	 *
+	 * @param array $periods Periods from get_revision_periods().
+	 * @param int   $time    Timestamp the rule was applied at.
+	 * @return string Period ID.
+	 */
+	private function find_period( $periods, $time ) {
+		$found = 'earlier';
+		foreach ( $periods as $id => $period ) {
+			if ( null !== $period['start_ts'] && $period['start_ts'] <= $time ) {
+				$found = $id;
+			}
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Count a retry in a stats array.
+	 *
+	 * @param array    $stats    Stats from get_empty_stats(), or stats keyed by position.
+	 * @param array    $retry    Retry from get_retries().
+	 * @param int|null $position Position to count the retry under, or null for flat stats.
+	 */
+	private function add_retry( &$stats, $retry, $position = null ) {
+		if ( null !== $position ) {
+			if ( ! isset( $stats[ $position ] ) ) {
+				$stats[ $position ] = array_merge( array( 'position' => $position ), $this->get_empty_stats() );
+			}
+			$this->add_retry( $stats[ $position ], $retry );
+			return;
+		}
+
+		$outcomes = array(
+			'complete'   => 'successes',
+			'failed'     => 'failures',
+			'cancelled'  => 'cancelled',
+			'pending'    => 'pending',
+			'processing' => 'pending',
+		);
+
+		++$stats['attempts'];
+		if ( isset( $outcomes[ $retry['status'] ] ) ) {
+			++$stats[ $outcomes[ $retry['status'] ] ];
+		}
+		$stats['revenue'] += $retry['revenue'];
+	}
+
+	/**
+	 * Get zeroed stats.
+	 *
+	 * @return array
+	 */
+	private function get_empty_stats() {
+		return array(
+			'attempts'  => 0,
+			'successes' => 0,
+			'failures'  => 0,
+			'pending'   => 0,
+			'cancelled' => 0,
+			'revenue'   => 0.0,
+		);
+	}
+
+	/**
+	 * Turn stats keyed by position into a list ordered by position.
+	 *
+	 * @param array $stats Stats keyed by position.
+	 * @return array
+	 */
+	private function list_positions( $stats ) {
+		ksort( $stats );
+
+		return array_values( array_map( array( $this, 'round_revenue' ), $stats ) );
+	}
+
+	/**
+	 * Round the recovered revenue of stats to the store's price decimals.
+	 *
+	 * @param array $stats Stats.
+	 * @return array
+	 */
+	private function round_revenue( $stats ) {
+		$stats['revenue'] = round( $stats['revenue'], wc_get_price_decimals() );
+		return $stats;
+	}
+}
@@ -0,0 +1,360 @@
+<?php
+/**
+ * Audit Log Class
+ *
+ * Records who changed the retry rules, when, from where and what changed,
+ * field by field. Recording is best effort: a failure to write an entry
+ * never affects the change being recorded. Changes to the network rules
+ * are kept in a log of their own.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Stores and queries audit entries of retry rule changes.
+ */
+class WCS_RRE_Audit_Log {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Audit_Log
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option key for storing audit entries.
+	 */
+	const OPTION_KEY = 'wcs_rre_audit_log';
+
+	/**
+	 * Default number of entries to keep.
+	 */
+	const MAX_ENTRIES = 500;
+
+	/**
+	 * Rule set fields compared besides the rules.
+	 *
+	 * @var array
+	 */
+	private $rule_set_fields = array( 'name', 'conditions' );
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Audit_Log
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {}
+
+	/**
+	 * Record a change to the rules.
+	 *
+	 * @param string   $action  Action, e.g. save_draft, publish, discard_draft, reset, inherit, push, import, promote, schedule_activate or schedule_revert.
+	 * @param array    $before  Rules, rule_sets and final_action before the change.
+	 * @param array    $after   Rules, rule_sets and final_action after the change.
+	 * @param string   $details Optional free text, such as an imported file name.
+	 * @param int|null $user_id User who made the change, 0 for changes made by the plugin itself, or null for the current user.
+	 * @return bool True if the entry was stored.
+	 */
+	public function record( $action, $before, $after, $details = '', $user_id = null ) {
+		try {
+			$user    = null === $user_id ? wp_get_current_user() : new WP_User( $user_id );
+			$entries = $this->get_stored_entries();
+
+			array_unshift(
+				$entries,
+				array(
+					'id'            => wp_generate_uuid4(),
+					'action'        => sanitize_key( $action ),
+					'user_id'       => (int) $user->ID,
+					'user_name'     => $user->ID ? $user->display_name : ( 0 === $user_id ? __( 'System', 'wcs-retry-rules-editor' ) : '' ),
+					'ip'            => $this->get_ip_address(),
+					'forwarded_for' => $this->get_forwarded_for(),
+					'timestamp'     => current_time( 'c' ),
+					'time'          => time(),
+					'details'       => sanitize_text_field( $details ),
+					'changes'       => $this->diff_configs( $before, $after ),
+				)
+			);
+
+			/**
+			 * Filter the number of audit entries to keep.
+			 *
+			 * @param int $max_entries Number of entries.
+			 */
+			$max_entries = max( 1, absint( apply_filters( 'wcs_rre_max_audit_entries', self::MAX_ENTRIES ) ) );
+
+			WCS_RRE_Network::instance()->update_option( self::OPTION_KEY, array_slice( $entries, 0, $max_entries ), false );
+
+			return true;
+		} catch ( Throwable $e ) {
+			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+				error_log( 'WCS Retry Rules Editor: Could not write audit entry: ' . $e->getMessage() ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Get audit entries, newest first.
+	 *
+	 * @param int    $user_id Only entries by this user, or 0 for all users.
+	 * @param string $start   First day (Y-m-d, store time), or empty for no limit.
+	 * @param string $end     Last day (Y-m-d, store time), or empty for no limit.
+	 * @return array List of entries.
+	 */
+	public function get_entries( $user_id = 0, $start = '', $end = '' ) {
+		$timezone = wp_timezone();
+		$from     = $start ? date_create_immutable( $start . ' 00:00:00', $timezone ) : false;
+		$to       = $end ? date_create_immutable( $end . ' 23:59:59', $timezone ) : false;
+
+		$entries = array_filter(
+			$this->get_stored_entries(),
+			function ( $entry ) use ( $user_id, $from, $to ) {
+				return ( ! $user_id || (int) $entry['user_id'] === (int) $user_id )
+					&& ( ! $from || $entry['time'] >= $from->getTimestamp() )
+					&& ( ! $to || $entry['time'] <= $to->getTimestamp() );
+			}
+		);
+
+		return array_values(
+			array_map(
+				function ( $entry ) {
+					unset( $entry['time'] );
+					return $entry;
+				},
+				$entries
+			)
+		);
+	}
+
+	/**
+	 * Get the users that have audit entries.
+	 *
+	 * @return array List of { id, name }, using the name stored with the newest entry.
+	 */
+	public function get_users() {
+		$users = array();
+		foreach ( $this->get_stored_entries() as $entry ) {
+			if ( ! isset( $users[ $entry['user_id'] ] ) ) {
+				$users[ $entry['user_id'] ] = array(
+					'id'   => (int) $entry['user_id'],
+					'name' => $entry['user_name'],
+				);
+			}
+		}
+
+		return array_values( $users );
+	}
+
+	/**
+	 * Compare two configurations field by field.
+	 *
+	 * Rules are compared by position and rule sets by ID. Final action
+	 * changes have no rule set and a field prefixed with "final_action.".
+	 *
+	 * @param array $before Rules, rule_sets and final_action before the change.
+	 * @param array $after  Rules, rule_sets and final_action after the change.
+	 * @return array List of changes with type (added, removed or changed), rule_set, rule, field, from and to.
+	 */
+	public function diff_configs( $before, $after ) {
+		$changes = $this->diff_rules( '', $this->get_list( $before, 'rules' ), $this->get_list( $after, 'rules' ) );
+
+		$before_sets = array();
+		foreach ( $this->get_list( $before, 'rule_sets' ) as $rule_set ) {
+			$before_sets[ $rule_set['id'] ] = $rule_set;
+		}
+
+		foreach ( $this->get_list( $after, 'rule_sets' ) as $rule_set ) {
+			$name = isset( $rule_set['name'] ) ? $rule_set['name'] : '';
+
+			if ( ! isset( $before_sets[ $rule_set['id'] ] ) ) {
+				$changes[] = $this->get_change( 'added', $name );
+				continue;
+			}
+
+			$old = $before_sets[ $rule_set['id'] ];
+			unset( $before_sets[ $rule_set['id'] ] );
+
+			foreach ( $this->rule_set_fields as $field ) {
+				$from = isset( $old[ $field ] ) ? $old[ $field ] : '';
+				$to   = isset( $rule_set[ $field ] ) ? $rule_set[ $field ] : '';
+				if ( $from !== $to ) {
+					$changes[] = $this->get_change( 'changed', $name, null, $field, $from, $to );
+				}
+			}
+
+			$changes = array_merge( $changes, $this->diff_rules( $name, $this->get_list( $old, 'rules' ), $this->get_list( $rule_set, 'rules' ) ) );
+		}
+
+		foreach ( $before_sets as $rule_set ) {
+			$changes[] = $this->get_change( 'removed', isset( $rule_set['name'] ) ? $rule_set['name'] : '' );
+		}
+
+		if ( isset( $before['final_action'], $after['final_action'] ) ) {
+			$from = $this->flatten( 'final_action', $before['final_action'] );
+			$to   = $this->flatten( 'final_action', $after['final_action'] );
+
+			foreach ( array_unique( array_merge( array_keys( $from ), array_keys( $to ) ) ) as $field ) {
+				$old = isset( $from[ $field ] ) ? (string) $from[ $field ] : '';
+				$new = isset( $to[ $field ] ) ? (string) $to[ $field ] : '';
+				if ( $old !== $new ) {
+					$changes[] = $this->get_change( 'changed', '', null, $field, $old, $new );
+				}
+			}
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Flatten nested values into dotted keys, e.g. final_action.outcomes.cancel.note.
+	 *
+	 * @param string $prefix Key prefix.
+	 * @param mixed  $value  Value.
+	 * @return array Scalar values keyed by dotted key.
+	 */
+	private function flatten( $prefix, $value ) {
+		if ( ! is_array( $value ) ) {
+			return array( $prefix => $value );
+		}
+
+		$flat = array();
+		foreach ( $value as $key => $item ) {
+			$flat = array_merge( $flat, $this->flatten( $prefix . '.' . $key, $item ) );
+		}
+
+		return $flat;
+	}
+
+	/**
+	 * Compare two rule lists by position.
+	 *
+	 * @param string $rule_set Rule set name, or empty for the global rules.
+	 * @param array  $before   Rules before the change.
+	 * @param array  $after    Rules after the change.
+	 * @return array List of changes.
+	 */
+	private function diff_rules( $rule_set, $before, $after ) {
+		$changes = array();
+		$count   = max( count( $before ), count( $after ) );
+
+		for ( $index = 0; $index < $count; $index++ ) {
+			if ( ! isset( $before[ $index ] ) ) {
+				$changes[] = $this->get_change( 'added', $rule_set, $index + 1 );
+				continue;
+			}
+
+			if ( ! isset( $after[ $index ] ) ) {
+				$changes[] = $this->get_change( 'removed', $rule_set, $index + 1 );
+				continue;
+			}
+
+			$fields = array_unique( array_merge( array_keys( (array) $before[ $index ] ), array_keys( (array) $after[ $index ] ) ) );
+			foreach ( $fields as $field ) {
+				$from = isset( $before[ $index ][ $field ] ) ? $before[ $index ][ $field ] : '';
+				$to   = isset( $after[ $index ][ $field ] ) ? $after[ $index ][ $field ] : '';
+
+				// Compare loosely typed values, e.g. an interval stored as "3600" or 3600.
+				if ( wp_json_encode( is_scalar( $from ) ? (string) $from : $from ) !== wp_json_encode( is_scalar( $to ) ? (string) $to : $to ) ) {
+					$changes[] = $this->get_change( 'changed', $rule_set, $index + 1, $field, $from, $to );
+				}
+			}
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Build a change entry.
+	 *
+	 * @param string      $type     added, removed or changed.
+	 * @param string      $rule_set Rule set name, or empty for the global rules.
+	 * @param int|null    $rule     Rule number, or null for the rule set itself.
+	 * @param string|null $field    Changed field.
+	 * @param mixed       $from     Old value.
+	 * @param mixed       $to       New value.
+	 * @return array
+	 */
+	private function get_change( $type, $rule_set, $rule = null, $field = null, $from = null, $to = null ) {
+		return array(
+			'type'     => $type,
+			'rule_set' => (string) $rule_set,
+			'rule'     => $rule,
+			'field'    => $field,
+			'from'     => $from,
+			'to'       => $to,
+		);
+	}
+
+	/**
+	 * Read a list from a configuration.
+	 *
+	 * @param array  $config Configuration.
+	 * @param string $key    rules or rule_sets.
+	 * @return array
+	 */
+	private function get_list( $config, $key ) {
+		return isset( $config[ $key ] ) && is_array( $config[ $key ] ) ? array_values( $config[ $key ] ) : array();
+	}
+
+	/**
+	 * Get stored entries.
+	 *
+	 * @return array
+	 */
+	private function get_stored_entries() {
+		$entries = WCS_RRE_Network::instance()->get_option( self::OPTION_KEY, array() );
+		return is_array( $entries ) ? $entries : array();
+	}
+
+	/**
+	 * Get the IP address the current request came from.
+	 *
+	 * Only REMOTE_ADDR is used, as proxy headers can be set by the client.
+	 *
+	 * @return string IP address, or empty string if unknown.
+	 */
+	private function get_ip_address() {
+		$ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+		return filter_var( $ip, FILTER_VALIDATE_IP ) ? $ip : '';
+	}
+
+	/**
+	 * Get the client addresses reported by the X-Forwarded-For and X-Real-IP headers.
+	 *
+	 * Kept apart from the IP address, as anyone can send these headers.
+	 *
+	 * @return string Comma-separated IP addresses, or empty string if none.
+	 */
+	private function get_forwarded_for() {
+		$addresses = array();
+
+		foreach ( array( 'HTTP_X_FORWARDED_FOR', 'HTTP_X_REAL_IP' ) as $header ) {
+			if ( ! isset( $_SERVER[ $header ] ) ) {
+				continue;
+			}
+
+			foreach ( explode( ',', sanitize_text_field( wp_unslash( $_SERVER[ $header ] ) ) ) as $ip ) {
+				$ip = trim( $ip );
+				if ( filter_var( $ip, FILTER_VALIDATE_IP ) ) {
+					$addresses[] = $ip;
+				}
+			}
+		}
+
+		return implode( ', ', array_unique( $addresses ) );
+	}
+}
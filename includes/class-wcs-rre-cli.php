@@ -0,0 +1,624 @@
+<?php
+/**
+ * WP-CLI Commands Class
+ *
+ * Manages retry rules from the command line: list and inspect the published
+ * rules, export them, check or publish a rules file, compare it with what is
+ * live, and reset to the WooCommerce Subscriptions defaults. Rules files use
+ * the same JSON format as the editor's export.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manage WooCommerce Subscriptions payment retry rules.
+ */
+class WCS_RRE_CLI {
+
+	/**
+	 * Output formats for lists.
+	 *
+	 * @var array
+	 */
+	private $formats = array( 'table', 'json', 'yaml' );
+
+	/**
+	 * Table columns for rules.
+	 *
+	 * @var array
+	 */
+	private $rule_fields = array( 'rule', 'retry_after', 'timing', 'order_status', 'subscription_status', 'customer_email', 'admin_email' );
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Audit log instance.
+	 *
+	 * @var WCS_RRE_Audit_Log
+	 */
+	private $audit_log;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+		$this->audit_log     = WCS_RRE_Audit_Log::instance();
+	}
+
+	/**
+	 * Lists the published retry rules.
+	 *
+	 * Shows the WooCommerce Subscriptions defaults when no custom rules are published.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--set=<set>]
+	 * : List the rules of a rule set, by name or ID, instead of the global rules.
+	 *
+	 * [--format=<format>]
+	 * : Output format. JSON and YAML hold the full rules.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules list
+	 *     wp wcs-retry-rules list --set="Annual plans" --format=json
+	 *
+	 * @subcommand list
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function list_( $args, $assoc_args ) {
+		$rules  = $this->get_rules( $assoc_args );
+		$format = $this->get_format( $assoc_args );
+
+		if ( 'table' !== $format ) {
+			WP_CLI::print_value( $rules, array( 'format' => $format ) );
+			return;
+		}
+
+		$items = array();
+		foreach ( $rules as $index => $rule ) {
+			$items[] = $this->get_rule_row( $index, $rule );
+		}
+
+		WP_CLI\Utils\format_items( 'table', $items, $this->rule_fields );
+	}
+
+	/**
+	 * Shows every field of one published retry rule.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <rule>
+	 * : Rule number, starting at 1.
+	 *
+	 * [--set=<set>]
+	 * : Read the rule from a rule set, by name or ID, instead of the global rules.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules get 2
+	 *     wp wcs-retry-rules get 1 --format=yaml
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function get( $args, $assoc_args ) {
+		$rules  = $this->get_rules( $assoc_args );
+		$number = absint( $args[0] );
+
+		if ( ! isset( $rules[ $number - 1 ] ) ) {
+			WP_CLI::error(
+				sprintf(
+					/* translators: 1: rule number, 2: number of rules */
+					__( 'Rule %1$s not found. There are %2$s rules.', 'wcs-retry-rules-editor' ),
+					$args[0],
+					count( $rules )
+				)
+			);
+		}
+
+		$rule   = $rules[ $number - 1 ];
+		$format = $this->get_format( $assoc_args );
+
+		if ( 'table' !== $format ) {
+			WP_CLI::print_value( $rule, array( 'format' => $format ) );
+			return;
+		}
+
+		$items = array();
+		foreach ( $rule as $field => $value ) {
+			$items[] = array(
+				'field' => $field,
+				'value' => $this->format_value( $value ),
+			);
+		}
+
+		WP_CLI\Utils\format_items( 'table', $items, array( 'field', 'value' ) );
+	}
+
+	/**
+	 * Publishes the rules in a file.
+	 *
+	 * Rule sets and the final action are only replaced when the file
+	 * includes them. Nothing is saved if any rule is invalid.
+	 *
+	 * ## OPTIONS
+	 *
+	 * --file=<file>
+	 * : JSON file with a list of rules, or an export from the editor or the export command.
+	 *
+	 * [--draft]
+	 * : Save the rules as the editor's draft instead of publishing them.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules set --file=rules.json
+	 *     wp wcs-retry-rules set --file=rules.json --draft
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function set( $args, $assoc_args ) {
+		$file   = $assoc_args['file'];
+		$draft  = WP_CLI\Utils\get_flag_value( $assoc_args, 'draft', false );
+		$before = $draft ? $this->get_editor_config() : $this->get_live_config();
+		$config = $this->complete_config( $this->read_file( $file ), $before );
+
+		$this->check_config( $config );
+
+		// Without --user there is no current user, and the change is attributed to System.
+		$user_id = get_current_user_id();
+
+		if ( $draft ) {
+			$result = $this->rules_manager->save_draft( $config['rules'], $config['rule_sets'], $config['final_action'] );
+		} else {
+			$result = $this->rules_manager->save_rules( $config['rules'], $config['rule_sets'], $user_id, $config['final_action'] );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			WP_CLI::error( $result->get_error_message() );
+		}
+
+		$this->audit_log->record(
+			$draft ? 'save_draft' : 'publish',
+			$before,
+			$draft ? $this->get_editor_config() : $this->get_live_config(),
+			'WP-CLI: ' . basename( $file ),
+			$user_id
+		);
+
+		WP_CLI::success(
+			$draft
+				/* translators: %s: number of rules */
+				? sprintf( _n( '%s rule saved as draft.', '%s rules saved as draft.', count( $config['rules'] ), 'wcs-retry-rules-editor' ), count( $config['rules'] ) )
+				/* translators: %s: number of rules */
+				: sprintf( _n( '%s rule published.', '%s rules published.', count( $config['rules'] ), 'wcs-retry-rules-editor' ), count( $config['rules'] ) )
+		);
+	}
+
+	/**
+	 * Exports the published rules, rule sets and final action.
+	 *
+	 * The JSON output can be imported in the editor or published with the set command.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: json
+	 * options:
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules export > rules.json
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function export( $args, $assoc_args ) {
+		$data = array_merge(
+			array(
+				'plugin'      => 'wcs-retry-rules-editor',
+				'version'     => WCS_RRE_VERSION,
+				'exported_at' => gmdate( 'c' ),
+			),
+			$this->rules_manager->get_rules_meta(),
+			$this->get_live_config()
+		);
+
+		$format = isset( $assoc_args['format'] ) ? $assoc_args['format'] : 'json';
+		if ( 'json' === $format ) {
+			WP_CLI::line( wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) );
+			return;
+		}
+
+		WP_CLI::print_value( $data, array( 'format' => $format ) );
+	}
+
+	/**
+	 * Validates the rules in a file, or the published rules.
+	 *
+	 * Lists every problem found and exits with an error if there is any.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--file=<file>]
+	 * : JSON file with a list of rules, or an export. Defaults to the published rules.
+	 *
+	 * [--format=<format>]
+	 * : Output format for the problems found.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules validate --file=rules.json
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function validate( $args, $assoc_args ) {
+		$config = isset( $assoc_args['file'] )
+			? $this->complete_config( $this->read_file( $assoc_args['file'] ), $this->get_live_config() )
+			: $this->get_live_config();
+
+		$this->check_config( $config, $this->get_format( $assoc_args ) );
+
+		WP_CLI::success( __( 'All rules are valid.', 'wcs-retry-rules-editor' ) );
+	}
+
+	/**
+	 * Deletes the custom rules and the draft, reverting to the WooCommerce Subscriptions defaults.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--yes]
+	 * : Skip the confirmation prompt.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules reset --yes
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function reset( $args, $assoc_args ) {
+		WP_CLI::confirm( __( 'Delete the custom retry rules and the draft?', 'wcs-retry-rules-editor' ), $assoc_args );
+
+		$before = $this->get_live_config();
+
+		$this->rules_manager->clear_rules();
+		$this->rules_manager->discard_draft();
+
+		$this->audit_log->record( 'reset', $before, $this->get_live_config(), 'WP-CLI', get_current_user_id() );
+
+		WP_CLI::success( __( 'Rules reset to WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ) );
+	}
+
+	/**
+	 * Compares the published rules with a file, or with the draft.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--file=<file>]
+	 * : JSON file with a list of rules, or an export. Defaults to the editor's draft.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wcs-retry-rules diff --file=rules.json
+	 *     wp wcs-retry-rules diff
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function diff( $args, $assoc_args ) {
+		$live   = $this->get_live_config();
+		$format = $this->get_format( $assoc_args );
+
+		if ( isset( $assoc_args['file'] ) ) {
+			$config = $this->complete_config( $this->read_file( $assoc_args['file'] ), $live );
+			$this->check_config( $config, $format );
+			$config = $this->rules_manager->sanitize_config( $config['rules'], $config['rule_sets'], $config['final_action'] );
+		} else {
+			$draft = $this->rules_manager->get_draft();
+			if ( ! $draft ) {
+				WP_CLI::error( __( 'There is no draft to compare. Pass a rules file with --file.', 'wcs-retry-rules-editor' ) );
+			}
+			$config = $draft;
+		}
+
+		$changes = $this->audit_log->diff_configs( $live, $config );
+		if ( empty( $changes ) ) {
+			WP_CLI::success( __( 'No differences from the published rules.', 'wcs-retry-rules-editor' ) );
+			return;
+		}
+
+		if ( 'table' === $format ) {
+			foreach ( $changes as $index => $change ) {
+				$changes[ $index ]['from'] = $this->format_value( $change['from'] );
+				$changes[ $index ]['to']   = $this->format_value( $change['to'] );
+			}
+		}
+
+		WP_CLI\Utils\format_items( $format, $changes, array( 'type', 'rule_set', 'rule', 'field', 'from', 'to' ) );
+	}
+
+	/**
+	 * Get the published global rules, or those of the rule set named by --set.
+	 *
+	 * @param array $assoc_args Associative arguments.
+	 * @return array Rules.
+	 */
+	private function get_rules( $assoc_args ) {
+		$config = $this->get_live_config();
+		if ( ! isset( $assoc_args['set'] ) ) {
+			if ( ! $this->rules_manager->has_custom_rules() ) {
+				WP_CLI::warning( __( 'No custom rules are published. Showing the WooCommerce Subscriptions defaults.', 'wcs-retry-rules-editor' ) );
+			}
+			return $config['rules'];
+		}
+
+		foreach ( $config['rule_sets'] as $rule_set ) {
+			if ( (string) $rule_set['id'] === $assoc_args['set'] || 0 === strcasecmp( $rule_set['name'], $assoc_args['set'] ) ) {
+				return $rule_set['rules'];
+			}
+		}
+
+		WP_CLI::error(
+			sprintf(
+				/* translators: %s: rule set name or ID */
+				__( 'Rule set "%s" not found.', 'wcs-retry-rules-editor' ),
+				$assoc_args['set']
+			)
+		);
+	}
+
+	/**
+	 * Get the published rules, with the WCS defaults standing in for no custom rules.
+	 *
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function get_live_config() {
+		$rules = $this->rules_manager->get_active_rules();
+
+		return array(
+			'rules'        => ! empty( $rules ) ? $rules : $this->rules_manager->get_wcs_defaults(),
+			'rule_sets'    => $this->rules_manager->get_rule_sets(),
+			'final_action' => $this->rules_manager->get_final_action(),
+		);
+	}
+
+	/**
+	 * Get the rules the editor works on: the draft, or the published rules.
+	 *
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function get_editor_config() {
+		$draft = $this->rules_manager->get_draft();
+
+		return $draft
+			? array(
+				'rules'        => $draft['rules'],
+				'rule_sets'    => $draft['rule_sets'],
+				'final_action' => $draft['final_action'],
+			)
+			: $this->get_live_config();
+	}
+
+	/**
+	 * Read a rules file.
+	 *
+	 * Accepts a list of rules or an object with rules and, optionally,
+	 * rule_sets and final_action, as written by the export.
+	 *
+	 * @param string $file File path.
+	 * @return array Rules, and rule_sets and final_action or null where the file has none.
+	 */
+	private function read_file( $file ) {
+		if ( ! is_readable( $file ) || is_dir( $file ) ) {
+			WP_CLI::error(
+				sprintf(
+					/* translators: %s: file path */
+					__( 'Cannot read %s.', 'wcs-retry-rules-editor' ),
+					$file
+				)
+			);
+		}
+
+		$data = json_decode( (string) file_get_contents( $file ), true ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$list = is_array( $data ) && wp_is_numeric_array( $data );
+		$data = is_array( $data ) ? $data : array();
+
+		$config = array(
+			'rules'        => $list ? $data : ( isset( $data['rules'] ) ? $data['rules'] : null ),
+			'rule_sets'    => ! $list && isset( $data['rule_sets'] ) ? $data['rule_sets'] : null,
+			'final_action' => ! $list && isset( $data['final_action'] ) ? $data['final_action'] : null,
+		);
+
+		if ( ! is_array( $config['rules'] ) || empty( $config['rules'] ) || ! wp_is_numeric_array( $config['rules'] )
+			|| ( null !== $config['rule_sets'] && ! is_array( $config['rule_sets'] ) )
+			|| ( null !== $config['final_action'] && ! is_array( $config['final_action'] ) ) ) {
+			WP_CLI::error(
+				sprintf(
+					/* translators: %s: file path */
+					__( '%s is not a valid rules file. Use a JSON list of rules or an export.', 'wcs-retry-rules-editor' ),
+					$file
+				)
+			);
+		}
+
+		$config['rules'] = array_values( $config['rules'] );
+
+		return $config;
+	}
+
+	/**
+	 * Fill in the rule sets and final action a rules file leaves out.
+	 *
+	 * @param array $config Configuration read from a file.
+	 * @param array $base   Configuration to take the missing parts from.
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function complete_config( $config, $base ) {
+		foreach ( array( 'rule_sets', 'final_action' ) as $key ) {
+			if ( null === $config[ $key ] ) {
+				$config[ $key ] = $base[ $key ];
+			}
+		}
+
+		return $config;
+	}
+
+	/**
+	 * List every problem in a configuration and exit with an error if there is any.
+	 *
+	 * @param array  $config Rules, rule_sets and final_action.
+	 * @param string $format Output format for the problems.
+	 */
+	private function check_config( $config, $format = 'table' ) {
+		$errors = array();
+
+		foreach ( $this->rules_manager->validate_rules( $config['rules'] ) as $index => $message ) {
+			$errors[] = sprintf(
+				/* translators: 1: rule number, 2: error message */
+				__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+				$index + 1,
+				$message
+			);
+		}
+
+		$errors = array_merge( $errors, array_values( $this->rules_manager->validate_rule_sets( $config['rule_sets'] ) ) );
+
+		$final_check = $this->rules_manager->validate_final_action( $config['final_action'] );
+		if ( is_wp_error( $final_check ) ) {
+			$errors[] = $final_check->get_error_message();
+		}
+
+		if ( empty( $errors ) ) {
+			return;
+		}
+
+		$items = array();
+		foreach ( $errors as $error ) {
+			$items[] = array( 'error' => $error );
+		}
+		WP_CLI\Utils\format_items( $format, $items, array( 'error' ) );
+
+		WP_CLI::error(
+			sprintf(
+				/* translators: %s: number of problems */
+				_n( '%s problem found. Nothing was changed.', '%s problems found. Nothing was changed.', count( $errors ), 'wcs-retry-rules-editor' ),
+				count( $errors )
+			)
+		);
+	}
+
+	/**
+	 * Summarize a rule as a table row.
+	 *
+	 * @param int   $index Rule index.
+	 * @param array $rule  Rule.
+	 * @return array
+	 */
+	private function get_rule_row( $index, $rule ) {
+		$interval = human_time_diff( 0, absint( $rule['retry_after_interval'] ) );
+		$anchored = isset( $rule['timing'], $rule['anchor']['type'] ) && 'anchored' === $rule['timing'];
+
+		return array(
+			'rule'                => $index + 1,
+			/* translators: %s: interval, e.g. 12 hours */
+			'retry_after'         => $anchored ? sprintf( __( 'at least %s', 'wcs-retry-rules-editor' ), $interval ) : $interval,
+			'timing'              => $anchored ? $this->describe_anchor( $rule['anchor'] ) : __( 'relative', 'wcs-retry-rules-editor' ),
+			'order_status'        => $rule['status_to_apply_to_order'],
+			'subscription_status' => $rule['status_to_apply_to_subscription'],
+			'customer_email'      => '' !== $rule['email_template_customer'] ? $rule['email_template_customer'] : '-',
+			'admin_email'         => '' !== $rule['email_template_admin'] ? $rule['email_template_admin'] : '-',
+		);
+	}
+
+	/**
+	 * Describe the set time of an anchored rule, e.g. "weekdays 1,2,3 at 09:00".
+	 *
+	 * @param array $anchor Anchor with type, days and time.
+	 * @return string
+	 */
+	private function describe_anchor( $anchor ) {
+		return sprintf(
+			/* translators: 1: weekdays or month_days, 2: comma separated day numbers, 3: time of day */
+			__( '%1$s %2$s at %3$s', 'wcs-retry-rules-editor' ),
+			$anchor['type'],
+			implode( ',', (array) $anchor['days'] ),
+			$anchor['time']
+		);
+	}
+
+	/**
+	 * Format a field value for a table cell.
+	 *
+	 * @param mixed $value Value.
+	 * @return string
+	 */
+	private function format_value( $value ) {
+		if ( is_bool( $value ) ) {
+			return $value ? 'true' : 'false';
+		}
+
+		return is_array( $value ) || is_object( $value ) ? (string) wp_json_encode( $value ) : (string) $value;
+	}
+
+	/**
+	 * Get the --format argument, limited to the list formats.
+	 *
+	 * @param array $assoc_args Associative arguments.
+	 * @return string
+	 */
+	private function get_format( $assoc_args ) {
+		return isset( $assoc_args['format'] ) && in_array( $assoc_args['format'], $this->formats, true ) ? $assoc_args['format'] : 'table';
+	}
+}
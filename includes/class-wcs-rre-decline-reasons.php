@@ -0,0 +1,235 @@
+<?php
+/**
+ * Decline Reasons Class
+ *
+ * Records why a renewal payment failed, as a decline category on the failed
+ * order, so retry rules can act differently on hard declines. The category
+ * is read from the failure notes the gateway leaves on the order; gateways
+ * that know their decline codes can set it directly with a filter.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Maps payment failures on renewal orders to decline categories.
+ */
+class WCS_RRE_Decline_Reasons {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Decline_Reasons
+	 */
+	private static $instance = null;
+
+	/**
+	 * Order meta key holding the decline category of the last failed payment.
+	 */
+	const META_KEY = '_wcs_rre_decline_category';
+
+	/**
+	 * Seconds within which order notes count as part of the failed payment attempt.
+	 */
+	const NOTE_WINDOW = 300;
+
+	/**
+	 * Decline codes and message fragments per category, checked in order.
+	 *
+	 * Hard declines come first, so a message such as "lost card, insufficient
+	 * funds" is treated as the hard decline. A decline without a known reason
+	 * is "other".
+	 *
+	 * @var array
+	 */
+	private $patterns = array(
+		'fraud'              => array( 'fraud', 'stolen', 'lost_card', 'lost card', 'pickup_card', 'pick up card', 'restricted_card', 'security_violation' ),
+		'invalid_account'    => array( 'closed', 'invalid_account', 'invalid account', 'no_account', 'incorrect_number', 'invalid_number', 'card number is incorrect', 'card_not_supported' ),
+		'expired_card'       => array( 'expired' ),
+		'do_not_honor'       => array( 'do_not_honor', 'do not honor', 'do not honour' ),
+		'insufficient_funds' => array( 'insufficient', 'limit_exceeded', 'limit exceeded', 'card_velocity_exceeded' ),
+		'other'              => array( 'declin' ),
+	);
+
+	/**
+	 * Message fragments marking an order note as a payment failure.
+	 *
+	 * @var array
+	 */
+	private $failure_fragments = array( 'fail', 'declin', 'error', 'denied', 'refused', 'rejected' );
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Decline_Reasons
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {
+		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+	}
+
+	/**
+	 * Register the failed order hook.
+	 *
+	 * Runs before WCS handles the failed renewal on the status change, so the
+	 * category is in place when the retry rule for the order is chosen.
+	 */
+	public function init() {
+		add_action( 'woocommerce_order_status_failed', array( $this, 'record_category' ), 5, 3 );
+	}
+
+	/**
+	 * Record the decline category of a failed renewal order.
+	 *
+	 * Replaces the category of an earlier attempt, and removes it when the
+	 * failure cannot be categorized.
+	 *
+	 * @param int      $order_id          Order ID.
+	 * @param WC_Order $order             Order.
+	 * @param array    $status_transition Status transition, with the note given for the change.
+	 */
+	public function record_category( $order_id, $order = null, $status_transition = array() ) {
+		try {
+			$order = is_a( $order, 'WC_Order' ) ? $order : wc_get_order( $order_id );
+			if ( ! $order || ! function_exists( 'wcs_order_contains_renewal' ) || ! wcs_order_contains_renewal( $order ) ) {
+				return;
+			}
+
+			$reason   = $this->get_decline_reason( $order, isset( $status_transition['note'] ) ? (string) $status_transition['note'] : '' );
+			$category = $this->classify( $reason );
+
+			/**
+			 * Filter the decline category recorded on a failed renewal order.
+			 *
+			 * Gateways that know the decline code of the payment can map it here.
+			 *
+			 * @param string   $category Category from WCS_RRE_Rules_Manager::get_decline_categories(), or empty if unknown.
+			 * @param WC_Order $order    Failed renewal order.
+			 * @param string   $reason   Failure text the category was read from.
+			 */
+			$category = (string) apply_filters( 'wcs_rre_decline_category', $category, $order, $reason );
+
+			if ( array_key_exists( $category, $this->rules_manager->get_decline_categories() ) ) {
+				$order->update_meta_data( self::META_KEY, $category );
+			} else {
+				$order->delete_meta_data( self::META_KEY );
+			}
+			$order->save_meta_data();
+		} catch ( Throwable $e ) {
+			$this->log_error( 'Exception recording the decline category: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the decline category recorded on a renewal order.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return string Category, or empty string if none is recorded.
+	 */
+	public function get_order_category( $order_id ) {
+		$order    = $order_id ? wc_get_order( $order_id ) : false;
+		$category = $order ? (string) $order->get_meta( self::META_KEY ) : '';
+
+		return array_key_exists( $category, $this->rules_manager->get_decline_categories() ) ? $category : '';
+	}
+
+	/**
+	 * Map a failure message or decline code to a decline category.
+	 *
+	 * @param string $reason Failure text.
+	 * @return string Category, or empty string if the text names no decline.
+	 */
+	public function classify( $reason ) {
+		$reason = strtolower( trim( (string) $reason ) );
+		if ( '' === $reason ) {
+			return '';
+		}
+
+		foreach ( $this->patterns as $category => $fragments ) {
+			foreach ( $fragments as $fragment ) {
+				if ( false !== strpos( $reason, $fragment ) ) {
+					return $category;
+				}
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get the failure text of the current payment attempt.
+	 *
+	 * Combines the note given for the status change with payment failure
+	 * notes added in the last few minutes, where gateways record the decline
+	 * message. Other recent notes are left out, so their text cannot be
+	 * mistaken for the decline.
+	 *
+	 * @param WC_Order $order Failed renewal order.
+	 * @param string   $note  Status change note.
+	 * @return string
+	 */
+	private function get_decline_reason( $order, $note ) {
+		$texts = array( $note );
+		$since = time() - self::NOTE_WINDOW;
+
+		foreach ( wc_get_order_notes( array( 'order_id' => $order->get_id(), 'limit' => 5 ) ) as $order_note ) {
+			if ( $order_note->date_created && $order_note->date_created->getTimestamp() >= $since && $this->is_failure_note( $order_note->content ) ) {
+				$texts[] = $order_note->content;
+			}
+		}
+
+		/**
+		 * Filter the failure text a renewal order's decline category is read from.
+		 *
+		 * @param string   $reason Status change note and recent payment failure notes.
+		 * @param WC_Order $order  Failed renewal order.
+		 */
+		return (string) apply_filters( 'wcs_rre_decline_reason', trim( implode( "\n", array_filter( $texts ) ) ), $order );
+	}
+
+	/**
+	 * Check whether an order note reports a failed payment.
+	 *
+	 * @param string $content Note text.
+	 * @return bool
+	 */
+	private function is_failure_note( $content ) {
+		$content = strtolower( (string) $content );
+
+		foreach ( $this->failure_fragments as $fragment ) {
+			if ( false !== strpos( $content, $fragment ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Log an error message when WP_DEBUG is enabled.
+	 *
+	 * @param string $message Error message to log.
+	 */
+	private function log_error( $message ) {
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			error_log( 'WCS Retry Rules Editor: ' . $message ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+		}
+	}
+}
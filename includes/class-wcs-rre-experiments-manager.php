@@ -0,0 +1,254 @@
+<?php
+/**
+ * Experiments Manager Class
+ *
+ * Runs an A/B test of a variant retry schedule against the global rules.
+ * Failing subscriptions are split between the two arms on their first
+ * failure and keep their arm for the rest of the experiment.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manages the retry schedule experiment.
+ */
+class WCS_RRE_Experiments_Manager {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Experiments_Manager
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option key for storing the running experiment.
+	 */
+	const OPTION_KEY = 'wcs_rre_experiment';
+
+	/**
+	 * Subscription and order meta key storing the assigned arm, as "<experiment ID>:<arm>".
+	 */
+	const ARM_META_KEY = '_wcs_rre_experiment_arm';
+
+	/**
+	 * Arm that keeps the global rules.
+	 */
+	const ARM_CONTROL = 'control';
+
+	/**
+	 * Arm that gets the variant rules.
+	 */
+	const ARM_VARIANT = 'variant';
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Experiments_Manager
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {
+		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+	}
+
+	/**
+	 * Get the running experiment.
+	 *
+	 * @return array|null Experiment with id, variant_rules, split, started_at and started_by, or null.
+	 */
+	public function get_experiment() {
+		$experiment = get_option( self::OPTION_KEY, null );
+		return is_array( $experiment ) && ! empty( $experiment['id'] ) ? $experiment : null;
+	}
+
+	/**
+	 * Start an experiment, or update the variant and split of the running one.
+	 *
+	 * Updating keeps the experiment ID, so subscriptions keep their arm.
+	 *
+	 * @param array $rules Variant rules.
+	 * @param int   $split Percentage of failing subscriptions that get the variant (1-99).
+	 * @return array|WP_Error Saved experiment or error.
+	 */
+	public function save_experiment( $rules, $split ) {
+		if ( ! is_array( $rules ) || empty( $rules ) ) {
+			return new WP_Error(
+				'invalid_rules',
+				__( 'The variant needs at least one rule.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$errors = $this->rules_manager->validate_rules( $rules );
+		if ( ! empty( $errors ) ) {
+			$index = key( $errors );
+			return new WP_Error(
+				'invalid_rule',
+				sprintf(
+					/* translators: 1: rule number, 2: error message */
+					__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+					$index + 1,
+					$errors[ $index ]
+				)
+			);
+		}
+
+		$split = (int) $split;
+		if ( $split < 1 || $split > 99 ) {
+			return new WP_Error(
+				'invalid_split',
+				__( 'The variant share must be between 1% and 99%.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$existing   = $this->get_experiment();
+		$experiment = array(
+			'id'            => $existing ? $existing['id'] : 'exp-' . wp_generate_uuid4(),
+			'variant_rules' => array_map( array( $this->rules_manager, 'sanitize_rule' ), array_values( $rules ) ),
+			'split'         => $split,
+			'started_at'    => $existing ? $existing['started_at'] : current_time( 'c' ),
+			'started_by'    => $existing ? $existing['started_by'] : get_current_user_id(),
+		);
+
+		update_option( self::OPTION_KEY, $experiment, false );
+
+		return $experiment;
+	}
+
+	/**
+	 * End the running experiment.
+	 *
+	 * Subscriptions in the variant arm go back to the global rules.
+	 *
+	 * @return true|WP_Error True on success, WP_Error if no experiment is running.
+	 */
+	public function end_experiment() {
+		if ( ! $this->get_experiment() ) {
+			return new WP_Error(
+				'experiment_not_found',
+				__( 'No experiment is running.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		delete_option( self::OPTION_KEY );
+
+		return true;
+	}
+
+	/**
+	 * End the experiment, making the winning arm's rules the global rules.
+	 *
+	 * Promoting the control arm keeps the global rules as they are.
+	 *
+	 * @param string $arm Winning arm (control or variant).
+	 * @return true|WP_Error True on success, WP_Error on failure.
+	 */
+	public function promote( $arm ) {
+		$experiment = $this->get_experiment();
+		if ( ! $experiment ) {
+			return new WP_Error(
+				'experiment_not_found',
+				__( 'No experiment is running.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( self::ARM_VARIANT === $arm ) {
+			$result = $this->rules_manager->save_rules( $experiment['variant_rules'] );
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+		}
+
+		return $this->end_experiment();
+	}
+
+	/**
+	 * Get the arm of a failing renewal order, assigning its subscription on first failure.
+	 *
+	 * The arm is stored on the subscription so later renewals keep it, and on
+	 * the order so retry statistics can be split per arm. New subscriptions
+	 * are assigned from a hash of the experiment and subscription IDs, so the
+	 * same subscription always lands in the same arm of an experiment. Orders
+	 * that were already being retried when the experiment started stay out of it.
+	 *
+	 * @param int $order_id        Renewal order ID.
+	 * @param int $subscription_id Subscription ID.
+	 * @return string Arm, or empty string if no experiment is running.
+	 */
+	public function get_order_arm( $order_id, $subscription_id ) {
+		$experiment = $this->get_experiment();
+		if ( ! $experiment ) {
+			return '';
+		}
+
+		$order = wc_get_order( $order_id );
+		$arm   = $order ? $this->read_arm( $order, $experiment ) : '';
+		if ( '' !== $arm || ! $order ) {
+			return $arm;
+		}
+
+		if ( class_exists( 'WCS_Retry_Manager' ) && WCS_Retry_Manager::store()->get_retries_for_order( $order_id ) ) {
+			return '';
+		}
+
+		$subscription = function_exists( 'wcs_get_subscription' ) ? wcs_get_subscription( $subscription_id ) : false;
+		$arm          = $subscription ? $this->read_arm( $subscription, $experiment ) : '';
+
+		if ( '' === $arm ) {
+			$arm = $this->pick_arm( $experiment, $subscription_id );
+			if ( $subscription ) {
+				$subscription->update_meta_data( self::ARM_META_KEY, $experiment['id'] . ':' . $arm );
+				$subscription->save();
+			}
+		}
+
+		$order->update_meta_data( self::ARM_META_KEY, $experiment['id'] . ':' . $arm );
+		$order->save();
+
+		return $arm;
+	}
+
+	/**
+	 * Read the arm stored on an order or subscription for an experiment.
+	 *
+	 * @param WC_Data $object     Order or subscription.
+	 * @param array   $experiment Experiment.
+	 * @return string Arm, or empty string if none is stored for this experiment.
+	 */
+	public function read_arm( $object, $experiment ) {
+		$value = (string) $object->get_meta( self::ARM_META_KEY );
+		$arm   = 0 === strpos( $value, $experiment['id'] . ':' ) ? substr( $value, strlen( $experiment['id'] ) + 1 ) : '';
+
+		return in_array( $arm, array( self::ARM_CONTROL, self::ARM_VARIANT ), true ) ? $arm : '';
+	}
+
+	/**
+	 * Pick the arm of a subscription that has not failed during the experiment yet.
+	 *
+	 * @param array $experiment      Experiment.
+	 * @param int   $subscription_id Subscription ID.
+	 * @return string Arm.
+	 */
+	private function pick_arm( $experiment, $subscription_id ) {
+		$bucket = hexdec( substr( md5( $experiment['id'] . ':' . absint( $subscription_id ) ), 0, 7 ) ) % 100;
+
+		return $bucket < (int) $experiment['split'] ? self::ARM_VARIANT : self::ARM_CONTROL;
+	}
+}
@@ -23,6 +23,11 @@ class WCS_RRE_Filter_Handler {
 	 */
 	private static $instance = null;
 
+	/**
+	 * Order meta key recording the rules skipped by decline conditions, as retry number => rules skipped so far.
+	 */
+	const SKIPPED_META_KEY = '_wcs_rre_skipped_rules';
+
 	/**
 	 * Rules manager instance.
 	 *
@@ -30,6 +35,41 @@ class WCS_RRE_Filter_Handler {
 	 */
 	private $rules_manager;
 
+	/**
+	 * Templates manager instance.
+	 *
+	 * @var WCS_RRE_Templates_Manager
+	 */
+	private $templates_manager;
+
+	/**
+	 * Experiments manager instance.
+	 *
+	 * @var WCS_RRE_Experiments_Manager
+	 */
+	private $experiments_manager;
+
+	/**
+	 * Decline reasons instance.
+	 *
+	 * @var WCS_RRE_Decline_Reasons
+	 */
+	private $decline_reasons;
+
+	/**
+	 * Rule set rules resolved per renewal order, keyed by order ID.
+	 *
+	 * @var array
+	 */
+	private $order_rules = array();
+
+	/**
+	 * Number of global rules handed to WCS before padding, or null until WCS reads them.
+	 *
+	 * @var int|null
+	 */
+	private $global_rule_count = null;
+
 	/**
 	 * Get singleton instance.
 	 *
@@ -46,7 +86,10 @@ class WCS_RRE_Filter_Handler {
 	 * Private constructor.
 	 */
 	private function __construct() {
-		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+		$this->rules_manager       = WCS_RRE_Rules_Manager::instance();
+		$this->templates_manager   = WCS_RRE_Templates_Manager::instance();
+		$this->experiments_manager = WCS_RRE_Experiments_Manager::instance();
+		$this->decline_reasons     = WCS_RRE_Decline_Reasons::instance();
 	}
 
 	/**
@@ -57,12 +100,15 @@ class WCS_RRE_Filter_Handler {
 	 */
 	public function init() {
 		add_filter( 'wcs_default_retry_rules', array( $this, 'apply_custom_rules' ), 5 );
+		add_filter( 'wcs_has_retry_rule', array( $this, 'filter_has_retry_rule' ), 5, 3 );
+		add_filter( 'wcs_get_retry_rule', array( $this, 'filter_get_retry_rule' ), 5, 3 );
 		add_filter( 'woocommerce_email_subject_customer_payment_retry', array( $this, 'filter_customer_email_subject' ), 10, 3 );
 		add_filter( 'woocommerce_email_heading_customer_payment_retry', array( $this, 'filter_customer_email_heading' ), 10, 3 );
 		add_filter( 'woocommerce_email_additional_content_customer_payment_retry', array( $this, 'filter_customer_email_additional_content' ), 10, 3 );
 		add_filter( 'woocommerce_email_subject_payment_retry', array( $this, 'filter_admin_email_subject' ), 10, 3 );
 		add_filter( 'woocommerce_email_heading_payment_retry', array( $this, 'filter_admin_email_heading' ), 10, 3 );
 		add_filter( 'woocommerce_email_additional_content_payment_retry', array( $this, 'filter_admin_email_additional_content' ), 10, 3 );
+		add_filter( 'wc_get_template', array( $this, 'filter_email_template_file' ), 10, 3 );
 	}
 
 	/**
@@ -73,10 +119,41 @@ class WCS_RRE_Filter_Handler {
 	 * - Validates each rule before applying
 	 * - Catches any exceptions and falls back to defaults
 	 *
+	 * These are the control arm of a running experiment. WCS reads them once,
+	 * without an order, so rule sets and the variant arm are served per
+	 * order by filter_has_retry_rule() and filter_get_retry_rule().
+	 *
+	 * WCS builds a rule from this list at any position it is told has a rule,
+	 * so the list is padded with its last rule up to the longest rule set or
+	 * experiment variant. filter_has_retry_rule() keeps orders on the global
+	 * rules from reaching the padding.
+	 *
 	 * @param array $default_rules The default WCS retry rules.
 	 * @return array Custom rules if valid, otherwise default rules.
 	 */
 	public function apply_custom_rules( $default_rules ) {
+		$rules = $this->get_global_rules( $default_rules );
+		if ( ! is_array( $rules ) || empty( $rules ) ) {
+			return $rules;
+		}
+
+		$this->global_rule_count = count( $rules );
+
+		$length = $this->get_longest_rules_length();
+		while ( count( $rules ) < $length ) {
+			$rules[] = end( $rules );
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Get the validated global rules, or the given defaults.
+	 *
+	 * @param array $default_rules The default WCS retry rules.
+	 * @return array Custom rules if valid, otherwise default rules.
+	 */
+	private function get_global_rules( $default_rules ) {
 		try {
 			// Get custom rules from our configuration.
 			$custom_rules = $this->rules_manager->get_active_rules();
@@ -89,9 +166,9 @@ class WCS_RRE_Filter_Handler {
 			// Validate each rule before applying.
 			$validated_rules = array();
 			foreach ( $custom_rules as $index => $rule ) {
-				$validation = $this->rules_manager->validate_rule( $rule );
+				$validation = $this->rules_manager->validate_rule( $this->templates_manager->prepare_rule( $rule ), false );
 				if ( true === $validation ) {
-					$validated_rules[] = $this->rules_manager->sanitize_rule( $rule );
+					$validated_rules[] = $this->templates_manager->prepare_rule( $this->rules_manager->sanitize_rule( $rule ) );
 				} else {
 					// Log validation failure but continue with other rules.
 					$this->log_error(
@@ -119,6 +196,332 @@ class WCS_RRE_Filter_Handler {
 		}
 	}
 
+	/**
+	 * Get the number of rules in the longest rule set or experiment variant.
+	 *
+	 * @return int
+	 */
+	private function get_longest_rules_length() {
+		$length = 0;
+
+		try {
+			foreach ( $this->rules_manager->get_rule_sets() as $rule_set ) {
+				if ( ! empty( $rule_set['rules'] ) && is_array( $rule_set['rules'] ) ) {
+					$length = max( $length, count( $rule_set['rules'] ) );
+				}
+			}
+
+			$experiment = $this->experiments_manager->get_experiment();
+			if ( $experiment && ! empty( $experiment['variant_rules'] ) && is_array( $experiment['variant_rules'] ) ) {
+				$length = max( $length, count( $experiment['variant_rules'] ) );
+			}
+		} catch ( Exception $e ) {
+			$this->log_error( 'Exception measuring rule sets: ' . $e->getMessage() );
+		}
+
+		return $length;
+	}
+
+	/**
+	 * Report whether a retry rule exists for an order's matching rule set.
+	 *
+	 * Orders on the global rules stop at the last real global rule, before
+	 * the padding added by apply_custom_rules().
+	 *
+	 * @param bool $has_rule     Whether the global rules have a rule at this position.
+	 * @param int  $retry_number Number of retries already attempted.
+	 * @param int  $order_id     Renewal order ID.
+	 * @return bool
+	 */
+	public function filter_has_retry_rule( $has_rule, $retry_number, $order_id ) {
+		$rule = $this->get_rule_for_retry( $order_id, $retry_number );
+		if ( null === $rule ) {
+			return $has_rule && ( null === $this->global_rule_count || $retry_number < $this->global_rule_count );
+		}
+
+		return false !== $rule;
+	}
+
+	/**
+	 * Swap in the retry rule from an order's matching rule set.
+	 *
+	 * Anchored rules are rebuilt with the interval to their next set time,
+	 * as WCS schedules the retry that far from now.
+	 *
+	 * @param WCS_Retry_Rule|null $rule         Rule built from the global rules.
+	 * @param int                 $retry_number Number of retries already attempted.
+	 * @param int                 $order_id     Renewal order ID.
+	 * @return WCS_Retry_Rule|null
+	 */
+	public function filter_get_retry_rule( $rule, $retry_number, $order_id ) {
+		$data = $this->get_rule_for_retry( $order_id, $retry_number, true );
+		if ( false === $data ) {
+			return null;
+		}
+
+		try {
+			if ( null !== $data ) {
+				return $this->build_rule( $data );
+			}
+
+			$raw = is_a( $rule, 'WCS_Retry_Rule' ) ? $rule->get_raw_data() : array();
+
+			return isset( $raw['timing'] ) && 'anchored' === $raw['timing'] ? $this->build_rule( $raw ) : $rule;
+		} catch ( Exception $e ) {
+			$this->log_error( 'Exception building rule set rule: ' . $e->getMessage() );
+			return $rule;
+		}
+	}
+
+	/**
+	 * Build a retry rule, resolving an anchored rule's interval from now.
+	 *
+	 * @param array $data Prepared rule.
+	 * @return WCS_Retry_Rule
+	 */
+	private function build_rule( $data ) {
+		if ( isset( $data['timing'] ) && 'anchored' === $data['timing'] ) {
+			$now                          = time();
+			$data['retry_after_interval'] = $this->rules_manager->get_retry_time( $data, $now ) - $now;
+		}
+
+		$rule_class = apply_filters( 'wcs_retry_rule_class', 'WCS_Retry_Rule' );
+		return new $rule_class( $data );
+	}
+
+	/**
+	 * Get the rules from the rule set or experiment arm of a renewal order.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return array|null Rules, or null to use the global rules.
+	 */
+	private function get_rules_for_order( $order_id ) {
+		$order_id = absint( $order_id );
+		if ( ! array_key_exists( $order_id, $this->order_rules ) ) {
+			$this->order_rules[ $order_id ] = $this->resolve_rules_for_order( $order_id );
+		}
+
+		return $this->order_rules[ $order_id ];
+	}
+
+	/**
+	 * Get the validated rules from the rule set matching a renewal order.
+	 *
+	 * Orders no rule set matches are entered into a running experiment, and
+	 * get the variant rules if their subscription is in the variant arm.
+	 *
+	 * Fail-safe: returns null (use the global rules) when no set matches,
+	 * the order cannot be resolved, or the set's rules fail validation.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return array|null
+	 */
+	private function resolve_rules_for_order( $order_id ) {
+		$rules = null;
+
+		try {
+			$context  = $this->get_order_context( $order_id );
+			$rule_set = $context ? $this->rules_manager->get_matching_rule_set( $context ) : null;
+
+			if ( $rule_set ) {
+				$rules = $this->get_validated_rules( $rule_set['rules'], sprintf( 'Rule set "%s"', $rule_set['name'] ) );
+			} elseif ( $context ) {
+				$experiment = $this->experiments_manager->get_experiment();
+				$arm        = $experiment ? $this->experiments_manager->get_order_arm( $order_id, $context['subscription_id'] ) : '';
+
+				if ( WCS_RRE_Experiments_Manager::ARM_VARIANT === $arm ) {
+					$rules = $this->get_validated_rules( $experiment['variant_rules'], 'Experiment variant' );
+				}
+			}
+		} catch ( Exception $e ) {
+			$this->log_error( 'Exception resolving rule set: ' . $e->getMessage() );
+			$rules = null;
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Get the rule a renewal order's retry uses, after its decline conditions.
+	 *
+	 * Conditions are checked from the retry's position in the rules onward,
+	 * so the rules of earlier retries keep their place. A rule skipped for
+	 * the order's decline category moves on to the next one, one that stops
+	 * retrying leaves no rule so the final action follows, and one that sends
+	 * a different email swaps the rule's customer email. The rules skipped are
+	 * recorded on the order when WCS takes the rule, so later retries carry on
+	 * after the rule used instead of running it again.
+	 *
+	 * Fail-safe: returns null (use the global rule unchanged) when the order
+	 * has no rule set, decline category or skipped rules, or anything goes wrong.
+	 *
+	 * @param int  $order_id     Renewal order ID.
+	 * @param int  $retry_number Number of retries already attempted.
+	 * @param bool $record       Whether to record the rules skipped for this retry.
+	 * @return array|false|null Prepared rule, false if the order has no rule left, or null.
+	 */
+	private function get_rule_for_retry( $order_id, $retry_number, $record = false ) {
+		$rules        = $this->get_rules_for_order( $order_id );
+		$retry_number = absint( $retry_number );
+
+		try {
+			$category = $this->decline_reasons->get_order_category( $order_id );
+			$skipped  = $this->get_skipped_rules( $order_id );
+			$offset   = 0;
+
+			// Rules skipped on earlier retries move this one along too.
+			foreach ( $skipped as $number => $count ) {
+				if ( $number < $retry_number ) {
+					$offset = $count;
+				}
+			}
+
+			if ( null === $rules ) {
+				if ( '' === $category && 0 === $offset ) {
+					return null;
+				}
+
+				$rules = $this->get_global_rules( array() );
+				if ( empty( $rules ) ) {
+					return null;
+				}
+			}
+
+			$position = $retry_number + $offset;
+			$rule     = isset( $rules[ $position ] ) ? $rules[ $position ] : null;
+
+			while ( $rule ) {
+				$condition = $this->rules_manager->get_decline_condition( $rule, $category );
+				if ( ! $condition ) {
+					break;
+				}
+
+				if ( 'final' === $condition['action'] ) {
+					$rule = null;
+					break;
+				}
+
+				if ( 'email' === $condition['action'] ) {
+					unset( $rule['email_named_template_customer'] );
+					$rule['email_template_customer'] = $condition['email_template_customer'];
+					$rule['email_override_customer'] = false;
+					$rule                            = $this->templates_manager->prepare_rule( $rule );
+					break;
+				}
+
+				++$position;
+				$rule = isset( $rules[ $position ] ) ? $rules[ $position ] : null;
+			}
+
+			if ( $record && $rule && $position - $retry_number !== $offset ) {
+				$skipped[ $retry_number ] = $position - $retry_number;
+				ksort( $skipped );
+				$this->update_skipped_rules( $order_id, $skipped );
+			}
+
+			return $rule ? $rule : false;
+		} catch ( Exception $e ) {
+			$this->log_error( 'Exception applying decline conditions: ' . $e->getMessage() );
+
+			if ( null === $rules ) {
+				return null;
+			}
+
+			return isset( $rules[ $retry_number ] ) ? $rules[ $retry_number ] : false;
+		}
+	}
+
+	/**
+	 * Get the rules skipped by decline conditions on a renewal order's retries.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return array Rules skipped so far, keyed by the retry number they were skipped at.
+	 */
+	private function get_skipped_rules( $order_id ) {
+		$order   = wc_get_order( $order_id );
+		$skipped = $order ? $order->get_meta( self::SKIPPED_META_KEY ) : array();
+
+		return is_array( $skipped ) ? array_map( 'absint', $skipped ) : array();
+	}
+
+	/**
+	 * Record the rules skipped by decline conditions on a renewal order's retries.
+	 *
+	 * @param int   $order_id Renewal order ID.
+	 * @param array $skipped  Rules skipped so far, keyed by retry number.
+	 */
+	private function update_skipped_rules( $order_id, $skipped ) {
+		$order = wc_get_order( $order_id );
+		if ( $order ) {
+			$order->update_meta_data( self::SKIPPED_META_KEY, $skipped );
+			$order->save();
+		}
+	}
+
+	/**
+	 * Validate and prepare a list of rules served to a renewal order.
+	 *
+	 * @param array  $rules Rules.
+	 * @param string $label Name of the rules for the error log.
+	 * @return array|null Prepared rules, or null if any rule fails validation.
+	 */
+	private function get_validated_rules( $rules, $label ) {
+		$validated_rules = array();
+		foreach ( $rules as $index => $rule ) {
+			$validation = $this->rules_manager->validate_rule( $this->templates_manager->prepare_rule( $rule ), false );
+			if ( true !== $validation ) {
+				$this->log_error(
+					sprintf(
+						'%s rule %d failed validation, using global rules',
+						$label,
+						$index + 1
+					)
+				);
+				return null;
+			}
+			$validated_rules[] = $this->templates_manager->prepare_rule( $this->rules_manager->sanitize_rule( $rule ) );
+		}
+
+		return ! empty( $validated_rules ) ? $validated_rules : null;
+	}
+
+	/**
+	 * Build the subscription context used to match rule sets for a renewal order.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return array|null Context, or null if the order has no subscription.
+	 */
+	private function get_order_context( $order_id ) {
+		if ( ! $order_id || ! function_exists( 'wcs_get_subscriptions_for_renewal_order' ) ) {
+			return null;
+		}
+
+		$subscriptions = wcs_get_subscriptions_for_renewal_order( $order_id );
+		$subscription  = $subscriptions ? reset( $subscriptions ) : null;
+		if ( ! $subscription ) {
+			return null;
+		}
+
+		$product_ids  = array();
+		$category_ids = array();
+		foreach ( $subscription->get_items() as $item ) {
+			$product_id    = $item->get_product_id();
+			$product_ids[] = $product_id;
+			if ( $item->get_variation_id() ) {
+				$product_ids[] = $item->get_variation_id();
+			}
+			$category_ids = array_merge( $category_ids, wc_get_product_term_ids( $product_id, 'product_cat' ) );
+		}
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'product_ids'     => array_values( array_unique( array_map( 'absint', $product_ids ) ) ),
+			'category_ids'    => array_values( array_unique( array_map( 'absint', $category_ids ) ) ),
+			'payment_method'  => $subscription->get_payment_method(),
+			'billing_period'  => $subscription->get_billing_period(),
+		);
+	}
+
 	/**
 	 * Log an error message when WP_DEBUG is enabled.
 	 *
@@ -208,36 +611,124 @@ class WCS_RRE_Filter_Handler {
 		return '' !== $override ? $override : $content;
 	}
 
+	/**
+	 * Render a named template's body in place of the retry email content.
+	 *
+	 * @param string $template      Located template file.
+	 * @param string $template_name Template name, e.g. emails/customer-payment-retry.php.
+	 * @param array  $args          Template arguments.
+	 * @return string Template file.
+	 */
+	public function filter_email_template_file( $template, $template_name, $args ) {
+		$email = isset( $args['email'] ) ? $args['email'] : null;
+		if ( ! is_a( $email, 'WC_Email' ) || ! in_array( $template_name, array( $email->template_html, $email->template_plain ), true ) ) {
+			return $template;
+		}
+
+		$rule      = $this->get_email_rule( $email );
+		$recipient = $this->get_email_recipient( $email );
+		$named     = $rule && $recipient ? $this->templates_manager->get_rule_template( $rule->get_raw_data(), $recipient ) : null;
+
+		return $named ? $this->templates_manager->locate_template( $template_name === $email->template_plain, $email, $named ) : $template;
+	}
+
+	/**
+	 * Get the retry rule a retry email is being sent for.
+	 *
+	 * @param WC_Email $email Email instance.
+	 * @return WCS_Retry_Rule|null
+	 */
+	private function get_email_rule( $email ) {
+		if ( ! class_exists( 'WCS_Retry' ) || ! is_object( $email ) || ! isset( $email->retry ) || ! is_a( $email->retry, 'WCS_Retry' ) ) {
+			return null;
+		}
+
+		$rule = $email->retry->get_rule();
+
+		return is_a( $rule, 'WCS_Retry_Rule' ) ? $rule : null;
+	}
+
+	/**
+	 * Get the recipient type of a retry email.
+	 *
+	 * @param WC_Email $email Email instance.
+	 * @return string Recipient type (customer or admin), or empty string for other emails.
+	 */
+	private function get_email_recipient( $email ) {
+		$recipients = array(
+			'customer_payment_retry' => 'customer',
+			'payment_retry'          => 'admin',
+		);
+
+		return isset( $recipients[ $email->id ] ) ? $recipients[ $email->id ] : '';
+	}
+
 	/**
 	 * Get an email override from the retry rule raw data.
 	 *
+	 * Per-rule overrides, in the variant for the recipient's locale, win over
+	 * the rule's named template. WooCommerce replaces placeholders before
+	 * these filters run, so the text is formatted here.
+	 *
 	 * @param WC_Email $email     Email instance.
 	 * @param string   $field     Field to override (subject, heading, additional_content).
 	 * @param string   $recipient Recipient type (customer or admin).
 	 * @return string
 	 */
 	private function get_rule_email_override( $email, $field, $recipient ) {
-		if ( ! class_exists( 'WCS_Retry' ) || ! is_object( $email ) || ! isset( $email->retry ) ) {
+		$rule = $this->get_email_rule( $email );
+		if ( ! $rule ) {
 			return '';
 		}
 
-		if ( ! is_a( $email->retry, 'WCS_Retry' ) ) {
-			return '';
-		}
+		$raw      = $rule->get_raw_data();
+		$override = ! empty( $raw[ 'email_override_' . $recipient ] )
+			? $this->rules_manager->get_localized_override( $raw, $recipient, $field, $this->get_email_locale( $email, $recipient ) )
+			: '';
+		$named    = 'additional_content' !== $field ? $this->templates_manager->get_rule_template( $raw, $recipient ) : null;
 
-		$rule = $email->retry->get_rule();
-		if ( ! is_a( $rule, 'WCS_Retry_Rule' ) ) {
+		if ( '' !== $override ) {
+			$text = $override;
+		} elseif ( $named && '' !== $named[ $field ] ) {
+			$text = $named[ $field ];
+		} else {
 			return '';
 		}
 
-		$raw = $rule->get_raw_data();
-		$override_key = 'email_override_' . $recipient;
-		if ( empty( $raw[ $override_key ] ) ) {
-			return '';
-		}
+		return is_a( $email, 'WC_Email' ) ? $email->format_string( $text ) : $text;
+	}
 
-		$key = 'email_' . $field . '_' . $recipient;
+	/**
+	 * Get the locale a retry email is sent in.
+	 *
+	 * Customer emails use the subscription customer's locale, admin emails
+	 * the site locale.
+	 *
+	 * @param WC_Email $email     Email instance.
+	 * @param string   $recipient Recipient type (customer or admin).
+	 * @return string Locale.
+	 */
+	private function get_email_locale( $email, $recipient ) {
+		$locale = get_locale();
+		$order  = isset( $email->object ) && is_a( $email->object, 'WC_Order' ) ? $email->object : null;
+
+		if ( 'customer' === $recipient && $order ) {
+			$subscriptions = function_exists( 'wcs_get_subscriptions_for_renewal_order' ) ? wcs_get_subscriptions_for_renewal_order( $order ) : array();
+			$subscription  = $subscriptions ? reset( $subscriptions ) : null;
+			$customer_id   = $subscription ? $subscription->get_customer_id() : $order->get_customer_id();
+
+			if ( $customer_id ) {
+				$locale = get_user_locale( $customer_id );
+			}
+		}
 
-		return isset( $raw[ $key ] ) && '' !== $raw[ $key ] ? (string) $raw[ $key ] : '';
+		/**
+		 * Filter the locale used to pick email override variants.
+		 *
+		 * @param string        $locale    Locale.
+		 * @param WC_Order|null $order     Renewal order.
+		 * @param string        $recipient Recipient type (customer or admin).
+		 */
+		return apply_filters( 'wcs_rre_email_locale', $locale, $order, $recipient );
 	}
 }
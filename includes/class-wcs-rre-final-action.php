@@ -0,0 +1,224 @@
+<?php
+/**
+ * Final Action Class
+ *
+ * Applies the configured final outcome once WooCommerce Subscriptions has no
+ * retry rule left for a failed renewal order: cancel the subscription, keep
+ * it on hold for a number of days and then cancel it, or leave it as it is.
+ * Each choice sets its own statuses, email and order note.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Applies the final action after the last payment retry fails.
+ */
+class WCS_RRE_Final_Action {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Final_Action
+	 */
+	private static $instance = null;
+
+	/**
+	 * Hook run when a held subscription is due to be cancelled.
+	 */
+	const CANCEL_HOOK = 'wcs_rre_cancel_held_subscription';
+
+	/**
+	 * Order meta key marking renewal orders the final action was applied to.
+	 */
+	const APPLIED_META_KEY = '_wcs_rre_final_action';
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Templates manager instance.
+	 *
+	 * @var WCS_RRE_Templates_Manager
+	 */
+	private $templates_manager;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Final_Action
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {
+		$this->rules_manager     = WCS_RRE_Rules_Manager::instance();
+		$this->templates_manager = WCS_RRE_Templates_Manager::instance();
+	}
+
+	/**
+	 * Register the payment failure and held subscription hooks.
+	 *
+	 * Runs after WCS has applied, or run out of, its retry rules at the
+	 * default priority.
+	 */
+	public function init() {
+		add_action( 'woocommerce_subscription_renewal_payment_failed', array( $this, 'maybe_apply' ), 20, 2 );
+		add_action( self::CANCEL_HOOK, array( $this, 'cancel_held_subscription' ), 10, 2 );
+	}
+
+	/**
+	 * Apply the final action when a failed renewal order has no retry left.
+	 *
+	 * @param WC_Subscription $subscription Subscription.
+	 * @param WC_Order        $order        Failed renewal order.
+	 */
+	public function maybe_apply( $subscription, $order ) {
+		if ( ! class_exists( 'WCS_Retry_Manager' ) || ! WCS_Retry_Manager::is_retry_enabled() || ! is_a( $order, 'WC_Order' ) || ! is_a( $subscription, 'WC_Subscription' ) ) {
+			return;
+		}
+
+		try {
+			$final_action = $this->rules_manager->get_final_action();
+			if ( $final_action === $this->rules_manager->get_default_final_action() ) {
+				return;
+			}
+
+			if ( ! $order->needs_payment() || $order->get_meta( self::APPLIED_META_KEY ) || $this->has_retry_left( $order->get_id() ) ) {
+				return;
+			}
+
+			// Mark the order first, as the status changes below can fire this hook again.
+			$order->update_meta_data( self::APPLIED_META_KEY, $final_action['action'] );
+			$order->save();
+
+			$this->apply( $final_action, $subscription, $order );
+		} catch ( Throwable $e ) {
+			$this->log_error( 'Exception applying the final action: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check whether WCS still has a retry pending or a rule left for an order.
+	 *
+	 * @param int $order_id Renewal order ID.
+	 * @return bool
+	 */
+	private function has_retry_left( $order_id ) {
+		$store = WCS_Retry_Manager::store();
+		$last  = $store->get_last_retry_for_order( $order_id );
+
+		if ( $last && 'pending' === $last->get_status() ) {
+			return true;
+		}
+
+		return WCS_Retry_Manager::rules()->has_rule( count( $store->get_retries_for_order( $order_id ) ), $order_id );
+	}
+
+	/**
+	 * Apply the chosen outcome to a renewal order and its subscription.
+	 *
+	 * @param array           $final_action Final action.
+	 * @param WC_Subscription $subscription Subscription.
+	 * @param WC_Order        $order        Failed renewal order.
+	 */
+	private function apply( $final_action, $subscription, $order ) {
+		$outcome = $final_action['outcomes'][ $final_action['action'] ];
+		$note    = __( 'All payment retries failed.', 'wcs-retry-rules-editor' );
+
+		if ( '' !== $outcome['note'] ) {
+			$order->add_order_note( $outcome['note'] );
+		}
+
+		if ( '' !== $outcome['order_status'] && ! $order->has_status( $outcome['order_status'] ) ) {
+			$order->update_status( $outcome['order_status'], $note );
+		}
+
+		if ( '' !== $outcome['subscription_status'] && ! $subscription->has_status( $outcome['subscription_status'] ) ) {
+			$subscription->update_status( $outcome['subscription_status'], $note );
+		}
+
+		if ( 'hold' === $final_action['action'] ) {
+			$this->schedule_cancel( $subscription, $order, $final_action['hold_days'] );
+		}
+
+		$template = '' !== $outcome['email'] ? $this->rules_manager->get_final_email_template( $outcome['email'] ) : null;
+		if ( $template ) {
+			$this->templates_manager->send_template( $template, $order );
+		}
+	}
+
+	/**
+	 * Queue the cancellation of a held subscription.
+	 *
+	 * @param WC_Subscription $subscription Subscription.
+	 * @param WC_Order        $order        Failed renewal order.
+	 * @param int             $days         Days to keep the subscription on hold.
+	 */
+	private function schedule_cancel( $subscription, $order, $days ) {
+		$timestamp = time() + $days * DAY_IN_SECONDS;
+		$args      = array( $subscription->get_id(), $order->get_id() );
+
+		if ( function_exists( 'as_schedule_single_action' ) ) {
+			as_schedule_single_action( $timestamp, self::CANCEL_HOOK, $args, WCS_RRE_Scheduler::GROUP );
+		} else {
+			wp_schedule_single_event( $timestamp, self::CANCEL_HOOK, $args );
+		}
+
+		$subscription->add_order_note(
+			sprintf(
+				/* translators: %s: date and time */
+				__( 'The subscription will be cancelled on %s unless the failed renewal is paid.', 'wcs-retry-rules-editor' ),
+				wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $timestamp )
+			)
+		);
+	}
+
+	/**
+	 * Cancel a held subscription whose renewal is still unpaid.
+	 *
+	 * Subscriptions that were reactivated or ended in the meantime are left alone.
+	 *
+	 * @param int $subscription_id Subscription ID.
+	 * @param int $order_id        Renewal order ID.
+	 */
+	public function cancel_held_subscription( $subscription_id, $order_id ) {
+		$subscription = function_exists( 'wcs_get_subscription' ) ? wcs_get_subscription( $subscription_id ) : false;
+		$order        = wc_get_order( $order_id );
+
+		if ( ! $subscription || ! $order || $order->is_paid() || $subscription->has_status( array( 'active', 'cancelled', 'pending-cancel', 'expired' ) ) ) {
+			return;
+		}
+
+		try {
+			if ( $subscription->can_be_updated_to( 'cancelled' ) ) {
+				$subscription->update_status( 'cancelled', __( 'The hold after the last failed payment retry ended without payment.', 'wcs-retry-rules-editor' ) );
+			}
+		} catch ( Throwable $e ) {
+			$this->log_error( 'Exception cancelling a held subscription: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Log an error message when WP_DEBUG is enabled.
+	 *
+	 * @param string $message Error message to log.
+	 */
+	private function log_error( $message ) {
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			error_log( 'WCS Retry Rules Editor: ' . $message ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+		}
+	}
+}
@@ -50,22 +50,53 @@ class WCS_RRE_Loader {
 	 * Load required class files.
 	 */
 	private function load_dependencies() {
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-network.php';
 		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-rules-manager.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-presets-manager.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-templates-manager.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-experiments-manager.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-scheduler.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-analytics.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-audit-log.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-decline-reasons.php';
 		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-filter-handler.php';
+		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-final-action.php';
 		require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-rest-controller.php';
 		require_once WCS_RRE_PLUGIN_DIR . 'admin/class-wcs-rre-admin.php';
+
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			require_once WCS_RRE_PLUGIN_DIR . 'includes/class-wcs-rre-cli.php';
+		}
 	}
 
 	/**
 	 * Initialize plugin components.
 	 */
 	private function init_components() {
+		// Initialize recording of decline categories on failed renewal orders.
+		WCS_RRE_Decline_Reasons::instance()->init();
+
 		// Initialize the filter handler (applies custom rules).
 		WCS_RRE_Filter_Handler::instance()->init();
 
+		// Initialize the final action after the last retry fails.
+		WCS_RRE_Final_Action::instance()->init();
+
+		// Initialize scheduled activation and revert of rules.
+		WCS_RRE_Scheduler::instance()->init();
+
+
+		// Recalculate the shortest billing period after products change.
+		add_action( 'save_post_product', array( WCS_RRE_Rules_Manager::instance(), 'flush_billing_period_cache' ) );
+
 		// Initialize REST API.
 		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 
+		// Register WP-CLI commands.
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			WP_CLI::add_command( 'wcs-retry-rules', 'WCS_RRE_CLI' );
+		}
+
 		// Initialize admin interface.
 		if ( is_admin() ) {
 			WCS_RRE_Admin::instance()->init();
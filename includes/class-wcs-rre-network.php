@@ -0,0 +1,219 @@
+<?php
+/**
+ * Network Class
+ *
+ * Network-level rules for multisite: the network admin edits a rule set that
+ * is stored network-wide and pushed to sites, which then inherit it until
+ * they publish rules of their own. While the network rules are being edited,
+ * the rules, drafts, revisions, presets and audit log are read from and
+ * written to network options instead of the current site's options.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Stores network rules and tracks which sites inherit them.
+ */
+class WCS_RRE_Network {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Network
+	 */
+	private static $instance = null;
+
+	/**
+	 * Site option marking a site that inherits the network rules.
+	 */
+	const SOURCE_OPTION_KEY = 'wcs_rre_rules_source';
+
+	/**
+	 * Whether the network rules are being edited in this request.
+	 *
+	 * @var bool
+	 */
+	private $network_scope = false;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Network
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {}
+
+	/**
+	 * Check whether the current user can edit the network rules.
+	 *
+	 * @return bool
+	 */
+	public function can_manage() {
+		return is_multisite() && current_user_can( 'manage_network_options' );
+	}
+
+	/**
+	 * Work on the network rules instead of the current site's for the rest of the request.
+	 */
+	public function use_network_scope() {
+		$this->network_scope = is_multisite();
+	}
+
+	/**
+	 * Check whether the network rules are being edited.
+	 *
+	 * @return bool
+	 */
+	public function is_network_scope() {
+		return $this->network_scope;
+	}
+
+	/**
+	 * Read a plugin option from the network or the current site, depending on the scope.
+	 *
+	 * @param string $key     Option name.
+	 * @param mixed  $default Value if the option does not exist.
+	 * @return mixed
+	 */
+	public function get_option( $key, $default = false ) {
+		return $this->network_scope ? get_site_option( $key, $default ) : get_option( $key, $default );
+	}
+
+	/**
+	 * Write a plugin option to the network or the current site, depending on the scope.
+	 *
+	 * @param string    $key      Option name.
+	 * @param mixed     $value    Value.
+	 * @param bool|null $autoload Whether a site option is autoloaded. Network options ignore it.
+	 * @return bool
+	 */
+	public function update_option( $key, $value, $autoload = null ) {
+		return $this->network_scope ? update_site_option( $key, $value ) : update_option( $key, $value, $autoload );
+	}
+
+	/**
+	 * Delete a plugin option from the network or the current site, depending on the scope.
+	 *
+	 * @param string $key Option name.
+	 * @return bool
+	 */
+	public function delete_option( $key ) {
+		return $this->network_scope ? delete_site_option( $key ) : delete_option( $key );
+	}
+
+	/**
+	 * Get the published network rules.
+	 *
+	 * @return array Configuration with rules, rule_sets, final_action, modified_at and modified_by, or empty array if there is none.
+	 */
+	public function get_network_config() {
+		$config = is_multisite() ? get_site_option( WCS_RRE_Rules_Manager::OPTION_KEY, array() ) : array();
+		return is_array( $config ) ? $config : array();
+	}
+
+	/**
+	 * Check whether network rules have been published.
+	 *
+	 * @return bool
+	 */
+	public function has_network_rules() {
+		$config = $this->get_network_config();
+		return ! empty( $config['rules'] );
+	}
+
+	/**
+	 * Check whether a site uses the network rules.
+	 *
+	 * Never true while the network rules themselves are being edited.
+	 *
+	 * @param int $site_id Site ID, or 0 for the current site.
+	 * @return bool
+	 */
+	public function site_inherits( $site_id = 0 ) {
+		if ( ! is_multisite() || $this->network_scope ) {
+			return false;
+		}
+
+		$source = $site_id ? get_blog_option( $site_id, self::SOURCE_OPTION_KEY ) : get_option( self::SOURCE_OPTION_KEY );
+		return 'network' === $source;
+	}
+
+	/**
+	 * Make a site inherit the network rules, removing its own published rules.
+	 *
+	 * The site's revisions keep its earlier rules, and its draft is left alone.
+	 *
+	 * @param int $site_id Site ID.
+	 * @return bool True on success, false if the site does not exist or no network rules are published.
+	 */
+	public function inherit( $site_id ) {
+		if ( ! is_multisite() || ! $this->has_network_rules() || ! get_site( $site_id ) ) {
+			return false;
+		}
+
+		switch_to_blog( $site_id );
+		update_option( self::SOURCE_OPTION_KEY, 'network' );
+		delete_option( WCS_RRE_Rules_Manager::OPTION_KEY );
+		wp_cache_delete( WCS_RRE_Rules_Manager::OPTION_KEY, 'options' );
+		restore_current_blog();
+
+		return true;
+	}
+
+	/**
+	 * Stop the current site inheriting the network rules, as it publishes or resets its own.
+	 */
+	public function override() {
+		if ( is_multisite() && ! $this->network_scope ) {
+			delete_option( self::SOURCE_OPTION_KEY );
+		}
+	}
+
+	/**
+	 * Get which rules each site of the network uses.
+	 *
+	 * @return array List of sites with id, name, url, admin_url, source (inherited, custom or default) and modified_at.
+	 */
+	public function get_sites_overview() {
+		$network_config = $this->get_network_config();
+		$sites          = array();
+
+		foreach ( get_sites( array( 'number' => 0, 'network_id' => get_current_network_id() ) ) as $site ) {
+			switch_to_blog( $site->blog_id );
+
+			$config   = get_option( WCS_RRE_Rules_Manager::OPTION_KEY, array() );
+			$inherits = 'network' === get_option( self::SOURCE_OPTION_KEY );
+
+			if ( $inherits ) {
+				$source = 'inherited';
+				$config = $network_config;
+			} else {
+				$source = is_array( $config ) && ! empty( $config['rules'] ) ? 'custom' : 'default';
+			}
+
+			$sites[] = array(
+				'id'          => (int) $site->blog_id,
+				'name'        => get_option( 'blogname' ),
+				'url'         => home_url( '/' ),
+				'admin_url'   => admin_url( 'admin.php?page=' . WCS_RRE_Admin::PAGE_SLUG ),
+				'source'      => $source,
+				'modified_at' => is_array( $config ) && isset( $config['modified_at'] ) ? $config['modified_at'] : '',
+			);
+
+			restore_current_blog();
+		}
+
+		return $sites;
+	}
+}
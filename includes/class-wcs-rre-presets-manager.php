@@ -0,0 +1,264 @@
+<?php
+/**
+ * Presets Manager Class
+ *
+ * Provides built-in rule set templates and stores custom presets.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manages retry rule presets.
+ */
+class WCS_RRE_Presets_Manager {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Presets_Manager
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option key for storing custom presets.
+	 */
+	const OPTION_KEY = 'wcs_rre_presets';
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Network instance, which decides whether the site's or the network's presets are stored.
+	 *
+	 * @var WCS_RRE_Network
+	 */
+	private $network;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Presets_Manager
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {
+		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+		$this->network       = WCS_RRE_Network::instance();
+	}
+
+	/**
+	 * Get all presets, built-in first.
+	 *
+	 * @return array List of presets.
+	 */
+	public function get_presets() {
+		return array_merge( $this->get_builtin_presets(), $this->get_custom_presets() );
+	}
+
+	/**
+	 * Get the presets that ship with the plugin.
+	 *
+	 * @return array List of presets.
+	 */
+	public function get_builtin_presets() {
+		$customer = 'WCS_Email_Customer_Payment_Retry';
+		$admin    = 'WCS_Email_Payment_Retry';
+
+		$presets = array(
+			array(
+				'id'          => 'aggressive',
+				'name'        => __( 'Aggressive (hours)', 'wcs-retry-rules-editor' ),
+				'description' => __( 'Five retries within two days, for gateways that tolerate frequent attempts.', 'wcs-retry-rules-editor' ),
+				'rules'       => array(
+					$this->build_rule( HOUR_IN_SECONDS, '', $admin ),
+					$this->build_rule( 3 * HOUR_IN_SECONDS, '', $admin ),
+					$this->build_rule( 6 * HOUR_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 12 * HOUR_IN_SECONDS, '', $admin ),
+					$this->build_rule( 24 * HOUR_IN_SECONDS, $customer, $admin ),
+				),
+			),
+			array(
+				'id'          => 'standard',
+				'name'        => __( 'Standard (WCS defaults)', 'wcs-retry-rules-editor' ),
+				'description' => __( 'The schedule WooCommerce Subscriptions uses out of the box.', 'wcs-retry-rules-editor' ),
+				'rules'       => $this->rules_manager->get_wcs_defaults(),
+			),
+			array(
+				'id'          => 'gentle',
+				'name'        => __( 'Gentle (two weeks)', 'wcs-retry-rules-editor' ),
+				'description' => __( 'Five retries spread over two weeks, giving customers time to update their card.', 'wcs-retry-rules-editor' ),
+				'rules'       => array(
+					$this->build_rule( DAY_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 2 * DAY_IN_SECONDS, '', $admin ),
+					$this->build_rule( 3 * DAY_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 4 * DAY_IN_SECONDS, '', $admin ),
+					$this->build_rule( 4 * DAY_IN_SECONDS, $customer, $admin ),
+				),
+			),
+			array(
+				'id'          => 'dunning',
+				'name'        => __( 'Dunning-heavy', 'wcs-retry-rules-editor' ),
+				'description' => __( 'The default schedule with a customer email on every attempt.', 'wcs-retry-rules-editor' ),
+				'rules'       => array(
+					$this->build_rule( 12 * HOUR_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 12 * HOUR_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 24 * HOUR_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 48 * HOUR_IN_SECONDS, $customer, $admin ),
+					$this->build_rule( 72 * HOUR_IN_SECONDS, $customer, $admin ),
+				),
+			),
+		);
+
+		return array_map(
+			function ( $preset ) {
+				$preset['builtin'] = true;
+				return $preset;
+			},
+			$presets
+		);
+	}
+
+	/**
+	 * Get presets saved by store admins.
+	 *
+	 * @return array List of presets.
+	 */
+	public function get_custom_presets() {
+		$presets = $this->network->get_option( self::OPTION_KEY, array() );
+		if ( ! is_array( $presets ) ) {
+			return array();
+		}
+
+		return array_map(
+			function ( $preset ) {
+				$preset['builtin'] = false;
+				return $preset;
+			},
+			array_values( $presets )
+		);
+	}
+
+	/**
+	 * Save the given rules as a named custom preset.
+	 *
+	 * @param string $name  Preset name.
+	 * @param array  $rules Array of rule configurations.
+	 * @return array|WP_Error The saved preset, or WP_Error on failure.
+	 */
+	public function save_preset( $name, $rules ) {
+		$name = sanitize_text_field( $name );
+		if ( '' === $name ) {
+			return new WP_Error(
+				'invalid_preset_name',
+				__( 'Preset name is required.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( ! is_array( $rules ) || empty( $rules ) ) {
+			return new WP_Error(
+				'invalid_rules',
+				__( 'A preset needs at least one rule.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$errors = $this->rules_manager->validate_rules( $rules );
+		if ( ! empty( $errors ) ) {
+			$index = key( $errors );
+			return new WP_Error(
+				'invalid_rule',
+				sprintf(
+					/* translators: 1: rule number, 2: error message */
+					__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+					$index + 1,
+					$errors[ $index ]
+				)
+			);
+		}
+
+		$preset = array(
+			'id'          => 'custom-' . wp_generate_uuid4(),
+			'name'        => $name,
+			'description' => '',
+			'rules'       => array_map( array( $this->rules_manager, 'sanitize_rule' ), array_values( $rules ) ),
+			'created_at'  => current_time( 'c' ),
+			'created_by'  => get_current_user_id(),
+		);
+
+		$presets   = $this->network->get_option( self::OPTION_KEY, array() );
+		$presets   = is_array( $presets ) ? $presets : array();
+		$presets[] = $preset;
+
+		$this->network->update_option( self::OPTION_KEY, array_values( $presets ), false );
+
+		$preset['builtin'] = false;
+		return $preset;
+	}
+
+	/**
+	 * Delete a custom preset.
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @return true|WP_Error True on success, WP_Error if not found.
+	 */
+	public function delete_preset( $preset_id ) {
+		$presets = $this->network->get_option( self::OPTION_KEY, array() );
+		$presets = is_array( $presets ) ? $presets : array();
+		$kept    = array_filter(
+			$presets,
+			function ( $preset ) use ( $preset_id ) {
+				return $preset['id'] !== $preset_id;
+			}
+		);
+
+		if ( count( $kept ) === count( $presets ) ) {
+			return new WP_Error(
+				'preset_not_found',
+				__( 'Preset not found. Built-in presets cannot be deleted.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$this->network->update_option( self::OPTION_KEY, array_values( $kept ), false );
+
+		return true;
+	}
+
+	/**
+	 * Build a preset rule with pending/on-hold statuses and no overrides.
+	 *
+	 * @param int    $interval       Retry interval in seconds.
+	 * @param string $customer_email Customer email template class or empty string.
+	 * @param string $admin_email    Admin email template class or empty string.
+	 * @return array Rule configuration.
+	 */
+	private function build_rule( $interval, $customer_email, $admin_email ) {
+		return array(
+			'retry_after_interval'              => $interval,
+			'email_template_customer'           => $customer_email,
+			'email_template_admin'              => $admin_email,
+			'status_to_apply_to_order'          => 'pending',
+			'status_to_apply_to_subscription'   => 'on-hold',
+			'email_override_customer'           => false,
+			'email_override_admin'              => false,
+			'email_subject_customer'            => '',
+			'email_heading_customer'            => '',
+			'email_additional_content_customer' => '',
+			'email_subject_admin'               => '',
+			'email_heading_admin'               => '',
+			'email_additional_content_admin'    => '',
+		);
+	}
+}
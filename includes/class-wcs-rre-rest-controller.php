@@ -14,6 +14,18 @@ defined( 'ABSPATH' ) || exit;
  */
 class WCS_RRE_REST_Controller extends WP_REST_Controller {
 
+	/**
+	 * Matches a placeholder wrapped by mark_placeholders() after substitution.
+	 *
+	 * Captures the placeholder name and the text it was replaced with.
+	 */
+	const PLACEHOLDER_MARKER_PATTERN = '/\x{E000}([a-z0-9_]+)\x{E002}(.*?)\x{E001}/su';
+
+	/**
+	 * Number of products returned by a product search.
+	 */
+	const PRODUCT_SEARCH_LIMIT = 20;
+
 	/**
 	 * API namespace.
 	 *
@@ -28,11 +40,67 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 	 */
 	private $rules_manager;
 
+	/**
+	 * Presets manager instance.
+	 *
+	 * @var WCS_RRE_Presets_Manager
+	 */
+	private $presets_manager;
+
+	/**
+	 * Templates manager instance.
+	 *
+	 * @var WCS_RRE_Templates_Manager
+	 */
+	private $templates_manager;
+
+	/**
+	 * Experiments manager instance.
+	 *
+	 * @var WCS_RRE_Experiments_Manager
+	 */
+	private $experiments_manager;
+
+	/**
+	 * Scheduler instance.
+	 *
+	 * @var WCS_RRE_Scheduler
+	 */
+	private $scheduler;
+
+	/**
+	 * Analytics instance.
+	 *
+	 * @var WCS_RRE_Analytics
+	 */
+	private $analytics;
+
+	/**
+	 * Audit log instance.
+	 *
+	 * @var WCS_RRE_Audit_Log
+	 */
+	private $audit_log;
+
+	/**
+	 * Network instance.
+	 *
+	 * @var WCS_RRE_Network
+	 */
+	private $network;
+
 	/**
 	 * Constructor.
 	 */
 	public function __construct() {
-		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+		$this->rules_manager       = WCS_RRE_Rules_Manager::instance();
+		$this->presets_manager     = WCS_RRE_Presets_Manager::instance();
+		$this->templates_manager   = WCS_RRE_Templates_Manager::instance();
+		$this->experiments_manager = WCS_RRE_Experiments_Manager::instance();
+		$this->scheduler           = WCS_RRE_Scheduler::instance();
+		$this->analytics           = WCS_RRE_Analytics::instance();
+		$this->audit_log           = WCS_RRE_Audit_Log::instance();
+		$this->network             = WCS_RRE_Network::instance();
 	}
 
 	/**
@@ -53,213 +121,1892 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 					'methods'             => WP_REST_Server::CREATABLE,
 					'callback'            => array( $this, 'update_rules' ),
 					'permission_callback' => array( $this, 'check_permissions' ),
-					'args'                => $this->get_rules_args(),
+					'args'                => array_merge(
+						$this->get_rules_args(),
+						$this->get_version_arg(),
+						array(
+							'import_file' => array(
+								'type'              => 'string',
+								'sanitize_callback' => 'sanitize_file_name',
+							),
+						)
+					),
+				),
+			)
+		);
+
+		// POST publish draft endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/rules/publish',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'publish_draft' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => $this->get_version_arg(),
+			)
+		);
+
+		// DELETE draft endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/rules/draft',
+			array(
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => array( $this, 'discard_draft' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => $this->get_version_arg(),
+			)
+		);
+
+		// GET/POST/DELETE scheduled rules endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/schedule',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_schedule' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_schedule' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+					'args'                => array_merge(
+						$this->get_rules_args(),
+						array(
+							'activate_at' => array(
+								'required'          => true,
+								'type'              => 'string',
+								'validate_callback' => array( $this, 'validate_datetime_param' ),
+							),
+							'revert_at'   => array(
+								'type'              => 'string',
+								'default'           => '',
+								'validate_callback' => array( $this, 'validate_datetime_param' ),
+							),
+						)
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'cancel_schedule' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+				),
+			)
+		);
+
+		// POST validate endpoint (used when importing rule files).
+		register_rest_route(
+			$this->namespace,
+			'/validate',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'validate_rules' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'rules'        => array(
+						'required' => true,
+						'type'     => 'array',
+					),
+					'rule_sets'    => array(
+						'type' => 'array',
+					),
+					'final_action' => array(
+						'type' => 'object',
+					),
+				),
+			)
+		);
+
+		// GET audit log endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/audit-log',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_audit_log' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'user'  => array(
+						'type'    => 'integer',
+						'minimum' => 0,
+						'default' => 0,
+					),
+					'start'   => array(
+						'type'              => 'string',
+						'validate_callback' => array( $this, 'validate_date_param' ),
+					),
+					'end'     => array(
+						'type'              => 'string',
+						'validate_callback' => array( $this, 'validate_date_param' ),
+					),
+					'refresh' => array(
+						'type'    => 'boolean',
+						'default' => false,
+					),
+				),
+			)
+		);
+
+		// GET revisions endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/revisions',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_revisions' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		// GET retry insights endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/insights',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_insights' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'start' => array(
+						'type'              => 'string',
+						'validate_callback' => array( $this, 'validate_date_param' ),
+					),
+					'end'   => array(
+						'type'              => 'string',
+						'validate_callback' => array( $this, 'validate_date_param' ),
+					),
+				),
+			)
+		);
+
+		// GET/POST/DELETE experiment endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/experiment',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_experiment' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'save_experiment' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+					'args'                => array(
+						'rules' => array(
+							'required'          => true,
+							'type'              => 'array',
+							'validate_callback' => array( $this, 'validate_rules_param' ),
+						),
+						'split' => array(
+							'type'    => 'integer',
+							'minimum' => 1,
+							'maximum' => 99,
+							'default' => 50,
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'end_experiment' ),
+					'permission_callback' => array( $this, 'check_site_permissions' ),
+				),
+			)
+		);
+
+		// POST promote experiment arm endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/experiment/promote',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'promote_experiment_arm' ),
+				'permission_callback' => array( $this, 'check_site_permissions' ),
+				'args'                => array_merge(
+					$this->get_version_arg(),
+					array(
+						'arm'           => array(
+							'required' => true,
+							'type'     => 'string',
+							'enum'     => array( WCS_RRE_Experiments_Manager::ARM_CONTROL, WCS_RRE_Experiments_Manager::ARM_VARIANT ),
+						),
+						'discard_draft' => array(
+							'type'    => 'boolean',
+							'default' => false,
+						),
+					)
+				),
+			)
+		);
+
+		// GET/POST presets endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/presets',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_presets' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_preset' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+					'args'                => array(
+						'name'  => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'rules' => array(
+							'required'          => true,
+							'type'              => 'array',
+							'validate_callback' => array( $this, 'validate_rules_param' ),
+						),
+					),
+				),
+			)
+		);
+
+		// DELETE preset endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/presets/(?P<id>[a-zA-Z0-9_-]+)',
+			array(
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => array( $this, 'delete_preset' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		// GET/POST named email templates endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/email-templates',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_email_templates' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'save_email_template' ),
+					'permission_callback' => array( $this, 'check_permissions' ),
+					'args'                => array(
+						'id'        => array(
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_key',
+						),
+						'name'      => array(
+							'required'          => true,
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						),
+						'recipient' => array(
+							'required'          => true,
+							'type'              => 'string',
+							'validate_callback' => array( $this, 'validate_email_preview_recipient' ),
+						),
+						'subject'   => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'heading'   => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+						'body'      => array(
+							'required' => true,
+							'type'     => 'string',
+						),
+					),
+				),
+			)
+		);
+
+		// DELETE named email template endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/email-templates/(?P<id>[a-zA-Z0-9_-]+)',
+			array(
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => array( $this, 'delete_email_template' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		// GET defaults endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/defaults',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_defaults' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		// POST reset endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/reset',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'reset_to_defaults' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'target' => array(
+						'type'    => 'string',
+						'enum'    => array( 'defaults', 'network' ),
+						'default' => 'defaults',
+					),
+				),
+			)
+		);
+
+		// GET network sites overview endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/network/sites',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_network_sites' ),
+				'permission_callback' => array( $this, 'check_network_permissions' ),
+			)
+		);
+
+		// POST push network rules endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/network/push',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'push_network_rules' ),
+				'permission_callback' => array( $this, 'check_network_permissions' ),
+				'args'                => array(
+					'sites' => array(
+						'required' => true,
+						'type'     => 'array',
+						'items'    => array(
+							'type' => 'integer',
+						),
+						'minItems' => 1,
+					),
+				),
+			)
+		);
+
+		// GET config endpoint (for UI initialization).
+		register_rest_route(
+			$this->namespace,
+			'/config',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_config' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+			)
+		);
+
+		// GET subscription products for rule set conditions.
+		register_rest_route(
+			$this->namespace,
+			'/products',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'search_products' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'search'  => array(
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'include' => array(
+						'type'  => 'array',
+						'items' => array(
+							'type' => 'integer',
+						),
+					),
+				),
+			)
+		);
+
+		// GET/POST email settings endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/email-preview',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'get_email_preview' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'recipient' => array(
+						'required'          => true,
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+						'validate_callback' => array( $this, 'validate_email_preview_recipient' ),
+					),
+					'rule'      => array(
+						'required'          => true,
+						'type'              => 'object',
+						'validate_callback' => array( $this, 'validate_email_preview_rule' ),
+					),
+					'highlight' => array(
+						'type'    => 'boolean',
+						'default' => false,
+					),
+					'format'    => array(
+						'type'    => 'string',
+						'enum'    => array( 'html', 'plain' ),
+						'default' => 'html',
+					),
+					'locale'    => $this->get_locale_arg(),
+				),
+			)
+		);
+
+		// POST test email endpoint.
+		register_rest_route(
+			$this->namespace,
+			'/email-test',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'send_test_email' ),
+				'permission_callback' => array( $this, 'check_permissions' ),
+				'args'                => array(
+					'recipient' => array(
+						'required'          => true,
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+						'validate_callback' => array( $this, 'validate_email_preview_recipient' ),
+					),
+					'rule'      => array(
+						'required'          => true,
+						'type'              => 'object',
+						'validate_callback' => array( $this, 'validate_email_preview_rule' ),
+					),
+					'to'        => array(
+						'required'          => true,
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_email',
+						'validate_callback' => array( $this, 'validate_test_email_address' ),
+					),
+					'locale'    => $this->get_locale_arg(),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check if the current user has permission to access these endpoints.
+	 *
+	 * Requests with a network parameter work on the network rules, which
+	 * need network admin rights.
+	 *
+	 * @param WP_REST_Request|null $request Request object.
+	 * @return bool True if user can manage WooCommerce, or the network for network requests.
+	 */
+	public function check_permissions( $request = null ) {
+		if ( $request instanceof WP_REST_Request && $request->get_param( 'network' ) ) {
+			if ( ! $this->network->can_manage() ) {
+				return false;
+			}
+
+			$this->network->use_network_scope();
+			return true;
+		}
+
+		return current_user_can( 'manage_woocommerce' );
+	}
+
+	/**
+	 * Check if the current user can manage schedules and experiments.
+	 *
+	 * Both belong to a site, so requests for the network rules are refused
+	 * rather than run against the current site.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|WP_Error
+	 */
+	public function check_site_permissions( $request ) {
+		if ( $request->get_param( 'network' ) ) {
+			return new WP_Error(
+				'network_scope_unsupported',
+				__( 'Schedules and experiments belong to a site and cannot be used with the network rules.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return current_user_can( 'manage_woocommerce' );
+	}
+
+	/**
+	 * Check if the current user can manage the network rules.
+	 *
+	 * @return bool
+	 */
+	public function check_network_permissions() {
+		return $this->network->can_manage();
+	}
+
+	/**
+	 * Get the published rules and the draft, if any.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_rules( $request ) {
+		$custom_rules = $this->rules_manager->get_active_rules();
+
+		$meta = array_merge(
+			$this->rules_manager->get_rules_meta(),
+			array(
+				'rule_sets'    => $this->rules_manager->get_rule_sets(),
+				'final_action' => $this->rules_manager->get_final_action(),
+				'draft'        => $this->rules_manager->get_draft(),
+				'version'      => $this->rules_manager->get_version(),
+				'inherits'     => $this->network->site_inherits(),
+			)
+		);
+
+		// If no custom rules, indicate we're using defaults.
+		if ( empty( $custom_rules ) ) {
+			return rest_ensure_response(
+				array_merge(
+					array(
+						'rules'      => $this->rules_manager->get_wcs_defaults(),
+						'is_default' => true,
+						'message'    => __( 'Using WooCommerce Subscriptions default rules', 'wcs-retry-rules-editor' ),
+					),
+					$meta
+				)
+			);
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'rules'      => $custom_rules,
+					'is_default' => false,
+					'message'    => __( 'Using custom rules', 'wcs-retry-rules-editor' ),
+				),
+				$meta
+			)
+		);
+	}
+
+	/**
+	 * Save rules as a draft. Retries keep using the published rules until the draft is published.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function update_rules( $request ) {
+		$rules = $request->get_param( 'rules' );
+
+		if ( ! is_array( $rules ) ) {
+			return new WP_Error(
+				'invalid_rules',
+				__( 'Rules must be an array', 'wcs-retry-rules-editor' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$conflict = $this->check_version( $request );
+		if ( is_wp_error( $conflict ) ) {
+			return $conflict;
+		}
+
+		$before = $this->get_audit_editor_config();
+
+		// Save the draft. Rule sets and the final action are only replaced when the request includes them.
+		$result = $this->rules_manager->save_draft( $rules, $request->get_param( 'rule_sets' ), $request->get_param( 'final_action' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 400 )
+			);
+		}
+
+		// A draft saved from an imported file is recorded as the import, with the file name.
+		$import_file = (string) $request->get_param( 'import_file' );
+		$this->audit_log->record( '' !== $import_file ? 'import' : 'save_draft', $before, $this->get_audit_editor_config(), $import_file );
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'message' => __( 'Draft saved', 'wcs-retry-rules-editor' ),
+				'draft'   => $this->rules_manager->get_draft(),
+				'version' => $this->rules_manager->get_version(),
+			)
+		);
+	}
+
+	/**
+	 * Publish the draft as the rules used for retries.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function publish_draft( $request ) {
+		$conflict = $this->check_version( $request );
+		if ( is_wp_error( $conflict ) ) {
+			return $conflict;
+		}
+
+		$before = $this->get_audit_live_config();
+		$result = $this->rules_manager->publish_draft();
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 'draft_not_found' === $result->get_error_code() ? 404 : 400 )
+			);
+		}
+
+		$this->audit_log->record( 'publish', $before, $this->get_audit_live_config() );
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'success'      => true,
+					'message'      => __( 'Draft published', 'wcs-retry-rules-editor' ),
+					'rules'        => $this->rules_manager->get_active_rules(),
+					'rule_sets'    => $this->rules_manager->get_rule_sets(),
+					'final_action' => $this->rules_manager->get_final_action(),
+					'draft'        => null,
+					'version'      => $this->rules_manager->get_version(),
+				),
+				$this->rules_manager->get_rules_meta()
+			)
+		);
+	}
+
+	/**
+	 * Discard the draft.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function discard_draft( $request ) {
+		$conflict = $this->check_version( $request );
+		if ( is_wp_error( $conflict ) ) {
+			return $conflict;
+		}
+
+		$before = $this->get_audit_editor_config();
+		$result = $this->rules_manager->discard_draft();
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 404 )
+			);
+		}
+
+		$this->audit_log->record( 'discard_draft', $before, $this->get_audit_editor_config() );
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'message' => __( 'Draft discarded', 'wcs-retry-rules-editor' ),
+				'draft'   => null,
+				'version' => $this->rules_manager->get_version(),
+			)
+		);
+	}
+
+	/**
+	 * Get the published rules for an audit entry, with the WCS defaults standing in for no custom rules.
+	 *
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function get_audit_live_config() {
+		$rules = $this->rules_manager->get_active_rules();
+
+		return array(
+			'rules'        => ! empty( $rules ) ? $rules : $this->rules_manager->get_wcs_defaults(),
+			'rule_sets'    => $this->rules_manager->get_rule_sets(),
+			'final_action' => $this->rules_manager->get_final_action(),
+		);
+	}
+
+	/**
+	 * Get the rules the editor works on for an audit entry: the draft, or the published rules.
+	 *
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function get_audit_editor_config() {
+		$draft = $this->rules_manager->get_draft();
+
+		return $draft
+			? array(
+				'rules'        => $draft['rules'],
+				'rule_sets'    => $draft['rule_sets'],
+				'final_action' => $draft['final_action'],
+			)
+			: $this->get_audit_live_config();
+	}
+
+	/**
+	 * Reject a write based on an older version of the rules than the stored one.
+	 *
+	 * Requests without a version are not checked.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return true|WP_Error True if the write may go ahead, 409 error with the stored configuration otherwise.
+	 */
+	private function check_version( $request ) {
+		$version = $request->get_param( 'version' );
+		if ( null === $version || $version === $this->rules_manager->get_version() ) {
+			return true;
+		}
+
+		$current = $this->rules_manager->get_editor_config();
+		if ( 'live' === $current['source'] && empty( $current['rules'] ) ) {
+			$current['rules'] = $this->rules_manager->get_wcs_defaults();
+		}
+
+		return new WP_Error(
+			'rules_conflict',
+			__( 'The rules were changed by someone else after you loaded them.', 'wcs-retry-rules-editor' ),
+			array(
+				'status'  => 409,
+				'current' => array_merge( $current, array( 'version' => $this->rules_manager->get_version() ) ),
+			)
+		);
+	}
+
+	/**
+	 * Get the scheduled rules activation.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_schedule( $request ) {
+		return rest_ensure_response(
+			array(
+				'schedule' => $this->get_schedule_data(),
+			)
+		);
+	}
+
+	/**
+	 * Schedule rules and rule sets to activate later.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function create_schedule( $request ) {
+		$rule_sets = $request->get_param( 'rule_sets' );
+		$revert_at = $request->get_param( 'revert_at' );
+		$before    = $this->get_audit_live_config();
+
+		$result = $this->scheduler->schedule(
+			$request->get_param( 'rules' ),
+			null === $rule_sets ? $this->rules_manager->get_rule_sets() : $rule_sets,
+			$this->parse_store_datetime( $request->get_param( 'activate_at' ) ),
+			'' === $revert_at ? null : $this->parse_store_datetime( $revert_at ),
+			$request->get_param( 'final_action' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 'schedule_active' === $result->get_error_code() ? 409 : 400 )
+			);
+		}
+
+		$details = sprintf(
+			/* translators: %s: date and time */
+			__( 'Activates on %s.', 'wcs-retry-rules-editor' ),
+			$this->format_audit_time( $result['activate_at'] )
+		);
+		if ( null !== $result['revert_at'] ) {
+			$details .= ' ' . sprintf(
+				/* translators: %s: date and time */
+				__( 'Reverts on %s.', 'wcs-retry-rules-editor' ),
+				$this->format_audit_time( $result['revert_at'] )
+			);
+		}
+
+		$this->audit_log->record(
+			'create_schedule',
+			$before,
+			array(
+				'rules'        => $result['rules'],
+				'rule_sets'    => $result['rule_sets'],
+				'final_action' => $result['final_action'],
+			),
+			$details
+		);
+
+		return rest_ensure_response(
+			array(
+				'success'  => true,
+				'message'  => __( 'Rules scheduled', 'wcs-retry-rules-editor' ),
+				'schedule' => $this->get_schedule_data(),
+			)
+		);
+	}
+
+	/**
+	 * Cancel the scheduled activation, or the pending revert of activated rules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function cancel_schedule( $request ) {
+		$schedule = $this->scheduler->get_schedule();
+		$result   = $this->scheduler->cancel();
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 404 )
+			);
+		}
+
+		$config = $this->get_audit_live_config();
+		$this->audit_log->record(
+			'cancel_schedule',
+			$config,
+			$config,
+			WCS_RRE_Scheduler::STATUS_ACTIVE === $schedule['status']
+				/* translators: %s: date and time */
+				? sprintf( __( 'Cancelled the revert on %s.', 'wcs-retry-rules-editor' ), $this->format_audit_time( $schedule['revert_at'] ) )
+				/* translators: %s: date and time */
+				: sprintf( __( 'Cancelled the activation on %s.', 'wcs-retry-rules-editor' ), $this->format_audit_time( $schedule['activate_at'] ) )
+		);
+
+		return rest_ensure_response(
+			array(
+				'success'  => true,
+				'message'  => __( 'Schedule cancelled', 'wcs-retry-rules-editor' ),
+				'schedule' => null,
+			)
+		);
+	}
+
+	/**
+	 * Get the schedule details shown in the editor header.
+	 *
+	 * @return array|null Schedule without its rules, with times in store time, or null.
+	 */
+	private function get_schedule_data() {
+		$schedule = $this->scheduler->get_schedule();
+		if ( ! $schedule ) {
+			return null;
+		}
+
+		$user     = get_userdata( $schedule['created_by'] );
+		$timezone = wp_timezone();
+
+		return array(
+			'id'              => $schedule['id'],
+			'status'          => $schedule['status'],
+			'activate_at'     => wp_date( 'c', $schedule['activate_at'], $timezone ),
+			'revert_at'       => null === $schedule['revert_at'] ? null : wp_date( 'c', $schedule['revert_at'], $timezone ),
+			'created_at'      => $schedule['created_at'],
+			'created_by_name' => $user ? $user->display_name : '',
+			'rule_count'      => count( $schedule['rules'] ),
+			'rule_set_count'  => count( $schedule['rule_sets'] ),
+		);
+	}
+
+	/**
+	 * Format a timestamp for audit entry details, in store time.
+	 *
+	 * @param int $timestamp Timestamp.
+	 * @return string
+	 */
+	private function format_audit_time( $timestamp ) {
+		return wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $timestamp );
+	}
+
+	/**
+	 * Convert a date and time in store time to a timestamp.
+	 *
+	 * @param string $value Date and time (Y-m-d\TH:i).
+	 * @return int Timestamp.
+	 */
+	private function parse_store_datetime( $value ) {
+		$date = date_create_immutable_from_format( '!Y-m-d\TH:i', $value, wp_timezone() );
+		return $date ? $date->getTimestamp() : 0;
+	}
+
+	/**
+	 * Validate a date and time param in store time.
+	 *
+	 * @param string          $value   Date and time (Y-m-d\TH:i), or empty when optional.
+	 * @param WP_REST_Request $request Request object.
+	 * @param string          $param   Parameter name.
+	 * @return bool|WP_Error
+	 */
+	public function validate_datetime_param( $value, $request, $param ) {
+		if ( '' === $value && 'activate_at' !== $param ) {
+			return true;
+		}
+
+		$date = is_string( $value ) ? date_create_immutable_from_format( '!Y-m-d\TH:i', $value, wp_timezone() ) : false;
+		if ( $date && $date->format( 'Y-m-d\TH:i' ) === $value ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'invalid_datetime',
+			__( 'Times must use the YYYY-MM-DDTHH:MM format.', 'wcs-retry-rules-editor' )
+		);
+	}
+
+	/**
+	 * Validate rules without saving them.
+	 *
+	 * Runs the same per-rule checks as validate_rules_param(), but reports
+	 * every invalid rule instead of only the first one.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function validate_rules( $request ) {
+		$errors = $this->rules_manager->validate_rules( $request->get_param( 'rules' ) );
+		$result = array();
+
+		foreach ( $errors as $index => $message ) {
+			$result[] = array(
+				'index'   => $index,
+				'message' => sprintf(
+					/* translators: 1: rule number, 2: error message */
+					__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+					$index + 1,
+					$message
+				),
+			);
+		}
+
+		$rule_sets = $request->get_param( 'rule_sets' );
+		if ( null !== $rule_sets ) {
+			foreach ( $this->rules_manager->validate_rule_sets( $rule_sets ) as $index => $message ) {
+				$result[] = array(
+					'rule_set' => $index,
+					'message'  => $message,
+				);
+			}
+		}
+
+		$final_action = $request->get_param( 'final_action' );
+		$final_check  = null !== $final_action ? $this->rules_manager->validate_final_action( $final_action ) : true;
+		if ( is_wp_error( $final_check ) ) {
+			$result[] = array(
+				'final_action' => true,
+				'message'      => $final_check->get_error_message(),
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'valid'  => empty( $result ),
+				'errors' => $result,
+			)
+		);
+	}
+
+	/**
+	 * Get audit entries of rule changes, optionally filtered by user and date.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_audit_log( $request ) {
+		return rest_ensure_response(
+			array(
+				'entries' => $this->audit_log->get_entries(
+					$request->get_param( 'user' ),
+					(string) $request->get_param( 'start' ),
+					(string) $request->get_param( 'end' )
+				),
+				'users'   => $this->audit_log->get_users(),
+			)
+		);
+	}
+
+	/**
+	 * Get saved revisions.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_revisions( $request ) {
+		return rest_ensure_response(
+			array(
+				'revisions' => $this->rules_manager->get_revisions(),
+			)
+		);
+	}
+
+	/**
+	 * Get retry statistics per rule position and revision period.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function get_insights( $request ) {
+		$range = $this->analytics->get_default_range();
+		$stats = $this->analytics->get_stats(
+			$request->get_param( 'start' ) ? $request->get_param( 'start' ) : $range['start'],
+			$request->get_param( 'end' ) ? $request->get_param( 'end' ) : $range['end'],
+			(bool) $request->get_param( 'refresh' )
+		);
+
+		if ( is_wp_error( $stats ) ) {
+			return new WP_Error(
+				$stats->get_error_code(),
+				$stats->get_error_message(),
+				array( 'status' => 'retries_unavailable' === $stats->get_error_code() ? 501 : 400 )
+			);
+		}
+
+		return rest_ensure_response( $stats );
+	}
+
+	/**
+	 * Get the running experiment with per-arm retry statistics.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_experiment( $request ) {
+		return rest_ensure_response( $this->get_experiment_data() );
+	}
+
+	/**
+	 * Start an experiment, or update the running one.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function save_experiment( $request ) {
+		$result = $this->experiments_manager->save_experiment(
+			$request->get_param( 'rules' ),
+			$request->get_param( 'split' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'success' => true,
+					'message' => __( 'Experiment saved', 'wcs-retry-rules-editor' ),
+				),
+				$this->get_experiment_data()
+			)
+		);
+	}
+
+	/**
+	 * End the running experiment without changing the global rules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function end_experiment( $request ) {
+		$result = $this->experiments_manager->end_experiment();
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'success' => true,
+					'message' => __( 'Experiment ended', 'wcs-retry-rules-editor' ),
+				),
+				$this->get_experiment_data()
+			)
+		);
+	}
+
+	/**
+	 * End the running experiment, making the winning arm's rules the global rules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function promote_experiment_arm( $request ) {
+		$variant = WCS_RRE_Experiments_Manager::ARM_VARIANT === $request->get_param( 'arm' );
+		$draft   = $variant ? $this->rules_manager->get_draft() : null;
+
+		if ( $variant ) {
+			$conflict = $this->check_version( $request );
+			if ( is_wp_error( $conflict ) ) {
+				return $conflict;
+			}
+		}
+
+		// Publishing the draft later would silently replace the promoted rules.
+		if ( $draft && ! $request->get_param( 'discard_draft' ) ) {
+			return new WP_Error(
+				'draft_exists',
+				__( 'A saved draft would replace the promoted variant when published. Discard the draft to promote the variant.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$before = $this->get_audit_live_config();
+		$result = $this->experiments_manager->promote( $request->get_param( 'arm' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 'experiment_not_found' === $result->get_error_code() ? 404 : 400 )
+			);
+		}
+
+		if ( $variant ) {
+			$this->audit_log->record( 'promote', $before, $this->get_audit_live_config() );
+		}
+
+		if ( $draft ) {
+			$draft_config = $this->get_audit_editor_config();
+			$this->rules_manager->discard_draft();
+			$this->audit_log->record( 'discard_draft', $draft_config, $this->get_audit_editor_config() );
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'success'      => true,
+					'message'      => __( 'Experiment ended and winner promoted', 'wcs-retry-rules-editor' ),
+					'rules'        => $this->rules_manager->get_active_rules(),
+					'rule_sets'    => $this->rules_manager->get_rule_sets(),
+					'final_action' => $this->rules_manager->get_final_action(),
+					'draft'        => $this->rules_manager->get_draft(),
+					'version'      => $this->rules_manager->get_version(),
+				),
+				$this->rules_manager->get_rules_meta(),
+				$this->get_experiment_data()
+			)
+		);
+	}
+
+	/**
+	 * Get the running experiment, the control arm's rules and per-arm statistics.
+	 *
+	 * @return array
+	 */
+	private function get_experiment_data() {
+		$experiment = $this->experiments_manager->get_experiment();
+		if ( ! $experiment ) {
+			return array(
+				'experiment' => null,
+				'stats'      => null,
+			);
+		}
+
+		$user  = get_userdata( $experiment['started_by'] );
+		$stats = $this->analytics->get_experiment_stats( $experiment );
+		$rules = $this->rules_manager->get_active_rules();
+
+		$experiment['started_by_name'] = $user ? $user->display_name : '';
+		$experiment['control_rules']   = ! empty( $rules ) ? $rules : $this->rules_manager->get_wcs_defaults();
+
+		return array(
+			'experiment' => $experiment,
+			'stats'      => is_wp_error( $stats ) ? null : $stats,
+		);
+	}
+
+	/**
+	 * Validate a date param.
+	 *
+	 * @param string $value Date (Y-m-d).
+	 * @return bool|WP_Error
+	 */
+	public function validate_date_param( $value ) {
+		if ( is_string( $value ) && preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $value, $parts ) && checkdate( (int) $parts[2], (int) $parts[3], (int) $parts[1] ) ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'invalid_date',
+			__( 'Dates must use the YYYY-MM-DD format.', 'wcs-retry-rules-editor' )
+		);
+	}
+
+	/**
+	 * Get built-in and custom presets.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_presets( $request ) {
+		return rest_ensure_response(
+			array(
+				'presets' => $this->presets_manager->get_presets(),
+			)
+		);
+	}
+
+	/**
+	 * Save the posted rules as a custom preset.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function create_preset( $request ) {
+		$preset = $this->presets_manager->save_preset(
+			$request->get_param( 'name' ),
+			$request->get_param( 'rules' )
+		);
+
+		if ( is_wp_error( $preset ) ) {
+			return new WP_Error(
+				$preset->get_error_code(),
+				$preset->get_error_message(),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'message' => __( 'Preset saved', 'wcs-retry-rules-editor' ),
+				'preset'  => $preset,
+				'presets' => $this->presets_manager->get_presets(),
+			)
+		);
+	}
+
+	/**
+	 * Delete a custom preset.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function delete_preset( $request ) {
+		$result = $this->presets_manager->delete_preset( $request->get_param( 'id' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'message' => __( 'Preset deleted', 'wcs-retry-rules-editor' ),
+				'presets' => $this->presets_manager->get_presets(),
+			)
+		);
+	}
+
+	/**
+	 * Get named email templates.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_email_templates( $request ) {
+		return rest_ensure_response(
+			array(
+				'templates'       => $this->templates_manager->get_templates(),
+				'email_templates' => $this->get_email_template_options(),
+			)
+		);
+	}
+
+	/**
+	 * Create or update a named email template.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function save_email_template( $request ) {
+		$template = $this->templates_manager->save_template(
+			array(
+				'id'        => $request->get_param( 'id' ),
+				'name'      => $request->get_param( 'name' ),
+				'recipient' => $request->get_param( 'recipient' ),
+				'subject'   => $request->get_param( 'subject' ),
+				'heading'   => $request->get_param( 'heading' ),
+				'body'      => $request->get_param( 'body' ),
+			)
+		);
+
+		if ( is_wp_error( $template ) ) {
+			return new WP_Error(
+				$template->get_error_code(),
+				$template->get_error_message(),
+				array( 'status' => 'template_not_found' === $template->get_error_code() ? 404 : 400 )
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'success'         => true,
+				'message'         => __( 'Email template saved', 'wcs-retry-rules-editor' ),
+				'template'        => $template,
+				'templates'       => $this->templates_manager->get_templates(),
+				'email_templates' => $this->get_email_template_options(),
+			)
+		);
+	}
+
+	/**
+	 * Delete a named email template.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function delete_email_template( $request ) {
+		$result = $this->templates_manager->delete_template( $request->get_param( 'id' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return new WP_Error(
+				$result->get_error_code(),
+				$result->get_error_message(),
+				array( 'status' => 'template_in_use' === $result->get_error_code() ? 409 : 404 )
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'success'         => true,
+				'message'         => __( 'Email template deleted', 'wcs-retry-rules-editor' ),
+				'templates'       => $this->templates_manager->get_templates(),
+				'email_templates' => $this->get_email_template_options(),
+			)
+		);
+	}
+
+	/**
+	 * Get WCS default rules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_defaults( $request ) {
+		return rest_ensure_response(
+			array(
+				'rules' => $this->rules_manager->get_wcs_defaults(),
+			)
+		);
+	}
+
+	/**
+	 * Reset to WCS defaults (delete custom rules and the draft).
+	 *
+	 * With the network target, a site deletes its rules and draft and
+	 * inherits the network rules instead.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function reset_to_defaults( $request ) {
+		$to_network = 'network' === $request->get_param( 'target' );
+
+		if ( $to_network && ( ! is_multisite() || $this->network->is_network_scope() ) ) {
+			return new WP_Error(
+				'invalid_reset_target',
+				__( 'Only a site of a multisite network can revert to the network rules.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( $to_network && ! $this->network->has_network_rules() ) {
+			return new WP_Error(
+				'no_network_rules',
+				__( 'No network rules have been published yet.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$before = $this->get_audit_live_config();
+
+		if ( $to_network ) {
+			$this->network->inherit( get_current_blog_id() );
+		} else {
+			$this->rules_manager->clear_rules();
+		}
+		$this->rules_manager->discard_draft();
+
+		$this->audit_log->record( $to_network ? 'inherit' : 'reset', $before, $this->get_audit_live_config() );
+
+		$rules = $this->rules_manager->get_active_rules();
+
+		return rest_ensure_response(
+			array_merge(
+				array(
+					'success'      => true,
+					'message'      => $to_network
+						? __( 'Rules reverted to the network rules', 'wcs-retry-rules-editor' )
+						: __( 'Rules reset to WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ),
+					'rules'        => ! empty( $rules ) ? $rules : $this->rules_manager->get_wcs_defaults(),
+					'is_default'   => empty( $rules ),
+					'final_action' => $this->rules_manager->get_final_action(),
+					'version'      => $this->rules_manager->get_version(),
+					'inherits'     => $this->network->site_inherits(),
+				),
+				$this->rules_manager->get_rules_meta()
+			)
+		);
+	}
+
+	/**
+	 * Get which rules each site of the network uses.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_network_sites( $request ) {
+		return rest_ensure_response(
+			array(
+				'sites' => $this->network->get_sites_overview(),
+			)
+		);
+	}
+
+	/**
+	 * Make the selected sites inherit the network rules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response or error.
+	 */
+	public function push_network_rules( $request ) {
+		if ( ! $this->network->has_network_rules() ) {
+			return new WP_Error(
+				'no_network_rules',
+				__( 'Publish the network rules before pushing them to sites.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$names = array();
+		foreach ( array_unique( array_map( 'absint', $request->get_param( 'sites' ) ) ) as $site_id ) {
+			if ( $this->network->inherit( $site_id ) ) {
+				$names[] = get_blog_option( $site_id, 'blogname' );
+			}
+		}
+
+		if ( empty( $names ) ) {
+			return new WP_Error(
+				'sites_not_found',
+				__( 'None of the selected sites were found.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$this->network->use_network_scope();
+		$config = $this->get_audit_live_config();
+		$this->audit_log->record( 'push', $config, $config, implode( ', ', $names ) );
+
+		return rest_ensure_response(
+			array(
+				'success' => true,
+				'message' => sprintf(
+					/* translators: %s: number of sites */
+					_n( 'Network rules pushed to %s site.', 'Network rules pushed to %s sites.', count( $names ), 'wcs-retry-rules-editor' ),
+					number_format_i18n( count( $names ) )
+				),
+				'sites'   => $this->network->get_sites_overview(),
+			)
+		);
+	}
+
+	/**
+	 * Get configuration data for the admin UI.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_config( $request ) {
+		return rest_ensure_response(
+			array(
+				'order_statuses'        => $this->rules_manager->get_order_statuses_for_ui(),
+				'subscription_statuses' => $this->rules_manager->get_subscription_statuses_for_ui(),
+				'email_templates'       => $this->get_email_template_options(),
+				'min_interval'          => WCS_RRE_Rules_Manager::MIN_INTERVAL,
+				'billing_period_length' => $this->get_billing_period_length(),
+				'email_preview'         => $this->get_email_preview_config(),
+				'store_time'            => current_time( 'Y-m-d\\TH:i' ),
+				'timezone'              => wp_timezone_string(),
+				'currency'              => function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : '',
+				'condition_options'     => $this->get_condition_options(),
+				'decline_categories'    => $this->rules_manager->get_decline_categories(),
+				'network'               => array(
+					'scope'     => $this->network->is_network_scope(),
+					'available' => is_multisite() && ! $this->network->is_network_scope() && $this->network->has_network_rules(),
+				),
+				'final_action'          => array(
+					'default'               => $this->rules_manager->get_default_final_action(),
+					'subscription_statuses' => $this->get_final_subscription_status_options(),
+					'max_hold_days'         => WCS_RRE_Rules_Manager::MAX_HOLD_DAYS,
+				),
+				'email_locales'         => array(
+					'default' => get_locale(),
+					'locales' => $this->rules_manager->get_email_locales(),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Search subscription products by name, or look up products by ID.
+	 *
+	 * Rule set conditions pick products through this search rather than a
+	 * full list, which would not scale to large catalogs.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function search_products( $request ) {
+		$products = array();
+		$include  = array_filter( array_map( 'absint', (array) $request->get_param( 'include' ) ) );
+		$search   = (string) $request->get_param( 'search' );
+
+		if ( function_exists( 'wc_get_products' ) && ( $include || '' !== $search ) ) {
+			$args = array(
+				'orderby' => 'title',
+				'order'   => 'ASC',
+			);
+
+			if ( $include ) {
+				$args['include'] = $include;
+				$args['limit']   = count( $include );
+			} else {
+				$args['type']  = array( 'subscription', 'variable-subscription' );
+				$args['s']     = $search;
+				$args['limit'] = self::PRODUCT_SEARCH_LIMIT;
+			}
+
+			foreach ( wc_get_products( $args ) as $product ) {
+				$products[] = array(
+					'value' => $product->get_id(),
+					'label' => $product->get_name(),
+				);
+			}
+		}
+
+		return rest_ensure_response( array( 'products' => $products ) );
+	}
+
+	/**
+	 * Get the email dropdown choices per recipient, including named templates.
+	 *
+	 * @return array Associative arrays of rule value => label, keyed by recipient.
+	 */
+	private function get_email_template_options() {
+		return array(
+			'customer' => array_merge(
+				array(
+					''                                 => __( 'None', 'wcs-retry-rules-editor' ),
+					'WCS_Email_Customer_Payment_Retry' => __( 'Payment Retry (Customer)', 'wcs-retry-rules-editor' ),
+				),
+				$this->templates_manager->get_template_options( 'customer' )
+			),
+			'admin'    => array_merge(
+				array(
+					''                        => __( 'None', 'wcs-retry-rules-editor' ),
+					'WCS_Email_Payment_Retry' => __( 'Payment Retry (Admin)', 'wcs-retry-rules-editor' ),
 				),
-			)
+				$this->templates_manager->get_template_options( 'admin' )
+			),
 		);
+	}
 
-		// GET defaults endpoint.
-		register_rest_route(
-			$this->namespace,
-			'/defaults',
+	/**
+	 * Get the subscription status choices of each final action.
+	 *
+	 * @return array Associative arrays of status => label, keyed by action.
+	 */
+	private function get_final_subscription_status_options() {
+		$labels = array_merge(
 			array(
-				'methods'             => WP_REST_Server::READABLE,
-				'callback'            => array( $this, 'get_defaults' ),
-				'permission_callback' => array( $this, 'check_permissions' ),
-			)
+				''          => __( 'Leave unchanged', 'wcs-retry-rules-editor' ),
+				'cancelled' => __( 'Cancelled', 'wcs-retry-rules-editor' ),
+			),
+			$this->rules_manager->get_subscription_statuses_for_ui()
 		);
 
-		// POST reset endpoint.
-		register_rest_route(
-			$this->namespace,
-			'/reset',
-			array(
-				'methods'             => WP_REST_Server::CREATABLE,
-				'callback'            => array( $this, 'reset_to_defaults' ),
-				'permission_callback' => array( $this, 'check_permissions' ),
-			)
+		return array_map(
+			function ( $statuses ) use ( $labels ) {
+				return array_intersect_key( $labels, array_flip( $statuses ) );
+			},
+			$this->rules_manager->get_final_subscription_statuses()
 		);
+	}
 
-		// GET config endpoint (for UI initialization).
-		register_rest_route(
-			$this->namespace,
-			'/config',
-			array(
-				'methods'             => WP_REST_Server::READABLE,
-				'callback'            => array( $this, 'get_config' ),
-				'permission_callback' => array( $this, 'check_permissions' ),
-			)
+	/**
+	 * Get the choices offered for rule set conditions.
+	 *
+	 * Products are searched for through search_products() instead.
+	 *
+	 * @return array Lists of { value, label } keyed by condition type.
+	 */
+	private function get_condition_options() {
+		$options = array(
+			'categories'      => array(),
+			'payment_methods' => array(),
+			'billing_periods' => array(),
 		);
 
-		// GET/POST email settings endpoint.
-		register_rest_route(
-			$this->namespace,
-			'/email-preview',
+		$terms = get_terms(
 			array(
-				'methods'             => WP_REST_Server::CREATABLE,
-				'callback'            => array( $this, 'get_email_preview' ),
-				'permission_callback' => array( $this, 'check_permissions' ),
-				'args'                => array(
-					'recipient' => array(
-						'required'          => true,
-						'type'              => 'string',
-						'sanitize_callback' => 'sanitize_text_field',
-						'validate_callback' => array( $this, 'validate_email_preview_recipient' ),
-					),
-					'rule'      => array(
-						'required'          => true,
-						'type'              => 'object',
-						'validate_callback' => array( $this, 'validate_email_preview_rule' ),
-					),
-				),
+				'taxonomy'   => 'product_cat',
+				'hide_empty' => false,
 			)
 		);
+		if ( ! is_wp_error( $terms ) ) {
+			foreach ( $terms as $term ) {
+				$options['categories'][] = array(
+					'value' => $term->term_id,
+					'label' => $term->name,
+				);
+			}
+		}
+
+		if ( function_exists( 'WC' ) && WC()->payment_gateways() ) {
+			foreach ( WC()->payment_gateways()->payment_gateways() as $gateway ) {
+				if ( 'yes' !== $gateway->enabled || ! $gateway->supports( 'subscriptions' ) ) {
+					continue;
+				}
+				$options['payment_methods'][] = array(
+					'value' => $gateway->id,
+					'label' => $gateway->get_method_title(),
+				);
+			}
+		}
+
+		foreach ( $this->rules_manager->get_billing_periods() as $period => $label ) {
+			$options['billing_periods'][] = array(
+				'value' => $period,
+				'label' => $label,
+			);
+		}
+
+		return $options;
 	}
 
 	/**
-	 * Check if the current user has permission to access these endpoints.
+	 * Get the length of the shortest billing period among the store's subscription products,
+	 * used to warn about long retry windows.
 	 *
-	 * @return bool True if user can manage WooCommerce.
+	 * @return int Length in seconds, or one month if no subscription product has a billing period.
 	 */
-	public function check_permissions() {
-		return current_user_can( 'manage_woocommerce' );
+	private function get_billing_period_length() {
+		$length = $this->rules_manager->get_shortest_billing_period();
+
+		/**
+		 * Filter the billing period length the editor compares the retry window against.
+		 *
+		 * Defaults to the shortest billing period of the store's published
+		 * subscription products and variations, or one month if there are none.
+		 *
+		 * @param int $length Length in seconds.
+		 */
+		return absint( apply_filters( 'wcs_rre_billing_period_length', $length ? $length : MONTH_IN_SECONDS ) );
 	}
 
 	/**
-	 * Get current rules.
+	 * Get email preview HTML, or the plain text version, for a retry email type.
 	 *
 	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response Response object.
+	 * @return WP_REST_Response|WP_Error Response or error.
 	 */
-	public function get_rules( $request ) {
-		$custom_rules = $this->rules_manager->get_active_rules();
+	public function get_email_preview( $request ) {
+		$highlight = (bool) $request->get_param( 'highlight' );
+		$plain     = 'plain' === $request->get_param( 'format' );
+		$rendered  = $this->render_email( $request->get_param( 'rule' ), $request->get_param( 'recipient' ), $highlight, $plain, $request->get_param( 'locale' ) );
 
-		// If no custom rules, indicate we're using defaults.
-		if ( empty( $custom_rules ) ) {
-			return rest_ensure_response(
-				array(
-					'rules'      => $this->rules_manager->get_wcs_defaults(),
-					'is_default' => true,
-					'message'    => __( 'Using WooCommerce Subscriptions default rules', 'wcs-retry-rules-editor' ),
-				)
+		if ( is_wp_error( $rendered ) ) {
+			return $rendered;
+		}
+
+		if ( ! $highlight ) {
+			$response = array(
+				'type'    => $rendered['type'],
+				'subject' => $rendered['subject'],
+				'heading' => $rendered['heading'],
 			);
+
+			if ( $plain ) {
+				$response['text'] = $rendered['text'];
+			} else {
+				$response['html'] = $rendered['html'];
+			}
+
+			return rest_ensure_response( $response );
 		}
 
-		return rest_ensure_response(
-			array(
-				'rules'      => $custom_rules,
-				'is_default' => false,
-				'message'    => __( 'Using custom rules', 'wcs-retry-rules-editor' ),
-			)
+		$placeholders = array();
+		$response     = array(
+			'type'         => $rendered['type'],
+			'subject'      => $this->strip_placeholder_markers( $rendered['subject'] ),
+			'heading'      => $this->strip_placeholder_markers( $rendered['heading'] ),
+			'subject_html' => $this->highlight_placeholders( esc_html( $rendered['subject'] ), $placeholders ),
+			'heading_html' => $this->highlight_placeholders( esc_html( $rendered['heading'] ), $placeholders ),
 		);
+
+		if ( $plain ) {
+			$response['text']      = $this->strip_placeholder_markers( $rendered['text'] );
+			$response['text_html'] = $this->highlight_placeholders( esc_html( $rendered['text'] ), $placeholders );
+		} else {
+			$response['html'] = $this->highlight_email_html( $rendered['html'], $placeholders );
+		}
+
+		$response['placeholders'] = array_values( $placeholders );
+
+		return rest_ensure_response( $response );
 	}
 
 	/**
-	 * Update/save rules.
+	 * Send a rule's retry email, rendered with preview data, to an address.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error Response or error.
 	 */
-	public function update_rules( $request ) {
-		$rules = $request->get_param( 'rules' );
+	public function send_test_email( $request ) {
+		$to       = $request->get_param( 'to' );
+		$rendered = $this->render_email( $request->get_param( 'rule' ), $request->get_param( 'recipient' ), false, false, $request->get_param( 'locale' ) );
 
-		if ( ! is_array( $rules ) ) {
-			return new WP_Error(
-				'invalid_rules',
-				__( 'Rules must be an array', 'wcs-retry-rules-editor' ),
-				array( 'status' => 400 )
-			);
+		if ( is_wp_error( $rendered ) ) {
+			return $rendered;
 		}
 
-		// Save the rules.
-		$result = $this->rules_manager->save_rules( $rules );
+		$email   = $rendered['email'];
+		$headers = array( 'Content-Type: text/html; charset=UTF-8' );
+		if ( is_a( $email, 'WC_Email' ) ) {
+			$headers[] = sprintf( 'From: %s <%s>', $email->get_from_name(), $email->get_from_address() );
+		}
 
-		if ( is_wp_error( $result ) ) {
+		$error   = null;
+		$capture = function( $wp_error ) use ( &$error ) {
+			$error = $wp_error;
+		};
+
+		add_action( 'wp_mail_failed', $capture );
+		/* translators: %s: email subject */
+		$sent = wp_mail( $to, sprintf( __( '[Test] %s', 'wcs-retry-rules-editor' ), $rendered['subject'] ), $rendered['html'], $headers );
+		remove_action( 'wp_mail_failed', $capture );
+
+		if ( ! $sent ) {
 			return new WP_Error(
-				$result->get_error_code(),
-				$result->get_error_message(),
-				array( 'status' => 400 )
+				'test_email_failed',
+				is_wp_error( $error ) && $error->get_error_message()
+					? $error->get_error_message()
+					: __( 'The test email could not be sent. Check the site mail configuration.', 'wcs-retry-rules-editor' ),
+				array( 'status' => 500 )
 			);
 		}
 
 		return rest_ensure_response(
 			array(
 				'success' => true,
-				'message' => __( 'Rules saved successfully', 'wcs-retry-rules-editor' ),
-				'rules'   => $this->rules_manager->get_active_rules(),
+				/* translators: %s: email address */
+				'message' => sprintf( __( 'Test email sent to %s.', 'wcs-retry-rules-editor' ), $to ),
 			)
 		);
 	}
 
 	/**
-	 * Get WCS default rules.
+	 * Get the argument schema of the rules version a write is based on.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response Response object.
+	 * @return array Arguments schema.
 	 */
-	public function get_defaults( $request ) {
-		return rest_ensure_response(
-			array(
-				'rules' => $this->rules_manager->get_wcs_defaults(),
-			)
+	private function get_version_arg() {
+		return array(
+			'version' => array(
+				'type' => 'string',
+			),
 		);
 	}
 
 	/**
-	 * Reset to WCS defaults (delete custom rules).
+	 * Get the argument schema of the locale used to render email override variants.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response Response object.
+	 * @return array
 	 */
-	public function reset_to_defaults( $request ) {
-		$this->rules_manager->clear_rules();
+	private function get_locale_arg() {
+		return array(
+			'type'              => 'string',
+			'default'           => '',
+			'validate_callback' => array( $this, 'validate_locale_param' ),
+		);
+	}
 
-		return rest_ensure_response(
-			array(
-				'success' => true,
-				'message' => __( 'Rules reset to WooCommerce Subscriptions defaults', 'wcs-retry-rules-editor' ),
-				'rules'   => $this->rules_manager->get_wcs_defaults(),
-			)
+	/**
+	 * Validate an email locale param.
+	 *
+	 * @param string $value Locale, or empty for the default text.
+	 * @return bool|WP_Error
+	 */
+	public function validate_locale_param( $value ) {
+		if ( '' === $value || $this->rules_manager->is_valid_locale( $value ) ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'invalid_locale',
+			__( 'Invalid locale.', 'wcs-retry-rules-editor' )
 		);
 	}
 
 	/**
-	 * Get configuration data for the admin UI.
+	 * Validate the test email address.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response Response object.
+	 * @param string $value Email address.
+	 * @return bool|WP_Error
 	 */
-	public function get_config( $request ) {
-		return rest_ensure_response(
-			array(
-				'order_statuses'        => $this->rules_manager->get_order_statuses_for_ui(),
-				'subscription_statuses' => $this->rules_manager->get_subscription_statuses_for_ui(),
-				'email_templates'       => array(
-					'customer' => array(
-						''                                 => __( 'None', 'wcs-retry-rules-editor' ),
-						'WCS_Email_Customer_Payment_Retry' => __( 'Payment Retry (Customer)', 'wcs-retry-rules-editor' ),
-					),
-					'admin'    => array(
-						''                        => __( 'None', 'wcs-retry-rules-editor' ),
-						'WCS_Email_Payment_Retry' => __( 'Payment Retry (Admin)', 'wcs-retry-rules-editor' ),
-					),
-				),
-				'min_interval'          => WCS_RRE_Rules_Manager::MIN_INTERVAL,
-				'email_preview'         => $this->get_email_preview_config(),
-			)
+	public function validate_test_email_address( $value ) {
+		if ( is_string( $value ) && is_email( $value ) ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'invalid_email_address',
+			__( 'Enter a valid email address.', 'wcs-retry-rules-editor' )
 		);
 	}
 
 	/**
-	 * Get email preview HTML for a retry email type.
+	 * Render a retry email for a rule with WooCommerce email preview data.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|WP_Error Response or error.
+	 * @param array  $rule      Rule payload.
+	 * @param string $recipient Recipient type.
+	 * @param bool   $highlight Whether to mark placeholders for highlighting.
+	 * @param bool   $plain     Whether to also render the plain text version.
+	 * @param string $locale    Locale whose override variants to use. Empty for the default text.
+	 * @return array|WP_Error Rendered type, subject, heading, html, text and email, or error.
 	 */
-	public function get_email_preview( $request ) {
-		$recipient = $request->get_param( 'recipient' );
-		$rule      = $request->get_param( 'rule' );
-		$map       = $this->get_email_template_map();
+	private function render_email( $rule, $recipient, $highlight = false, $plain = false, $locale = '' ) {
+		$map = $this->get_email_template_map();
 
 		$email_type = isset( $map[ $recipient ] ) ? $map[ $recipient ]['class'] : '';
 
@@ -272,8 +2019,12 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 		}
 
 		try {
-			$sanitized_rule = $this->rules_manager->sanitize_rule( $rule );
-			$preview_filters = $this->get_preview_filters( $sanitized_rule, $recipient );
+			$sanitized_rule = $this->templates_manager->prepare_rule( $this->rules_manager->sanitize_rule( $rule ) );
+			foreach ( array( 'subject', 'heading', 'additional_content' ) as $field ) {
+				$sanitized_rule[ 'email_' . $field . '_' . $recipient ] = $this->rules_manager->get_localized_override( $sanitized_rule, $recipient, $field, $locale );
+			}
+
+			$preview_filters = $this->get_preview_filters( $sanitized_rule, $recipient, $highlight );
 
 			$this->ensure_email_class_registered( $email_type );
 
@@ -281,6 +2032,7 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 			add_filter( $preview_filters['subject_filter'], $preview_filters['subject'], 10, 3 );
 			add_filter( $preview_filters['heading_filter'], $preview_filters['heading'], 10, 3 );
 			add_filter( $preview_filters['additional_filter'], $preview_filters['additional'], 10, 3 );
+			add_filter( 'wc_get_template', $preview_filters['template'], 11, 3 );
 
 			$email_preview = \Automattic\WooCommerce\Internal\Admin\EmailPreview\EmailPreview::instance();
 			$email_preview->set_email_type( $email_type );
@@ -292,13 +2044,13 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 
 			$email = $email_preview->get_email();
 
-			return rest_ensure_response(
-				array(
-					'type'    => $email_type,
-					'subject' => $email_preview->get_subject(),
-					'heading' => is_a( $email, 'WC_Email' ) ? $email->get_heading() : '',
-					'html'    => $content,
-				)
+			return array(
+				'type'    => $email_type,
+				'subject' => $email_preview->get_subject(),
+				'heading' => is_a( $email, 'WC_Email' ) ? $email->get_heading() : '',
+				'html'    => $content,
+				'text'    => $plain && is_a( $email, 'WC_Email' ) ? $this->get_plain_content( $email ) : '',
+				'email'   => $email,
 			);
 		} catch ( \Throwable $e ) {
 			return new WP_Error(
@@ -312,10 +2064,25 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 				remove_filter( $preview_filters['subject_filter'], $preview_filters['subject'], 10 );
 				remove_filter( $preview_filters['heading_filter'], $preview_filters['heading'], 10 );
 				remove_filter( $preview_filters['additional_filter'], $preview_filters['additional'], 10 );
+				remove_filter( 'wc_get_template', $preview_filters['template'], 11 );
 			}
 		}
 	}
 
+	/**
+	 * Render the plain text version of an email prepared by the email preview.
+	 *
+	 * Mirrors WC_Email::get_content() for emails sent as plain text.
+	 *
+	 * @param WC_Email $email Email instance with the preview order set.
+	 * @return string
+	 */
+	private function get_plain_content( $email ) {
+		$text = preg_replace( $email->plain_search, $email->plain_replace, wp_strip_all_tags( $email->get_content_plain() ) );
+
+		return wordwrap( $text, 70 );
+	}
+
 	/**
 	 * Ensure a retry email class is registered with the WooCommerce mailer.
 	 *
@@ -367,7 +2134,7 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 			);
 		}
 
-		$validation = $this->rules_manager->validate_rule( $rule );
+		$validation = $this->rules_manager->validate_rule( $rule, false );
 		if ( is_wp_error( $validation ) ) {
 			return new WP_Error(
 				'invalid_rule',
@@ -440,12 +2207,12 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 	 *
 	 * @param array  $rule      Sanitized rule data.
 	 * @param string $recipient Recipient type.
+	 * @param bool   $highlight Whether to mark placeholders for highlighting.
 	 * @return array
 	 */
-	private function get_preview_filters( $rule, $recipient ) {
+	private function get_preview_filters( $rule, $recipient, $highlight = false ) {
 		$map = $this->get_email_template_map();
 		$id  = $map[ $recipient ]['id'];
-		$override_key = 'email_override_' . $recipient;
 
 		$subject_filter    = 'woocommerce_email_subject_' . $id;
 		$heading_filter    = 'woocommerce_email_heading_' . $id;
@@ -458,28 +2225,170 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 			'subject_filter'    => $subject_filter,
 			'heading_filter'    => $heading_filter,
 			'additional_filter' => $additional_filter,
-			'subject'           => function( $subject ) use ( $rule, $recipient, $override_key ) {
-				if ( empty( $rule[ $override_key ] ) ) {
-					return $subject;
-				}
-				$key = 'email_subject_' . $recipient;
-				return isset( $rule[ $key ] ) && '' !== $rule[ $key ] ? $rule[ $key ] : $subject;
+			'subject'           => function( $subject, $object = null, $email = null ) use ( $rule, $recipient, $highlight ) {
+				return $this->get_preview_field( $subject, $email, 'subject', $rule, $recipient, $highlight );
 			},
-			'heading'           => function( $heading ) use ( $rule, $recipient, $override_key ) {
-				if ( empty( $rule[ $override_key ] ) ) {
-					return $heading;
-				}
-				$key = 'email_heading_' . $recipient;
-				return isset( $rule[ $key ] ) && '' !== $rule[ $key ] ? $rule[ $key ] : $heading;
+			'heading'           => function( $heading, $object = null, $email = null ) use ( $rule, $recipient, $highlight ) {
+				return $this->get_preview_field( $heading, $email, 'heading', $rule, $recipient, $highlight );
 			},
-			'additional'        => function( $content ) use ( $rule, $recipient, $override_key ) {
-				if ( empty( $rule[ $override_key ] ) ) {
-					return $content;
-				}
-				$key = 'email_additional_content_' . $recipient;
-				return isset( $rule[ $key ] ) && '' !== $rule[ $key ] ? $rule[ $key ] : $content;
+			'additional'        => function( $content, $object = null, $email = null ) use ( $rule, $recipient, $highlight ) {
+				return $this->get_preview_field( $content, $email, 'additional_content', $rule, $recipient, $highlight );
+			},
+			'template'          => function( $template, $template_name, $args ) use ( $rule, $recipient, $highlight ) {
+				return $this->get_preview_template_file( $template, $template_name, $args, $rule, $recipient, $highlight );
+			},
+		);
+	}
+
+	/**
+	 * Get the previewed value of an email field.
+	 *
+	 * Uses the rule override when enabled, then the rule's named template,
+	 * with placeholders replaced the
+	 * same way WCS_RRE_Filter_Handler does when sending. With highlighting,
+	 * the raw text is re-formatted with each placeholder wrapped in markers
+	 * so the substituted values can be found in the rendered email.
+	 *
+	 * @param string        $value     Value WooCommerce built from the email settings.
+	 * @param WC_Email|null $email     Email instance.
+	 * @param string        $field     Field (subject, heading, additional_content).
+	 * @param array         $rule      Sanitized rule data.
+	 * @param string        $recipient Recipient type.
+	 * @param bool          $highlight Whether to mark placeholders.
+	 * @return string
+	 */
+	private function get_preview_field( $value, $email, $field, $rule, $recipient, $highlight ) {
+		$key          = 'email_' . $field . '_' . $recipient;
+		$has_override = ! empty( $rule[ 'email_override_' . $recipient ] ) && isset( $rule[ $key ] ) && '' !== $rule[ $key ];
+		$named        = 'additional_content' !== $field ? $this->templates_manager->get_rule_template( $rule, $recipient ) : null;
+
+		if ( ! $has_override && $named && '' !== $named[ $field ] ) {
+			$has_override = true;
+			$rule[ $key ] = $named[ $field ];
+		}
+
+		if ( ! is_a( $email, 'WC_Email' ) ) {
+			return $has_override ? $rule[ $key ] : $value;
+		}
+
+		if ( ! $highlight ) {
+			return $has_override ? $email->format_string( $rule[ $key ] ) : $value;
+		}
+
+		$defaults = array(
+			'subject'            => $email->get_default_subject(),
+			'heading'            => $email->get_default_heading(),
+			'additional_content' => $email->get_default_additional_content(),
+		);
+		$source   = $has_override ? $rule[ $key ] : $email->get_option( $field, $defaults[ $field ] );
+
+		return $email->format_string( $this->mark_placeholders( (string) $source ) );
+	}
+
+	/**
+	 * Render the rule's named template body in the previewed email.
+	 *
+	 * @param string $template      Located template file.
+	 * @param string $template_name Template name.
+	 * @param array  $args          Template arguments.
+	 * @param array  $rule          Sanitized rule data.
+	 * @param string $recipient     Recipient type.
+	 * @param bool   $highlight     Whether to mark placeholders.
+	 * @return string Template file.
+	 */
+	private function get_preview_template_file( $template, $template_name, $args, $rule, $recipient, $highlight ) {
+		$email = isset( $args['email'] ) ? $args['email'] : null;
+		if ( ! is_a( $email, 'WC_Email' ) || ! in_array( $template_name, array( $email->template_html, $email->template_plain ), true ) ) {
+			return $template;
+		}
+
+		$named = $this->templates_manager->get_rule_template( $rule, $recipient );
+		if ( ! $named ) {
+			return $template;
+		}
+
+		if ( $highlight ) {
+			$named['body'] = $this->mark_placeholders( $named['body'] );
+		}
+
+		return $this->templates_manager->locate_template( $template_name === $email->template_plain, $email, $named );
+	}
+
+	/**
+	 * Wrap each placeholder in private-use markers that survive formatting and escaping.
+	 *
+	 * @param string $text Raw text.
+	 * @return string
+	 */
+	private function mark_placeholders( $text ) {
+		return preg_replace( '/\{([a-z0-9_]+)\}/i', "\u{E000}" . '$1' . "\u{E002}" . '{$1}' . "\u{E001}", $text );
+	}
+
+	/**
+	 * Remove placeholder markers, keeping the substituted text.
+	 *
+	 * @param string $text Text with markers.
+	 * @return string
+	 */
+	private function strip_placeholder_markers( $text ) {
+		return preg_replace( self::PLACEHOLDER_MARKER_PATTERN, '$2', $text );
+	}
+
+	/**
+	 * Replace placeholder markers in escaped HTML with highlight tags.
+	 *
+	 * @param string $html         Escaped HTML with markers.
+	 * @param array  $placeholders Collected placeholders, keyed by placeholder.
+	 * @return string
+	 */
+	private function highlight_placeholders( $html, &$placeholders ) {
+		return preg_replace_callback(
+			self::PLACEHOLDER_MARKER_PATTERN,
+			function ( $matches ) use ( &$placeholders ) {
+				$placeholder = '{' . $matches[1] . '}';
+				$substituted = $placeholder !== $matches[2];
+
+				$placeholders[ $placeholder ] = array(
+					'placeholder' => $placeholder,
+					'value'       => $substituted ? html_entity_decode( wp_strip_all_tags( $matches[2] ), ENT_QUOTES, 'UTF-8' ) : '',
+					'substituted' => $substituted,
+				);
+
+				return sprintf(
+					'<mark class="wcs-rre-placeholder%1$s" title="%2$s">%3$s</mark>',
+					$substituted ? '' : ' is-unknown',
+					esc_attr( $placeholder ),
+					$matches[2]
+				);
+			},
+			$html
+		);
+	}
+
+	/**
+	 * Highlight placeholders in a rendered email and add the highlight styles.
+	 *
+	 * @param string $html         Rendered email HTML.
+	 * @param array  $placeholders Collected placeholders, keyed by placeholder.
+	 * @return string
+	 */
+	private function highlight_email_html( $html, &$placeholders ) {
+		// Tags are not allowed in the document title.
+		$html = preg_replace_callback(
+			'#<title>(.*?)</title>#s',
+			function ( $matches ) {
+				return '<title>' . $this->strip_placeholder_markers( $matches[1] ) . '</title>';
 			},
+			$html
 		);
+
+		$html   = $this->highlight_placeholders( $html, $placeholders );
+		$html   = str_replace( array( "\u{E000}", "\u{E001}", "\u{E002}" ), '', $html );
+		$styles = '<style>mark.wcs-rre-placeholder{background:#fcf0a1;color:inherit;padding:0 2px;border-radius:2px}mark.wcs-rre-placeholder.is-unknown{background:#facfd2}</style>';
+
+		return false !== stripos( $html, '</head>' )
+			? preg_replace( '#</head>#i', $styles . '</head>', $html, 1 )
+			: $styles . $html;
 	}
 
 	/**
@@ -489,7 +2398,15 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 	 */
 	private function get_rules_args() {
 		return array(
-			'rules' => array(
+			'rule_sets'    => array(
+				'type'              => 'array',
+				'validate_callback' => array( $this, 'validate_rule_sets_param' ),
+			),
+			'final_action' => array(
+				'type'              => 'object',
+				'validate_callback' => array( $this, 'validate_final_action_param' ),
+			),
+			'rules'        => array(
 				'required'          => true,
 				'type'              => 'array',
 				'validate_callback' => array( $this, 'validate_rules_param' ),
@@ -575,4 +2492,33 @@ class WCS_RRE_REST_Controller extends WP_REST_Controller {
 
 		return true;
 	}
+
+	/**
+	 * Validate the rule sets parameter.
+	 *
+	 * @param array           $rule_sets Rule sets array.
+	 * @param WP_REST_Request $request   Request object.
+	 * @param string          $param     Parameter name.
+	 * @return true|WP_Error True if valid, WP_Error if not.
+	 */
+	public function validate_rule_sets_param( $rule_sets, $request, $param ) {
+		$errors = $this->rules_manager->validate_rule_sets( $rule_sets );
+		if ( ! empty( $errors ) ) {
+			return new WP_Error( 'invalid_rule_set', reset( $errors ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Validate the final action parameter.
+	 *
+	 * @param array           $final_action Final action.
+	 * @param WP_REST_Request $request      Request object.
+	 * @param string          $param        Parameter name.
+	 * @return true|WP_Error True if valid, WP_Error if not.
+	 */
+	public function validate_final_action_param( $final_action, $request, $param ) {
+		return $this->rules_manager->validate_final_action( $final_action );
+	}
 }
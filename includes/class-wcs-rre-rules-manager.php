@@ -26,11 +26,46 @@ class WCS_RRE_Rules_Manager {
 	 */
 	const OPTION_KEY = 'wcs_rre_active_rules';
 
+	/**
+	 * Option key for storing the unpublished draft of the rules.
+	 */
+	const DRAFT_OPTION_KEY = 'wcs_rre_draft_rules';
+
+	/**
+	 * Option key for storing previously saved rule configurations.
+	 */
+	const HISTORY_OPTION_KEY = 'wcs_rre_version_history';
+
+	/**
+	 * Default number of saved revisions to keep.
+	 */
+	const MAX_REVISIONS = 20;
+
 	/**
 	 * Minimum retry interval in seconds (5 minutes).
 	 */
 	const MIN_INTERVAL = 300;
 
+	/**
+	 * Maximum number of days a final action keeps a subscription on hold.
+	 */
+	const MAX_HOLD_DAYS = 365;
+
+	/**
+	 * Number of days searched for the next set time of an anchored rule.
+	 */
+	const ANCHOR_SEARCH_DAYS = 62;
+
+	/**
+	 * Format of the time of day of an anchored rule (HH:MM, 24-hour).
+	 */
+	const ANCHOR_TIME_PATTERN = '/^([01][0-9]|2[0-3]):[0-5][0-9]$/';
+
+	/**
+	 * Transient caching the shortest billing period of the store's subscription products.
+	 */
+	const BILLING_PERIOD_TRANSIENT = 'wcs_rre_shortest_billing_period';
+
 	/**
 	 * Valid customer email templates.
 	 *
@@ -67,6 +102,21 @@ class WCS_RRE_Rules_Manager {
 		'email_additional_content_admin',
 	);
 
+	/**
+	 * Actions a decline condition can take: skip the rule, stop retrying and
+	 * apply the final action, or send a different customer email.
+	 *
+	 * @var array
+	 */
+	private $decline_actions = array( 'skip', 'final', 'email' );
+
+	/**
+	 * Network instance, which decides whether the site's or the network's rules are stored.
+	 *
+	 * @var WCS_RRE_Network
+	 */
+	private $network;
+
 	/**
 	 * Get singleton instance.
 	 *
@@ -82,7 +132,9 @@ class WCS_RRE_Rules_Manager {
 	/**
 	 * Private constructor.
 	 */
-	private function __construct() {}
+	private function __construct() {
+		$this->network = WCS_RRE_Network::instance();
+	}
 
 	/**
 	 * Get the active custom rules.
@@ -90,10 +142,141 @@ class WCS_RRE_Rules_Manager {
 	 * @return array Array of rules or empty array if none configured.
 	 */
 	public function get_active_rules() {
-		$config = get_option( self::OPTION_KEY, array() );
+		$config = $this->get_config_in_effect();
 		return isset( $config['rules'] ) && is_array( $config['rules'] ) ? $config['rules'] : array();
 	}
 
+	/**
+	 * Get the named rule sets that apply to matching subscriptions.
+	 *
+	 * @return array List of rule sets, in match priority order.
+	 */
+	public function get_rule_sets() {
+		$config = $this->get_config_in_effect();
+		return isset( $config['rule_sets'] ) && is_array( $config['rule_sets'] ) ? array_values( $config['rule_sets'] ) : array();
+	}
+
+	/**
+	 * Get the action taken once the last retry has failed.
+	 *
+	 * @return array Final action with action (none, cancel or hold), hold_days and an outcome per action.
+	 */
+	public function get_final_action() {
+		$config = $this->get_config_in_effect();
+		return $this->sanitize_final_action( isset( $config['final_action'] ) ? $config['final_action'] : array() );
+	}
+
+	/**
+	 * Get the saved configuration, or the scheduled one once its time has come.
+	 *
+	 * The scheduler swaps the saved configuration when its cron event runs;
+	 * this covers the time between the scheduled moment and that event.
+	 *
+	 * @return array Configuration with rules, rule_sets and final_action.
+	 */
+	private function get_config_in_effect() {
+		$config = $this->get_stored_config();
+
+		// Schedules belong to a site, so they never apply to the network rules.
+		if ( $this->network->is_network_scope() ) {
+			return $config;
+		}
+
+		return class_exists( 'WCS_RRE_Scheduler' ) ? WCS_RRE_Scheduler::instance()->get_config_in_effect( $config, time() ) : $config;
+	}
+
+	/**
+	 * Get the saved configuration: the network rules for a site that inherits them, otherwise its own.
+	 *
+	 * @return array Configuration with rules, rule_sets, final_action, modified_at and modified_by.
+	 */
+	private function get_stored_config() {
+		$config = $this->network->site_inherits() ? $this->network->get_network_config() : $this->network->get_option( self::OPTION_KEY, array() );
+		return is_array( $config ) ? $config : array();
+	}
+
+	/**
+	 * Find the first rule set whose conditions match a subscription.
+	 *
+	 * Every condition type that has values must match (product, category,
+	 * payment method, billing period); within a type any value matches.
+	 *
+	 * @param array $context Subscription context with product_ids, category_ids, payment_method and billing_period.
+	 * @return array|null Matching rule set, or null to use the global rules.
+	 */
+	public function get_matching_rule_set( $context ) {
+		foreach ( $this->get_rule_sets() as $rule_set ) {
+			if ( $this->rule_set_matches( $rule_set, $context ) ) {
+				return $rule_set;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a rule set's conditions match a subscription context.
+	 *
+	 * @param array $rule_set Rule set.
+	 * @param array $context  Subscription context.
+	 * @return bool
+	 */
+	private function rule_set_matches( $rule_set, $context ) {
+		$conditions = isset( $rule_set['conditions'] ) && is_array( $rule_set['conditions'] ) ? $rule_set['conditions'] : array();
+		$checks     = array(
+			'products'        => isset( $context['product_ids'] ) ? (array) $context['product_ids'] : array(),
+			'categories'      => isset( $context['category_ids'] ) ? (array) $context['category_ids'] : array(),
+			'payment_methods' => isset( $context['payment_method'] ) ? array( $context['payment_method'] ) : array(),
+			'billing_periods' => isset( $context['billing_period'] ) ? array( $context['billing_period'] ) : array(),
+		);
+		$has_condition = false;
+
+		foreach ( $checks as $key => $values ) {
+			if ( empty( $conditions[ $key ] ) ) {
+				continue;
+			}
+
+			$has_condition = true;
+			if ( ! array_intersect( array_map( 'strval', $conditions[ $key ] ), array_map( 'strval', $values ) ) ) {
+				return false;
+			}
+		}
+
+		// A set without conditions never matches, so it cannot shadow the global rules.
+		return $has_condition;
+	}
+
+	/**
+	 * Get metadata about the last save.
+	 *
+	 * @return array Modified timestamp and user details.
+	 */
+	public function get_rules_meta() {
+		$config = $this->get_stored_config();
+
+		return array(
+			'modified_at'      => isset( $config['modified_at'] ) ? $config['modified_at'] : '',
+			'modified_by'      => isset( $config['modified_by'] ) ? absint( $config['modified_by'] ) : 0,
+			'modified_by_name' => isset( $config['modified_by'] ) ? $this->get_modified_by_name( $config['modified_by'] ) : '',
+		);
+	}
+
+	/**
+	 * Get the name shown for the user who saved a configuration.
+	 *
+	 * @param int $user_id User ID, 0 for saves without a user such as WP-CLI or a scheduled activation.
+	 * @return string Display name, System for 0, or empty if the user no longer exists.
+	 */
+	private function get_modified_by_name( $user_id ) {
+		if ( ! $user_id ) {
+			return __( 'System', 'wcs-retry-rules-editor' );
+		}
+
+		$user = get_userdata( $user_id );
+
+		return $user ? $user->display_name : '';
+	}
+
 	/**
 	 * Check if custom rules are configured.
 	 *
@@ -107,162 +290,1437 @@ class WCS_RRE_Rules_Manager {
 	/**
 	 * Save rules configuration.
 	 *
-	 * @param array $rules Array of rule configurations.
+	 * @param array      $rules        Array of rule configurations.
+	 * @param array|null $rule_sets    Named rule sets, or null to keep the stored ones.
+	 * @param int|null   $user_id      User the save is credited to. Defaults to the current user.
+	 * @param array|null $final_action Final action, or null to keep the stored one.
 	 * @return true|WP_Error True on success, WP_Error on failure.
 	 */
-	public function save_rules( $rules ) {
-		// Validate all rules first.
-		foreach ( $rules as $index => $rule ) {
-			$validation = $this->validate_rule( $rule );
-			if ( is_wp_error( $validation ) ) {
-				return new WP_Error(
-					'invalid_rule',
-					sprintf(
-						/* translators: 1: rule number, 2: error message */
-						__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
-						$index + 1,
-						$validation->get_error_message()
-					)
-				);
-			}
+	public function save_rules( $rules, $rule_sets = null, $user_id = null, $final_action = null ) {
+		if ( null === $rule_sets ) {
+			$rule_sets = $this->get_rule_sets();
+		}
+
+		if ( null === $final_action ) {
+			$final_action = $this->get_final_action();
 		}
 
-		// Sanitize all rules.
-		$sanitized_rules = array_map( array( $this, 'sanitize_rule' ), $rules );
+		$validation = $this->validate_config( $rules, $rule_sets, $final_action );
+		if ( is_wp_error( $validation ) ) {
+			return $validation;
+		}
 
 		// Build configuration object.
-		$config = array(
-			'rules'       => $sanitized_rules,
-			'modified_at' => current_time( 'c' ),
-			'modified_by' => get_current_user_id(),
+		$config = array_merge(
+			$this->sanitize_config( $rules, $rule_sets, $final_action ),
+			array(
+				'modified_at' => current_time( 'c' ),
+				'modified_by' => null === $user_id ? get_current_user_id() : absint( $user_id ),
+			)
 		);
 
 		// Save to database.
-		$result = update_option( self::OPTION_KEY, $config );
+		$result = $this->network->update_option( self::OPTION_KEY, $config );
 
 		// Clear cache.
 		wp_cache_delete( self::OPTION_KEY, 'options' );
 
+		// Rules published on a site override the network rules.
+		$this->network->override();
+
+		$this->add_revision( $config );
+
 		return true;
 	}
 
 	/**
-	 * Delete all custom rules (revert to WCS defaults).
+	 * Get the unpublished draft.
 	 *
-	 * @return bool True on success.
+	 * @return array|null Draft with rules, rule_sets, final_action and author details, or null if there is none.
 	 */
-	public function clear_rules() {
-		delete_option( self::OPTION_KEY );
-		wp_cache_delete( self::OPTION_KEY, 'options' );
-		return true;
+	public function get_draft() {
+		$draft = $this->network->get_option( self::DRAFT_OPTION_KEY, null );
+		if ( ! is_array( $draft ) || ! isset( $draft['rules'] ) ) {
+			return null;
+		}
+
+		$draft['final_action'] = $this->sanitize_final_action( isset( $draft['final_action'] ) ? $draft['final_action'] : array() );
+
+		$draft['modified_by_name'] = isset( $draft['modified_by'] ) ? $this->get_modified_by_name( $draft['modified_by'] ) : '';
+
+		return $draft;
 	}
 
 	/**
-	 * Validate a single rule.
+	 * Get the configuration the editor works on: the draft, or the published rules if there is none.
 	 *
-	 * @param array $rule Rule configuration.
-	 * @return true|WP_Error True if valid, WP_Error if invalid.
+	 * @return array Configuration with rules, rule_sets, final_action, modified_at, modified_by, modified_by_name and source (draft or live).
 	 */
-	public function validate_rule( $rule ) {
-		// Check required fields.
-		$required = array(
-			'retry_after_interval',
-			'email_template_customer',
-			'email_template_admin',
-			'status_to_apply_to_order',
-			'status_to_apply_to_subscription',
+	public function get_editor_config() {
+		$draft = $this->get_draft();
+		if ( $draft ) {
+			return array_merge( $draft, array( 'source' => 'draft' ) );
+		}
+
+		return array_merge(
+			array(
+				'rules'        => $this->get_active_rules(),
+				'rule_sets'    => $this->get_rule_sets(),
+				'final_action' => $this->get_final_action(),
+				'source'       => 'live',
+			),
+			$this->get_rules_meta()
 		);
+	}
 
-		foreach ( $required as $field ) {
-			if ( ! array_key_exists( $field, $rule ) ) {
-				return new WP_Error(
-					'missing_field',
-					sprintf(
-						/* translators: %s: field name */
-						__( 'Missing required field: %s', 'wcs-retry-rules-editor' ),
-						$field
-					)
-				);
-			}
+	/**
+	 * Get a version string of the configuration the editor works on.
+	 *
+	 * Changes whenever the draft or, without a draft, the published rules are
+	 * saved, so a save based on an older version can be detected.
+	 *
+	 * @return string Version, or empty string if nothing has been saved.
+	 */
+	public function get_version() {
+		$config = $this->get_editor_config();
+		if ( empty( $config['modified_at'] ) ) {
+			return '';
 		}
 
-		// Validate interval (minimum 5 minutes).
-		if ( ! is_numeric( $rule['retry_after_interval'] ) || $rule['retry_after_interval'] < self::MIN_INTERVAL ) {
-			return new WP_Error(
-				'invalid_interval',
-				__( 'Retry interval must be at least 5 minutes (300 seconds)', 'wcs-retry-rules-editor' )
-			);
+		return md5( wp_json_encode( array( $config['source'], $config['modified_at'], $config['modified_by'], $config['rules'], $config['rule_sets'], $config['final_action'] ) ) );
+	}
+
+	/**
+	 * Save rules and rule sets as a draft, leaving the published rules in place.
+	 *
+	 * @param array      $rules        Array of rule configurations.
+	 * @param array|null $rule_sets    Named rule sets, or null to keep the draft's (or published) ones.
+	 * @param array|null $final_action Final action, or null to keep the draft's (or published) one.
+	 * @return true|WP_Error True on success, WP_Error on failure.
+	 */
+	public function save_draft( $rules, $rule_sets = null, $final_action = null ) {
+		$draft = $this->get_draft();
+
+		if ( null === $rule_sets ) {
+			$rule_sets = $draft ? $draft['rule_sets'] : $this->get_rule_sets();
 		}
 
-		// Validate email templates.
-		if ( ! in_array( $rule['email_template_customer'], $this->valid_customer_emails, true ) ) {
-			return new WP_Error(
-				'invalid_email',
-				__( 'Invalid customer email template', 'wcs-retry-rules-editor' )
-			);
+		if ( null === $final_action ) {
+			$final_action = $draft ? $draft['final_action'] : $this->get_final_action();
 		}
 
-		if ( ! in_array( $rule['email_template_admin'], $this->valid_admin_emails, true ) ) {
-			return new WP_Error(
-				'invalid_email',
-				__( 'Invalid admin email template', 'wcs-retry-rules-editor' )
-			);
+		$validation = $this->validate_config( $rules, $rule_sets, $final_action );
+		if ( is_wp_error( $validation ) ) {
+			return $validation;
 		}
 
-		// Validate order status.
-		$valid_order_statuses = $this->get_valid_order_statuses();
-		$order_status         = str_replace( 'wc-', '', $rule['status_to_apply_to_order'] );
-		if ( ! in_array( $order_status, $valid_order_statuses, true ) ) {
+		$draft = array_merge(
+			$this->sanitize_config( $rules, $rule_sets, $final_action ),
+			array(
+				'modified_at' => current_time( 'c' ),
+				'modified_by' => get_current_user_id(),
+			)
+		);
+
+		$this->network->update_option( self::DRAFT_OPTION_KEY, $draft, false );
+
+		return true;
+	}
+
+	/**
+	 * Publish the draft, making it the rules used for retries.
+	 *
+	 * The draft is validated again, since what it depends on, such as the
+	 * allowed placeholders, may have changed since it was saved.
+	 *
+	 * @return true|WP_Error True on success, WP_Error on failure.
+	 */
+	public function publish_draft() {
+		$draft = $this->get_draft();
+		if ( ! $draft ) {
 			return new WP_Error(
-				'invalid_status',
-				__( 'Invalid order status', 'wcs-retry-rules-editor' )
+				'draft_not_found',
+				__( 'There is no draft to publish.', 'wcs-retry-rules-editor' )
 			);
 		}
 
-		// Validate subscription status.
-		$valid_sub_statuses = $this->get_valid_subscription_statuses();
-		if ( ! in_array( $rule['status_to_apply_to_subscription'], $valid_sub_statuses, true ) ) {
+		$result = $this->save_rules( $draft['rules'], $draft['rule_sets'], null, $draft['final_action'] );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->network->delete_option( self::DRAFT_OPTION_KEY );
+
+		return true;
+	}
+
+	/**
+	 * Discard the draft, keeping the published rules.
+	 *
+	 * @return true|WP_Error True on success, WP_Error if there is no draft.
+	 */
+	public function discard_draft() {
+		if ( ! $this->get_draft() ) {
 			return new WP_Error(
-				'invalid_status',
-				__( 'Invalid subscription status', 'wcs-retry-rules-editor' )
+				'draft_not_found',
+				__( 'There is no draft to discard.', 'wcs-retry-rules-editor' )
 			);
 		}
 
-		foreach ( $this->email_override_fields as $field ) {
-			if ( isset( $rule[ $field ] ) && ! is_string( $rule[ $field ] ) && ! is_bool( $rule[ $field ] ) && ! is_numeric( $rule[ $field ] ) ) {
+		$this->network->delete_option( self::DRAFT_OPTION_KEY );
+
+		return true;
+	}
+
+	/**
+	 * Validate global rules, rule sets and the final action before they are saved or scheduled.
+	 *
+	 * @param array      $rules        Array of rule configurations.
+	 * @param array      $rule_sets    Named rule sets.
+	 * @param array|null $final_action Final action, or null to skip its check.
+	 * @return true|WP_Error True if valid, WP_Error for the first problem.
+	 */
+	public function validate_config( $rules, $rule_sets, $final_action = null ) {
+		foreach ( $rules as $index => $rule ) {
+			$validation = $this->validate_rule( $rule );
+			if ( is_wp_error( $validation ) ) {
 				return new WP_Error(
-					'invalid_email_content',
-					__( 'Email override fields must be text.', 'wcs-retry-rules-editor' )
+					'invalid_rule',
+					sprintf(
+						/* translators: 1: rule number, 2: error message */
+						__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+						$index + 1,
+						$validation->get_error_message()
+					)
 				);
 			}
 		}
 
-		return true;
+		$errors = $this->validate_rule_sets( $rule_sets );
+		if ( ! empty( $errors ) ) {
+			return new WP_Error( 'invalid_rule_set', reset( $errors ) );
+		}
+
+		return null === $final_action ? true : $this->validate_final_action( $final_action );
 	}
 
 	/**
-	 * Sanitize a rule for storage.
+	 * Sanitize validated global rules, rule sets and the final action for storage.
 	 *
-	 * @param array $rule Rule configuration.
-	 * @return array Sanitized rule.
+	 * @param array      $rules        Array of rule configurations.
+	 * @param array      $rule_sets    Named rule sets.
+	 * @param array|null $final_action Final action, or null to leave it out.
+	 * @return array Configuration with rules, rule_sets and, if given, final_action.
 	 */
-	public function sanitize_rule( $rule ) {
-		$sanitized = array(
-			'retry_after_interval'            => absint( $rule['retry_after_interval'] ),
-			'email_template_customer'         => sanitize_text_field( $rule['email_template_customer'] ),
-			'email_template_admin'            => sanitize_text_field( $rule['email_template_admin'] ),
-			'status_to_apply_to_order'        => sanitize_key( str_replace( 'wc-', '', $rule['status_to_apply_to_order'] ) ),
-			'status_to_apply_to_subscription' => sanitize_key( $rule['status_to_apply_to_subscription'] ),
+	public function sanitize_config( $rules, $rule_sets, $final_action = null ) {
+		$config = array(
+			'rules'     => array_map( array( $this, 'sanitize_rule' ), $rules ),
+			'rule_sets' => array_map( array( $this, 'sanitize_rule_set' ), array_values( $rule_sets ) ),
 		);
 
-		$sanitized['email_subject_customer']            = isset( $rule['email_subject_customer'] ) ? sanitize_text_field( $rule['email_subject_customer'] ) : '';
-		$sanitized['email_heading_customer']            = isset( $rule['email_heading_customer'] ) ? sanitize_text_field( $rule['email_heading_customer'] ) : '';
-		$sanitized['email_additional_content_customer'] = isset( $rule['email_additional_content_customer'] ) ? wp_kses_post( $rule['email_additional_content_customer'] ) : '';
-		$sanitized['email_subject_admin']               = isset( $rule['email_subject_admin'] ) ? sanitize_text_field( $rule['email_subject_admin'] ) : '';
-		$sanitized['email_heading_admin']               = isset( $rule['email_heading_admin'] ) ? sanitize_text_field( $rule['email_heading_admin'] ) : '';
-		$sanitized['email_additional_content_admin']    = isset( $rule['email_additional_content_admin'] ) ? wp_kses_post( $rule['email_additional_content_admin'] ) : '';
-		$sanitized['email_override_customer']           = isset( $rule['email_override_customer'] ) ? (bool) $rule['email_override_customer'] : false;
-		$sanitized['email_override_admin']              = isset( $rule['email_override_admin'] ) ? (bool) $rule['email_override_admin'] : false;
+		if ( null !== $final_action ) {
+			$config['final_action'] = $this->sanitize_final_action( $final_action );
+		}
+
+		return $config;
+	}
+
+	/**
+	 * Get the default final action, which leaves the order and subscription as WCS left them.
+	 *
+	 * @return array
+	 */
+	public function get_default_final_action() {
+		$outcome = array(
+			'order_status'        => '',
+			'subscription_status' => '',
+			'email'               => '',
+			'note'                => '',
+		);
+
+		return array(
+			'action'    => 'none',
+			'hold_days' => 7,
+			'outcomes'  => array(
+				'cancel' => array_merge( $outcome, array( 'subscription_status' => 'cancelled' ) ),
+				'hold'   => array_merge( $outcome, array( 'subscription_status' => 'on-hold' ) ),
+				'none'   => $outcome,
+			),
+		);
+	}
+
+	/**
+	 * Get the subscription statuses each final action may set.
+	 *
+	 * Holding must leave a subscription that can still be cancelled when the
+	 * hold ends. An empty status leaves the subscription status unchanged.
+	 *
+	 * @return array Action => list of statuses.
+	 */
+	public function get_final_subscription_statuses() {
+		return array(
+			'cancel' => array( 'cancelled', 'pending-cancel' ),
+			'hold'   => array( '', 'on-hold' ),
+			'none'   => array( '', 'active', 'on-hold' ),
+		);
+	}
+
+	/**
+	 * Validate the final action.
+	 *
+	 * Only the outcome of the chosen action is checked; the others are kept
+	 * so switching back restores them, and are reset to defaults if invalid.
+	 *
+	 * @param mixed $final_action Final action.
+	 * @return true|WP_Error True if valid, WP_Error if invalid.
+	 */
+	public function validate_final_action( $final_action ) {
+		$statuses = $this->get_final_subscription_statuses();
+		$action   = is_array( $final_action ) && isset( $final_action['action'] ) ? $final_action['action'] : '';
+
+		if ( ! is_string( $action ) || ! isset( $statuses[ $action ] ) ) {
+			return new WP_Error(
+				'invalid_final_action',
+				__( 'Invalid final outcome.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$hold_days = isset( $final_action['hold_days'] ) ? $final_action['hold_days'] : 0;
+		if ( 'hold' === $action && ( ! is_numeric( $hold_days ) || $hold_days < 1 || $hold_days > self::MAX_HOLD_DAYS ) ) {
+			return new WP_Error(
+				'invalid_final_action',
+				sprintf(
+					/* translators: %d: maximum number of days */
+					__( 'Final outcome: keep on hold for between 1 and %d days.', 'wcs-retry-rules-editor' ),
+					self::MAX_HOLD_DAYS
+				)
+			);
+		}
+
+		$outcome = isset( $final_action['outcomes'][ $action ] ) && is_array( $final_action['outcomes'][ $action ] ) ? $final_action['outcomes'][ $action ] : array();
+		$fields  = array();
+
+		foreach ( array( 'order_status', 'subscription_status', 'email', 'note' ) as $field ) {
+			$fields[ $field ] = isset( $outcome[ $field ] ) ? $outcome[ $field ] : '';
+			if ( ! is_string( $fields[ $field ] ) ) {
+				return new WP_Error(
+					'invalid_final_action',
+					__( 'Final outcome fields must be text.', 'wcs-retry-rules-editor' )
+				);
+			}
+		}
+
+		if ( '' !== $fields['order_status'] && ! in_array( str_replace( 'wc-', '', $fields['order_status'] ), $this->get_valid_order_statuses(), true ) ) {
+			return new WP_Error(
+				'invalid_final_action',
+				__( 'Final outcome: invalid order status.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( ! in_array( $fields['subscription_status'], $statuses[ $action ], true ) ) {
+			return new WP_Error(
+				'invalid_final_action',
+				__( 'Final outcome: invalid subscription status for this choice.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( '' !== $fields['email'] && ! $this->get_final_email_template( $fields['email'] ) ) {
+			return new WP_Error(
+				'invalid_final_action',
+				__( 'Final outcome: the email template no longer exists.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sanitize a final action, filling in defaults for missing or invalid parts.
+	 *
+	 * @param mixed $final_action Final action.
+	 * @return array
+	 */
+	public function sanitize_final_action( $final_action ) {
+		$defaults     = $this->get_default_final_action();
+		$statuses     = $this->get_final_subscription_statuses();
+		$final_action = is_array( $final_action ) ? $final_action : array();
+		$action       = isset( $final_action['action'] ) && is_string( $final_action['action'] ) && isset( $statuses[ $final_action['action'] ] ) ? $final_action['action'] : $defaults['action'];
+		$hold_days    = isset( $final_action['hold_days'] ) ? absint( $final_action['hold_days'] ) : 0;
+		$sanitized    = array(
+			'action'    => $action,
+			'hold_days' => $hold_days >= 1 && $hold_days <= self::MAX_HOLD_DAYS ? $hold_days : $defaults['hold_days'],
+			'outcomes'  => array(),
+		);
+
+		foreach ( $defaults['outcomes'] as $choice => $default ) {
+			$outcome = isset( $final_action['outcomes'][ $choice ] ) && is_array( $final_action['outcomes'][ $choice ] ) ? $final_action['outcomes'][ $choice ] : array();
+			$text    = function ( $field ) use ( $outcome ) {
+				return isset( $outcome[ $field ] ) && is_string( $outcome[ $field ] ) ? $outcome[ $field ] : '';
+			};
+
+			$order_status        = sanitize_key( str_replace( 'wc-', '', $text( 'order_status' ) ) );
+			$subscription_status = sanitize_key( $text( 'subscription_status' ) );
+
+			$sanitized['outcomes'][ $choice ] = array(
+				'order_status'        => '' === $order_status || in_array( $order_status, $this->get_valid_order_statuses(), true ) ? $order_status : '',
+				'subscription_status' => in_array( $subscription_status, $statuses[ $choice ], true ) ? $subscription_status : $default['subscription_status'],
+				'email'               => sanitize_text_field( $text( 'email' ) ),
+				'note'                => sanitize_textarea_field( $text( 'note' ) ),
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the named template a final action email value refers to.
+	 *
+	 * @param string $value Template value, e.g. "rre_template:tpl-…".
+	 * @return array|null Template for either recipient, or null if it does not exist.
+	 */
+	public function get_final_email_template( $value ) {
+		$templates_manager = WCS_RRE_Templates_Manager::instance();
+		$template          = $templates_manager->get_template_by_value( $value, 'customer' );
+
+		return $template ? $template : $templates_manager->get_template_by_value( $value, 'admin' );
+	}
+
+	/**
+	 * Get saved revisions, newest first.
+	 *
+	 * @return array List of revisions with rules and author details.
+	 */
+	public function get_revisions() {
+		$revisions = $this->network->get_option( self::HISTORY_OPTION_KEY, array() );
+		if ( ! is_array( $revisions ) ) {
+			return array();
+		}
+
+		return array_map(
+			function ( $revision ) {
+				$revision['modified_by_name'] = isset( $revision['modified_by'] ) ? $this->get_modified_by_name( $revision['modified_by'] ) : '';
+				return $revision;
+			},
+			$revisions
+		);
+	}
+
+	/**
+	 * Store a saved configuration as a revision and trim old ones.
+	 *
+	 * @param array $config Saved configuration.
+	 */
+	private function add_revision( $config ) {
+		$revisions = $this->network->get_option( self::HISTORY_OPTION_KEY, array() );
+		if ( ! is_array( $revisions ) ) {
+			$revisions = array();
+		}
+
+		array_unshift(
+			$revisions,
+			array(
+				'id'           => wp_generate_uuid4(),
+				'rules'        => $config['rules'],
+				'rule_sets'    => $config['rule_sets'],
+				'final_action' => $config['final_action'],
+				'modified_at'  => $config['modified_at'],
+				'modified_by'  => $config['modified_by'],
+			)
+		);
+
+		/**
+		 * Filter the number of saved revisions to keep.
+		 *
+		 * @param int $max_revisions Number of revisions.
+		 */
+		$max_revisions = max( 1, absint( apply_filters( 'wcs_rre_max_revisions', self::MAX_REVISIONS ) ) );
+
+		$this->network->update_option( self::HISTORY_OPTION_KEY, array_slice( $revisions, 0, $max_revisions ), false );
+	}
+
+	/**
+	 * Delete all custom rules (revert to WCS defaults).
+	 *
+	 * A site that inherits the network rules stops inheriting them.
+	 *
+	 * @return bool True on success.
+	 */
+	public function clear_rules() {
+		$this->network->delete_option( self::OPTION_KEY );
+		wp_cache_delete( self::OPTION_KEY, 'options' );
+		$this->network->override();
+		return true;
+	}
+
+	/**
+	 * Validate a single rule.
+	 *
+	 * Placeholder checks can be skipped so that rules saved before they
+	 * existed keep applying at renewal time and can still be previewed.
+	 *
+	 * @param array $rule               Rule configuration.
+	 * @param bool  $check_placeholders Whether to reject unknown or unbalanced placeholders in email overrides.
+	 * @return true|WP_Error True if valid, WP_Error if invalid.
+	 */
+	public function validate_rule( $rule, $check_placeholders = true ) {
+		// Check required fields.
+		$required = array(
+			'retry_after_interval',
+			'email_template_customer',
+			'email_template_admin',
+			'status_to_apply_to_order',
+			'status_to_apply_to_subscription',
+		);
+
+		foreach ( $required as $field ) {
+			if ( ! array_key_exists( $field, $rule ) ) {
+				return new WP_Error(
+					'missing_field',
+					sprintf(
+						/* translators: %s: field name */
+						__( 'Missing required field: %s', 'wcs-retry-rules-editor' ),
+						$field
+					)
+				);
+			}
+		}
+
+		// Validate interval (minimum 5 minutes).
+		if ( ! is_numeric( $rule['retry_after_interval'] ) || $rule['retry_after_interval'] < self::MIN_INTERVAL ) {
+			return new WP_Error(
+				'invalid_interval',
+				__( 'Retry interval must be at least 5 minutes (300 seconds)', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		// Validate email templates.
+		$templates_manager = WCS_RRE_Templates_Manager::instance();
+		if ( ! in_array( $rule['email_template_customer'], $this->valid_customer_emails, true ) && ! $templates_manager->get_template_by_value( $rule['email_template_customer'], 'customer' ) ) {
+			return new WP_Error(
+				'invalid_email',
+				__( 'Invalid customer email template', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( ! in_array( $rule['email_template_admin'], $this->valid_admin_emails, true ) && ! $templates_manager->get_template_by_value( $rule['email_template_admin'], 'admin' ) ) {
+			return new WP_Error(
+				'invalid_email',
+				__( 'Invalid admin email template', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		// Validate order status.
+		$valid_order_statuses = $this->get_valid_order_statuses();
+		$order_status         = str_replace( 'wc-', '', $rule['status_to_apply_to_order'] );
+		if ( ! in_array( $order_status, $valid_order_statuses, true ) ) {
+			return new WP_Error(
+				'invalid_status',
+				__( 'Invalid order status', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		// Validate subscription status.
+		$valid_sub_statuses = $this->get_valid_subscription_statuses();
+		if ( ! in_array( $rule['status_to_apply_to_subscription'], $valid_sub_statuses, true ) ) {
+			return new WP_Error(
+				'invalid_status',
+				__( 'Invalid subscription status', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		foreach ( $this->email_override_fields as $field ) {
+			if ( isset( $rule[ $field ] ) && ! is_string( $rule[ $field ] ) && ! is_bool( $rule[ $field ] ) && ! is_numeric( $rule[ $field ] ) ) {
+				return new WP_Error(
+					'invalid_email_content',
+					__( 'Email override fields must be text.', 'wcs-retry-rules-editor' )
+				);
+			}
+		}
+
+		foreach ( array( 'customer', 'admin' ) as $recipient ) {
+			$locales = $this->validate_email_locales( $rule, $recipient );
+			if ( is_wp_error( $locales ) ) {
+				return $locales;
+			}
+		}
+
+		$timing = $this->validate_timing( $rule );
+		if ( is_wp_error( $timing ) ) {
+			return $timing;
+		}
+
+		$decline = $this->validate_decline_conditions( $rule );
+		if ( is_wp_error( $decline ) ) {
+			return $decline;
+		}
+
+		if ( $check_placeholders ) {
+			$placeholders = $this->validate_rule_placeholders( $rule );
+			if ( is_wp_error( $placeholders ) ) {
+				return $placeholders;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check the timing of a rule: a relative delay, or a set time after it.
+	 *
+	 * @param array $rule Rule configuration.
+	 * @return true|WP_Error
+	 */
+	private function validate_timing( $rule ) {
+		$timing = isset( $rule['timing'] ) ? $rule['timing'] : 'relative';
+		if ( ! in_array( $timing, array( 'relative', 'anchored' ), true ) ) {
+			return new WP_Error(
+				'invalid_timing',
+				__( 'Invalid retry timing.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( 'relative' === $timing ) {
+			return true;
+		}
+
+		$anchor = isset( $rule['anchor'] ) && is_array( $rule['anchor'] ) ? $rule['anchor'] : array();
+		$ranges = $this->get_anchor_day_ranges();
+		$type   = isset( $anchor['type'] ) ? $anchor['type'] : '';
+		$days   = isset( $anchor['days'] ) && is_array( $anchor['days'] ) ? $anchor['days'] : array();
+
+		if ( ! is_string( $type ) || ! isset( $ranges[ $type ] ) ) {
+			return new WP_Error(
+				'invalid_timing',
+				__( 'Invalid set time: choose days of the week or days of the month.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( empty( $days ) ) {
+			return new WP_Error(
+				'invalid_timing',
+				__( 'Choose at least one day for the set time.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		foreach ( $days as $day ) {
+			if ( ! is_numeric( $day ) || (string) (int) $day !== (string) $day || $day < $ranges[ $type ][0] || $day > $ranges[ $type ][1] ) {
+				return new WP_Error(
+					'invalid_timing',
+					__( 'Invalid day for the set time.', 'wcs-retry-rules-editor' )
+				);
+			}
+		}
+
+		if ( ! isset( $anchor['time'] ) || ! is_string( $anchor['time'] ) || ! preg_match( self::ANCHOR_TIME_PATTERN, $anchor['time'] ) ) {
+			return new WP_Error(
+				'invalid_timing',
+				__( 'The set time must be a time of day such as 09:00.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the days an anchored rule can pick from, per anchor type.
+	 *
+	 * Weekdays are ISO-8601 numbers, 1 (Monday) to 7 (Sunday).
+	 *
+	 * @return array Type => array( first day, last day ).
+	 */
+	public function get_anchor_day_ranges() {
+		return array(
+			'weekdays'   => array( 1, 7 ),
+			'month_days' => array( 1, 31 ),
+		);
+	}
+
+	/**
+	 * Get the set time of a new anchored rule: the next weekday at 09:00.
+	 *
+	 * @return array
+	 */
+	public function get_default_anchor() {
+		return array(
+			'type' => 'weekdays',
+			'days' => array( 1, 2, 3, 4, 5 ),
+			'time' => '09:00',
+		);
+	}
+
+	/**
+	 * Get when a rule retries a payment that failed at a given time.
+	 *
+	 * Relative rules retry after their interval. Anchored rules wait at
+	 * least their interval, then retry at the next set time in the store's
+	 * timezone. A day of the month past the end of a short month falls on
+	 * its last day.
+	 *
+	 * @param array $rule Sanitized rule.
+	 * @param int   $from Failure timestamp.
+	 * @return int Retry timestamp.
+	 */
+	public function get_retry_time( $rule, $from ) {
+		$earliest = $from + absint( $rule['retry_after_interval'] );
+		if ( ! isset( $rule['timing'] ) || 'anchored' !== $rule['timing'] ) {
+			return $earliest;
+		}
+
+		$anchor = $this->sanitize_anchor( isset( $rule['anchor'] ) ? $rule['anchor'] : array() );
+		$time   = array_map( 'intval', explode( ':', $anchor['time'] ) );
+		$day    = ( new DateTimeImmutable( '@' . $earliest ) )->setTimezone( wp_timezone() );
+
+		for ( $offset = 0; $offset <= self::ANCHOR_SEARCH_DAYS; $offset++ ) {
+			$candidate = $day->modify( '+' . $offset . ' days' )->setTime( $time[0], $time[1] );
+			if ( $candidate->getTimestamp() < $earliest ) {
+				continue;
+			}
+
+			if ( 'weekdays' === $anchor['type'] ) {
+				$matches = in_array( (int) $candidate->format( 'N' ), $anchor['days'], true );
+			} else {
+				$date    = (int) $candidate->format( 'j' );
+				$last    = (int) $candidate->format( 't' );
+				$matches = in_array( $date, $anchor['days'], true ) || ( $date === $last && max( $anchor['days'] ) > $last );
+			}
+
+			if ( $matches ) {
+				return $candidate->getTimestamp();
+			}
+		}
+
+		return $earliest;
+	}
+
+	/**
+	 * Check the decline conditions of a rule.
+	 *
+	 * @param array $rule Rule configuration.
+	 * @return true|WP_Error
+	 */
+	private function validate_decline_conditions( $rule ) {
+		if ( ! isset( $rule['decline_conditions'] ) ) {
+			return true;
+		}
+
+		if ( ! is_array( $rule['decline_conditions'] ) ) {
+			return new WP_Error(
+				'invalid_decline_conditions',
+				__( 'Decline conditions must be a list.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$categories = array_keys( $this->get_decline_categories() );
+
+		foreach ( array_values( $rule['decline_conditions'] ) as $index => $condition ) {
+			$reasons = is_array( $condition ) && isset( $condition['categories'] ) && is_array( $condition['categories'] ) ? $condition['categories'] : array();
+			$strings = array_filter( $reasons, 'is_string' );
+
+			if ( empty( $reasons ) ) {
+				/* translators: %d: decline condition number */
+				$message = __( 'Decline condition %d needs at least one decline reason.', 'wcs-retry-rules-editor' );
+			} elseif ( count( $strings ) !== count( $reasons ) || array_diff( $strings, $categories ) ) {
+				/* translators: %d: decline condition number */
+				$message = __( 'Decline condition %d has an invalid decline reason.', 'wcs-retry-rules-editor' );
+			} elseif ( ! isset( $condition['action'] ) || ! in_array( $condition['action'], $this->decline_actions, true ) ) {
+				/* translators: %d: decline condition number */
+				$message = __( 'Decline condition %d has an invalid action.', 'wcs-retry-rules-editor' );
+			} elseif ( 'email' === $condition['action'] && ! $this->is_valid_decline_email( isset( $condition['email_template_customer'] ) ? $condition['email_template_customer'] : '' ) ) {
+				/* translators: %d: decline condition number */
+				$message = __( 'Decline condition %d needs a valid customer email template.', 'wcs-retry-rules-editor' );
+			} else {
+				continue;
+			}
+
+			return new WP_Error(
+				'invalid_decline_conditions',
+				sprintf( $message, $index + 1 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check whether a decline condition can send a customer email.
+	 *
+	 * @param mixed $value Customer email template value.
+	 * @return bool
+	 */
+	private function is_valid_decline_email( $value ) {
+		return is_string( $value ) && '' !== $value
+			&& ( in_array( $value, $this->valid_customer_emails, true ) || WCS_RRE_Templates_Manager::instance()->get_template_by_value( $value, 'customer' ) );
+	}
+
+	/**
+	 * Get the decline condition of a rule that applies to a decline category.
+	 *
+	 * The first condition listing the category wins.
+	 *
+	 * @param array  $rule     Sanitized rule.
+	 * @param string $category Decline category.
+	 * @return array|null Condition, or null if none applies.
+	 */
+	public function get_decline_condition( $rule, $category ) {
+		if ( '' === $category || empty( $rule['decline_conditions'] ) || ! is_array( $rule['decline_conditions'] ) ) {
+			return null;
+		}
+
+		foreach ( $rule['decline_conditions'] as $condition ) {
+			if ( in_array( $category, $condition['categories'], true ) ) {
+				return $condition;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the categories payment failures are mapped to, with labels.
+	 *
+	 * @return array Associative array of category => label.
+	 */
+	public function get_decline_categories() {
+		return array(
+			'insufficient_funds' => __( 'Insufficient funds', 'wcs-retry-rules-editor' ),
+			'expired_card'       => __( 'Expired card', 'wcs-retry-rules-editor' ),
+			'do_not_honor'       => __( 'Do not honor', 'wcs-retry-rules-editor' ),
+			'fraud'              => __( 'Fraud, lost or stolen card', 'wcs-retry-rules-editor' ),
+			'invalid_account'    => __( 'Closed or invalid account', 'wcs-retry-rules-editor' ),
+			'other'              => __( 'Other decline', 'wcs-retry-rules-editor' ),
+		);
+	}
+
+	/**
+	 * Check the per-locale email override variants of a rule.
+	 *
+	 * @param array  $rule      Rule configuration.
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @return true|WP_Error
+	 */
+	private function validate_email_locales( $rule, $recipient ) {
+		$key = 'email_locales_' . $recipient;
+		if ( ! isset( $rule[ $key ] ) ) {
+			return true;
+		}
+
+		if ( ! is_array( $rule[ $key ] ) ) {
+			return new WP_Error(
+				'invalid_email_locales',
+				__( 'Email translations must be an object keyed by locale.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		foreach ( $rule[ $key ] as $locale => $variant ) {
+			if ( ! $this->is_valid_locale( $locale ) ) {
+				return new WP_Error(
+					'invalid_email_locales',
+					sprintf(
+						/* translators: %s: locale */
+						__( 'Invalid email translation locale: %s', 'wcs-retry-rules-editor' ),
+						$locale
+					)
+				);
+			}
+
+			if ( ! is_array( $variant ) ) {
+				return new WP_Error(
+					'invalid_email_locales',
+					__( 'Email translations must be an object keyed by locale.', 'wcs-retry-rules-editor' )
+				);
+			}
+
+			foreach ( $variant as $value ) {
+				if ( ! is_string( $value ) ) {
+					return new WP_Error(
+						'invalid_email_content',
+						__( 'Email override fields must be text.', 'wcs-retry-rules-editor' )
+					);
+				}
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check whether a string looks like a WordPress locale, e.g. de_DE or de_DE_formal.
+	 *
+	 * @param mixed $locale Locale.
+	 * @return bool
+	 */
+	public function is_valid_locale( $locale ) {
+		return is_string( $locale ) && 1 === preg_match( '/^[a-z]{2,3}(_[A-Z]{2})?(_[a-z0-9]+)?$/', $locale );
+	}
+
+	/**
+	 * Get the locales email overrides can have variants for.
+	 *
+	 * Lists the site locale first, then the installed languages.
+	 *
+	 * @return array Associative array of locale => label.
+	 */
+	public function get_email_locales() {
+		$site_locale  = get_locale();
+		$locales      = array_unique( array_merge( array( $site_locale, 'en_US' ), get_available_languages() ) );
+		$translations = array();
+
+		if ( ! function_exists( 'wp_get_available_translations' ) && file_exists( ABSPATH . 'wp-admin/includes/translation-install.php' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/translation-install.php';
+		}
+
+		if ( function_exists( 'wp_get_available_translations' ) ) {
+			$translations = wp_get_available_translations();
+		}
+
+		$options = array();
+		foreach ( $locales as $locale ) {
+			if ( 'en_US' === $locale ) {
+				$options[ $locale ] = __( 'English (United States)', 'wcs-retry-rules-editor' );
+			} elseif ( isset( $translations[ $locale ]['native_name'] ) ) {
+				$options[ $locale ] = $translations[ $locale ]['native_name'];
+			} else {
+				$options[ $locale ] = $locale;
+			}
+		}
+
+		/**
+		 * Filter the locales offered for email override variants.
+		 *
+		 * @param array  $options     Associative array of locale => label.
+		 * @param string $site_locale Site locale, used when no variant matches.
+		 */
+		return apply_filters( 'wcs_rre_email_locales', $options, $site_locale );
+	}
+
+	/**
+	 * Get an email override field in the best matching locale.
+	 *
+	 * Uses the variant for the exact locale, then one for the same language,
+	 * then the default text.
+	 *
+	 * @param array  $rule      Rule configuration or retry rule raw data.
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @param string $field     Field (subject, heading, additional_content).
+	 * @param string $locale    Locale to send in. Empty for the default text.
+	 * @return string
+	 */
+	public function get_localized_override( $rule, $recipient, $field, $locale ) {
+		$default  = isset( $rule[ 'email_' . $field . '_' . $recipient ] ) ? (string) $rule[ 'email_' . $field . '_' . $recipient ] : '';
+		$variants = isset( $rule[ 'email_locales_' . $recipient ] ) && is_array( $rule[ 'email_locales_' . $recipient ] ) ? $rule[ 'email_locales_' . $recipient ] : array();
+
+		if ( '' === (string) $locale || empty( $variants ) ) {
+			return $default;
+		}
+
+		$language   = strtok( $locale, '_' );
+		$candidates = array( $locale );
+		foreach ( array_keys( $variants ) as $variant_locale ) {
+			if ( strtok( $variant_locale, '_' ) === $language ) {
+				$candidates[] = $variant_locale;
+			}
+		}
+
+		foreach ( $candidates as $candidate ) {
+			if ( isset( $variants[ $candidate ][ $field ] ) && '' !== $variants[ $candidate ][ $field ] ) {
+				return (string) $variants[ $candidate ][ $field ];
+			}
+		}
+
+		return $default;
+	}
+
+	/**
+	 * Get the placeholders retry emails can use, per recipient.
+	 *
+	 * @return array Lists of placeholders keyed by recipient (customer, admin).
+	 */
+	public function get_email_placeholders() {
+		$site = array( '{site_title}', '{site_address}', '{site_url}' );
+
+		/**
+		 * Filter the placeholders accepted in retry email overrides.
+		 *
+		 * @param array $placeholders Lists of placeholders keyed by recipient.
+		 */
+		return apply_filters(
+			'wcs_rre_email_placeholders',
+			array(
+				'customer' => array_merge( array( '{order_number}', '{order_date}', '{retry_time}' ), $site ),
+				'admin'    => array_merge( array( '{order_number}', '{order_date}', '{retry_time}' ), $site ),
+			)
+		);
+	}
+
+	/**
+	 * Check the enabled email overrides of a rule for unknown or unbalanced placeholders.
+	 *
+	 * @param array $rule Rule configuration.
+	 * @return true|WP_Error True if valid, WP_Error naming the first problem.
+	 */
+	private function validate_rule_placeholders( $rule ) {
+		$fields     = array(
+			'subject'            => __( 'subject', 'wcs-retry-rules-editor' ),
+			'heading'            => __( 'heading', 'wcs-retry-rules-editor' ),
+			'additional_content' => __( 'additional content', 'wcs-retry-rules-editor' ),
+		);
+		$recipients = array(
+			'customer' => __( 'Customer email', 'wcs-retry-rules-editor' ),
+			'admin'    => __( 'Admin email', 'wcs-retry-rules-editor' ),
+		);
+
+		foreach ( $recipients as $recipient => $recipient_label ) {
+			if ( empty( $rule[ 'email_override_' . $recipient ] ) ) {
+				continue;
+			}
+
+			$locales_key = 'email_locales_' . $recipient;
+			$variants    = isset( $rule[ $locales_key ] ) && is_array( $rule[ $locales_key ] ) ? $rule[ $locales_key ] : array();
+
+			foreach ( $fields as $field => $field_label ) {
+				$texts = array();
+				$key   = 'email_' . $field . '_' . $recipient;
+				if ( isset( $rule[ $key ] ) && is_string( $rule[ $key ] ) ) {
+					$texts[ $recipient_label . ' ' . $field_label ] = $rule[ $key ];
+				}
+
+				foreach ( $variants as $locale => $variant ) {
+					if ( isset( $variant[ $field ] ) && is_string( $variant[ $field ] ) ) {
+						$texts[ $recipient_label . ' ' . $field_label . ' (' . $locale . ')' ] = $variant[ $field ];
+					}
+				}
+
+				foreach ( $texts as $label => $text ) {
+					$check = $this->check_placeholders( $text, $recipient, $label );
+					if ( is_wp_error( $check ) ) {
+						return $check;
+					}
+				}
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check text for placeholders the recipient's email does not support and for unbalanced braces.
+	 *
+	 * @param string $text      Text to check.
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @param string $label     Field label used in the error message.
+	 * @return true|WP_Error True if valid, WP_Error naming the first problem.
+	 */
+	public function check_placeholders( $text, $recipient, $label ) {
+		$placeholders = $this->get_email_placeholders();
+		$allowed      = isset( $placeholders[ $recipient ] ) ? $placeholders[ $recipient ] : array();
+
+		preg_match_all( '/\{[^{}]*\}/', $text, $matches );
+		foreach ( $matches[0] as $token ) {
+			if ( ! in_array( $token, $allowed, true ) ) {
+				return new WP_Error(
+					'invalid_placeholder',
+					sprintf(
+						/* translators: 1: field label, 2: placeholder */
+						__( '%1$s: unknown placeholder %2$s', 'wcs-retry-rules-editor' ),
+						$label,
+						$token
+					)
+				);
+			}
+		}
+
+		if ( false !== strpbrk( preg_replace( '/\{[^{}]*\}/', '', $text ), '{}' ) ) {
+			return new WP_Error(
+				'invalid_placeholder',
+				sprintf(
+					/* translators: %s: field label */
+					__( '%s: unbalanced { or }', 'wcs-retry-rules-editor' ),
+					$label
+				)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Validate a list of rules without stopping at the first failure.
+	 *
+	 * @param array $rules Array of rule configurations.
+	 * @return array Error messages keyed by rule index. Empty if all rules are valid.
+	 */
+	public function validate_rules( $rules ) {
+		$errors = array();
+
+		foreach ( $rules as $index => $rule ) {
+			if ( ! is_array( $rule ) ) {
+				$errors[ $index ] = __( 'Rule must be an object.', 'wcs-retry-rules-editor' );
+				continue;
+			}
+
+			$validation = $this->validate_rule( $rule );
+			if ( is_wp_error( $validation ) ) {
+				$errors[ $index ] = $validation->get_error_message();
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Validate a named rule set.
+	 *
+	 * @param array $rule_set Rule set with name, conditions and rules.
+	 * @return true|WP_Error True if valid, WP_Error if invalid.
+	 */
+	public function validate_rule_set( $rule_set ) {
+		if ( ! is_array( $rule_set ) ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Rule set must be an object.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( empty( $rule_set['name'] ) || ! is_string( $rule_set['name'] ) || '' === trim( $rule_set['name'] ) ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Rule set name is required.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$conditions = isset( $rule_set['conditions'] ) ? $rule_set['conditions'] : array();
+		if ( ! is_array( $conditions ) ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Rule set conditions must be an object.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$has_condition = false;
+		foreach ( $this->get_rule_set_condition_keys() as $key ) {
+			if ( isset( $conditions[ $key ] ) && ! is_array( $conditions[ $key ] ) ) {
+				return new WP_Error(
+					'invalid_rule_set',
+					__( 'Rule set conditions must be lists.', 'wcs-retry-rules-editor' )
+				);
+			}
+			$has_condition = $has_condition || ! empty( $conditions[ $key ] );
+		}
+
+		if ( ! $has_condition ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Rule set needs at least one condition.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( ! empty( $conditions['billing_periods'] ) && array_diff( $conditions['billing_periods'], array_keys( $this->get_billing_periods() ) ) ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Invalid billing period', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( empty( $rule_set['rules'] ) || ! is_array( $rule_set['rules'] ) ) {
+			return new WP_Error(
+				'invalid_rule_set',
+				__( 'Rule set needs at least one rule.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$errors = $this->validate_rules( $rule_set['rules'] );
+		if ( ! empty( $errors ) ) {
+			$index = key( $errors );
+			return new WP_Error(
+				'invalid_rule',
+				sprintf(
+					/* translators: 1: rule number, 2: error message */
+					__( 'Rule %1$d: %2$s', 'wcs-retry-rules-editor' ),
+					$index + 1,
+					$errors[ $index ]
+				)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Validate a list of rule sets without stopping at the first failure.
+	 *
+	 * @param array $rule_sets List of rule sets.
+	 * @return array Error messages keyed by rule set index, prefixed with the set name.
+	 */
+	public function validate_rule_sets( $rule_sets ) {
+		if ( ! is_array( $rule_sets ) ) {
+			return array( __( 'Rule sets must be an array', 'wcs-retry-rules-editor' ) );
+		}
+
+		// Rule set conditions name products and categories, which differ between sites.
+		if ( $this->network->is_network_scope() && ! empty( $rule_sets ) ) {
+			return array( __( 'Network rules cannot have rule sets, as products and categories differ between sites.', 'wcs-retry-rules-editor' ) );
+		}
+
+		$errors = array();
+		foreach ( array_values( $rule_sets ) as $index => $rule_set ) {
+			$validation = $this->validate_rule_set( $rule_set );
+			if ( is_wp_error( $validation ) ) {
+				$name             = is_array( $rule_set ) && ! empty( $rule_set['name'] ) && is_string( $rule_set['name'] ) ? $rule_set['name'] : $index + 1;
+				$errors[ $index ] = sprintf(
+					/* translators: 1: rule set name, 2: error message */
+					__( 'Rule set "%1$s": %2$s', 'wcs-retry-rules-editor' ),
+					$name,
+					$validation->get_error_message()
+				);
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Sanitize a rule set for storage.
+	 *
+	 * @param array $rule_set Rule set.
+	 * @return array Sanitized rule set.
+	 */
+	public function sanitize_rule_set( $rule_set ) {
+		$conditions = isset( $rule_set['conditions'] ) && is_array( $rule_set['conditions'] ) ? $rule_set['conditions'] : array();
+		$list       = function ( $key ) use ( $conditions ) {
+			return isset( $conditions[ $key ] ) && is_array( $conditions[ $key ] ) ? $conditions[ $key ] : array();
+		};
+		$id         = isset( $rule_set['id'] ) ? sanitize_key( $rule_set['id'] ) : '';
+
+		return array(
+			'id'         => '' !== $id ? $id : 'set-' . wp_generate_uuid4(),
+			'name'       => sanitize_text_field( $rule_set['name'] ),
+			'conditions' => array(
+				'products'        => array_values( array_filter( array_map( 'absint', $list( 'products' ) ) ) ),
+				'categories'      => array_values( array_filter( array_map( 'absint', $list( 'categories' ) ) ) ),
+				'payment_methods' => array_values( array_filter( array_map( 'sanitize_text_field', $list( 'payment_methods' ) ) ) ),
+				'billing_periods' => array_values( array_intersect( $list( 'billing_periods' ), array_keys( $this->get_billing_periods() ) ) ),
+			),
+			'rules'      => array_map( array( $this, 'sanitize_rule' ), array_values( $rule_set['rules'] ) ),
+		);
+	}
+
+	/**
+	 * Get the condition keys a rule set can match on.
+	 *
+	 * @return array
+	 */
+	public function get_rule_set_condition_keys() {
+		return array( 'products', 'categories', 'payment_methods', 'billing_periods' );
+	}
+
+	/**
+	 * Get subscription billing periods with labels.
+	 *
+	 * @return array Associative array of period => label.
+	 */
+	public function get_billing_periods() {
+		if ( function_exists( 'wcs_get_subscription_period_strings' ) ) {
+			return wcs_get_subscription_period_strings();
+		}
+
+		return array(
+			'day'   => __( 'day', 'wcs-retry-rules-editor' ),
+			'week'  => __( 'week', 'wcs-retry-rules-editor' ),
+			'month' => __( 'month', 'wcs-retry-rules-editor' ),
+			'year'  => __( 'year', 'wcs-retry-rules-editor' ),
+		);
+	}
+
+	/**
+	 * Get the length of the shortest billing period among the store's published subscription products.
+	 *
+	 * Variable subscriptions count each of their variations. The result is
+	 * cached until a product is saved.
+	 *
+	 * @return int Length in seconds, or 0 if no subscription product has a billing period.
+	 */
+	public function get_shortest_billing_period() {
+		$cached = get_transient( self::BILLING_PERIOD_TRANSIENT );
+		if ( false !== $cached ) {
+			return (int) $cached;
+		}
+
+		$lengths = array(
+			'day'   => DAY_IN_SECONDS,
+			'week'  => WEEK_IN_SECONDS,
+			'month' => MONTH_IN_SECONDS,
+			'year'  => YEAR_IN_SECONDS,
+		);
+		$length  = 0;
+
+		if ( function_exists( 'wc_get_products' ) ) {
+			$products = wc_get_products(
+				array(
+					'type'   => array( 'subscription', 'variable-subscription' ),
+					'status' => 'publish',
+					'limit'  => -1,
+				)
+			);
+
+			foreach ( $products as $product ) {
+				$items = $product->is_type( 'variable-subscription' ) ? array_filter( array_map( 'wc_get_product', $product->get_children() ) ) : array( $product );
+
+				foreach ( $items as $item ) {
+					$period = $item->get_meta( '_subscription_period' );
+					if ( 'publish' !== $item->get_status() || ! isset( $lengths[ $period ] ) ) {
+						continue;
+					}
+
+					$item_length = $lengths[ $period ] * max( 1, absint( $item->get_meta( '_subscription_period_interval' ) ) );
+					$length      = $length ? min( $length, $item_length ) : $item_length;
+				}
+			}
+		}
+
+		set_transient( self::BILLING_PERIOD_TRANSIENT, $length, DAY_IN_SECONDS );
+
+		return $length;
+	}
+
+	/**
+	 * Clear the cached shortest billing period, as products changed.
+	 */
+	public function flush_billing_period_cache() {
+		delete_transient( self::BILLING_PERIOD_TRANSIENT );
+	}
+
+	/**
+	 * Sanitize a rule for storage.
+	 *
+	 * @param array $rule Rule configuration.
+	 * @return array Sanitized rule.
+	 */
+	public function sanitize_rule( $rule ) {
+		$sanitized = array(
+			'retry_after_interval'            => absint( $rule['retry_after_interval'] ),
+			'email_template_customer'         => sanitize_text_field( $rule['email_template_customer'] ),
+			'email_template_admin'            => sanitize_text_field( $rule['email_template_admin'] ),
+			'status_to_apply_to_order'        => sanitize_key( str_replace( 'wc-', '', $rule['status_to_apply_to_order'] ) ),
+			'status_to_apply_to_subscription' => sanitize_key( $rule['status_to_apply_to_subscription'] ),
+		);
+
+		$sanitized['email_subject_customer']            = isset( $rule['email_subject_customer'] ) ? sanitize_text_field( $rule['email_subject_customer'] ) : '';
+		$sanitized['email_heading_customer']            = isset( $rule['email_heading_customer'] ) ? sanitize_text_field( $rule['email_heading_customer'] ) : '';
+		$sanitized['email_additional_content_customer'] = isset( $rule['email_additional_content_customer'] ) ? wp_kses_post( $rule['email_additional_content_customer'] ) : '';
+		$sanitized['email_subject_admin']               = isset( $rule['email_subject_admin'] ) ? sanitize_text_field( $rule['email_subject_admin'] ) : '';
+		$sanitized['email_heading_admin']               = isset( $rule['email_heading_admin'] ) ? sanitize_text_field( $rule['email_heading_admin'] ) : '';
+		$sanitized['email_additional_content_admin']    = isset( $rule['email_additional_content_admin'] ) ? wp_kses_post( $rule['email_additional_content_admin'] ) : '';
+		$sanitized['email_override_customer']           = isset( $rule['email_override_customer'] ) ? (bool) $rule['email_override_customer'] : false;
+		$sanitized['email_override_admin']              = isset( $rule['email_override_admin'] ) ? (bool) $rule['email_override_admin'] : false;
+		$sanitized['email_locales_customer']            = $this->sanitize_email_locales( isset( $rule['email_locales_customer'] ) ? $rule['email_locales_customer'] : array() );
+		$sanitized['email_locales_admin']               = $this->sanitize_email_locales( isset( $rule['email_locales_admin'] ) ? $rule['email_locales_admin'] : array() );
+		$sanitized['decline_conditions']                = $this->sanitize_decline_conditions( isset( $rule['decline_conditions'] ) ? $rule['decline_conditions'] : array() );
+		$sanitized['timing']                            = isset( $rule['timing'] ) && 'anchored' === $rule['timing'] ? 'anchored' : 'relative';
+		$sanitized['anchor']                            = $this->sanitize_anchor( isset( $rule['anchor'] ) ? $rule['anchor'] : array() );
+
+		return $sanitized;
+	}
+
+	/**
+	 * Sanitize the set time of an anchored rule, falling back to the default.
+	 *
+	 * @param mixed $anchor Anchor with type, days and time.
+	 * @return array
+	 */
+	private function sanitize_anchor( $anchor ) {
+		$default = $this->get_default_anchor();
+		$ranges  = $this->get_anchor_day_ranges();
+		$anchor  = is_array( $anchor ) ? $anchor : array();
+		$type    = isset( $anchor['type'] ) && is_string( $anchor['type'] ) && isset( $ranges[ $anchor['type'] ] ) ? $anchor['type'] : '';
+		$days    = array();
+
+		if ( '' !== $type && isset( $anchor['days'] ) && is_array( $anchor['days'] ) ) {
+			$days = array_filter(
+				array_unique( array_map( 'absint', array_filter( $anchor['days'], 'is_numeric' ) ) ),
+				function ( $day ) use ( $ranges, $type ) {
+					return $day >= $ranges[ $type ][0] && $day <= $ranges[ $type ][1];
+				}
+			);
+			sort( $days );
+		}
+
+		if ( empty( $days ) ) {
+			return $default;
+		}
+
+		return array(
+			'type' => $type,
+			'days' => $days,
+			'time' => isset( $anchor['time'] ) && is_string( $anchor['time'] ) && preg_match( self::ANCHOR_TIME_PATTERN, $anchor['time'] ) ? $anchor['time'] : $default['time'],
+		);
+	}
+
+	/**
+	 * Sanitize decline conditions, dropping incomplete ones.
+	 *
+	 * Reasons are kept in the order of get_decline_categories().
+	 *
+	 * @param mixed $conditions Decline conditions.
+	 * @return array
+	 */
+	private function sanitize_decline_conditions( $conditions ) {
+		if ( ! is_array( $conditions ) ) {
+			return array();
+		}
+
+		$categories = array_keys( $this->get_decline_categories() );
+		$sanitized  = array();
+
+		foreach ( $conditions as $condition ) {
+			if ( ! is_array( $condition ) || ! isset( $condition['action'] ) || ! in_array( $condition['action'], $this->decline_actions, true ) ) {
+				continue;
+			}
+
+			$reasons = isset( $condition['categories'] ) && is_array( $condition['categories'] ) ? array_filter( $condition['categories'], 'is_string' ) : array();
+			$reasons = array_values( array_intersect( $categories, $reasons ) );
+			if ( empty( $reasons ) ) {
+				continue;
+			}
+
+			$sanitized[] = array(
+				'categories'              => $reasons,
+				'action'                  => $condition['action'],
+				'email_template_customer' => 'email' === $condition['action'] && isset( $condition['email_template_customer'] ) ? sanitize_text_field( $condition['email_template_customer'] ) : '',
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Sanitize per-locale email override variants, dropping empty ones.
+	 *
+	 * @param mixed $locales Variants keyed by locale.
+	 * @return array
+	 */
+	private function sanitize_email_locales( $locales ) {
+		if ( ! is_array( $locales ) ) {
+			return array();
+		}
+
+		$sanitized = array();
+		foreach ( $locales as $locale => $variant ) {
+			if ( ! $this->is_valid_locale( $locale ) || ! is_array( $variant ) ) {
+				continue;
+			}
+
+			$fields = array(
+				'subject'            => isset( $variant['subject'] ) ? sanitize_text_field( $variant['subject'] ) : '',
+				'heading'            => isset( $variant['heading'] ) ? sanitize_text_field( $variant['heading'] ) : '',
+				'additional_content' => isset( $variant['additional_content'] ) ? wp_kses_post( $variant['additional_content'] ) : '',
+			);
+
+			if ( '' !== implode( '', $fields ) ) {
+				$sanitized[ $locale ] = $fields;
+			}
+		}
+
+		ksort( $sanitized );
 
 		return $sanitized;
 	}
@@ -0,0 +1,420 @@
+<?php
+/**
+ * Scheduler Class
+ *
+ * Activates a saved draft of the rules and rule sets at a set time, and
+ * optionally reverts to the previous rules later. Runs on Action Scheduler
+ * when it is available, otherwise on WP-Cron. Neither step overwrites rules
+ * published since the schedule was set or activated; it is dropped instead.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Schedules activation and revert of retry rules.
+ */
+class WCS_RRE_Scheduler {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Scheduler
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option key for storing the schedule.
+	 */
+	const OPTION_KEY = 'wcs_rre_schedule';
+
+	/**
+	 * Hook run when the scheduled rules activate.
+	 */
+	const ACTIVATE_HOOK = 'wcs_rre_activate_scheduled_rules';
+
+	/**
+	 * Hook run when the previous rules are restored.
+	 */
+	const REVERT_HOOK = 'wcs_rre_revert_scheduled_rules';
+
+	/**
+	 * Action Scheduler group of the plugin's actions.
+	 */
+	const GROUP = 'wcs-retry-rules-editor';
+
+	/**
+	 * Schedule waiting for its activation time.
+	 */
+	const STATUS_PENDING = 'pending';
+
+	/**
+	 * Schedule that has activated and is waiting for its revert time.
+	 */
+	const STATUS_ACTIVE = 'active';
+
+	/**
+	 * Rules manager instance.
+	 *
+	 * @var WCS_RRE_Rules_Manager
+	 */
+	private $rules_manager;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Scheduler
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {
+		$this->rules_manager = WCS_RRE_Rules_Manager::instance();
+	}
+
+	/**
+	 * Register the activation and revert hooks.
+	 */
+	public function init() {
+		add_action( self::ACTIVATE_HOOK, array( $this, 'activate' ) );
+		add_action( self::REVERT_HOOK, array( $this, 'revert' ) );
+	}
+
+	/**
+	 * Get the stored schedule.
+	 *
+	 * @return array|null Schedule, or null if nothing is scheduled.
+	 */
+	public function get_schedule() {
+		$schedule = get_option( self::OPTION_KEY, null );
+		return is_array( $schedule ) && ! empty( $schedule['id'] ) ? $schedule : null;
+	}
+
+	/**
+	 * Schedule rules, rule sets and the final action to replace the saved ones.
+	 *
+	 * Replaces a schedule that has not activated yet.
+	 *
+	 * @param array      $rules        Array of rule configurations.
+	 * @param array      $rule_sets    Named rule sets.
+	 * @param int        $activate_at  Activation timestamp.
+	 * @param int|null   $revert_at    Timestamp to restore the previous rules at, or null to keep the new ones.
+	 * @param array|null $final_action Final action, or null to keep the saved one.
+	 * @return array|WP_Error Saved schedule or error.
+	 */
+	public function schedule( $rules, $rule_sets, $activate_at, $revert_at = null, $final_action = null ) {
+		$existing = $this->get_schedule();
+		if ( $existing && self::STATUS_ACTIVE === $existing['status'] ) {
+			return new WP_Error(
+				'schedule_active',
+				__( 'Scheduled rules are active and waiting to revert. Cancel the revert before scheduling new rules.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( $activate_at <= time() ) {
+			return new WP_Error(
+				'invalid_schedule',
+				__( 'The activation time must be in the future.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( null !== $revert_at && $revert_at <= $activate_at ) {
+			return new WP_Error(
+				'invalid_schedule',
+				__( 'The revert time must be after the activation time.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( null === $final_action ) {
+			$final_action = $this->rules_manager->get_final_action();
+		}
+
+		$validation = $this->rules_manager->validate_config( $rules, $rule_sets, $final_action );
+		if ( is_wp_error( $validation ) ) {
+			return $validation;
+		}
+
+		$this->unschedule_events();
+
+		$schedule = array_merge(
+			$this->rules_manager->sanitize_config( $rules, $rule_sets, $final_action ),
+			array(
+				'id'          => 'schedule-' . wp_generate_uuid4(),
+				'status'      => self::STATUS_PENDING,
+				'activate_at' => (int) $activate_at,
+				'revert_at'   => null === $revert_at ? null : (int) $revert_at,
+				'previous'    => null,
+				'live'        => $this->get_live_version(),
+				'created_at'  => current_time( 'c' ),
+				'created_by'  => get_current_user_id(),
+			)
+		);
+
+		update_option( self::OPTION_KEY, $schedule, false );
+		$this->schedule_event( self::ACTIVATE_HOOK, $schedule['activate_at'], $schedule['id'] );
+
+		return $schedule;
+	}
+
+	/**
+	 * Cancel the schedule.
+	 *
+	 * Before activation nothing changes. After activation the scheduled rules
+	 * stay in place and only the revert is cancelled.
+	 *
+	 * @return true|WP_Error True on success, WP_Error if nothing is scheduled.
+	 */
+	public function cancel() {
+		if ( ! $this->get_schedule() ) {
+			return new WP_Error(
+				'schedule_not_found',
+				__( 'Nothing is scheduled.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$this->unschedule_events();
+		delete_option( self::OPTION_KEY );
+
+		return true;
+	}
+
+	/**
+	 * Save the scheduled rules as the active rules.
+	 *
+	 * Skipped if the rules were published or reset after the schedule was set.
+	 *
+	 * @param string $schedule_id ID of the schedule the event was queued for.
+	 */
+	public function activate( $schedule_id ) {
+		$schedule = $this->get_schedule();
+		if ( ! $schedule || $schedule['id'] !== $schedule_id || self::STATUS_PENDING !== $schedule['status'] ) {
+			return;
+		}
+
+		$previous = $this->get_live_config();
+
+		if ( ! $this->is_live_unchanged( $schedule ) ) {
+			delete_option( self::OPTION_KEY );
+			$this->log_error( 'The rules changed after they were scheduled, so the scheduled rules were not activated.' );
+			WCS_RRE_Audit_Log::instance()->record(
+				'schedule_skip',
+				$this->get_audit_config( $previous ),
+				$this->get_audit_config( $previous ),
+				__( 'Scheduled rules not activated: the rules were changed after they were scheduled.', 'wcs-retry-rules-editor' ),
+				0
+			);
+			return;
+		}
+
+		$result = $this->rules_manager->save_rules(
+			$schedule['rules'],
+			$schedule['rule_sets'],
+			$schedule['created_by'],
+			isset( $schedule['final_action'] ) ? $schedule['final_action'] : null
+		);
+		if ( is_wp_error( $result ) ) {
+			$this->log_error( 'Scheduled rules failed validation and were not activated: ' . $result->get_error_message() );
+			delete_option( self::OPTION_KEY );
+			return;
+		}
+
+		WCS_RRE_Audit_Log::instance()->record( 'schedule_activate', $this->get_audit_config( $previous ), $this->get_audit_config( $this->get_live_config() ), '', 0 );
+
+		if ( null === $schedule['revert_at'] ) {
+			delete_option( self::OPTION_KEY );
+			return;
+		}
+
+		$schedule['status']   = self::STATUS_ACTIVE;
+		$schedule['previous'] = $previous;
+		$schedule['live']     = $this->get_live_version();
+		update_option( self::OPTION_KEY, $schedule, false );
+
+		$this->schedule_event( self::REVERT_HOOK, $schedule['revert_at'], $schedule['id'] );
+	}
+
+	/**
+	 * Restore the rules that were active before the schedule activated.
+	 *
+	 * Reverting to no custom rules clears them, so the WCS defaults apply again.
+	 * A site that inherited the network rules inherits them again. Skipped if
+	 * the rules were published or reset after the schedule activated.
+	 *
+	 * @param string $schedule_id ID of the schedule the event was queued for.
+	 */
+	public function revert( $schedule_id ) {
+		$schedule = $this->get_schedule();
+		if ( ! $schedule || $schedule['id'] !== $schedule_id || self::STATUS_ACTIVE !== $schedule['status'] ) {
+			return;
+		}
+
+		delete_option( self::OPTION_KEY );
+
+		$before = $this->get_live_config();
+
+		if ( ! $this->is_live_unchanged( $schedule ) ) {
+			$this->log_error( 'The rules changed after the scheduled rules activated, so the previous rules were not restored.' );
+			WCS_RRE_Audit_Log::instance()->record(
+				'schedule_skip',
+				$this->get_audit_config( $before ),
+				$this->get_audit_config( $before ),
+				__( 'Previous rules not restored: the rules were changed after the scheduled rules activated.', 'wcs-retry-rules-editor' ),
+				0
+			);
+			return;
+		}
+
+		$previous = $schedule['previous'];
+		if ( ! empty( $previous['inherits'] ) ) {
+			WCS_RRE_Network::instance()->inherit( get_current_blog_id() );
+		} elseif ( empty( $previous['rules'] ) ) {
+			$this->rules_manager->clear_rules();
+		} else {
+			$result = $this->rules_manager->save_rules(
+				$previous['rules'],
+				$previous['rule_sets'],
+				0,
+				isset( $previous['final_action'] ) ? $previous['final_action'] : null
+			);
+			if ( is_wp_error( $result ) ) {
+				$this->log_error( 'Previous rules failed validation and were not restored: ' . $result->get_error_message() );
+				return;
+			}
+		}
+
+		WCS_RRE_Audit_Log::instance()->record( 'schedule_revert', $this->get_audit_config( $before ), $this->get_audit_config( $this->get_live_config() ), '', 0 );
+	}
+
+	/**
+	 * Get the configuration in effect at a time, given the saved one.
+	 *
+	 * Covers the gap between a scheduled time and its event running.
+	 *
+	 * @param array $config Saved configuration.
+	 * @param int   $time   Timestamp.
+	 * @return array Configuration in effect.
+	 */
+	public function get_config_in_effect( $config, $time ) {
+		$schedule = $this->get_schedule();
+		if ( ! $schedule ) {
+			return $config;
+		}
+
+		$reverted = null !== $schedule['revert_at'] && $time >= $schedule['revert_at'];
+
+		// The event will drop a schedule whose rules were changed since, so they stay.
+		if ( ( $time >= $schedule['activate_at'] || $reverted ) && ! $this->is_live_unchanged( $schedule ) ) {
+			return $config;
+		}
+
+		if ( self::STATUS_PENDING === $schedule['status'] && $time >= $schedule['activate_at'] && ! $reverted ) {
+			return array_merge(
+				$config,
+				array_intersect_key( $schedule, array_flip( array( 'rules', 'rule_sets', 'final_action' ) ) )
+			);
+		}
+
+		if ( self::STATUS_ACTIVE === $schedule['status'] && $reverted ) {
+			return array_merge( $config, $schedule['previous'] );
+		}
+
+		return $config;
+	}
+
+	/**
+	 * Get the site's published rules as saved, without a schedule applied.
+	 *
+	 * @return array Configuration with rules, rule_sets, final_action and inherits.
+	 */
+	private function get_live_config() {
+		$network = WCS_RRE_Network::instance();
+		$stored  = $network->site_inherits() ? $network->get_network_config() : get_option( WCS_RRE_Rules_Manager::OPTION_KEY, array() );
+
+		return array(
+			'rules'        => isset( $stored['rules'] ) && is_array( $stored['rules'] ) ? $stored['rules'] : array(),
+			'rule_sets'    => isset( $stored['rule_sets'] ) && is_array( $stored['rule_sets'] ) ? $stored['rule_sets'] : array(),
+			'final_action' => $this->rules_manager->sanitize_final_action( isset( $stored['final_action'] ) ? $stored['final_action'] : array() ),
+			'inherits'     => $network->site_inherits(),
+		);
+	}
+
+	/**
+	 * Get a hash of the site's published rules, which changes whenever they are published or reset.
+	 *
+	 * @return string
+	 */
+	private function get_live_version() {
+		return md5( wp_json_encode( array( WCS_RRE_Network::instance()->site_inherits(), get_option( WCS_RRE_Rules_Manager::OPTION_KEY, array() ) ) ) );
+	}
+
+	/**
+	 * Check whether the published rules are the ones the schedule last saw.
+	 *
+	 * @param array $schedule Schedule.
+	 * @return bool
+	 */
+	private function is_live_unchanged( $schedule ) {
+		return empty( $schedule['live'] ) || $schedule['live'] === $this->get_live_version();
+	}
+
+	/**
+	 * Get rules for an audit entry, with the WCS defaults standing in for no custom rules.
+	 *
+	 * @param array $config Configuration from get_live_config().
+	 * @return array Rules, rule_sets and final_action.
+	 */
+	private function get_audit_config( $config ) {
+		return array(
+			'rules'        => ! empty( $config['rules'] ) ? $config['rules'] : $this->rules_manager->get_wcs_defaults(),
+			'rule_sets'    => $config['rule_sets'],
+			'final_action' => $config['final_action'],
+		);
+	}
+
+	/**
+	 * Queue a hook for a schedule.
+	 *
+	 * @param string $hook        Hook name.
+	 * @param int    $timestamp   When to run.
+	 * @param string $schedule_id Schedule ID.
+	 */
+	private function schedule_event( $hook, $timestamp, $schedule_id ) {
+		if ( function_exists( 'as_schedule_single_action' ) ) {
+			as_schedule_single_action( $timestamp, $hook, array( $schedule_id ), self::GROUP );
+			return;
+		}
+
+		wp_schedule_single_event( $timestamp, $hook, array( $schedule_id ) );
+	}
+
+	/**
+	 * Remove queued activation and revert events.
+	 */
+	private function unschedule_events() {
+		foreach ( array( self::ACTIVATE_HOOK, self::REVERT_HOOK ) as $hook ) {
+			if ( function_exists( 'as_unschedule_all_actions' ) ) {
+				as_unschedule_all_actions( $hook );
+			}
+			wp_unschedule_hook( $hook );
+		}
+	}
+
+	/**
+	 * Log an error message when WP_DEBUG is enabled.
+	 *
+	 * @param string $message Error message to log.
+	 */
+	private function log_error( $message ) {
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			error_log( 'WCS Retry Rules Editor: ' . $message ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+		}
+	}
+}
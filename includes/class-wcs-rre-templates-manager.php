@@ -0,0 +1,458 @@
+<?php
+/**
+ * Templates Manager Class
+ *
+ * Stores named retry email templates that rules can send instead of the
+ * default WooCommerce Subscriptions retry email content.
+ *
+ * @package WCS_Retry_Rules_Editor
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manages named retry email templates.
+ */
+class WCS_RRE_Templates_Manager {
+
+	/**
+	 * Singleton instance.
+	 *
+	 * @var WCS_RRE_Templates_Manager
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option key for storing email templates.
+	 */
+	const OPTION_KEY = 'wcs_rre_email_templates';
+
+	/**
+	 * Prefix of rule email template values that refer to a named template.
+	 */
+	const VALUE_PREFIX = 'rre_template:';
+
+	/**
+	 * WCS email classes that named templates are sent through, per recipient.
+	 *
+	 * @var array
+	 */
+	private $base_emails = array(
+		'customer' => 'WCS_Email_Customer_Payment_Retry',
+		'admin'    => 'WCS_Email_Payment_Retry',
+	);
+
+	/**
+	 * Template being rendered by locate_template().
+	 *
+	 * @var array|null
+	 */
+	private $rendering = null;
+
+	/**
+	 * Get singleton instance.
+	 *
+	 * @return WCS_RRE_Templates_Manager
+	 */
+	public static function instance() {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor.
+	 */
+	private function __construct() {}
+
+	/**
+	 * Get all named templates.
+	 *
+	 * Templates belong to a site, so there are none while the network rules are edited.
+	 *
+	 * @return array List of templates.
+	 */
+	public function get_templates() {
+		if ( WCS_RRE_Network::instance()->is_network_scope() ) {
+			return array();
+		}
+
+		$templates = get_option( self::OPTION_KEY, array() );
+		return is_array( $templates ) ? array_values( $templates ) : array();
+	}
+
+	/**
+	 * Get a template by ID.
+	 *
+	 * @param string $id Template ID.
+	 * @return array|null Template, or null if not found.
+	 */
+	public function get_template( $id ) {
+		foreach ( $this->get_templates() as $template ) {
+			if ( $template['id'] === $id ) {
+				return $template;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the template a rule email template value refers to.
+	 *
+	 * @param mixed  $value     Rule email template value, e.g. "rre_template:tpl-…".
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @return array|null Template, or null if the value is not a named template for the recipient.
+	 */
+	public function get_template_by_value( $value, $recipient ) {
+		if ( ! is_string( $value ) || 0 !== strpos( $value, self::VALUE_PREFIX ) ) {
+			return null;
+		}
+
+		$template = $this->get_template( substr( $value, strlen( self::VALUE_PREFIX ) ) );
+
+		return $template && $template['recipient'] === $recipient ? $template : null;
+	}
+
+	/**
+	 * Get the named template a rule sends to a recipient.
+	 *
+	 * Accepts both editor rules and rules prepared with prepare_rule().
+	 *
+	 * @param array  $rule      Rule configuration or retry rule raw data.
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @return array|null Template, or null if the rule sends the default email.
+	 */
+	public function get_rule_template( $rule, $recipient ) {
+		$named_key = 'email_named_template_' . $recipient;
+		if ( ! empty( $rule[ $named_key ] ) ) {
+			$template = $this->get_template( $rule[ $named_key ] );
+			return $template && $template['recipient'] === $recipient ? $template : null;
+		}
+
+		$value_key = 'email_template_' . $recipient;
+		return isset( $rule[ $value_key ] ) ? $this->get_template_by_value( $rule[ $value_key ], $recipient ) : null;
+	}
+
+	/**
+	 * Get template choices for the email dropdowns.
+	 *
+	 * @param string $recipient Recipient type (customer or admin).
+	 * @return array Associative array of rule value => template name.
+	 */
+	public function get_template_options( $recipient ) {
+		$options = array();
+		foreach ( $this->get_templates() as $template ) {
+			if ( $template['recipient'] === $recipient ) {
+				$options[ self::VALUE_PREFIX . $template['id'] ] = $template['name'];
+			}
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Convert named template references into rules WooCommerce Subscriptions understands.
+	 *
+	 * The rule sends the recipient's standard retry email class and keeps the
+	 * template ID in its raw data for the email filters. A reference to a
+	 * template that no longer exists falls back to the standard email.
+	 *
+	 * @param array $rule Rule configuration.
+	 * @return array Rule configuration.
+	 */
+	public function prepare_rule( $rule ) {
+		foreach ( $this->base_emails as $recipient => $email_class ) {
+			$value_key = 'email_template_' . $recipient;
+			if ( ! isset( $rule[ $value_key ] ) || ! is_string( $rule[ $value_key ] ) || 0 !== strpos( $rule[ $value_key ], self::VALUE_PREFIX ) ) {
+				continue;
+			}
+
+			$template  = $this->get_template_by_value( $rule[ $value_key ], $recipient );
+			$named_key = 'email_named_template_' . $recipient;
+
+			$rule[ $value_key ] = $email_class;
+			$rule[ $named_key ] = $template ? $template['id'] : '';
+		}
+
+		return $rule;
+	}
+
+	/**
+	 * Create or update a template.
+	 *
+	 * @param array $data Template data: id (optional), name, recipient, subject, heading, body.
+	 * @return array|WP_Error Saved template or error.
+	 */
+	public function save_template( $data ) {
+		$rules_manager = WCS_RRE_Rules_Manager::instance();
+		$name          = isset( $data['name'] ) ? sanitize_text_field( $data['name'] ) : '';
+		$recipient     = isset( $data['recipient'] ) ? $data['recipient'] : '';
+		$id            = isset( $data['id'] ) ? sanitize_key( $data['id'] ) : '';
+		$existing      = '' !== $id ? $this->get_template( $id ) : null;
+
+		if ( '' === $name ) {
+			return new WP_Error(
+				'invalid_template',
+				__( 'Template name is required.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( ! isset( $this->base_emails[ $recipient ] ) ) {
+			return new WP_Error(
+				'invalid_template',
+				__( 'Invalid template recipient.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( '' !== $id && ! $existing ) {
+			return new WP_Error(
+				'template_not_found',
+				__( 'Template not found.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( $existing && $existing['recipient'] !== $recipient && $this->is_template_in_use( $id ) ) {
+			return new WP_Error(
+				'template_in_use',
+				__( 'The recipient of a template cannot change while rules use it.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$fields = array(
+			'subject' => __( 'Subject', 'wcs-retry-rules-editor' ),
+			'heading' => __( 'Heading', 'wcs-retry-rules-editor' ),
+			'body'    => __( 'Body', 'wcs-retry-rules-editor' ),
+		);
+		$values = array();
+		foreach ( $fields as $field => $label ) {
+			$value = isset( $data[ $field ] ) ? $data[ $field ] : '';
+			if ( ! is_string( $value ) ) {
+				return new WP_Error(
+					'invalid_template',
+					__( 'Template fields must be text.', 'wcs-retry-rules-editor' )
+				);
+			}
+
+			$check = $rules_manager->check_placeholders( $value, $recipient, $label );
+			if ( is_wp_error( $check ) ) {
+				return $check;
+			}
+
+			$values[ $field ] = $value;
+		}
+
+		if ( '' === trim( $values['body'] ) ) {
+			return new WP_Error(
+				'invalid_template',
+				__( 'Template body is required.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$template = array(
+			'id'          => $existing ? $existing['id'] : 'tpl-' . wp_generate_uuid4(),
+			'name'        => $name,
+			'recipient'   => $recipient,
+			'subject'     => sanitize_text_field( $values['subject'] ),
+			'heading'     => sanitize_text_field( $values['heading'] ),
+			'body'        => wp_kses_post( $values['body'] ),
+			'modified_at' => current_time( 'c' ),
+			'modified_by' => get_current_user_id(),
+		);
+
+		$templates = $this->get_templates();
+		if ( $existing ) {
+			foreach ( $templates as $index => $item ) {
+				if ( $item['id'] === $template['id'] ) {
+					$templates[ $index ] = $template;
+				}
+			}
+		} else {
+			$templates[] = $template;
+		}
+
+		update_option( self::OPTION_KEY, array_values( $templates ), false );
+
+		return $template;
+	}
+
+	/**
+	 * Delete a template that no saved rules or presets use.
+	 *
+	 * @param string $id Template ID.
+	 * @return true|WP_Error True on success, WP_Error if not found or in use.
+	 */
+	public function delete_template( $id ) {
+		if ( ! $this->get_template( $id ) ) {
+			return new WP_Error(
+				'template_not_found',
+				__( 'Template not found.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		if ( $this->is_template_in_use( $id ) ) {
+			return new WP_Error(
+				'template_in_use',
+				__( 'This template is used by saved rules, presets or the experiment variant. Choose another email for those rules first.', 'wcs-retry-rules-editor' )
+			);
+		}
+
+		$kept = array_filter(
+			$this->get_templates(),
+			function ( $template ) use ( $id ) {
+				return $template['id'] !== $id;
+			}
+		);
+
+		update_option( self::OPTION_KEY, array_values( $kept ), false );
+
+		return true;
+	}
+
+	/**
+	 * Check whether saved or draft rules (including their decline conditions), rule sets and final actions, custom presets or the experiment variant use a template.
+	 *
+	 * @param string $id Template ID.
+	 * @return bool
+	 */
+	public function is_template_in_use( $id ) {
+		$rules_manager = WCS_RRE_Rules_Manager::instance();
+		$rule_lists    = array( $rules_manager->get_active_rules() );
+		$final_actions = array( $rules_manager->get_final_action() );
+
+		foreach ( $rules_manager->get_rule_sets() as $rule_set ) {
+			$rule_lists[] = $rule_set['rules'];
+		}
+
+		foreach ( WCS_RRE_Presets_Manager::instance()->get_custom_presets() as $preset ) {
+			$rule_lists[] = $preset['rules'];
+		}
+
+		$draft = $rules_manager->get_draft();
+		if ( $draft ) {
+			$rule_lists[]    = $draft['rules'];
+			$final_actions[] = $draft['final_action'];
+			foreach ( $draft['rule_sets'] as $rule_set ) {
+				$rule_lists[] = $rule_set['rules'];
+			}
+		}
+
+		$experiment = WCS_RRE_Experiments_Manager::instance()->get_experiment();
+		if ( $experiment ) {
+			$rule_lists[] = $experiment['variant_rules'];
+		}
+
+		$value = self::VALUE_PREFIX . $id;
+		foreach ( $final_actions as $final_action ) {
+			if ( in_array( $value, wp_list_pluck( $final_action['outcomes'], 'email' ), true ) ) {
+				return true;
+			}
+		}
+
+		foreach ( $rule_lists as $rules ) {
+			foreach ( (array) $rules as $rule ) {
+				if ( ( isset( $rule['email_template_customer'] ) && $value === $rule['email_template_customer'] )
+					|| ( isset( $rule['email_template_admin'] ) && $value === $rule['email_template_admin'] ) ) {
+					return true;
+				}
+
+				if ( ! empty( $rule['decline_conditions'] ) && in_array( $value, wp_list_pluck( (array) $rule['decline_conditions'], 'email_template_customer' ), true ) ) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Send a named template for a renewal order outside of a retry.
+	 *
+	 * The template goes out through the recipient's retry email class, so that
+	 * email's WooCommerce settings, such as whether it is enabled, apply.
+	 *
+	 * @param array    $template Named template.
+	 * @param WC_Order $order    Renewal order.
+	 * @return bool True if the email was handed to WooCommerce.
+	 */
+	public function send_template( $template, $order ) {
+		$emails = function_exists( 'WC' ) ? WC()->mailer()->get_emails() : array();
+		$class  = isset( $this->base_emails[ $template['recipient'] ] ) ? $this->base_emails[ $template['recipient'] ] : '';
+		$email  = $class && isset( $emails[ $class ] ) ? $emails[ $class ] : null;
+
+		if ( ! is_a( $email, 'WC_Email' ) ) {
+			return false;
+		}
+
+		$text       = function ( $field ) use ( $template, $email ) {
+			return function ( $value ) use ( $template, $email, $field ) {
+				return '' !== $template[ $field ] ? $email->format_string( $template[ $field ] ) : $value;
+			};
+		};
+		$subject    = $text( 'subject' );
+		$heading    = $text( 'heading' );
+		$additional = function () use ( $email ) {
+			return $email->format_string( $email->get_option( 'additional_content', $email->get_default_additional_content() ) );
+		};
+		$file       = function ( $located, $template_name ) use ( $email, $template ) {
+			if ( ! in_array( $template_name, array( $email->template_html, $email->template_plain ), true ) ) {
+				return $located;
+			}
+
+			return $this->locate_template( $template_name === $email->template_plain, $email, $template );
+		};
+
+		// Run after the filter handler, so the last retry rule's email overrides do not apply.
+		add_filter( 'woocommerce_email_subject_' . $email->id, $subject, 20 );
+		add_filter( 'woocommerce_email_heading_' . $email->id, $heading, 20 );
+		add_filter( 'woocommerce_email_additional_content_' . $email->id, $additional, 20 );
+		add_filter( 'wc_get_template', $file, 20, 2 );
+
+		try {
+			$email->trigger( $order->get_id(), $order );
+		} finally {
+			remove_filter( 'woocommerce_email_subject_' . $email->id, $subject, 20 );
+			remove_filter( 'woocommerce_email_heading_' . $email->id, $heading, 20 );
+			remove_filter( 'woocommerce_email_additional_content_' . $email->id, $additional, 20 );
+			remove_filter( 'wc_get_template', $file, 20 );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the plugin template file that renders a named template's body.
+	 *
+	 * Remembers the template so the file can read its body with get_rendering_body().
+	 *
+	 * @param bool     $plain_text Whether the plain text version is being rendered.
+	 * @param WC_Email $email      Email instance.
+	 * @param array    $template   Named template.
+	 * @return string Template file path.
+	 */
+	public function locate_template( $plain_text, $email, $template ) {
+		$this->rendering = array(
+			'template' => $template,
+			'email'    => $email,
+		);
+
+		return WCS_RRE_PLUGIN_DIR . ( $plain_text ? 'templates/emails/plain/retry-email.php' : 'templates/emails/retry-email.php' );
+	}
+
+	/**
+	 * Get the body of the template being rendered, with placeholders replaced.
+	 *
+	 * @return string
+	 */
+	public function get_rendering_body() {
+		if ( ! $this->rendering ) {
+			return '';
+		}
+
+		$email = $this->rendering['email'];
+		$body  = $this->rendering['template']['body'];
+
+		return is_a( $email, 'WC_Email' ) ? $email->format_string( $body ) : $body;
+	}
+}
@@ -0,0 +1,36 @@
+<?php
+/**
+ * Named retry email template (plain text).
+ *
+ * @package WCS_Retry_Rules_Editor
+ *
+ * @var WC_Order $order
+ * @var string   $email_heading
+ * @var string   $additional_content
+ * @var bool     $sent_to_admin
+ * @var bool     $plain_text
+ * @var WC_Email $email
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+echo '= ' . esc_html( wp_strip_all_tags( $email_heading ) ) . " =\n\n";
+
+echo esc_html( wp_strip_all_tags( wptexturize( WCS_RRE_Templates_Manager::instance()->get_rendering_body() ) ) ) . "\n\n";
+
+do_action( 'woocommerce_subscriptions_email_order_details', $order, $sent_to_admin, $plain_text, $email );
+
+echo "\n----------------------------------------\n\n";
+
+do_action( 'woocommerce_email_order_meta', $order, $sent_to_admin, $plain_text, $email );
+
+do_action( 'woocommerce_email_customer_details', $order, $sent_to_admin, $plain_text, $email );
+
+echo "\n----------------------------------------\n\n";
+
+if ( $additional_content ) {
+	echo esc_html( wp_strip_all_tags( wptexturize( $additional_content ) ) );
+	echo "\n\n----------------------------------------\n\n";
+}
+
+echo wp_kses_post( apply_filters( 'woocommerce_email_footer_text', get_option( 'woocommerce_email_footer_text' ) ) );
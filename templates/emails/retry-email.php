@@ -0,0 +1,34 @@
+<?php
+/**
+ * Named retry email template (HTML).
+ *
+ * Renders the body of a named retry email template in place of the default
+ * WooCommerce Subscriptions retry email content.
+ *
+ * @package WCS_Retry_Rules_Editor
+ *
+ * @var WC_Order $order
+ * @var string   $email_heading
+ * @var string   $additional_content
+ * @var bool     $sent_to_admin
+ * @var bool     $plain_text
+ * @var WC_Email $email
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+do_action( 'woocommerce_email_header', $email_heading, $email );
+
+echo wp_kses_post( wpautop( wptexturize( WCS_RRE_Templates_Manager::instance()->get_rendering_body() ) ) );
+
+do_action( 'woocommerce_subscriptions_email_order_details', $order, $sent_to_admin, $plain_text, $email );
+
+do_action( 'woocommerce_email_order_meta', $order, $sent_to_admin, $plain_text, $email );
+
+do_action( 'woocommerce_email_customer_details', $order, $sent_to_admin, $plain_text, $email );
+
+if ( $additional_content ) {
+	echo wp_kses_post( wpautop( wptexturize( $additional_content ) ) );
+}
+
+do_action( 'woocommerce_email_footer', $email );
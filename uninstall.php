@@ -12,8 +12,46 @@ if ( ! defined( 'WP_UNINSTALL_PLUGIN' ) ) {
 	exit;
 }
 
-// Delete plugin options.
-delete_option( 'wcs_rre_active_rules' );
+/**
+ * Remove the plugin data of the current site.
+ */
+function wcs_rre_uninstall_site() {
+	// Delete plugin options.
+	delete_option( 'wcs_rre_active_rules' );
+	delete_option( 'wcs_rre_draft_rules' );
+	delete_option( 'wcs_rre_version_history' );
+	delete_option( 'wcs_rre_presets' );
+	delete_option( 'wcs_rre_email_templates' );
+	delete_option( 'wcs_rre_audit_log' );
+	delete_option( 'wcs_rre_schedule' );
+	delete_option( 'wcs_rre_rules_source' );
+	delete_transient( 'wcs_rre_shortest_billing_period' );
+
+	// Delete the running experiment. The arms recorded in the _wcs_rre_experiment_arm meta of subscriptions and orders stay with their history.
+	delete_option( 'wcs_rre_experiment' );
+
+	// Remove queued scheduled activations, reverts and cancellations of held subscriptions.
+	foreach ( array( 'wcs_rre_activate_scheduled_rules', 'wcs_rre_revert_scheduled_rules', 'wcs_rre_cancel_held_subscription' ) as $hook ) {
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			as_unschedule_all_actions( $hook );
+		}
+		wp_unschedule_hook( $hook );
+	}
+}
 
-// Future: If version history is added, delete it here too.
-// delete_option( 'wcs_rre_version_history' );
+if ( ! is_multisite() ) {
+	wcs_rre_uninstall_site();
+	return;
+}
+
+// Every site keeps its own rules, schedule and experiment.
+foreach ( get_sites( array( 'number' => 0 ) ) as $wcs_rre_site ) {
+	switch_to_blog( $wcs_rre_site->blog_id );
+	wcs_rre_uninstall_site();
+	restore_current_blog();
+}
+
+// Delete the network rules, draft, revisions, presets and audit log.
+foreach ( array( 'wcs_rre_active_rules', 'wcs_rre_draft_rules', 'wcs_rre_version_history', 'wcs_rre_presets', 'wcs_rre_audit_log' ) as $wcs_rre_option ) {
+	delete_site_option( $wcs_rre_option );
+}